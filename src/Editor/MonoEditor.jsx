@@ -1,118 +1,511 @@
-import React, { useRef, useEffect, useState, useCallback } from "react";
-import Editor from "@monaco-editor/react";
+import React, { useRef, useEffect, useState, useCallback, useMemo, forwardRef, useImperativeHandle } from "react";
+import Editor, { loader } from "@monaco-editor/react";
 import Toolbar from "./Toolbar";
+import RepairPreview from "../components/Repair/RepairPreview";
+import OutputPanel from "../components/Output/OutputPanel";
+import { repairJson } from "../Parser/jsonRepair";
+import { stringifyJson } from "../Parser/losslessJson";
+import { findPointerAtOffset, getPointerRange } from "../Parser/jsonParser";
+import { parseSource } from "../Parser/parseSource";
+import { formatJsonc, minifyJsonc } from "../Parser/jsonFormat";
+import { formatYaml, stringifyYaml, yamlToJson } from "../Formats/yaml";
+import { csvToJson, jsonToCsv } from "../Formats/csv";
+import { looksLikeXml, xmlToJson, jsonToXml } from "../Formats/xml";
+import { formatNdjson } from "../Formats/ndjson";
+import { decodeBinary, getBinaryFormat } from "../Formats/binary";
+import { getValueAtPointer, getParentPointer } from "../Visualizer/jsonPointer";
+import { inferSchema } from "../Tools/schemaInference";
+import { TYPE_LANGUAGES, generateTypes, suggestTypeName } from "../Tools/typeGeneration";
+import { INPUT_MODES, registerLanguages, getModeForFileName, isJsonFamily } from "./inputModes";
 import "./MonoEditor.css";
 
-const MonoEditor = ({ value, onChange, onExportImage, onRefresh, onShowLogic }) => {
+// Wait for the cursor to settle before syncing it to the graph
+const CURSOR_SYNC_DELAY_MS = 150;
+
+// Owner id of our syntax markers (Monaco keeps markers per owner)
+const MARKER_OWNER = "json-trace";
+const SCHEMA_MARKER_OWNER = "json-schema";
+
+// Longer values (whole objects, arrays) only get their first character marked
+const SCHEMA_MARKER_MAX_LENGTH = 80;
+
+// Models formatted on their first load. A tab's model outlives the editor
+// (see `path`), and switching back to a tab must not reformat its text.
+const formattedModels = new WeakSet();
+
+// Summary of parser errors for the validation area
+const describeErrors = (errors) => {
+  if (errors.length === 0) return null;
+  const [first] = errors;
+  const summary = `${first.message} (line ${first.line}, column ${first.column})`;
+  return errors.length > 1 ? `${summary} · ${errors.length - 1} more error(s)` : summary;
+};
+
+// NDJSON lines are validated independently: list the broken ones
+const describeLineErrors = (errors) => {
+  const lines = [...new Set(errors.map(error => error.line))];
+  const listed = lines.slice(0, 5).join(", ");
+  const more = lines.length > 5 ? ` and ${lines.length - 5} more` : "";
+  return `${lines.length} invalid line(s): ${listed}${more} · line ${errors[0].line}: ${errors[0].message}`;
+};
+
+// Save text as a file through a temporary object URL
+const downloadText = (text, fileName, mimeType) => {
+  const blob = new Blob([text], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+const MonoEditor = forwardRef(({
+  value,
+  onChange,
+  onExportImage,
+  onRefresh,
+  onShowLogic,
+  onOpenSettings,
+  onCursorPointerChange,
+  largeFileBytes = 100000, // 100KB
+  suggestionsMaxBytes = 50000, // 50KB
+  losslessNumbers = true,
+  inputMode = "json",
+  onInputModeChange,
+  schemaResult = null,
+  onOpenSchema,
+  onUseSchema,
+  onOpenTransform,
+  onOpenCompare,
+  onOpenPatch,
+  path
+}, ref) => {
+  const { dialect, label: modeLabel } = INPUT_MODES[inputMode];
   const editorRef = useRef(null);
+  const monacoRef = useRef(null);
   const containerRef = useRef(null);
   const [isValid, setIsValid] = useState(true);
   const [validationMessage, setValidationMessage] = useState("");
+  // Proposed repair of invalid input ({ text, changes, valid, original }) or null
+  const [repair, setRepair] = useState(null);
+  const [showRepair, setShowRepair] = useState(false);
+  // Text right after an accepted repair, while it can still be undone
+  const [repairedText, setRepairedText] = useState(null);
+  // Size / compression / encoding of the uploaded file, with the text it became
+  const [fileInfo, setFileInfo] = useState(null);
+  // Generated schema shown in the side panel: { text, value, subtitle } or null
+  const [generatedSchema, setGeneratedSchema] = useState(null);
+  // Types panel: pointer of the value to type (null = closed), language and root type name
+  const [typesPointer, setTypesPointer] = useState(null);
+  const [typesLanguage, setTypesLanguage] = useState("typescript");
+  const [typesRootName, setTypesRootName] = useState("Root");
+
+  // [DSA] Source map (JSON Pointer -> text offsets) of the current text.
+  // Built lazily and cached until the text (or the dialect) changes.
+  const sourceMapRef = useRef({ text: null, dialect: null, pointers: null });
+  const dialectRef = useRef(dialect);
+  dialectRef.current = dialect;
+  const cursorTimerRef = useRef(null);
+  const onCursorPointerChangeRef = useRef(onCursorPointerChange);
+  onCursorPointerChangeRef.current = onCursorPointerChange;
+
+  const getSourceMap = useCallback(() => {
+    const model = editorRef.current && editorRef.current.getModel();
+    if (!model) return null;
+
+    const text = model.getValue();
+    const currentDialect = dialectRef.current;
+    if (sourceMapRef.current.text !== text || sourceMapRef.current.dialect !== currentDialect) {
+      let pointers = null;
+      try {
+        pointers = parseSource(text, { dialect: currentDialect }).pointers;
+      } catch (error) {
+        // Invalid JSON: nothing to map until it's fixed
+      }
+      sourceMapRef.current = { text, dialect: currentDialect, pointers };
+    }
+    return sourceMapRef.current.pointers;
+  }, []);
+
+  const selectOffsets = useCallback((startOffset, endOffset) => {
+    const editor = editorRef.current;
+    if (!editor) return;
+
+    const model = editor.getModel();
+    const start = model.getPositionAt(startOffset);
+    const end = model.getPositionAt(endOffset);
+    const selection = {
+      startLineNumber: start.lineNumber,
+      startColumn: start.column,
+      endLineNumber: end.lineNumber,
+      endColumn: end.column
+    };
+    editor.setSelection(selection);
+    editor.revealRangeInCenterIfOutsideViewport(selection);
+  }, []);
+
+  // Array of objects at `pointer` ("" = whole document) -> .csv download
+  const exportCsv = useCallback((pointer = "") => {
+    try {
+      const { data } = parseSource(value, { dialect, lossless: true, sourceMap: false });
+      const target = getValueAtPointer(data, pointer);
+      downloadText(jsonToCsv(target), `json-export-${Date.now()}.csv`, "text/csv");
+    } catch (error) {
+      alert(`Cannot export CSV: ${error.message}`);
+    }
+  }, [value, dialect]);
+
+  // Whole document ("") or a subtree picked in the graph -> Types panel
+  const showTypes = useCallback((pointer = "") => {
+    // One side panel at a time
+    setGeneratedSchema(null);
+    setTypesPointer(pointer);
+    setTypesRootName(suggestTypeName(pointer));
+  }, []);
+
+  // Regenerated as the document changes while the panel is open
+  const generatedTypes = useMemo(() => {
+    if (typesPointer === null) return null;
+    try {
+      const { data } = parseSource(value, { dialect, lossless: true, sourceMap: false });
+      const perRecord = dialect === "ndjson" && typesPointer === "";
+      return { text: generateTypes(getValueAtPointer(data, typesPointer), typesLanguage, { rootName: typesRootName, perRecord }) };
+    } catch (error) {
+      return { text: "", error: `Cannot generate types: ${error.message}` };
+    }
+  }, [typesPointer, typesLanguage, typesRootName, value, dialect]);
+
+  useImperativeHandle(ref, () => ({
+    // Graph -> Editor: select the "key": value range of a node and scroll to it
+    revealPointer: (pointer) => {
+      const pointers = getSourceMap();
+      if (!pointers) return;
+
+      const range = getPointerRange(pointers, pointer);
+      if (range) selectOffsets(range.start, range.end);
+    },
+    // Error node -> Editor: put the cursor on the syntax error
+    revealOffset: (offset) => selectOffsets(offset, offset),
+    // Graph context menu -> CSV download of that node
+    exportCsv,
+    // Graph context menu -> types for that node
+    showTypes
+  }), [getSourceMap, selectOffsets, exportCsv, showTypes]);
+
+  // Syntax errors (red) and duplicate keys (yellow) as editor markers.
+  // Uses the recovering parser so every error is marked, not only the first.
+  const updateMarkers = useCallback((jsonString) => {
+    const { errors, duplicates } = parseSource(jsonString, { recover: true, sourceMap: false, dialect });
+    const editor = editorRef.current;
+    const monaco = monacoRef.current;
+    const model = editor && editor.getModel();
+
+    if (model && monaco && model.getValue() === jsonString) {
+      const toMarker = (severity, message, start, end) => {
+        const from = model.getPositionAt(start);
+        const to = model.getPositionAt(end);
+        return {
+          severity,
+          message,
+          startLineNumber: from.lineNumber,
+          startColumn: from.column,
+          endLineNumber: to.lineNumber,
+          endColumn: to.column
+        };
+      };
+
+      monaco.editor.setModelMarkers(model, MARKER_OWNER, [
+        ...errors.map(error => toMarker(monaco.MarkerSeverity.Error, error.message, error.offset, error.offset + 1)),
+        ...duplicates.map(duplicate => toMarker(
+          monaco.MarkerSeverity.Warning,
+          `Duplicate key "${duplicate.key}": overridden by line ${duplicate.shadowedByLine}, so this value is ignored`,
+          duplicate.keyRange.start,
+          duplicate.keyRange.end
+        ))
+      ]);
+    }
+
+    return { errors, duplicates };
+  }, [dialect]);
+
+  const clearSyntaxErrors = useCallback(() => {
+    const model = editorRef.current && editorRef.current.getModel();
+    if (model && monacoRef.current) monacoRef.current.editor.setModelMarkers(model, MARKER_OWNER, []);
+  }, []);
+
+  // Schema violations as markers on the key of the offending value.
+  // A pointer missing from the text (e.g. a YAML merge) falls back to its parent.
+  useEffect(() => {
+    const model = editorRef.current && editorRef.current.getModel();
+    const monaco = monacoRef.current;
+    if (!model || !monaco) return;
 
-  // Auto-validate and attempt to fix JSON
-  const validateAndFixJSON = useCallback((jsonString) => {
+    const pointers = schemaResult && schemaResult.errors.length > 0 ? getSourceMap() : null;
+    if (!pointers) {
+      monaco.editor.setModelMarkers(model, SCHEMA_MARKER_OWNER, []);
+      return;
+    }
+
+    const markers = [];
+    schemaResult.errors.forEach(error => {
+      let pointer = error.pointer;
+      while (pointer !== null && !(pointers.get(pointer) || {}).value) pointer = getParentPointer(pointer);
+      if (pointer === null) return;
+
+      const { key, value: valueRange } = pointers.get(pointer);
+      let range = key || valueRange;
+      if (range.end - range.start > SCHEMA_MARKER_MAX_LENGTH) range = { start: range.start, end: range.start + 1 };
+      const from = model.getPositionAt(range.start);
+      const to = model.getPositionAt(range.end);
+      markers.push({
+        severity: monaco.MarkerSeverity.Error,
+        message: `${error.message} (${error.keyword})`,
+        source: schemaResult.source,
+        startLineNumber: from.lineNumber,
+        startColumn: from.column,
+        endLineNumber: to.lineNumber,
+        endColumn: to.column
+      });
+    });
+    monaco.editor.setModelMarkers(model, SCHEMA_MARKER_OWNER, markers);
+  }, [schemaResult, getSourceMap]);
+
+  // Validate and, for broken input, prepare a repair proposal.
+  // The proposal is only applied when the user accepts it in the preview.
+  const validateJSON = useCallback((jsonString) => {
     if (!jsonString || jsonString.trim() === '') {
+      clearSyntaxErrors();
+      setRepair(null);
       setIsValid(false);
       setValidationMessage("Empty input");
       return;
     }
 
-    try {
-      // Try to parse as-is
-      JSON.parse(jsonString);
-      setIsValid(true);
-      setValidationMessage("Valid JSON (RFC 8259)");
-    } catch (error) {
-      // Extract line and column from error message
-      const positionMatch = error.message.match(/position (\d+)/);
-      // Removed unused matches
-
-      let detailedError = error.message;
-
-      // Try to provide more context
-      if (positionMatch) {
-        const position = parseInt(positionMatch[1]);
-        const beforeError = jsonString.substring(Math.max(0, position - 20), position);
-        const atError = jsonString.substring(position, Math.min(jsonString.length, position + 20));
-        detailedError = `${error.message} | Near: "${beforeError}[HERE]${atError}"`;
+    // Pasted XML: offer the conversion instead of a wall of JSON errors
+    if (isJsonFamily(inputMode) && looksLikeXml(jsonString)) {
+      clearSyntaxErrors();
+      setRepair(null);
+      setIsValid(false);
+      setValidationMessage("This looks like XML. Use XML → JSON to convert it.");
+      return;
+    }
+
+    // JSONC / JSON5 / YAML: our parsers are the only validators, and repair
+    // would strip the comments these modes exist for
+    if (dialect !== "json") {
+      const { errors, duplicates } = updateMarkers(jsonString);
+      setRepair(null);
+      setIsValid(errors.length === 0);
+      if (errors.length > 0) {
+        setValidationMessage(dialect === "ndjson" ? describeLineErrors(errors) : describeErrors(errors));
+      } else {
+        setValidationMessage(duplicates.length > 0
+          ? `Valid ${modeLabel} · ${duplicates.length} duplicate key(s)`
+          : `Valid ${modeLabel}`);
       }
+      return;
+    }
 
-      // Try to auto-fix common issues
-      let fixed = jsonString;
+    // One recovering parse: validity, every error, and the duplicate keys
+    // that JSON.parse would silently resolve to their last value
+    const { errors, duplicates } = updateMarkers(jsonString);
+    setIsValid(errors.length === 0);
+    if (errors.length === 0) {
+      setRepair(null);
+      setValidationMessage(duplicates.length > 0
+        ? `Valid JSON (RFC 8259) · ${duplicates.length} duplicate key(s)`
+        : "Valid JSON (RFC 8259)");
+      return;
+    }
 
-      // Fix unquoted keys: {name: "value"} -> {"name": "value"}
-      fixed = fixed.replace(/(\{|,)\s*([a-zA-Z_$][a-zA-Z0-9_$]*)\s*:/g, '$1"$2":');
+    // Exact locations go to the editor as markers
+    setValidationMessage(describeErrors(errors));
+    const proposal = repairJson(jsonString);
+    setRepair(proposal.changes.length > 0 ? { ...proposal, original: jsonString } : null);
+  }, [dialect, inputMode, modeLabel, updateMarkers, clearSyntaxErrors]);
 
-      // Fix single quotes to double quotes
-      fixed = fixed.replace(/'/g, '"');
+  // Accepting goes through the editor so Ctrl+Z undoes the repair too
+  const handleAcceptRepair = () => {
+    const editor = editorRef.current;
+    setShowRepair(false);
+    if (!editor || !repair || editor.getModel().getValue() !== repair.original) return;
 
-      // Remove trailing commas
-      fixed = fixed.replace(/,(\s*[}\]])/g, '$1');
+    const model = editor.getModel();
+    editor.pushUndoStop();
+    editor.executeEdits("json-repair", [{ range: model.getFullModelRange(), text: repair.text }]);
+    editor.pushUndoStop();
+    setRepairedText(model.getValue());
+  };
 
-      try {
-        JSON.parse(fixed);
-        // Auto-fix successful
-        onChange(fixed);
-        setIsValid(true);
-        setValidationMessage("Auto-fixed and validated ✓");
-      } catch (fixError) {
-        setIsValid(false);
-        setValidationMessage(detailedError);
-      }
-    }
-  }, [onChange]); // Add onChange as dependency
+  const handleUndoRepair = () => {
+    const editor = editorRef.current;
+    if (editor) editor.trigger("json-repair", "undo", null);
+    setRepairedText(null);
+  };
 
   // Validate on value change (with performance optimization for large files)
   useEffect(() => {
     const timeoutId = setTimeout(() => {
-      // Skip expensive validation for very large files
-      if (value.length > 100000) { // 100KB
+      // Skip expensive validation for very large files: only the native
+      // JSON.parse runs here, no markers, duplicate keys or repair
+      if (value.length > largeFileBytes && dialect === "json" && !looksLikeXml(value)) {
+        clearSyntaxErrors();
+        setRepair(null);
         try {
           JSON.parse(value);
           setIsValid(true);
-          setValidationMessage("Valid JSON (large file - auto-fix disabled)");
+          setValidationMessage("Valid JSON (large file - repair disabled)");
         } catch (error) {
           setIsValid(false);
-          setValidationMessage(`Error: ${error.message}`);
+          setValidationMessage(`Error: ${error.message} (large file - repair disabled)`);
         }
       } else {
-        validateAndFixJSON(value);
+        validateJSON(value);
       }
     }, 500); // Debounce validation
 
     return () => clearTimeout(timeoutId);
-  }, [value, validateAndFixJSON]);
+  }, [value, dialect, validateJSON, largeFileBytes, clearSyntaxErrors]);
+
+  // "Undo repair" is offered until the text changes again
+  useEffect(() => {
+    if (repairedText !== null && value !== repairedText) setRepairedText(null);
+  }, [value, repairedText]);
 
   function handleEditorDidMount(editor, monaco) {
     editorRef.current = editor;
+    monacoRef.current = monaco;
+    // Syntax errors come from our own parser (see updateMarkers);
+    // Monaco's validator would report the same problems a second time.
+    monaco.languages.json.jsonDefaults.setDiagnosticsOptions({ validate: false });
+    // A tab's model outlives the editor (see `path`); bring it up to date
+    const model = editor.getModel();
+    monaco.editor.setModelLanguage(model, INPUT_MODES[inputMode].language);
+    if (model.getValue() !== value) {
+      editor.executeEdits("", [{ range: model.getFullModelRange(), text: value, forceMoveMarkers: true }]);
+      editor.pushUndoStop();
+    }
+    const isNewModel = !formattedModels.has(model);
+    formattedModels.add(model);
     setTimeout(() => {
       editor.layout();
-      editor.getAction('editor.action.formatDocument').run();
+      if (isNewModel) editor.getAction('editor.action.formatDocument').run();
     }, 100);
+
+    // Editor -> Graph: report the JSON Pointer under the cursor
+    editor.onDidChangeCursorPosition((event) => {
+      // Selections made by revealPointer must not bounce back to the graph
+      if (event.source === 'api') return;
+
+      clearTimeout(cursorTimerRef.current);
+      cursorTimerRef.current = setTimeout(() => {
+        const pointers = getSourceMap();
+        if (!pointers || !onCursorPointerChangeRef.current) return;
+
+        const offset = editor.getModel().getOffsetAt(event.position);
+        const pointer = findPointerAtOffset(pointers, offset);
+        if (pointer !== null) onCursorPointerChangeRef.current(pointer);
+      }, CURSOR_SYNC_DELAY_MS);
+    });
   }
 
 
 
+  // Lossless mode round-trips big ids and numbers like 1.0 / 1e10 unchanged.
+  // JSONC / JSON5 are reformatted token by token and YAML through its own
+  // document model, so comments survive.
+  const reformat = (indent) => {
+    if (dialect !== "json") {
+      parseSource(value, { dialect, sourceMap: false }); // throws when invalid
+      if (dialect === "yaml") return formatYaml(value);
+      if (dialect === "ndjson") return formatNdjson(value);
+      return indent ? formatJsonc(value, indent) : minifyJsonc(value);
+    }
+    if (!losslessNumbers) return JSON.stringify(JSON.parse(value), null, indent);
+    return stringifyJson(parseSource(value, { lossless: true, sourceMap: false }).data, indent);
+  };
+
   const handleFormat = () => {
     try {
-      const parsed = JSON.parse(value);
-      const formatted = JSON.stringify(parsed, null, 2);
-      onChange(formatted);
+      onChange(reformat(2));
     } catch (error) {
-      alert("Cannot format invalid JSON. Please fix errors first.");
+      alert(`Cannot format invalid ${modeLabel}. Please fix errors first.`);
     }
   };
 
   const handleMinify = () => {
+    if (dialect === "yaml") {
+      alert("Minify is not available for YAML. Convert to JSON first.");
+      return;
+    }
+    try {
+      onChange(reformat(0));
+    } catch (error) {
+      alert(`Cannot minify invalid ${modeLabel}. Please fix errors first.`);
+    }
+  };
+
+  // XML pasted into a JSON mode is converted with the Formats/xml.js convention
+  const isXmlInput = isJsonFamily(inputMode) && looksLikeXml(value);
+
+  // One click JSON <-> YAML: converts the text and switches the mode.
+  // YAML aliases are expanded in JSON; numbers keep their digits both ways.
+  const handleConvert = () => {
     try {
-      const parsed = JSON.parse(value);
-      const minified = JSON.stringify(parsed);
-      onChange(minified);
+      if (isXmlInput) {
+        onChange(stringifyJson(xmlToJson(value), 2));
+        if (onInputModeChange) onInputModeChange("json");
+      } else if (isJsonFamily(inputMode)) {
+        const { data } = parseSource(value, { dialect, lossless: true, sourceMap: false });
+        onChange(stringifyYaml(data));
+        if (onInputModeChange) onInputModeChange("yaml");
+      } else {
+        onChange(yamlToJson(value));
+        if (onInputModeChange) onInputModeChange("json");
+      }
     } catch (error) {
-      alert("Cannot minify invalid JSON. Please fix errors first.");
+      alert(`Cannot convert: ${error.message}`);
     }
   };
 
+  // .jsonc / .json5 / .yaml uploads switch the mode to match;
+  // CSV / TSV tables, XML documents and binary formats are converted to JSON.
+  // `content` is a Uint8Array for MessagePack / CBOR / BSON, text otherwise;
+  // `info` describes the file (size, compression, encoding), see Formats/upload.js.
+  const handleUploadFile = (fileName, content, info) => {
+    const extension = fileName.split(".").pop().toLowerCase();
+    const binaryFormat = getBinaryFormat(fileName);
+    let mode = getModeForFileName(fileName);
+    let text = content;
+
+    try {
+      if (binaryFormat) {
+        mode = "json";
+        text = stringifyJson(decodeBinary(content, binaryFormat), 2);
+      } else if (extension === "xml") {
+        mode = "json";
+        text = stringifyJson(xmlToJson(content), 2);
+      } else if (extension === "csv" || extension === "tsv") {
+        const { data } = csvToJson(content, {
+          delimiter: extension === "tsv" ? "\t" : undefined,
+          lossless: losslessNumbers
+        });
+        mode = "json";
+        text = stringifyJson(data, 2);
+      }
+    } catch (error) {
+      alert(`Cannot read ${fileName}: ${error.message}`);
+      return;
+    }
+
+    if (mode && onInputModeChange) onInputModeChange(mode);
+    onChange(text);
+    setFileInfo(info ? { ...info, value: text } : null);
+  };
+
   const handleCopy = async () => {
     try {
       await navigator.clipboard.writeText(value);
@@ -124,20 +517,42 @@ const MonoEditor = ({ value, onChange, onExportImage, onRefresh, onShowLogic })
 
   const handleDownload = () => {
     try {
-      const blob = new Blob([value], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `json-export-${Date.now()}.json`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
+      // The text is saved as typed, so numbers keep their exact lexemes
+      const { extensions: [extension], mimeType } = INPUT_MODES[inputMode];
+      downloadText(value, `json-export-${Date.now()}.${extension}`, mimeType);
     } catch (error) {
       alert("Failed to download JSON");
     }
   };
 
+  const handleExportXml = () => {
+    try {
+      const { data } = parseSource(value, { dialect, lossless: true, sourceMap: false });
+      downloadText(jsonToXml(data), `json-export-${Date.now()}.xml`, "application/xml");
+    } catch (error) {
+      alert(`Cannot export XML: ${error.message}`);
+    }
+  };
+
+  // Example document -> JSON Schema, e.g. to bootstrap contract tests
+  const handleGenerateSchema = () => {
+    try {
+      const { data } = parseSource(value, { dialect, lossless: true, sourceMap: false });
+      const perRecord = dialect === "ndjson";
+      const schema = inferSchema(data, { perRecord });
+      setTypesPointer(null);
+      setGeneratedSchema({
+        text: JSON.stringify(schema, null, 2),
+        value: schema,
+        subtitle: perRecord ? "Describes one NDJSON record" : "Inferred from the current document"
+      });
+    } catch (error) {
+      alert(`Cannot generate a schema: ${error.message}`);
+    }
+  };
+
+  useEffect(() => () => clearTimeout(cursorTimerRef.current), []);
+
   useEffect(() => {
     const container = containerRef.current;
 
@@ -178,38 +593,119 @@ const MonoEditor = ({ value, onChange, onExportImage, onRefresh, onShowLogic })
         onExportImage={onExportImage}
         onRefresh={onRefresh}
         onShowLogic={onShowLogic}
+        onOpenSettings={onOpenSettings}
+        inputMode={inputMode}
+        onInputModeChange={onInputModeChange}
+        onUploadFile={handleUploadFile}
+        onExportCsv={() => exportCsv()}
+        onExportXml={handleExportXml}
+        schemaResult={schemaResult}
+        onOpenSchema={onOpenSchema}
+        onGenerateSchema={handleGenerateSchema}
+        onGenerateTypes={() => showTypes()}
+        onOpenTransform={onOpenTransform}
+        onOpenCompare={onOpenCompare}
+        onOpenPatch={onOpenPatch}
+        isXmlInput={isXmlInput}
+        fileInfo={fileInfo && fileInfo.value === value ? fileInfo : null}
+        onConvert={handleConvert}
         isValid={isValid}
         validationMessage={validationMessage}
+        repairCount={repair ? repair.changes.length : 0}
+        onRepair={repair ? () => setShowRepair(true) : null}
+        onUndoRepair={repairedText !== null ? handleUndoRepair : null}
       />
 
+      <RepairPreview
+        isOpen={showRepair}
+        original={repair && repair.original}
+        repair={repair}
+        onAccept={handleAcceptRepair}
+        onReject={() => setShowRepair(false)}
+      />
+
+      <OutputPanel
+        isOpen={generatedSchema !== null}
+        title="Generated Schema"
+        subtitle={generatedSchema && generatedSchema.subtitle}
+        text={generatedSchema ? generatedSchema.text : ""}
+        fileName="schema.json"
+        mimeType="application/schema+json"
+        onClose={() => setGeneratedSchema(null)}
+        actions={onUseSchema && generatedSchema && (
+          <button
+            className="output-btn"
+            onClick={() => onUseSchema({ name: "Generated schema", text: generatedSchema.text, value: generatedSchema.value })}
+            title="Validate the document against this schema"
+          >
+            Use for validation
+          </button>
+        )}
+      />
+
+      <OutputPanel
+        isOpen={generatedTypes !== null}
+        title="Generated Types"
+        subtitle={generatedTypes && (generatedTypes.error || (typesPointer ? `Subtree ${typesPointer}` : "Whole document"))}
+        text={generatedTypes ? generatedTypes.text : ""}
+        language={TYPE_LANGUAGES[typesLanguage].language}
+        fileName={`${typesRootName || "types"}.${TYPE_LANGUAGES[typesLanguage].extension}`}
+        mimeType="text/plain"
+        onClose={() => setTypesPointer(null)}
+      >
+        <label>
+          Language{" "}
+          <select value={typesLanguage} onChange={e => setTypesLanguage(e.target.value)}>
+            {Object.entries(TYPE_LANGUAGES).map(([language, { label }]) => (
+              <option key={language} value={language}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Root type{" "}
+          <input type="text" value={typesRootName} onChange={e => setTypesRootName(e.target.value)} spellCheck={false} />
+        </label>
+      </OutputPanel>
+
       <div className="editor-wrapper">
         <Editor
           height="100%"
-          defaultLanguage="json"
+          language={INPUT_MODES[inputMode].language}
           value={value}
           onChange={onChange}
+          path={path}
+          keepCurrentModel={path !== undefined}
           theme="vs-dark"
+          beforeMount={registerLanguages}
           onMount={handleEditorDidMount}
           options={{
             wordWrap: "on",
             automaticLayout: false,
-            formatOnPaste: value.length < 100000,
-            formatOnType: value.length < 100000,
+            formatOnPaste: value.length < largeFileBytes,
+            formatOnType: value.length < largeFileBytes,
             minimap: { enabled: false },
             scrollBeyondLastLine: false,
             folding: true,
             showFoldingControls: "always",
             glyphMargin: true,
             lineNumbersMinChars: 3,
-            quickSuggestions: value.length < 50000,
-            suggest: { enabled: value.length < 50000 },
-            parameterHints: { enabled: value.length < 50000 },
-            renderValidationDecorations: value.length < 100000 ? "on" : "off",
+            quickSuggestions: value.length < suggestionsMaxBytes,
+            suggest: { enabled: value.length < suggestionsMaxBytes },
+            parameterHints: { enabled: value.length < suggestionsMaxBytes },
+            renderValidationDecorations: value.length < largeFileBytes ? "on" : "off",
           }}
         />
       </div>
     </div>
   );
+});
+
+// The model (text and undo history) of a closed tab
+export const disposeEditorModel = (path) => {
+  loader.init().then((monaco) => {
+    const model = monaco.editor.getModel(monaco.Uri.parse(path));
+    if (model) model.dispose();
+  });
 };
 
 export default MonoEditor;
\ No newline at end of file
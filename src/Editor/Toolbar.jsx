@@ -1,4 +1,6 @@
-import React, { useRef } from 'react';
+import React, { useRef, useState } from 'react';
+import { INPUT_MODES, isJsonFamily } from './inputModes';
+import { readUpload, describeUpload } from '../Formats/upload';
 import './Toolbar.css';
 
 const Toolbar = ({
@@ -12,18 +14,80 @@ const Toolbar = ({
     onRefresh,
     isValid,
     validationMessage,
-    onShowLogic
+    onShowLogic,
+    onOpenSettings,
+    repairCount,
+    onRepair,
+    onUndoRepair,
+    inputMode = 'json',
+    onInputModeChange,
+    onUploadFile,
+    onConvert,
+    onExportCsv,
+    onExportXml,
+    isXmlInput = false,
+    fileInfo = null,
+    schemaResult = null,
+    onOpenSchema,
+    onGenerateSchema,
+    onGenerateTypes,
+    onOpenTransform,
+    onOpenCompare,
+    onOpenPatch
 }) => {
+    const modeLabel = INPUT_MODES[inputMode].label;
+    let convertLabel = isJsonFamily(inputMode) ? '→ YAML' : '→ JSON';
+    let convertTitle = isJsonFamily(inputMode) ? 'Convert this document to YAML' : 'Convert this document to JSON';
+    if (isXmlInput) {
+        convertLabel = 'XML → JSON';
+        convertTitle = 'Convert the pasted XML to JSON';
+    }
+    // Second badge: syntax says "valid JSON", this one says "valid against the schema"
+    let schemaBadge = null;
+    if (schemaResult) {
+        const count = schemaResult.errors.length;
+        if (schemaResult.schemaError) {
+            schemaBadge = { className: 'unavailable', label: '⚠ SCHEMA UNAVAILABLE', title: schemaResult.schemaError };
+        } else if (schemaResult.valid) {
+            schemaBadge = { className: 'valid', label: '✓ MATCHES SCHEMA', title: `Valid against ${schemaResult.source}` };
+        } else {
+            schemaBadge = {
+                className: 'invalid',
+                label: `✗ ${count} SCHEMA ERROR${count === 1 ? '' : 'S'}`,
+                title: `${schemaResult.source}: ${schemaResult.errors[0].pointer || '/'} ${schemaResult.errors[0].message}`
+            };
+        }
+    }
     const fileInputRef = useRef(null);
+    // { name, percent } while a file is being read
+    const [uploadProgress, setUploadProgress] = useState(null);
 
-    const handleUpload = (event) => {
+    // Streamed read: decompresses .gz / .br and detects the text encoding
+    const handleUpload = async (event) => {
         const file = event.target.files[0];
-        if (file) {
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                setJsonCode(e.target.result);
-            };
-            reader.readAsText(file);
+        // Picking the same file again should upload it again
+        event.target.value = '';
+        if (!file) return;
+
+        let percent = 0;
+        setUploadProgress({ name: file.name, percent });
+        try {
+            const { name, content, info } = await readUpload(file, {
+                onProgress: (fraction) => {
+                    // One re-render per percent, not per chunk
+                    const next = Math.floor(fraction * 100);
+                    if (next === percent) return;
+                    percent = next;
+                    setUploadProgress({ name: file.name, percent });
+                }
+            });
+            // The editor may switch modes or convert the file (CSV -> JSON)
+            if (onUploadFile) onUploadFile(name, content, info);
+            else setJsonCode(content);
+        } catch (error) {
+            alert(`Cannot read ${file.name}: ${error.message}`);
+        } finally {
+            setUploadProgress(null);
         }
     };
 
@@ -35,14 +99,63 @@ const Toolbar = ({
         <div className="toolbar">
             <div className="toolbar-section">
                 <div className={`validation-badge ${isValid ? 'valid' : 'invalid'}`}>
-                    {isValid ? '✓ VALID JSON' : '✗ INVALID JSON'}
+                    {isValid ? `✓ VALID ${modeLabel}` : `✗ INVALID ${modeLabel}`}
                 </div>
+                {schemaBadge && (
+                    <button
+                        className={`validation-badge schema-badge ${schemaBadge.className}`}
+                        onClick={onOpenSchema}
+                        title={schemaBadge.title}
+                    >
+                        {schemaBadge.label}
+                    </button>
+                )}
                 {validationMessage && (
                     <div className="validation-message">{validationMessage}</div>
                 )}
+                {uploadProgress && (
+                    <div className="upload-progress" role="progressbar" aria-valuenow={uploadProgress.percent}>
+                        <span>Reading {uploadProgress.name}… {uploadProgress.percent}%</span>
+                        <div className="upload-progress-track">
+                            <div className="upload-progress-bar" style={{ width: `${uploadProgress.percent}%` }} />
+                        </div>
+                    </div>
+                )}
+                {!uploadProgress && fileInfo && (
+                    <div className="file-info">{describeUpload(fileInfo)}</div>
+                )}
+                {onRepair && (
+                    <button className="toolbar-btn toolbar-btn-repair" onClick={onRepair} title="Preview fixes for common mistakes">
+                        Repair ({repairCount})
+                    </button>
+                )}
+                {onUndoRepair && (
+                    <button className="toolbar-btn" onClick={onUndoRepair} title="Restore the text before the repair">
+                        Undo repair
+                    </button>
+                )}
             </div>
 
             <div className="toolbar-section toolbar-actions">
+                <select
+                    className="toolbar-select"
+                    value={inputMode}
+                    onChange={e => onInputModeChange && onInputModeChange(e.target.value)}
+                    title="Input format"
+                >
+                    {Object.entries(INPUT_MODES).map(([mode, { label }]) => (
+                        <option key={mode} value={mode}>{label}</option>
+                    ))}
+                </select>
+
+                <button
+                    className="toolbar-btn"
+                    onClick={onConvert}
+                    title={convertTitle}
+                >
+                    {convertLabel}
+                </button>
+
                 <button className="toolbar-btn" onClick={onFormat} title="Format JSON">
                     Format
                 </button>
@@ -59,13 +172,21 @@ const Toolbar = ({
                     Download
                 </button>
 
+                <button className="toolbar-btn" onClick={onExportXml} title="Export as XML">
+                    Export XML
+                </button>
+
+                <button className="toolbar-btn" onClick={onExportCsv} title="Export an array of objects as CSV">
+                    Export CSV
+                </button>
+
                 <button className="toolbar-btn" onClick={triggerFileInput} title="Upload JSON File">
                     Upload
                 </button>
                 <input
                     ref={fileInputRef}
                     type="file"
-                    accept=".json,application/json"
+                    accept=".json,.jsonc,.json5,.yaml,.yml,.ndjson,.jsonl,.csv,.tsv,.xml,.msgpack,.mpk,.mp,.cbor,.bson,.gz,.br,application/json,application/yaml,text/csv,application/xml,text/xml"
                     onChange={handleUpload}
                     style={{ display: 'none' }}
                 />
@@ -77,6 +198,34 @@ const Toolbar = ({
                 <button className="toolbar-btn" onClick={onExportImage} title="Export as Image">
                     Export PNG
                 </button>
+
+                <button className="toolbar-btn" onClick={onOpenSchema} title="Validate against a JSON Schema">
+                    Schema
+                </button>
+
+                <button className="toolbar-btn" onClick={onGenerateSchema} title="Infer a JSON Schema from this document">
+                    Generate Schema
+                </button>
+
+                <button className="toolbar-btn" onClick={onGenerateTypes} title="TypeScript, Go, Python, Java or Rust types for this document">
+                    Generate Types
+                </button>
+
+                <button className="toolbar-btn" onClick={onOpenTransform} title="Reshape this document with a jq filter">
+                    Transform
+                </button>
+
+                <button className="toolbar-btn" onClick={onOpenCompare} title="Diff this document against another one">
+                    Compare
+                </button>
+
+                <button className="toolbar-btn" onClick={onOpenPatch} title="Preview and apply a JSON Patch or Merge Patch">
+                    Patch
+                </button>
+
+                <button className="toolbar-btn" onClick={onOpenSettings} title="Graph and editor limits">
+                    Settings
+                </button>
             </div>
         </div>
     );
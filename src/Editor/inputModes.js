@@ -0,0 +1,105 @@
+// Input modes selectable in the Toolbar.
+// `dialect` is what Parser/parseSource.js accepts, `language` the Monaco
+// language id used for highlighting. The first extension is used for downloads.
+export const INPUT_MODES = {
+  json: {
+    label: 'JSON',
+    dialect: 'json',
+    language: 'json',
+    extensions: ['json'],
+    mimeType: 'application/json'
+  },
+  jsonc: {
+    label: 'JSONC',
+    dialect: 'jsonc',
+    language: 'json',
+    extensions: ['jsonc'],
+    mimeType: 'application/json'
+  },
+  json5: {
+    label: 'JSON5',
+    dialect: 'json5',
+    language: 'json5',
+    extensions: ['json5'],
+    mimeType: 'application/json5'
+  },
+  yaml: {
+    label: 'YAML',
+    dialect: 'yaml',
+    language: 'yaml',
+    extensions: ['yaml', 'yml'],
+    mimeType: 'application/yaml'
+  },
+  ndjson: {
+    label: 'NDJSON',
+    dialect: 'ndjson',
+    language: 'json',
+    extensions: ['ndjson', 'jsonl'],
+    mimeType: 'application/x-ndjson'
+  }
+};
+
+// Modes whose text is JSON-like (one-click conversion goes to/from YAML)
+export const isJsonFamily = (mode) => mode !== 'yaml';
+
+export const DEFAULT_INPUT_MODE = 'json';
+
+// Pick the mode from an uploaded file's name (null = keep the current mode)
+export const getModeForFileName = (fileName) => {
+  const extension = (fileName || '').split('.').pop().toLowerCase();
+  return Object.keys(INPUT_MODES).find(mode => INPUT_MODES[mode].extensions.includes(extension)) || null;
+};
+
+// Monaco has no JSON5 support; register a Monarch tokenizer once.
+export const registerLanguages = (monaco) => {
+  if (monaco.languages.getLanguages().some(language => language.id === 'json5')) return;
+
+  monaco.languages.register({ id: 'json5', extensions: ['.json5'], aliases: ['JSON5'] });
+
+  monaco.languages.setLanguageConfiguration('json5', {
+    comments: { lineComment: '//', blockComment: ['/*', '*/'] },
+    brackets: [['{', '}'], ['[', ']']],
+    autoClosingPairs: [
+      { open: '{', close: '}', notIn: ['string'] },
+      { open: '[', close: ']', notIn: ['string'] },
+      { open: '"', close: '"', notIn: ['string', 'comment'] },
+      { open: "'", close: "'", notIn: ['string', 'comment'] }
+    ],
+    surroundingPairs: [
+      { open: '{', close: '}' },
+      { open: '[', close: ']' },
+      { open: '"', close: '"' },
+      { open: "'", close: "'" }
+    ]
+  });
+
+  monaco.languages.setMonarchTokensProvider('json5', {
+    tokenizer: {
+      root: [
+        { include: '@whitespace' },
+        [/[{}[\]]/, 'delimiter.bracket'],
+        [/[,:]/, 'delimiter'],
+        // Keys: quoted or bare identifiers followed by ":"
+        [/"(?:[^"\\]|\\.)*"(?=\s*:)/, 'string.key.json'],
+        [/'(?:[^'\\]|\\.)*'(?=\s*:)/, 'string.key.json'],
+        [/[A-Za-z_$][\w$]*(?=\s*:)/, 'string.key.json'],
+        [/"(?:[^"\\]|\\.)*"/, 'string.value.json'],
+        [/'(?:[^'\\]|\\.)*'/, 'string.value.json'],
+        [/[+-]?(?:Infinity|NaN)\b/, 'number'],
+        [/[+-]?0[xX][0-9a-fA-F]+/, 'number.hex'],
+        [/[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/, 'number'],
+        [/\b(?:true|false|null)\b/, 'keyword']
+      ],
+      whitespace: [
+        [/\s+/, 'white'],
+        [/\/\*/, 'comment', '@comment'],
+        [/\/\/.*$/, 'comment']
+      ],
+      comment: [
+        [/[^/*]+/, 'comment'],
+        [/\*\//, 'comment', '@pop'],
+        [/[/*]/, 'comment']
+      ]
+    }
+  });
+};
@@ -0,0 +1,106 @@
+/* global BigInt */
+import { decode as decodeMsgpack, ExtData } from '@msgpack/msgpack';
+import { decode as decodeCbor, Tag } from 'cbor-x';
+import { BSON } from 'bson';
+import { LosslessNumber } from '../Parser/losslessJson';
+import { setMember } from '../Parser/jsonParser';
+
+// MessagePack, CBOR and BSON -> the JSON text the editor and graph work with.
+// Types JSON can't express become Extended JSON wrappers (see
+// extendedJson.js), and 64-bit integers keep every digit as lossless numbers.
+
+export const BINARY_FORMATS = {
+  msgpack: { label: 'MessagePack', extensions: ['msgpack', 'mpk', 'mp'] },
+  cbor: { label: 'CBOR', extensions: ['cbor'] },
+  bson: { label: 'BSON', extensions: ['bson'] }
+};
+
+export const getBinaryFormat = (fileName) => {
+  const extension = (fileName || '').split('.').pop().toLowerCase();
+  return Object.keys(BINARY_FORMATS).find(format => BINARY_FORMATS[format].extensions.includes(extension)) || null;
+};
+
+// btoa wants a "binary string"; build it in chunks to stay under the
+// argument limit of String.fromCharCode
+const toBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const toHexByte = (number) => number.toString(16).padStart(2, '0');
+
+const fromBigInt = (value) => (
+  value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER)
+    ? Number(value)
+    : new LosslessNumber(String(value))
+);
+
+// [DSA] Recursive conversion of decoded values: O(n) in the number of values
+const toJsonValue = (value) => {
+  if (typeof value === 'bigint') return fromBigInt(value);
+  if (value === undefined) return null;
+  if (value === null || typeof value !== 'object') return value;
+
+  if (value instanceof Date) {
+    return { $date: Number.isNaN(value.getTime()) ? null : value.toISOString() };
+  }
+  if (value instanceof Uint8Array) {
+    return { $binary: { base64: toBase64(value), subType: '00' } };
+  }
+  if (value instanceof ExtData) {
+    const data = value.data instanceof Uint8Array ? value.data : new Uint8Array(0);
+    return { $ext: { type: value.type, base64: toBase64(data) } };
+  }
+  if (value instanceof Tag) {
+    return { $tag: value.tag, $value: toJsonValue(value.value) };
+  }
+
+  switch (value._bsontype) {
+    case 'ObjectId':
+      return { $oid: value.toHexString() };
+    case 'Binary':
+      return { $binary: { base64: toBase64(value.value()), subType: toHexByte(value.sub_type) } };
+    case 'Long':
+      return fromBigInt(value.toBigInt());
+    case 'Int32':
+    case 'Double':
+      return value.valueOf();
+    case undefined:
+      break;
+    default:
+      // Decimal128, Timestamp, Code, MinKey, ...: canonical Extended JSON
+      return BSON.EJSON.serialize(value, { relaxed: false });
+  }
+
+  if (value instanceof Map) {
+    const result = {};
+    value.forEach((item, key) => setMember(result, String(key), toJsonValue(item)));
+    return result;
+  }
+  if (Array.isArray(value) || ArrayBuffer.isView(value)) {
+    return Array.from(value, toJsonValue);
+  }
+  const result = {};
+  Object.keys(value).forEach(key => setMember(result, key, toJsonValue(value[key])));
+  return result;
+};
+
+const decoders = {
+  msgpack: (bytes) => decodeMsgpack(bytes, { useBigInt64: true }),
+  cbor: (bytes) => decodeCbor(bytes),
+  bson: (bytes) => BSON.deserialize(bytes, { useBigInt64: true, promoteBuffers: false })
+};
+
+// Bytes of a .msgpack / .cbor / .bson file -> JSON-compatible value
+export const decodeBinary = (bytes, format) => {
+  const decoder = decoders[format];
+  if (!decoder) throw new Error(`Unknown binary format "${format}"`);
+  try {
+    return toJsonValue(decoder(bytes));
+  } catch (error) {
+    throw new Error(`Not valid ${BINARY_FORMATS[format].label}: ${error.message}`);
+  }
+};
@@ -0,0 +1,57 @@
+/**
+ * @jest-environment node
+ */
+// jsdom has no TextEncoder, which the msgpack / bson encoders need
+/* global BigInt */
+import { encode as encodeMsgpack, ExtData } from '@msgpack/msgpack';
+import { encode as encodeCbor, Tag } from 'cbor-x';
+import { BSON, ObjectId, Binary, Long } from 'bson';
+import { decodeBinary } from './binary';
+import { stringifyJson } from '../Parser/losslessJson';
+import { processJson } from '../Visualizer/graphBuilder';
+
+test('decodes MessagePack with dates, bytes, extensions and 64-bit ints', () => {
+  const bytes = encodeMsgpack({
+    at: new Date(0),
+    blob: new Uint8Array([1, 2, 3]),
+    custom: new ExtData(5, new Uint8Array([9])),
+    id: BigInt('9007199254740993')
+  }, { useBigInt64: true });
+
+  expect(stringifyJson(decodeBinary(bytes, 'msgpack'))).toBe(
+    '{"at":{"$date":"1970-01-01T00:00:00.000Z"},"blob":{"$binary":{"base64":"AQID","subType":"00"}},' +
+    '"custom":{"$ext":{"type":5,"base64":"CQ=="}},"id":9007199254740993}'
+  );
+  expect(() => decodeBinary(new Uint8Array([0xc1]), 'msgpack')).toThrow('Not valid MessagePack');
+});
+
+test('decodes CBOR tags and BSON types', () => {
+  expect(decodeBinary(encodeCbor({ t: new Tag('hi', 300) }), 'cbor')).toEqual({ t: { $tag: 300, $value: 'hi' } });
+
+  const id = new ObjectId('65f0c0ffee0123456789abcd');
+  const bytes = BSON.serialize({ _id: id, raw: new Binary(new Uint8Array([1]), 4), n: Long.fromString('9007199254740993') });
+  const data = decodeBinary(bytes, 'bson');
+  expect(data._id).toEqual({ $oid: '65f0c0ffee0123456789abcd' });
+  expect(data.raw).toEqual({ $binary: { base64: 'AQ==', subType: '04' } });
+  expect(String(data.n)).toBe('9007199254740993');
+});
+
+test('"__proto__" map keys are ordinary keys', () => {
+  const members = JSON.parse('{"__proto__": {"a": 1}, "b": 2}');
+
+  expect(JSON.stringify(decodeBinary(encodeCbor(new Map(Object.entries(members))), 'cbor'))).toBe('{"__proto__":{"a":1},"b":2}');
+  expect(JSON.stringify(decodeBinary(BSON.serialize(members), 'bson'))).toBe('{"__proto__":{"a":1},"b":2}');
+  // The MessagePack decoder refuses the key rather than dropping it
+  expect(() => decodeBinary(encodeMsgpack(members), 'msgpack')).toThrow('The key __proto__ is not allowed');
+});
+
+test('draws typed values as styled leaf nodes', () => {
+  const { nodes } = processJson('{"_id":{"$oid":"65f0c0ffee0123456789abcd"},"blob":{"$binary":{"base64":"AQID","subType":"00"}}}');
+  const id = nodes.find(n => n.id === '/_id');
+  const blob = nodes.find(n => n.id === '/blob');
+
+  expect(id.data.label).toBe('_id: ObjectId("65f0c0ffee0123456789abcd")');
+  expect(id.className).toContain('node-objectid');
+  expect(blob.data.label).toBe('blob: <binary 3 bytes>');
+  expect(nodes.some(n => n.id === '/blob/$binary')).toBe(false);
+});
@@ -0,0 +1,212 @@
+import { isLosslessNumber, toLosslessNumber } from '../Parser/losslessJson';
+import { setMember } from '../Parser/jsonParser';
+
+// CSV / TSV <-> arrays of objects.
+// Import sniffs the delimiter and whether the first row is a header, then
+// infers cell types. Export flattens nested fields into dotted column names
+// ("address.city", "tags.0"); import turns dotted headers back into objects.
+
+export const DELIMITERS = [',', '\t', ';', '|'];
+
+// How many rows the delimiter / header detection looks at
+const SAMPLE_ROWS = 20;
+
+const JSON_NUMBER = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) && !isLosslessNumber(value);
+
+// The shape CSV export accepts (used by the graph to offer "Export as CSV")
+export const isArrayOfObjects = (value) => Array.isArray(value) && value.length > 0 && value.every(isPlainObject);
+
+// [DSA] RFC 4180 state machine: quoted fields may contain the delimiter,
+// doubled quotes ("") and line breaks. O(n) over the text.
+export const parseCsvRows = (text, delimiter = ',', maxRows = Infinity) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    row.push(field);
+    // Blank lines are skipped rather than read as a row with one empty cell
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  while (i < text.length && rows.length < maxRows) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  if (rows.length < maxRows && (field !== '' || row.length > 0)) endRow();
+  return rows;
+};
+
+// The delimiter that splits the sample into the most columns, consistently.
+// Rows that disagree on the column count make a candidate lose.
+export const detectDelimiter = (text) => {
+  let best = ',';
+  let bestScore = 0;
+  DELIMITERS.forEach(delimiter => {
+    const rows = parseCsvRows(text, delimiter, SAMPLE_ROWS);
+    if (rows.length === 0) return;
+    const columns = rows[0].length;
+    if (columns < 2) return;
+    const consistent = rows.filter(row => row.length === columns).length / rows.length;
+    const score = consistent * columns;
+    if (score > bestScore) {
+      best = delimiter;
+      bestScore = score;
+    }
+  });
+  return best;
+};
+
+// '' -> null, true/false -> booleans, JSON-style numbers -> numbers.
+// "007" or "1,5" stay strings: converting them would change the value.
+export const inferValue = (cell, { lossless = false } = {}) => {
+  const trimmed = cell.trim();
+  if (trimmed === '') return null;
+  if (trimmed === 'true' || trimmed === 'false') return trimmed === 'true';
+  if (JSON_NUMBER.test(trimmed)) return lossless ? toLosslessNumber(trimmed) : Number(trimmed);
+  return cell;
+};
+
+// A header row is all distinct, non-empty text cells. Data rows with numbers
+// or booleans give it away; with all-text data a header is still the common
+// case, so the first row is taken as one whenever it qualifies.
+export const detectHeader = (rows) => {
+  if (rows.length === 0) return false;
+  const cells = rows[0].map(cell => cell.trim());
+  if (cells.some(cell => cell === '') || new Set(cells).size !== cells.length) return false;
+  return cells.every(cell => typeof inferValue(cell) === 'string');
+};
+
+// "address.city" -> { address: { city } }. A column that would overwrite a
+// value already set by another column is kept as a literal dotted key.
+// Only own members are followed, so "__proto__.x" is a column like any other.
+const setPath = (target, column, value) => {
+  const path = column.split('.');
+  const own = (object, key) => (Object.prototype.hasOwnProperty.call(object, key) ? object[key] : undefined);
+  let current = target;
+  for (let i = 0; i < path.length - 1; i++) {
+    const key = path[i];
+    if (own(current, key) === undefined) setMember(current, key, {});
+    if (!isPlainObject(current[key])) {
+      setMember(target, column, value);
+      return;
+    }
+    current = current[key];
+  }
+  const last = path[path.length - 1];
+  if (own(current, last) !== undefined) {
+    setMember(target, column, value);
+    return;
+  }
+  setMember(current, last, value);
+};
+
+// Objects built from "tags.0", "tags.1" columns become arrays again
+const restoreArrays = (value) => {
+  if (!isPlainObject(value)) return value;
+  const keys = Object.keys(value);
+  keys.forEach(key => { value[key] = restoreArrays(value[key]); });
+  const isIndexed = keys.length > 0 && keys.every((key, index) => key === String(index));
+  return isIndexed ? keys.map(key => value[key]) : value;
+};
+
+// CSV / TSV text -> { data, delimiter, header }.
+// Without a header the columns are named column1, column2, ...
+export const csvToJson = (text, { delimiter, header, lossless = false } = {}) => {
+  const usedDelimiter = delimiter || detectDelimiter(text);
+  const rows = parseCsvRows(text, usedDelimiter);
+  const hasHeader = header === undefined ? detectHeader(rows) : header;
+  const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+
+  const columns = hasHeader
+    ? rows[0].map(cell => cell.trim())
+    : Array.from({ length: width }, (_, index) => `column${index + 1}`);
+  // Extra cells past the header get positional names
+  for (let index = columns.length; index < width; index++) columns.push(`column${index + 1}`);
+
+  const data = (hasHeader ? rows.slice(1) : rows).map(row => {
+    const record = {};
+    columns.forEach((column, index) => {
+      setPath(record, column, index < row.length ? inferValue(row[index], { lossless }) : null);
+    });
+    // The record itself keeps its keys even if the columns are 0, 1, ...
+    Object.keys(record).forEach(key => { record[key] = restoreArrays(record[key]); });
+    return record;
+  });
+
+  return { data, delimiter: usedDelimiter, header: hasHeader };
+};
+
+// [DSA] DFS flatten: nested objects and arrays become dotted column names.
+// Empty containers are kept as "{}" / "[]" so the column isn't lost.
+const flattenRecord = (value, prefix, out) => {
+  const isContainer = value !== null && typeof value === 'object' && !isLosslessNumber(value);
+  if (!isContainer) {
+    setMember(out, prefix, value);
+    return;
+  }
+  const keys = Object.keys(value);
+  if (keys.length === 0) {
+    setMember(out, prefix, Array.isArray(value) ? '[]' : '{}');
+    return;
+  }
+  keys.forEach(key => flattenRecord(value[key], prefix === '' ? key : `${prefix}.${key}`, out));
+};
+
+const formatCell = (value, delimiter) => {
+  if (value === null || value === undefined) return '';
+  const text = isLosslessNumber(value) ? value.lexeme : String(value);
+  const needsQuotes = text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim();
+  return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Array of objects (or a single object, as one row) -> CSV text.
+// Columns are the union of all flattened keys, in first-seen order.
+export const jsonToCsv = (value, { delimiter = ',' } = {}) => {
+  const records = isPlainObject(value) ? [value] : value;
+  if (!isArrayOfObjects(records)) {
+    throw new Error('CSV export needs an array of objects');
+  }
+
+  const columns = new Map(); // insertion-ordered set of column names
+  const flatRecords = records.map(record => {
+    const flat = {};
+    flattenRecord(record, '', flat);
+    Object.keys(flat).forEach(column => columns.set(column, true));
+    return flat;
+  });
+
+  const header = [...columns.keys()];
+  const lines = [header.map(column => formatCell(column, delimiter)).join(delimiter)];
+  flatRecords.forEach(flat => {
+    lines.push(header.map(column => formatCell(flat[column], delimiter)).join(delimiter));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+};
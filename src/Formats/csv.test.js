@@ -0,0 +1,42 @@
+import { csvToJson, jsonToCsv, detectDelimiter } from './csv';
+
+test('detects delimiter and header and infers cell types', () => {
+  const tsv = 'id\tname\tactive\tzip\taddress.city\n1\t"Doe, Jane"\ttrue\t007\tOslo\n2\tBob\t\t1234\tBergen\n';
+  const { data, delimiter, header } = csvToJson(tsv);
+
+  expect(delimiter).toBe('\t');
+  expect(header).toBe(true);
+  expect(data).toEqual([
+    { id: 1, name: 'Doe, Jane', active: true, zip: '007', address: { city: 'Oslo' } },
+    { id: 2, name: 'Bob', active: null, zip: 1234, address: { city: 'Bergen' } }
+  ]);
+});
+
+test('reads headerless files and quoted line breaks', () => {
+  expect(detectDelimiter('1;2;3\n4;5;6')).toBe(';');
+  expect(csvToJson('1,"two\nlines"\n3,"say ""hi"""').data).toEqual([
+    { column1: 1, column2: 'two\nlines' },
+    { column1: 3, column2: 'say "hi"' }
+  ]);
+});
+
+test('exports arrays of objects with dotted columns and round-trips them', () => {
+  const records = [
+    { id: 1, user: { name: 'Ann' }, tags: ['a', 'b'] },
+    { id: 2, user: { name: 'Bo, Jr.' }, extra: null }
+  ];
+  const csv = jsonToCsv(records);
+
+  expect(csv).toBe('id,user.name,tags.0,tags.1,extra\r\n1,Ann,a,b,\r\n2,"Bo, Jr.",,,\r\n');
+  expect(csvToJson(csv).data[0]).toEqual({ id: 1, user: { name: 'Ann' }, tags: ['a', 'b'], extra: null });
+  expect(() => jsonToCsv([1, 2])).toThrow('array of objects');
+});
+
+test('"__proto__" columns are ordinary keys and never reach Object.prototype', () => {
+  const { data } = csvToJson('__proto__.polluted,name\nyes,a\n');
+
+  expect({}.polluted).toBeUndefined();
+  expect(Object.getPrototypeOf(data[0])).toBe(Object.prototype);
+  expect(JSON.stringify(data)).toBe('[{"__proto__":{"polluted":"yes"},"name":"a"}]');
+  expect(jsonToCsv(data)).toBe('__proto__.polluted,name\r\nyes,a\r\n');
+});
@@ -0,0 +1,57 @@
+import { stringifyJson } from '../Parser/losslessJson';
+
+// Typed values that JSON has no syntax for, written as MongoDB-style
+// Extended JSON wrappers. Binary uploads (see binary.js) decode into these,
+// and the graph draws them as single typed nodes instead of little objects:
+//
+//   { "$oid": "65f0c0ffee..." }                          BSON ObjectId
+//   { "$date": "2024-03-01T12:00:00.000Z" }              date / timestamp
+//   { "$binary": { "base64": "AQID", "subType": "00" } } byte string
+//   { "$ext": { "type": 5, "base64": "CQ==" } }          MessagePack extension
+//   { "$tag": 300, "$value": ... }                       CBOR tag without a JS type
+
+const isWrapper = (value, keys) => value !== null
+  && typeof value === 'object'
+  && !Array.isArray(value)
+  && Object.keys(value).length === keys.length
+  && keys.every(key => Object.prototype.hasOwnProperty.call(value, key));
+
+export const byteLength = (base64) => {
+  const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+  return Math.floor((base64.length * 3) / 4) - padding;
+};
+
+// { kind, label, note } for a typed wrapper, null for anything else.
+// `kind` names the node style (node-objectid, node-date, node-binary, node-ext).
+export const describeTypedValue = (value) => {
+  if (isWrapper(value, ['$oid']) && typeof value.$oid === 'string') {
+    return { kind: 'objectid', label: `ObjectId("${value.$oid}")`, note: 'BSON ObjectId' };
+  }
+  if (isWrapper(value, ['$date'])) {
+    const date = value.$date !== null && typeof value.$date === 'object' ? value.$date.$numberLong : value.$date;
+    return { kind: 'date', label: String(date), note: 'Date' };
+  }
+  if (isWrapper(value, ['$binary']) && value.$binary && typeof value.$binary.base64 === 'string') {
+    const size = byteLength(value.$binary.base64);
+    return {
+      kind: 'binary',
+      label: `<binary ${size} bytes>`,
+      note: `Binary data, subtype ${value.$binary.subType || '00'}: ${value.$binary.base64.substring(0, 40)}`
+    };
+  }
+  if (isWrapper(value, ['$ext']) && value.$ext && typeof value.$ext.base64 === 'string') {
+    return {
+      kind: 'ext',
+      label: `ext ${value.$ext.type} <${byteLength(value.$ext.base64)} bytes>`,
+      note: `MessagePack extension type ${value.$ext.type}`
+    };
+  }
+  if (isWrapper(value, ['$tag', '$value'])) {
+    return {
+      kind: 'ext',
+      label: `tag ${value.$tag}: ${String(stringifyJson(value.$value)).substring(0, 40)}`,
+      note: `CBOR tag ${value.$tag}`
+    };
+  }
+  return null;
+};
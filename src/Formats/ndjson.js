@@ -0,0 +1,81 @@
+import { parseJson, JsonParseError } from '../Parser/jsonParser';
+import { stringifyJson } from '../Parser/losslessJson';
+
+// NDJSON / JSON Lines: one JSON value per line.
+// Every line is parsed on its own, so a broken record never hides the ones
+// after it. The records become an array (the synthetic root of the graph),
+// and all offsets, lines and pointers are rewritten to refer to the whole text.
+
+// [DSA] Single pass over the text: O(n)
+// Yields { text, start, line } for every non-blank line.
+const splitLines = (text) => {
+  const lines = [];
+  let start = 0;
+  let line = 1;
+  while (start <= text.length) {
+    let end = text.indexOf('\n', start);
+    if (end === -1) end = text.length;
+    // Windows line endings: the \r is not part of the record
+    const contentEnd = end > start && text[end - 1] === '\r' ? end - 1 : end;
+    const content = text.slice(start, contentEnd);
+    if (content.trim() !== '') lines.push({ text: content, start, line });
+    start = end + 1;
+    line++;
+  }
+  return lines;
+};
+
+const shiftRange = (range, offset) => range && { start: range.start + offset, end: range.end + offset };
+
+// Same contract as parseJson (see Parser/jsonParser.js); record i lives at /i
+export const parseNdjson = (text, { recover = false, lossless = false, sourceMap = true } = {}) => {
+  const data = [];
+  const pointers = new Map();
+  const errors = [];
+  const duplicates = [];
+
+  if (sourceMap) pointers.set('', { value: { start: 0, end: text.length } });
+
+  splitLines(text).forEach(({ text: lineText, start, line }, index) => {
+    const prefix = `/${index}`;
+    const result = parseJson(lineText, { recover: true, lossless, sourceMap });
+    data.push(result.data === undefined ? null : result.data);
+
+    if (sourceMap) {
+      result.pointers.forEach((entry, pointer) => {
+        pointers.set(prefix + pointer, {
+          value: shiftRange(entry.value, start),
+          ...(entry.key && { key: shiftRange(entry.key, start) })
+        });
+      });
+    }
+    result.errors.forEach(error => {
+      errors.push({ ...error, offset: error.offset + start, line, pointer: prefix + error.pointer });
+    });
+    result.duplicates.forEach(duplicate => {
+      duplicates.push({
+        ...duplicate,
+        pointer: prefix + duplicate.pointer,
+        keyRange: shiftRange(duplicate.keyRange, start),
+        shadowedBy: shiftRange(duplicate.shadowedBy, start),
+        shadowedByLine: line
+      });
+    });
+  });
+
+  if (!recover && errors.length > 0) {
+    throw new JsonParseError(errors[0].message, errors[0].offset, text, errors[0]);
+  }
+
+  return { data, pointers, errors, duplicates, comments: [] };
+};
+
+// Format and Minify: every record on its own line, compact. Records must stay
+// on one line, so there is no indented form. Numbers keep their lexemes.
+export const formatNdjson = (text) => {
+  const lines = splitLines(text).map(({ text: lineText }) => {
+    const { data } = parseJson(lineText, { lossless: true, sourceMap: false });
+    return stringifyJson(data);
+  });
+  return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+};
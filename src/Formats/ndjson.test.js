@@ -0,0 +1,34 @@
+import { parseNdjson, formatNdjson } from './ndjson';
+import { processJson } from '../Visualizer/graphBuilder';
+
+const log = '{"level":"info","id":1}\r\n\n{"level": oops}\n{"level":"warn","id":3}\n';
+
+test('parses each line on its own and reports per-line errors', () => {
+  const { data, pointers, errors } = parseNdjson(log, { recover: true });
+
+  expect(data).toHaveLength(3);
+  expect(data[2]).toEqual({ level: 'warn', id: 3 });
+  expect(errors).toHaveLength(1);
+  expect(errors[0]).toMatchObject({ line: 3, pointer: '/1' });
+  expect(log.slice(errors[0].offset, errors[0].offset + 4)).toBe('oops');
+  const range = pointers.get('/2/id').value;
+  expect(log.slice(range.start, range.end)).toBe('3');
+  expect(() => parseNdjson(log)).toThrow('line 3');
+});
+
+test('pages records below a synthetic root', () => {
+  const text = Array.from({ length: 5 }, (_, i) => JSON.stringify({ i })).join('\n');
+  const { nodes, recordCount } = processJson(text, {
+    dialect: 'ndjson',
+    limits: { recordsPerPage: 2 },
+    recordStart: 2
+  });
+
+  expect(recordCount).toBe(5);
+  expect(nodes.find(n => n.id === '#').data.label).toBe('NDJSON · 5 records []');
+  expect(nodes.filter(n => n.data.parentId === '#').map(n => n.id)).toEqual(['/2', '/3']);
+});
+
+test('formats every record onto one compact line', () => {
+  expect(formatNdjson('{ "a": 1.0 }\n\n[ 1, 2 ]')).toBe('{"a":1.0}\n[1,2]\n');
+});
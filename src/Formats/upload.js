@@ -0,0 +1,157 @@
+import decompressBrotli from 'brotli/decompress';
+import { getBinaryFormat } from './binary';
+
+// Reading uploaded files: decompression, text encoding and progress.
+// Files are read as a stream, so a large upload reports progress and leaves
+// the page responsive instead of blocking in one FileReader call.
+
+export const COMPRESSIONS = {
+  gzip: { label: 'gzip', extensions: ['gz', 'gzip'] },
+  brotli: { label: 'Brotli', extensions: ['br'] }
+};
+
+const GZIP_MAGIC = [0x1f, 0x8b];
+
+const ENCODING_LABELS = {
+  'utf-8': 'UTF-8',
+  'utf-16le': 'UTF-16 LE',
+  'utf-16be': 'UTF-16 BE'
+};
+
+const getExtension = (fileName) => (fileName || '').split('.').pop().toLowerCase();
+
+export const getCompression = (fileName) => {
+  const extension = getExtension(fileName);
+  return Object.keys(COMPRESSIONS).find(name => COMPRESSIONS[name].extensions.includes(extension)) || null;
+};
+
+// "data.json.gz" -> "data.json": the inner name picks the mode / converter
+export const stripCompressionExtension = (fileName) => (
+  getCompression(fileName) ? fileName.replace(/\.[^.]+$/, '') : fileName
+);
+
+// Encoding from the byte order mark, or from the zero bytes UTF-16 puts next
+// to every ASCII character (JSON, YAML, CSV and XML all start with ASCII).
+// { encoding, bom } where `bom` is the number of BOM bytes.
+export const detectEncoding = (bytes) => {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return { encoding: 'utf-8', bom: 3 };
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return { encoding: 'utf-16le', bom: 2 };
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return { encoding: 'utf-16be', bom: 2 };
+  if (bytes.length >= 2 && bytes[0] !== 0 && bytes[1] === 0) return { encoding: 'utf-16le', bom: 0 };
+  if (bytes.length >= 2 && bytes[0] === 0 && bytes[1] !== 0) return { encoding: 'utf-16be', bom: 0 };
+  return { encoding: 'utf-8', bom: 0 };
+};
+
+export const describeEncoding = ({ encoding, bom }) => `${ENCODING_LABELS[encoding]}${bom ? ' with BOM' : ''}`;
+
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Chunks -> text. The BOM is dropped (TextDecoder does that by default).
+export const decodeChunks = (chunks) => {
+  const first = chunks.find(chunk => chunk.length > 0) || new Uint8Array(0);
+  const detected = detectEncoding(first);
+  const decoder = new TextDecoder(detected.encoding);
+  // stream: true keeps characters split across chunk boundaries intact
+  const text = chunks.map(chunk => decoder.decode(chunk, { stream: true })).join('') + decoder.decode();
+  return { text, ...detected };
+};
+
+const concatChunks = (chunks, length) => {
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return bytes;
+};
+
+// Native decompression stream, or null when the browser lacks the format
+const createDecompressionStream = (format) => {
+  if (typeof DecompressionStream === 'undefined') return null;
+  try {
+    return new DecompressionStream(format);
+  } catch (error) {
+    return null;
+  }
+};
+
+// [DSA] Streaming pipeline: file -> (count bytes) -> (decompress) -> chunks.
+// onProgress receives the fraction of the file read so far.
+const readChunks = async (file, compression, onProgress) => {
+  let read = 0;
+  let stream = file.stream().pipeThrough(new TransformStream({
+    transform(chunk, controller) {
+      read += chunk.length;
+      onProgress(file.size ? read / file.size : 1);
+      controller.enqueue(chunk);
+    }
+  }));
+
+  // Browsers without a native Brotli stream get the JS decoder at the end
+  const brotliStream = compression === 'brotli' ? createDecompressionStream('brotli') : null;
+  const inlineBrotli = compression === 'brotli' && !brotliStream;
+  if (compression === 'gzip') stream = stream.pipeThrough(new DecompressionStream('gzip'));
+  if (brotliStream) stream = stream.pipeThrough(brotliStream);
+
+  const chunks = [];
+  let length = 0;
+  const reader = stream.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    length += value.length;
+  }
+
+  if (inlineBrotli) {
+    const bytes = decompressBrotli(concatChunks(chunks, length));
+    return { chunks: [bytes], length: bytes.length };
+  }
+  return { chunks, length };
+};
+
+// Read an uploaded File.
+// Resolves { name, content, info }: `name` without the compression extension,
+// `content` text (or a Uint8Array for MessagePack / CBOR / BSON), and `info`
+// { size, compression, decompressedSize, encoding } for the validation area.
+export const readUpload = async (file, { onProgress = () => {} } = {}) => {
+  let compression = getCompression(file.name);
+  if (!compression) {
+    // Served-as-is .json files are sometimes gzipped anyway
+    const head = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+    if (head[0] === GZIP_MAGIC[0] && head[1] === GZIP_MAGIC[1]) compression = 'gzip';
+  }
+  const name = stripCompressionExtension(file.name);
+
+  let result;
+  try {
+    result = await readChunks(file, compression, onProgress);
+  } catch (error) {
+    throw new Error(compression ? `Cannot decompress ${COMPRESSIONS[compression].label} file: ${error.message}` : error.message);
+  }
+  const info = {
+    name: file.name,
+    size: file.size,
+    compression: compression && COMPRESSIONS[compression].label,
+    decompressedSize: result.length
+  };
+
+  if (getBinaryFormat(name)) {
+    return { name, content: concatChunks(result.chunks, result.length), info: { ...info, encoding: 'binary' } };
+  }
+  const { text, ...encoding } = decodeChunks(result.chunks);
+  return { name, content: text, info: { ...info, encoding: describeEncoding(encoding) } };
+};
+
+// "data.json.gz · 1.2 MB gzip → 8.4 MB · UTF-16 LE with BOM"
+export const describeUpload = ({ name, size, compression, decompressedSize, encoding }) => {
+  const sizes = compression
+    ? `${formatBytes(size)} ${compression} → ${formatBytes(decompressedSize)}`
+    : formatBytes(size);
+  return `${name} · ${sizes} · ${encoding}`;
+};
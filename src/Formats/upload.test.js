@@ -0,0 +1,38 @@
+/**
+ * @jest-environment node
+ */
+// Files, streams and TextDecoder come from Node; jsdom has none of them
+import { gzipSync, brotliCompressSync } from 'zlib';
+import { File } from 'buffer';
+import { DecompressionStream, TransformStream } from 'stream/web';
+import { readUpload, detectEncoding, describeUpload } from './upload';
+
+// Browser globals the jest environment doesn't expose
+Object.assign(global, { DecompressionStream, TransformStream });
+
+const json = '{"name":"Zoë","tags":["a","b"]}';
+
+test('decompresses gzip and Brotli uploads and reports progress', async () => {
+  const progress = [];
+  const gzipped = new File([gzipSync(json)], 'data.json.gz');
+  const { name, content, info } = await readUpload(gzipped, { onProgress: fraction => progress.push(fraction) });
+
+  expect(name).toBe('data.json');
+  expect(content).toBe(json);
+  expect(info).toMatchObject({ compression: 'gzip', decompressedSize: Buffer.byteLength(json), encoding: 'UTF-8' });
+  expect(progress[progress.length - 1]).toBe(1);
+  expect(describeUpload(info)).toMatch(/^data\.json\.gz · \d+ B gzip → 32 B · UTF-8$/);
+
+  const brotli = await readUpload(new File([brotliCompressSync(json)], 'data.json.br'));
+  expect(brotli.content).toBe(json);
+});
+
+test('detects BOMs and UTF-16 and strips the BOM', async () => {
+  const utf16 = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(json, 'utf16le')]);
+  const { content, info } = await readUpload(new File([utf16], 'data.json'));
+
+  expect(content).toBe(json);
+  expect(info.encoding).toBe('UTF-16 LE with BOM');
+  expect(detectEncoding(Buffer.from('﻿{}'))).toEqual({ encoding: 'utf-8', bom: 3 });
+  expect(detectEncoding(Buffer.from('{}', 'utf16le').swap16())).toEqual({ encoding: 'utf-16be', bom: 0 });
+});
@@ -0,0 +1,150 @@
+import { isLosslessNumber } from '../Parser/losslessJson';
+import { setMember } from '../Parser/jsonParser';
+
+// XML <-> JSON, using this convention in both directions:
+//
+//   <book id="7" lang="en">          { "book": {
+//     <title>Dune</title>                "@id": "7", "@lang": "en",
+//     <tag>sf</tag>                      "title": "Dune",
+//     <tag>classic</tag>                 "tag": ["sf", "classic"],
+//     <note>Signed <b>1st</b></note>     "note": { "#text": "Signed", "b": "1st" },
+//     <empty/>                           "empty": null
+//   </book>                          } }
+//
+// - The document becomes an object with the root element's name as its key.
+// - Attributes become "@name" keys; their values stay strings.
+// - An element with only text becomes that string; with attributes or child
+//   elements as well, the text goes under "#text" (CDATA counts as text).
+// - Child elements repeated under one parent become an array, in document
+//   order. A single child is never wrapped in an array.
+// - Empty elements become null. Comments and processing instructions are dropped.
+// XML has no types, so every value is a string; export writes numbers and
+// booleans as their text.
+
+export const ATTRIBUTE_PREFIX = '@';
+export const TEXT_KEY = '#text';
+
+// Roots written around values that don't name their own root element
+const DEFAULT_ROOT = 'root';
+const ARRAY_ITEM = 'item';
+
+// Cheap check used to offer the XML -> JSON conversion for pasted text
+export const looksLikeXml = (text) => /^\s*</.test(text);
+
+// [DSA] Recursive descent over the DOM tree: O(n) in the number of nodes
+const elementToJson = (element) => {
+  const result = {};
+  let text = '';
+  let hasChildren = false;
+
+  Array.from(element.attributes).forEach(attribute => {
+    setMember(result, `${ATTRIBUTE_PREFIX}${attribute.name}`, attribute.value);
+  });
+
+  Array.from(element.childNodes).forEach(child => {
+    if (child.nodeType === 1) {
+      hasChildren = true;
+      const value = elementToJson(child);
+      const name = child.nodeName;
+      if (!Object.prototype.hasOwnProperty.call(result, name)) {
+        setMember(result, name, value);
+      } else if (Array.isArray(result[name])) {
+        result[name].push(value);
+      } else {
+        setMember(result, name, [result[name], value]);
+      }
+    } else if (child.nodeType === 3 || child.nodeType === 4) {
+      text += child.nodeValue;
+    }
+  });
+
+  const hasAttributes = element.attributes.length > 0;
+  // Indentation between child elements isn't content
+  const content = hasChildren ? text.trim() : text;
+  if (!hasChildren && !hasAttributes) return content === '' ? null : content;
+  if (content.trim() !== '') result[TEXT_KEY] = content;
+  return result;
+};
+
+// XML text -> JSON value. Throws with the parser's message on malformed XML.
+export const xmlToJson = (text) => {
+  const document = new DOMParser().parseFromString(text, 'application/xml');
+  const error = document.getElementsByTagName('parsererror')[0];
+  if (error) {
+    const message = (error.textContent || 'Malformed XML').trim().split('\n')[0];
+    throw new Error(message);
+  }
+  const root = document.documentElement;
+  return { [root.nodeName]: elementToJson(root) };
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// JSON keys may contain anything; XML names may not
+export const toXmlName = (key) => {
+  const name = String(key).replace(/[^\w.:-]/g, '_');
+  return /^[A-Za-z_:]/.test(name) ? name : `_${name}`;
+};
+
+const isScalar = (value) => value === null || typeof value !== 'object' || isLosslessNumber(value);
+
+// JSON value -> XML text (inverse of xmlToJson).
+// A document with a single top-level key uses it as the root element;
+// anything else is wrapped in <root>, with array items as <item>.
+export const jsonToXml = (data, indent = 2) => {
+  const pad = ' '.repeat(indent);
+  const lines = [];
+
+  const writeElement = (name, value, depth) => {
+    const prefix = pad.repeat(depth);
+    const tag = toXmlName(name);
+
+    if (Array.isArray(value)) {
+      // Repeated elements; a nested array gets <item> children
+      value.forEach(item => (Array.isArray(item)
+        ? writeElement(tag, { [ARRAY_ITEM]: item }, depth)
+        : writeElement(tag, item, depth)));
+      return;
+    }
+    if (value === null || value === undefined) {
+      lines.push(`${prefix}<${tag}/>`);
+      return;
+    }
+    if (isScalar(value)) {
+      lines.push(`${prefix}<${tag}>${escapeXml(value)}</${tag}>`);
+      return;
+    }
+
+    const keys = Object.keys(value);
+    const attributes = keys
+      .filter(key => key.startsWith(ATTRIBUTE_PREFIX) && isScalar(value[key]))
+      .map(key => ` ${toXmlName(key.slice(ATTRIBUTE_PREFIX.length))}="${escapeXml(value[key] ?? '')}"`)
+      .join('');
+    const children = keys.filter(key => key !== TEXT_KEY && !(key.startsWith(ATTRIBUTE_PREFIX) && isScalar(value[key])));
+    const text = value[TEXT_KEY] === undefined || value[TEXT_KEY] === null ? '' : escapeXml(value[TEXT_KEY]);
+
+    if (children.length === 0) {
+      lines.push(text === '' ? `${prefix}<${tag}${attributes}/>` : `${prefix}<${tag}${attributes}>${text}</${tag}>`);
+      return;
+    }
+    lines.push(`${prefix}<${tag}${attributes}>`);
+    if (text !== '') lines.push(`${prefix}${pad}${text}`);
+    children.forEach(key => writeElement(key, value[key], depth + 1));
+    lines.push(`${prefix}</${tag}>`);
+  };
+
+  const keys = data !== null && typeof data === 'object' && !Array.isArray(data) ? Object.keys(data) : [];
+  if (keys.length === 1 && !Array.isArray(data[keys[0]])) {
+    writeElement(keys[0], data[keys[0]], 0);
+  } else if (Array.isArray(data)) {
+    writeElement(DEFAULT_ROOT, { [ARRAY_ITEM]: data }, 0);
+  } else {
+    writeElement(DEFAULT_ROOT, data, 0);
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${lines.join('\n')}\n`;
+};
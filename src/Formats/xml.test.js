@@ -0,0 +1,62 @@
+import { xmlToJson, jsonToXml } from './xml';
+
+const catalog = `<?xml version="1.0"?>
+<catalog>
+  <!-- two books -->
+  <book id="7" lang="en">
+    <title>Dune</title>
+    <tag>sf</tag>
+    <tag>classic</tag>
+    <note>Signed <b>1st</b></note>
+    <empty/>
+  </book>
+  <book id="8"><title><![CDATA[Tom & Jerry]]></title></book>
+</catalog>`;
+
+test('maps attributes, text and repeated elements', () => {
+  expect(xmlToJson(catalog)).toEqual({
+    catalog: {
+      book: [
+        {
+          '@id': '7',
+          '@lang': 'en',
+          title: 'Dune',
+          tag: ['sf', 'classic'],
+          note: { '#text': 'Signed', b: '1st' },
+          empty: null
+        },
+        { '@id': '8', title: 'Tom & Jerry' }
+      ]
+    }
+  });
+  expect(() => xmlToJson('<a><b></a>')).toThrow();
+});
+
+test('exports JSON with the same convention and round-trips it', () => {
+  const data = { order: { '@id': 5, 'line item': [{ sku: 'A<1>' }, { sku: 'B' }], paid: true, note: null } };
+  const xml = jsonToXml(data);
+
+  expect(xml).toBe([
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<order id="5">',
+    '  <line_item>',
+    '    <sku>A&lt;1&gt;</sku>',
+    '  </line_item>',
+    '  <line_item>',
+    '    <sku>B</sku>',
+    '  </line_item>',
+    '  <paid>true</paid>',
+    '  <note/>',
+    '</order>',
+    ''
+  ].join('\n'));
+  expect(xmlToJson(xml).order.line_item[0].sku).toBe('A<1>');
+  expect(jsonToXml([1, 2])).toContain('<root>\n  <item>1</item>\n  <item>2</item>\n</root>');
+});
+
+test('an element named __proto__ is an ordinary key', () => {
+  const data = xmlToJson('<root><__proto__ polluted="yes">1</__proto__><__proto__>2</__proto__></root>');
+
+  expect(JSON.stringify(data)).toBe('{"root":{"__proto__":[{"@polluted":"yes","#text":"1"},"2"]}}');
+  expect({}.polluted).toBeUndefined();
+});
@@ -0,0 +1,158 @@
+/* global BigInt */
+import YAML, { isAlias, isMap, isScalar, isSeq } from 'yaml';
+import { childPointer } from '../Visualizer/jsonPointer';
+import { JsonParseError, createLineIndex, setMember } from '../Parser/jsonParser';
+import { isLosslessNumber, LosslessNumber, stringifyJson, toLosslessNumber } from '../Parser/losslessJson';
+
+// YAML <-> the same shapes the JSON parser produces.
+// parseYaml walks the YAML AST (not the converted JS value) so that every
+// value keeps its source range, comments can be attached, and anchors/aliases
+// are reported as shared references instead of being copied silently.
+
+const JSON_NUMBER = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+
+// Same contract as parseJson (see Parser/jsonParser.js) plus
+//   aliases: [{ pointer, target, anchor, merge }]
+// `pointer` is where *alias appears, `target` where &anchor was defined.
+// `merge` marks YAML merge keys (<<: *base), whose keys are copied in.
+// A stream with several documents (---) becomes an array of documents.
+export const parseYaml = (text, { recover = false, lossless = false, sourceMap = true } = {}) => {
+  const pointers = new Map();
+  const errors = [];
+  const comments = [];
+  const aliases = [];
+  // Line lookup for error positions, built on the first error
+  let lineAt = null;
+
+  const record = (pointer, node, keyNode) => {
+    if (!sourceMap || !node || !node.range) return;
+    const entry = { value: { start: node.range[0], end: node.range[1] } };
+    if (keyNode && keyNode.range) entry.key = { start: keyNode.range[0], end: keyNode.range[1] };
+    pointers.set(pointer, entry);
+  };
+
+  const addComments = (pointer, ...nodes) => {
+    nodes.forEach(node => {
+      if (!node) return;
+      if (node.commentBefore) comments.push({ pointer, text: `#${node.commentBefore}` });
+      if (node.comment) comments.push({ pointer, text: `#${node.comment}` });
+    });
+  };
+
+  const toNumber = (node) => {
+    if (lossless && JSON_NUMBER.test(node.source)) return toLosslessNumber(node.source);
+    if (typeof node.value === 'bigint') {
+      return Number.isSafeInteger(Number(node.value)) || !lossless
+        ? Number(node.value)
+        : new LosslessNumber(String(node.value));
+    }
+    return node.value;
+  };
+
+  // [DSA] Recursive walk of one document; anchors map name -> { pointer, value }
+  const walkDocument = (document, rootPointer) => {
+    const anchors = new Map();
+
+    const toData = (node, pointer, keyNode) => {
+      record(pointer, node, keyNode);
+      if (!node) return null;
+
+      if (isAlias(node)) {
+        const anchor = anchors.get(node.source);
+        if (!anchor) return null;
+        aliases.push({ pointer, target: anchor.pointer, anchor: node.source, merge: false });
+        // Same object as the anchor, like YAML.parse would give
+        return anchor.value;
+      }
+
+      let value;
+      if (isMap(node)) {
+        value = {};
+        if (node.anchor) anchors.set(node.anchor, { pointer, value });
+        node.items.forEach(pair => {
+          const key = isScalar(pair.key) ? String(pair.key.value) : String(pair.key);
+          addComments(childPointer(pointer, key), pair.key);
+
+          // Merge key: copy the referenced mapping's keys (own keys win)
+          if (key === '<<' && (isAlias(pair.value) || isSeq(pair.value))) {
+            const sources = isAlias(pair.value) ? [pair.value] : pair.value.items.filter(isAlias);
+            sources.forEach(alias => {
+              const anchor = anchors.get(alias.source);
+              if (!anchor) return;
+              aliases.push({ pointer, target: anchor.pointer, anchor: alias.source, merge: true });
+              Object.keys(anchor.value).forEach(mergedKey => {
+                if (!Object.prototype.hasOwnProperty.call(value, mergedKey)) setMember(value, mergedKey, anchor.value[mergedKey]);
+              });
+            });
+            return;
+          }
+
+          setMember(value, key, toData(pair.value, childPointer(pointer, key), pair.key));
+        });
+      } else if (isSeq(node)) {
+        value = [];
+        if (node.anchor) anchors.set(node.anchor, { pointer, value });
+        node.items.forEach((item, index) => {
+          value.push(toData(item, childPointer(pointer, index)));
+        });
+      } else {
+        value = typeof node.value === 'number' || typeof node.value === 'bigint' ? toNumber(node) : node.value;
+        if (node.anchor) anchors.set(node.anchor, { pointer, value });
+      }
+
+      addComments(pointer, node);
+      return value;
+    };
+
+    if (document.errors.length > 0 && !lineAt) lineAt = createLineIndex(text);
+    document.errors.forEach(error => {
+      const offset = error.pos[0];
+      const { line, column } = lineAt(offset);
+      errors.push({ message: error.message.split('\n')[0], offset, line, column, pointer: rootPointer });
+    });
+    addComments(rootPointer, document);
+    return toData(document.contents, rootPointer);
+  };
+
+  const documents = YAML.parseAllDocuments(text, { intAsBigInt: true });
+  // parseAllDocuments returns an EmptyStream (no documents) for blank input
+  const list = Array.from(documents);
+
+  let data;
+  if (list.length === 1) {
+    data = walkDocument(list[0], '');
+  } else if (list.length > 1) {
+    data = list.map((document, index) => walkDocument(document, childPointer('', index)));
+    if (sourceMap) pointers.set('', { value: { start: 0, end: text.length } });
+  }
+
+  if (!recover && errors.length > 0) {
+    throw new JsonParseError(errors[0].message, errors[0].offset, text, errors[0]);
+  }
+
+  return { data, pointers, errors, duplicates: [], comments, aliases };
+};
+
+// Big integers become BigInt so YAML writes every digit
+const toYamlValue = (key, value) => {
+  if (!isLosslessNumber(value)) return value;
+  if (/^-?\d+$/.test(value.lexeme) && value.losesPrecision) {
+    return BigInt(value.lexeme);
+  }
+  return value.valueOf();
+};
+
+export const stringifyYaml = (data) => YAML.stringify(data, toYamlValue, { aliasDuplicateObjects: false });
+
+// YAML -> JSON text. Aliases are expanded; a YAML document that refers to
+// itself can't be written as JSON.
+export const yamlToJson = (text, indent = 2) => {
+  const { data } = parseYaml(text, { lossless: true, sourceMap: false });
+  return stringifyJson(data === undefined ? null : data, indent);
+};
+
+// Reformat a YAML document, keeping comments and anchors
+export const formatYaml = (text) => {
+  const documents = YAML.parseAllDocuments(text);
+  return Array.from(documents).map(document => document.toString({ indent: 2 })).join('');
+};
@@ -0,0 +1,59 @@
+import { parseYaml, stringifyYaml, yamlToJson } from './yaml';
+import { processJson } from '../Visualizer/graphBuilder';
+
+const manifest = `# deployment
+defaults: &defaults
+  replicas: 2 # per zone
+  image: app:1.0
+web:
+  <<: *defaults
+  replicas: 3
+worker:
+  settings: *defaults
+id: 12345678901234567890
+`;
+
+test('parses YAML with source ranges, comments and anchors', () => {
+  const { data, pointers, comments, aliases, errors } = parseYaml(manifest, { lossless: true });
+
+  expect(errors).toEqual([]);
+  expect(data.web).toEqual({ replicas: 3, image: 'app:1.0' });
+  expect(data.worker.settings).toBe(data.defaults);
+  expect(String(data.id)).toBe('12345678901234567890');
+  expect(aliases).toEqual([
+    { pointer: '/web', target: '/defaults', anchor: 'defaults', merge: true },
+    { pointer: '/worker/settings', target: '/defaults', anchor: 'defaults', merge: false }
+  ]);
+  expect(comments).toContainEqual({ pointer: '/defaults/replicas', text: '# per zone' });
+  const range = pointers.get('/defaults/image').value;
+  expect(manifest.slice(range.start, range.end)).toBe('app:1.0');
+});
+
+test('converts between YAML and JSON without losing digits', () => {
+  const json = yamlToJson(manifest);
+
+  expect(json).toContain('"id": 12345678901234567890');
+  expect(JSON.parse(json).worker.settings).toEqual({ replicas: 2, image: 'app:1.0' });
+  expect(stringifyYaml({ a: [1, { b: null }] })).toBe('a:\n  - 1\n  - b: null\n');
+});
+
+test('aliases become leaves with a reference edge to the anchor', () => {
+  const { nodes, edges } = processJson(manifest, { dialect: 'yaml' });
+  const alias = nodes.find(n => n.id === '/worker/settings');
+
+  expect(alias.data.label).toBe('settings: *defaults');
+  expect(alias.className).toContain('node-alias');
+  expect(nodes.some(n => n.id.startsWith('/worker/settings/'))).toBe(false);
+  expect(edges).toContainEqual(expect.objectContaining({
+    source: '/worker/settings',
+    target: '/defaults',
+    data: { isReference: true }
+  }));
+});
+
+test('"__proto__" and inherited names are ordinary keys, also in merges', () => {
+  const { data } = parseYaml('base: &base\n  toString: 1\n  constructor: 2\n  x: 3\nitem:\n  <<: *base\n  x: 4\n  __proto__: 5\n');
+
+  expect(JSON.stringify(data.item)).toBe('{"toString":1,"constructor":2,"x":4,"__proto__":5}');
+  expect(Object.getPrototypeOf(data.item)).toBe(Object.prototype);
+});
@@ -1,13 +1,20 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
 import './Home.css';
-import MonoEditor from '../Editor/MonoEditor';
+import MonoEditor, { disposeEditorModel } from '../Editor/MonoEditor';
 import JsonGraph from '../Visualizer/JsonGraph';
 import LogicShowcase from '../components/LogicShowcase/LogicShowcase';
+import SettingsPanel from '../components/Settings/SettingsPanel';
+import SchemaPanel from '../components/Schema/SchemaPanel';
+import DocumentTabs from '../components/Tabs/DocumentTabs';
+import TransformPanel from '../components/Transform/TransformPanel';
+import ComparePanel from '../components/Compare/ComparePanel';
+import { useDocumentHistory } from '../components/Compare/useDocumentHistory';
+import PatchPanel from '../components/Patch/PatchPanel';
+import { useSchemaValidation } from '../components/Schema/useSchemaValidation';
+import { loadSettings, saveSettings, sanitizeSettings, getGraphLimits } from '../components/Settings/settings';
+import { INPUT_MODES, DEFAULT_INPUT_MODE } from '../Editor/inputModes';
 
-const Home = () => {
-  const [isMobile, setIsMobile] = useState(window.innerWidth <= 768);
-  const [showLogic, setShowLogic] = useState(false);
-  const [jsonCode, setJsonCode] = useState(`{
+const SAMPLE_DOCUMENT = `{
   "personal_info": {
     "name": "Joel Varghese",
     "title": "Backend Developer | ML Engineer",
@@ -36,8 +43,54 @@ const Home = () => {
       "Generative AI"
     ]
   }
-}`);
+}`;
+
+const Home = () => {
+  const [isMobile, setIsMobile] = useState(window.innerWidth <= 768);
+  const [showLogic, setShowLogic] = useState(false);
+  const [settings, setSettings] = useState(loadSettings);
+  // null = closed, '' = open, otherwise the setting key to highlight
+  const [settingsFocus, setSettingsFocus] = useState(null);
+  // Open documents { id, name, text, inputMode }; inputMode is json | jsonc | ..., see Editor/inputModes.js
+  const [documents, setDocuments] = useState(() => [
+    { id: 1, name: 'Untitled', text: SAMPLE_DOCUMENT, inputMode: DEFAULT_INPUT_MODE }
+  ]);
+  const [activeId, setActiveId] = useState(1);
+  const nextDocumentIdRef = useRef(2);
+  const activeDocument = documents.find(doc => doc.id === activeId) || documents[0];
+  const { text: jsonCode, inputMode } = activeDocument;
+  // Attached JSON Schema { name, text, value }, null = use the document's "$schema"
+  const [schema, setSchema] = useState(null);
+  const [showSchema, setShowSchema] = useState(false);
+  const [showTransform, setShowTransform] = useState(false);
+  const [showCompare, setShowCompare] = useState(false);
+  const [showPatch, setShowPatch] = useState(false);
+  // Nodes the last applied patch touched { documentId, text, annotations },
+  // shown until that document is edited
+  const [patchMarks, setPatchMarks] = useState(null);
+  // Earlier versions of the documents, for Compare
+  const history = useDocumentHistory(documents);
   const jsonGraphRef = useRef(null);
+  const monoEditorRef = useRef(null);
+
+  const graphLimits = useMemo(() => getGraphLimits(settings), [settings]);
+
+  const schemaResult = useSchemaValidation(jsonCode, INPUT_MODES[inputMode].dialect, schema);
+  // Schema violations outline their nodes in the graph
+  const schemaAnnotations = useMemo(() => (
+    schemaResult
+      ? schemaResult.errors.map(error => ({
+        pointer: error.pointer,
+        className: 'node-schema-error',
+        note: `Schema: ${error.message}`
+      }))
+      : []
+  ), [schemaResult]);
+  const graphAnnotations = useMemo(() => (
+    patchMarks && patchMarks.documentId === activeDocument.id && patchMarks.text === jsonCode
+      ? [...schemaAnnotations, ...patchMarks.annotations]
+      : schemaAnnotations
+  ), [schemaAnnotations, patchMarks, activeDocument.id, jsonCode]);
 
   useEffect(() => {
     const handleResize = () => {
@@ -48,17 +101,64 @@ const Home = () => {
     return () => window.removeEventListener('resize', handleResize);
   }, []);
 
+  const updateActiveDocument = useCallback((changes) => {
+    setDocuments(docs => docs.map(doc => (doc.id === activeId ? { ...doc, ...changes } : doc)));
+  }, [activeId]);
+  const setJsonCode = useCallback((text) => updateActiveDocument({ text }), [updateActiveDocument]);
+  const setInputMode = useCallback((mode) => updateActiveDocument({ inputMode: mode }), [updateActiveDocument]);
+
+  // New tab, e.g. an extracted query result or a transform
+  const openDocument = useCallback(({ name, text, inputMode: mode = DEFAULT_INPUT_MODE }) => {
+    const id = nextDocumentIdRef.current++;
+    setDocuments(docs => [...docs, { id, name, text, inputMode: mode }]);
+    setActiveId(id);
+  }, []);
+
+  const closeDocument = (id) => {
+    const index = documents.findIndex(doc => doc.id === id);
+    const remaining = documents.filter(doc => doc.id !== id);
+    if (remaining.length === 0) return;
+    setDocuments(remaining);
+    disposeEditorModel(String(id));
+    // Closing the active tab selects its neighbour
+    if (id === activeId) setActiveId(remaining[Math.min(index, remaining.length - 1)].id);
+  };
+
+  // Only values within each field's bounds reach the graph and localStorage
+  const handleSettingsChange = (nextSettings) => {
+    const sanitized = sanitizeSettings(nextSettings);
+    setSettings(sanitized);
+    saveSettings(sanitized);
+  };
+
+  // Editor <-> Graph navigation, both sides speak JSON Pointer
+  const handleNodeSelect = (pointer) => {
+    if (monoEditorRef.current) monoEditorRef.current.revealPointer(pointer);
+  };
+
+  // Error and duplicate-key nodes point at a text position, not a value
+  const handleOffsetSelect = (offset) => {
+    if (monoEditorRef.current) monoEditorRef.current.revealOffset(offset);
+  };
+
+  const handleExportCsv = (pointer) => {
+    if (monoEditorRef.current) monoEditorRef.current.exportCsv(pointer);
+  };
+
+  const handleGenerateTypes = (pointer) => {
+    if (monoEditorRef.current) monoEditorRef.current.showTypes(pointer);
+  };
+
+  const handleCursorPointerChange = (pointer) => {
+    if (jsonGraphRef.current) jsonGraphRef.current.focusPointer(pointer);
+  };
+
   const handleRefresh = () => {
-    // Clear search state when refreshing
-    if (jsonGraphRef.current && jsonGraphRef.current.clearSearch) {
-      jsonGraphRef.current.clearSearch();
+    // Re-layout the current document without touching the editor text.
+    // Collapse state, search and viewport are preserved by the graph.
+    if (jsonGraphRef.current && jsonGraphRef.current.refresh) {
+      jsonGraphRef.current.refresh();
     }
-
-    // Force re-render of the visualization by updating the key
-    setJsonCode(jsonCode + ' '); // Add a space
-    setTimeout(() => {
-      setJsonCode(jsonCode.trim()); // Remove the space
-    }, 100);
   };
 
   const handleExportImage = async () => {
@@ -105,21 +205,118 @@ const Home = () => {
   return (
     <div className={`home-container ${isMobile ? 'mobile' : 'desktop'}`}>
       <LogicShowcase isOpen={showLogic} onClose={() => setShowLogic(false)} />
+      <SettingsPanel
+        isOpen={settingsFocus !== null}
+        focusKey={settingsFocus}
+        settings={settings}
+        onChange={handleSettingsChange}
+        onClose={() => setSettingsFocus(null)}
+      />
+      <SchemaPanel
+        isOpen={showSchema}
+        schema={schema}
+        onApply={(nextSchema) => {
+          setSchema(nextSchema);
+          setShowSchema(false);
+        }}
+        onClose={() => setShowSchema(false)}
+      />
+      <TransformPanel
+        isOpen={showTransform}
+        text={jsonCode}
+        inputMode={inputMode}
+        onReplace={(result) => {
+          updateActiveDocument(result);
+          setShowTransform(false);
+        }}
+        onOpenInTab={(result) => {
+          openDocument({ name: `${activeDocument.name} (transformed)`, ...result });
+          setShowTransform(false);
+        }}
+        onClose={() => setShowTransform(false)}
+      />
+      <ComparePanel
+        isOpen={showCompare}
+        activeDocument={activeDocument}
+        documents={documents}
+        history={history}
+        limits={graphLimits}
+        losslessNumbers={settings.losslessNumbers}
+        onOpenDocument={(doc) => {
+          openDocument(doc);
+          setShowCompare(false);
+        }}
+        onClose={() => setShowCompare(false)}
+      />
+      <PatchPanel
+        isOpen={showPatch}
+        activeDocument={activeDocument}
+        documents={documents}
+        limits={graphLimits}
+        losslessNumbers={settings.losslessNumbers}
+        onApply={({ annotations, ...result }) => {
+          updateActiveDocument(result);
+          setPatchMarks({ documentId: activeDocument.id, text: result.text, annotations });
+          setShowPatch(false);
+        }}
+        onOpenInTab={({ annotations, ...result }) => {
+          openDocument({ name: `${activeDocument.name} (patched)`, ...result });
+          setShowPatch(false);
+        }}
+        onClose={() => setShowPatch(false)}
+      />
 
       <div className="pane editor-pane">
+        <DocumentTabs
+          documents={documents}
+          activeId={activeDocument.id}
+          onSelect={setActiveId}
+          onClose={closeDocument}
+          onAdd={() => openDocument({ name: 'Untitled', text: '{}' })}
+        />
+        {/* Remounted per tab: each tab has its own Monaco model (`path`), so the
+            text and undo history stay with their document; repair state resets */}
         <MonoEditor
+          key={activeDocument.id}
+          path={String(activeDocument.id)}
+          ref={monoEditorRef}
           value={jsonCode}
           onChange={setJsonCode}
           onExportImage={handleExportImage}
           onRefresh={handleRefresh}
+          onOpenSettings={() => setSettingsFocus('')}
+          onCursorPointerChange={handleCursorPointerChange}
+          largeFileBytes={settings.largeFileBytes}
+          suggestionsMaxBytes={settings.suggestionsMaxBytes}
+          losslessNumbers={settings.losslessNumbers}
+          inputMode={inputMode}
+          onInputModeChange={setInputMode}
+          schemaResult={schemaResult}
+          onOpenSchema={() => setShowSchema(true)}
+          onUseSchema={setSchema}
+          onOpenTransform={() => setShowTransform(true)}
+          onOpenCompare={() => setShowCompare(true)}
+          onOpenPatch={() => setShowPatch(true)}
         />
       </div>
 
       <div className="pane graph-pane">
+        {/* Remounted per tab, so collapse and expansion state don't leak between documents */}
         <JsonGraph
+          key={activeDocument.id}
           ref={jsonGraphRef}
           data={jsonCode}
+          limits={graphLimits}
+          losslessNumbers={settings.losslessNumbers}
+          dialect={INPUT_MODES[inputMode].dialect}
           onShowLogic={() => setShowLogic(true)}
+          onOpenSettings={(limitKey) => setSettingsFocus(limitKey || '')}
+          onNodeSelect={handleNodeSelect}
+          onOffsetSelect={handleOffsetSelect}
+          onExportCsv={handleExportCsv}
+          onGenerateTypes={handleGenerateTypes}
+          onOpenDocument={openDocument}
+          annotations={graphAnnotations}
         />
 
         {/* Author Attribution */}
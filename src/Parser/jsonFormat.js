@@ -0,0 +1,93 @@
+// Comment-preserving Format / Minify for JSONC and JSON5
+// Parsing into data and stringifying again would drop every comment, so these
+// work on the token stream instead (see tokenize in jsonRepair.js) and only
+// rewrite whitespace. Strings, numbers and identifiers are copied verbatim.
+
+import { tokenize } from './jsonRepair';
+
+const OPENERS = { '{': '}', '[': ']' };
+
+const isOnSameLine = (text, from, to) => !text.slice(from, to).includes('\n');
+
+export const formatJsonc = (text, indent = 2) => {
+  const tokens = tokenize(text);
+  const pad = ' '.repeat(indent);
+  const lines = [];
+  let depth = 0;
+  let line = '';
+
+  const hasContent = () => line.trim() !== '';
+  const breakLine = () => {
+    if (hasContent()) lines.push(line.trimEnd());
+    line = pad.repeat(depth);
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const raw = text.slice(token.start, token.end);
+    const previous = tokens[i - 1];
+    const next = tokens[i + 1];
+    // A comment that follows on the same line stays there
+    const trailingCommentNext = next && next.type === 'comment' && isOnSameLine(text, token.end, next.start);
+
+    switch (token.type) {
+      case '{':
+      case '[':
+        // Empty containers stay on one line
+        if (next && next.type === OPENERS[token.type]) {
+          line += raw + OPENERS[token.type];
+          i++;
+          break;
+        }
+        line += raw;
+        depth++;
+        if (!trailingCommentNext) breakLine();
+        break;
+
+      case '}':
+      case ']':
+        depth--;
+        if (hasContent()) breakLine();
+        else line = pad.repeat(depth);
+        line += raw;
+        break;
+
+      case ',':
+        line += raw;
+        if (!trailingCommentNext) breakLine();
+        break;
+
+      case ':':
+        line += ': ';
+        break;
+
+      case 'comment': {
+        const trailing = previous && hasContent() && isOnSameLine(text, previous.end, token.start);
+        if (trailing) {
+          line += ` ${raw}`;
+        } else {
+          breakLine();
+          line += raw;
+        }
+        // A block comment may sit in front of the comma of its value
+        if (raw.startsWith('//') || !next || next.type !== ',') breakLine();
+        break;
+      }
+
+      default:
+        line += raw;
+    }
+  }
+
+  breakLine();
+  return lines.join('\n');
+};
+
+// Whitespace removed; line comments become block comments so nothing is lost
+export const minifyJsonc = (text) => tokenize(text)
+  .map(token => {
+    const raw = text.slice(token.start, token.end);
+    if (token.type === 'comment' && raw.startsWith('//')) return `/*${raw.slice(2).replace(/\*\//g, '* /')} */`;
+    return raw;
+  })
+  .join('');
@@ -0,0 +1,31 @@
+import { formatJsonc, minifyJsonc } from './jsonFormat';
+import { parseJson } from './jsonParser';
+
+const text = `// settings
+{ "a": 1, // one
+  /* list */
+  "b": [1,2,{}], "c": {"d": 'x',},
+}`;
+
+test('format keeps comments and their placement', () => {
+  expect(formatJsonc(text)).toBe(`// settings
+{
+  "a": 1, // one
+  /* list */
+  "b": [
+    1,
+    2,
+    {}
+  ],
+  "c": {
+    "d": 'x',
+  },
+}`);
+});
+
+test('minify keeps comments and the data', () => {
+  const minified = minifyJsonc(text);
+
+  expect(minified).toBe(`/* settings */{"a":1,/* one *//* list */"b":[1,2,{}],"c":{"d":'x',},}`);
+  expect(parseJson(minified, { dialect: 'json5' }).data).toEqual(parseJson(text, { dialect: 'json5' }).data);
+});
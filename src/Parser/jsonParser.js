@@ -0,0 +1,473 @@
+// [DSA] Recursive Descent Parser with a Source Map
+// JSON.parse only gives us the value. This parser additionally records where
+// every value (and its key) lives in the text, keyed by JSON Pointer, so the
+// editor and the graph can point at the same thing.
+//
+// Offsets are string indices (UTF-16 code units), which is exactly what
+// Monaco's model.getPositionAt / getOffsetAt use.
+
+import { childPointer } from '../Visualizer/jsonPointer';
+import { numberFromLexeme, toLosslessNumber, isLosslessNumber } from './losslessJson';
+
+// 1-based line/column for an offset, matching Monaco and most error messages
+export const offsetToLineColumn = (text, offset) => {
+  let line = 1;
+  let lineStart = 0;
+  for (let i = 0; i < offset && i < text.length; i++) {
+    if (text[i] === '\n') {
+      line++;
+      lineStart = i + 1;
+    }
+  }
+  return { line, column: offset - lineStart + 1 };
+};
+
+// [DSA] Line starts + binary search: O(n) once, then O(log lines) per lookup.
+// For many lookups in one text, where offsetToLineColumn would rescan each time.
+export const createLineIndex = (text) => {
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text.charCodeAt(i) === 10) lineStarts.push(i + 1);
+  }
+  return (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+};
+
+export class JsonParseError extends SyntaxError {
+  // `position` ({ line, column }) saves the scan when the caller has an index
+  constructor(message, offset, text, position = offsetToLineColumn(text, offset)) {
+    const { line, column } = position;
+    super(`${message} at line ${line}, column ${column}`);
+    this.name = 'JsonParseError';
+    this.reason = message;
+    this.offset = offset;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+const NUMBER_PATTERN = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+
+// JSON5 (https://spec.json5.org) additions. Identifiers are limited to ASCII.
+const JSON5_ESCAPES = { ...ESCAPES, "'": "'", v: '\v', 0: '\0' };
+const JSON5_NUMBER_PATTERN = /[+-]?(?:Infinity|NaN|0[xX][0-9a-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/y;
+const JSON5_WHITESPACE = /[\v\f\u00a0\ufeff\u2028\u2029]/;
+const IDENTIFIER_PATTERN = /[A-Za-z_$][\w$]*/y;
+
+// Supported input dialects
+//   json:  RFC 8259
+//   jsonc: JSON with // and /* */ comments and trailing commas (VS Code style)
+//   json5: JSONC plus unquoted keys, single quotes, hex, Infinity/NaN, ...
+export const DIALECTS = ['json', 'jsonc', 'json5'];
+
+// Own data property: "__proto__" is an ordinary key in JSON, where plain
+// assignment would set the prototype instead
+export const setMember = (object, key, value) => {
+  Object.defineProperty(object, key, { value, enumerable: true, writable: true, configurable: true });
+};
+
+const describe = (char) => (char === undefined ? 'end of input' : `"${char}"`);
+
+// Returns { data, pointers, errors, duplicates, comments } where pointers is a Map:
+//   pointer -> { value: { start, end }, key?: { start, end } }
+// Ranges are half-open [start, end).
+//
+// By default the first syntax error throws a JsonParseError. With
+// `recover: true` errors are collected instead and parsing resumes at the next
+// "," or closing bracket on the same level (panic-mode recovery), so `data`
+// holds everything that could be read before, between and after the errors.
+// Each error is { message, offset, line, column, pointer } where `pointer` is
+// the container that was being read when it happened.
+//
+// Repeated keys keep the last value, like JSON.parse. Every overridden
+// occurrence is listed in `duplicates` as
+//   { key, pointer, keyRange, value, shadowedBy, shadowedByLine }
+// where `shadowedBy` is the key range of the occurrence that replaced it.
+//
+// `lossless: true` keeps numbers that a float64 can't reproduce exactly as
+// LosslessNumber (see losslessJson.js). `sourceMap: false` skips the pointer
+// Map when only the data is needed.
+//
+// `dialect` is one of DIALECTS. Comments (jsonc, json5) are returned as
+// { pointer, text, start, end }: a comment on the same line as the value
+// before it belongs to that value, any other comment to the value after it
+// (or to the enclosing container when nothing follows).
+export const parseJson = (text, { recover = false, lossless = false, sourceMap = true, dialect = 'json' } = {}) => {
+  let pos = 0;
+  const pointers = new Map();
+  const errors = [];
+  const duplicates = [];
+  const comments = [];
+
+  const json5 = dialect === 'json5';
+  const relaxed = dialect !== 'json'; // comments and trailing commas
+
+  // Comments waiting for the next value, and the value that ended last
+  let pendingComments = [];
+  let lastValue = null;
+
+  // Built on the first error or duplicate; valid input never needs it
+  let lineIndex = null;
+  const positionOf = (offset) => {
+    if (!lineIndex) lineIndex = createLineIndex(text);
+    return lineIndex(offset);
+  };
+
+  const fail = (message, at = pos) => {
+    throw new JsonParseError(message, at, text, positionOf(at));
+  };
+
+  const report = (error, pointer) => {
+    if (!recover || !(error instanceof JsonParseError)) throw error;
+    // Several levels may trip over the same character; keep one error per offset
+    if (errors.some(e => e.offset === error.offset)) return;
+    errors.push({
+      message: error.reason,
+      offset: error.offset,
+      line: error.line,
+      column: error.column,
+      pointer
+    });
+  };
+
+  // Skip to the next "," or closing bracket that belongs to the current level
+  const synchronize = () => {
+    let depth = 0;
+    while (pos < text.length) {
+      const char = text[pos];
+      if (char === '"') {
+        pos++;
+        while (pos < text.length && text[pos] !== '"' && text[pos] !== '\n') {
+          if (text[pos] === '\\') pos++;
+          pos++;
+        }
+        pos++;
+        continue;
+      }
+      if (char === '{' || char === '[') {
+        depth++;
+      } else if (char === '}' || char === ']') {
+        if (depth === 0) return;
+        depth--;
+      } else if (char === ',' && depth === 0) {
+        return;
+      }
+      pos++;
+    }
+  };
+
+  const skipComment = () => {
+    const start = pos;
+    if (text[pos + 1] === '/') {
+      const newline = text.indexOf('\n', pos);
+      pos = newline === -1 ? text.length : newline;
+    } else {
+      const close = text.indexOf('*/', pos + 2);
+      if (close === -1) fail('Unterminated comment');
+      pos = close + 2;
+    }
+
+    const comment = { text: text.slice(start, pos), start, end: pos };
+    if (lastValue && !text.slice(lastValue.end, start).includes('\n')) {
+      comments.push({ ...comment, pointer: lastValue.pointer });
+    } else {
+      pendingComments.push(comment);
+    }
+  };
+
+  const attachPendingComments = (pointer) => {
+    pendingComments.forEach(comment => comments.push({ ...comment, pointer }));
+    pendingComments = [];
+  };
+
+  const skipWhitespace = () => {
+    while (pos < text.length) {
+      const char = text[pos];
+      if (char === ' ' || char === '\t' || char === '\n' || char === '\r') pos++;
+      else if (json5 && JSON5_WHITESPACE.test(char)) pos++;
+      else if (relaxed && char === '/' && (text[pos + 1] === '/' || text[pos + 1] === '*')) skipComment();
+      else break;
+    }
+  };
+
+  const expect = (char) => {
+    if (text[pos] !== char) fail(`Expected "${char}" but found ${describe(text[pos])}`);
+    pos++;
+  };
+
+  // Double-quoted, or single-quoted in JSON5
+  const parseString = () => {
+    const quote = text[pos];
+    pos++;
+    let result = '';
+    let chunkStart = pos;
+    while (true) {
+      if (pos >= text.length) fail('Unterminated string');
+      const char = text[pos];
+      if (char === quote) break;
+      if (char === '\\') {
+        result += text.slice(chunkStart, pos);
+        const escape = text[pos + 1];
+        if (escape === 'u') {
+          const hex = text.slice(pos + 2, pos + 6);
+          if (!/^[0-9a-fA-F]{4}$/.test(hex)) fail('Invalid unicode escape');
+          result += String.fromCharCode(parseInt(hex, 16));
+          pos += 6;
+        } else if (json5 && escape === 'x' && /^[0-9a-fA-F]{2}$/.test(text.slice(pos + 2, pos + 4))) {
+          result += String.fromCharCode(parseInt(text.slice(pos + 2, pos + 4), 16));
+          pos += 4;
+        } else if (json5 && (escape === '\n' || escape === '\r' || escape === '\u2028' || escape === '\u2029')) {
+          // Line continuation
+          pos += escape === '\r' && text[pos + 2] === '\n' ? 3 : 2;
+        } else if ((json5 ? JSON5_ESCAPES : ESCAPES)[escape] !== undefined) {
+          result += (json5 ? JSON5_ESCAPES : ESCAPES)[escape];
+          pos += 2;
+        } else if (json5 && escape !== undefined && !/[1-9]/.test(escape)) {
+          result += escape;
+          pos += 2;
+        } else {
+          fail(`Invalid escape character ${describe(escape)}`, pos + 1);
+        }
+        chunkStart = pos;
+        continue;
+      }
+      if (json5 ? char === '\n' || char === '\r' : char < ' ') fail('Control character in string');
+      pos++;
+    }
+    result += text.slice(chunkStart, pos);
+    pos++; // closing quote
+    return result;
+  };
+
+  const parseNumber = () => {
+    const pattern = json5 ? JSON5_NUMBER_PATTERN : NUMBER_PATTERN;
+    pattern.lastIndex = pos;
+    const match = pattern.exec(text);
+    if (!match) fail(`Unexpected ${describe(text[pos])}`);
+    pos += match[0].length;
+    return lossless ? toLosslessNumber(match[0]) : numberFromLexeme(match[0]);
+  };
+
+  // JSON5 unquoted key
+  const parseIdentifier = () => {
+    IDENTIFIER_PATTERN.lastIndex = pos;
+    const match = IDENTIFIER_PATTERN.exec(text);
+    if (!match) fail(`Expected property name but found ${describe(text[pos])}`);
+    pos += match[0].length;
+    return match[0];
+  };
+
+  const parseLiteral = (word, value) => {
+    if (text.startsWith(word, pos)) {
+      pos += word.length;
+      return value;
+    }
+    return fail(`Unexpected ${describe(text[pos])}`);
+  };
+
+  // Drop the entry of a value that failed before it was complete
+  const forget = (pointer) => {
+    const entry = pointers.get(pointer);
+    if (entry && !entry.value) pointers.delete(pointer);
+  };
+
+  // [DSA] Recursive Step: one call per value, pre-order like traverse().
+  // Containers are handed to `attach` as soon as they open, so whatever was
+  // read before an error is already part of the partial result.
+  const parseValue = (pointer, keyRange, attach) => {
+    skipWhitespace();
+    lastValue = null;
+    attachPendingComments(pointer);
+    const start = pos;
+    const entry = keyRange ? { key: keyRange } : {};
+    // Insert before children so the Map iterates in document (pre-)order
+    if (sourceMap) pointers.set(pointer, entry);
+
+    const char = text[pos];
+    if (char === '{') {
+      parseObject(pointer, attach);
+    } else if (char === '[') {
+      parseArray(pointer, attach);
+    } else if (char === '"' || (json5 && char === "'")) {
+      attach(parseString());
+    } else if (char === '-' || (char >= '0' && char <= '9') || (json5 && '+.IN'.includes(char))) {
+      attach(parseNumber());
+    } else if (char === 't') {
+      attach(parseLiteral('true', true));
+    } else if (char === 'f') {
+      attach(parseLiteral('false', false));
+    } else if (char === 'n') {
+      attach(parseLiteral('null', null));
+    } else {
+      fail(`Unexpected ${describe(char)}`);
+    }
+
+    entry.value = { start, end: pos };
+    lastValue = { pointer, end: pos };
+  };
+
+  // Shared member loop for objects and arrays
+  const parseMembers = (pointer, closer, parseMember) => {
+    // A comment right after the opening bracket describes the container
+    lastValue = { pointer, end: pos };
+    const close = () => {
+      pos++;
+      attachPendingComments(pointer);
+    };
+
+    skipWhitespace();
+    if (text[pos] === closer) {
+      close();
+      return;
+    }
+
+    while (true) {
+      const memberStart = pos;
+      try {
+        parseMember();
+      } catch (error) {
+        report(error, pointer);
+        synchronize();
+        // Never spin on the same character
+        if (pos === memberStart && text[pos] !== ',' && text[pos] !== closer) return;
+      }
+
+      skipWhitespace();
+      const char = text[pos];
+      if (char === ',') {
+        pos++;
+        if (relaxed) {
+          skipWhitespace();
+          if (text[pos] === closer) {
+            close();
+            return;
+          }
+        }
+        continue;
+      }
+      if (char === closer) {
+        close();
+        return;
+      }
+
+      try {
+        fail(`Expected "," or "${closer}" but found ${describe(char)}`);
+      } catch (error) {
+        report(error, pointer);
+      }
+      // End of input or the parent's closing bracket: this container is done.
+      // Anything else is most likely a missing comma, so keep reading members.
+      if (char === undefined || char === '}' || char === ']') return;
+    }
+  };
+
+  // [DSA] Tree walk over an overridden value: its entries would otherwise
+  // outlive it in the Map. O(size of that value).
+  const forgetSubtree = (pointer, value) => {
+    pointers.delete(pointer);
+    if (value === null || typeof value !== 'object' || isLosslessNumber(value)) return;
+    Object.keys(value).forEach(key => forgetSubtree(childPointer(pointer, key), value[key]));
+  };
+
+  const parseObject = (pointer, attach) => {
+    expect('{');
+    const result = {};
+    attach(result);
+    // [DSA] HashMap: key -> range of its latest occurrence
+    const keyRanges = new Map();
+
+    parseMembers(pointer, '}', () => {
+      skipWhitespace();
+      const keyStart = pos;
+      let key;
+      if (text[pos] === '"' || (json5 && text[pos] === "'")) {
+        key = parseString();
+      } else if (json5 && pos < text.length && /[A-Za-z_$]/.test(text[pos])) {
+        key = parseIdentifier();
+      } else {
+        fail(`Expected property name but found ${describe(text[pos])}`);
+      }
+      const keyRange = { start: keyStart, end: pos };
+      skipWhitespace();
+      expect(':');
+      const memberPointer = childPointer(pointer, key);
+      if (keyRanges.has(key) && Object.prototype.hasOwnProperty.call(result, key)) {
+        duplicates.push({
+          key,
+          pointer: memberPointer,
+          keyRange: keyRanges.get(key),
+          value: result[key],
+          shadowedBy: keyRange,
+          shadowedByLine: positionOf(keyStart).line
+        });
+        // The new occurrence is re-inserted after its siblings, keeping the Map in pre-order
+        if (sourceMap) forgetSubtree(memberPointer, result[key]);
+      }
+      keyRanges.set(key, keyRange);
+      try {
+        parseValue(memberPointer, keyRange, (value) => setMember(result, key, value));
+      } finally {
+        forget(memberPointer);
+      }
+    });
+  };
+
+  const parseArray = (pointer, attach) => {
+    expect('[');
+    const result = [];
+    attach(result);
+
+    parseMembers(pointer, ']', () => {
+      const index = result.length;
+      const itemPointer = childPointer(pointer, index);
+      try {
+        parseValue(itemPointer, undefined, (value) => { result[index] = value; });
+      } finally {
+        forget(itemPointer);
+      }
+    });
+  };
+
+  let data;
+  try {
+    parseValue('', undefined, (value) => { data = value; });
+    skipWhitespace();
+    if (pos < text.length) fail(`Unexpected ${describe(text[pos])} after the end of the document`);
+  } catch (error) {
+    report(error, '');
+    forget('');
+  }
+  attachPendingComments('');
+
+  return { data, pointers, errors, duplicates, comments };
+};
+
+// Full extent of a value in the text: "key": value for object members,
+// just the value for array items and the root.
+export const getPointerRange = (pointers, pointer) => {
+  const entry = pointers.get(pointer);
+  if (!entry || !entry.value) return null;
+  return { start: entry.key ? entry.key.start : entry.value.start, end: entry.value.end };
+};
+
+// [DSA] Innermost range containing `offset`
+// Pointers are stored in pre-order, so ranges are sorted by start and nested;
+// the last range that contains the offset is the deepest one. O(N).
+export const findPointerAtOffset = (pointers, offset) => {
+  let found = null;
+  pointers.forEach((entry, pointer) => {
+    if (!entry.value) return;
+    const start = entry.key ? entry.key.start : entry.value.start;
+    if (start <= offset && offset <= entry.value.end) found = pointer;
+  });
+  return found;
+};
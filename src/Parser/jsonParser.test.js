@@ -0,0 +1,113 @@
+import { parseJson, findPointerAtOffset, getPointerRange, JsonParseError, createLineIndex, offsetToLineColumn } from './jsonParser';
+
+const text = `{
+  "name": "Joel",
+  "experience": [
+    { "company": "IBM" }
+  ]
+}`;
+
+test('parses like JSON.parse', () => {
+  expect(parseJson(text).data).toEqual(JSON.parse(text));
+  expect(parseJson('"a\\u0041\\n"').data).toBe('aA\n');
+  expect(parseJson('[-1.5e2, true, null]').data).toEqual([-150, true, null]);
+});
+
+test('records key and value offsets for every pointer', () => {
+  const { pointers } = parseJson(text);
+  const range = getPointerRange(pointers, '/experience/0/company');
+
+  expect(text.slice(range.start, range.end)).toBe('"company": "IBM"');
+  expect(text.slice(pointers.get('/name').value.start, pointers.get('/name').value.end)).toBe('"Joel"');
+});
+
+test('finds the innermost pointer at an offset', () => {
+  const { pointers } = parseJson(text);
+
+  expect(findPointerAtOffset(pointers, text.indexOf('IBM'))).toBe('/experience/0/company');
+  expect(findPointerAtOffset(pointers, text.indexOf('{ "company'))).toBe('/experience/0');
+  expect(findPointerAtOffset(pointers, 0)).toBe('');
+});
+
+test('reports line and column of syntax errors', () => {
+  expect(() => parseJson('{\n  "a": 1,\n}')).toThrow(JsonParseError);
+  expect(() => parseJson('{\n  "a": 1,\n}')).toThrow(expect.objectContaining({ line: 3, column: 1 }));
+});
+
+test('the line index agrees with offsetToLineColumn', () => {
+  const text = '{\n\n  "a": 1,\r\n  "b": [\n]}\n';
+  const lineAt = createLineIndex(text);
+  for (let offset = 0; offset <= text.length; offset++) {
+    expect(lineAt(offset)).toEqual(offsetToLineColumn(text, offset));
+  }
+});
+
+test('recovers from errors and keeps the data around them', () => {
+  const { data, errors } = parseJson('{\n  "a": 1,\n  "b": tru,\n  "c": [1 2, ],\n  "d": {"e": 5\n', { recover: true });
+
+  expect(data).toEqual({ a: 1, c: [1, 2], d: { e: 5 } });
+  expect(errors.map(e => [e.line, e.pointer])).toEqual([
+    [3, ''],
+    [4, '/c'],
+    [4, '/c'],
+    [6, '/d']
+  ]);
+});
+
+test('returns no data when nothing could be read', () => {
+  const { data, errors } = parseJson('', { recover: true });
+
+  expect(data).toBeUndefined();
+  expect(errors).toHaveLength(1);
+});
+
+test('keeps the last value of a repeated key and lists the overridden ones', () => {
+  const { data, duplicates } = parseJson('{\n  "id": 1,\n  "id": {"x": 2},\n  "id": 3\n}');
+
+  expect(data).toEqual({ id: 3 });
+  expect(duplicates.map(d => [d.pointer, d.value, d.shadowedByLine])).toEqual([
+    ['/id', 1, 3],
+    ['/id', { x: 2 }, 4]
+  ]);
+  expect(duplicates[0].keyRange).toEqual({ start: 4, end: 8 });
+
+  // The overridden value's entries go; the key's entry moves to its last occurrence
+  const text = '{"a": {"x": 1}, "b": 2, "a": 3}';
+  const { pointers } = parseJson(text);
+  expect([...pointers.keys()]).toEqual(['', '/b', '/a']);
+  expect(findPointerAtOffset(pointers, text.indexOf('3'))).toBe('/a');
+});
+
+test('"__proto__" is an own key, like in JSON.parse', () => {
+  const text = '{"__proto__": {"x": 1}, "a": 2}';
+  const { data, pointers } = parseJson(text);
+
+  expect(Object.keys(data)).toEqual(['__proto__', 'a']);
+  expect(data).toEqual(JSON.parse(text));
+  expect(Object.getPrototypeOf(data)).toBe(Object.prototype);
+  expect(pointers.has('/__proto__/x')).toBe(true);
+});
+
+test('JSONC and JSON5 dialects accept their extensions and keep comments', () => {
+  const jsonc = '{\n  // who\n  "name": "Joel", // first name\n  "tags": [1, 2,],\n}';
+  const parsedJsonc = parseJson(jsonc, { dialect: 'jsonc' });
+  expect(parsedJsonc.data).toEqual({ name: 'Joel', tags: [1, 2] });
+  expect(parsedJsonc.comments.map(c => [c.pointer, c.text])).toEqual([
+    ['/name', '// who'],
+    ['/name', '// first name']
+  ]);
+  expect(() => parseJson(jsonc)).toThrow(JsonParseError);
+
+  const json5 = "{unquoted: 'it\\'s', hex: 0x1F, half: .5, big: +Infinity, /* end */}";
+  expect(parseJson(json5, { dialect: 'json5' }).data).toEqual({ unquoted: "it's", hex: 31, half: 0.5, big: Infinity });
+  expect(() => parseJson(json5, { dialect: 'jsonc' })).toThrow(JsonParseError);
+});
+
+test('an unterminated JSON5 object is a syntax error, not a crash', () => {
+  ['{', '{"a": 1,', '{a: 1, '].forEach(text => {
+    expect(() => parseJson(text, { dialect: 'json5' })).toThrow(JsonParseError);
+    const { data, errors } = parseJson(text, { dialect: 'json5', recover: true });
+    expect(errors[0].message).toBe('Expected property name but found end of input');
+    expect(data).toEqual(text === '{' ? {} : { a: 1 });
+  });
+});
@@ -0,0 +1,205 @@
+// [DSA] Token-level JSON Repair
+// Fixes the usual "almost JSON" pasted from JS object literals, Python reprs
+// and JSONC files. The text is tokenized first and every fix is an edit on
+// whole tokens, so the contents of strings are never touched
+// ("Joel's" stays "Joel's").
+//
+// Nothing is applied automatically: repairJson only proposes edits, the
+// editor shows them as a diff and the user decides.
+
+import { createLineIndex } from './jsonParser';
+
+const PYTHON_LITERALS = { None: 'null', True: 'true', False: 'false' };
+
+const WORD_PATTERN = /[A-Za-z_$][\w$]*/y;
+const NUMBER_PATTERN = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/y;
+
+// [DSA] Lexer: single pass, O(N).
+// Token types: "{" "}" "[" "]" ":" "," string number word comment other.
+// Strings may use either quote; an unterminated one stops at the end of its line.
+export const tokenize = (text) => {
+  const tokens = [];
+  let pos = 0;
+
+  while (pos < text.length) {
+    const char = text[pos];
+    const start = pos;
+
+    if (char === ' ' || char === '\t' || char === '\n' || char === '\r') {
+      pos++;
+      continue;
+    }
+
+    if (char === '/' && text[pos + 1] === '/') {
+      while (pos < text.length && text[pos] !== '\n') pos++;
+      tokens.push({ type: 'comment', start, end: pos });
+      continue;
+    }
+
+    if (char === '/' && text[pos + 1] === '*') {
+      const close = text.indexOf('*/', pos + 2);
+      pos = close === -1 ? text.length : close + 2;
+      tokens.push({ type: 'comment', start, end: pos });
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      pos++;
+      while (pos < text.length && text[pos] !== char && text[pos] !== '\n') {
+        if (text[pos] === '\\') pos++;
+        pos++;
+      }
+      const terminated = text[pos] === char;
+      if (terminated) pos++;
+      tokens.push({ type: 'string', quote: char, terminated, start, end: pos });
+      continue;
+    }
+
+    if ('{}[]:,'.includes(char)) {
+      pos++;
+      tokens.push({ type: char, start, end: pos });
+      continue;
+    }
+
+    WORD_PATTERN.lastIndex = pos;
+    const word = WORD_PATTERN.exec(text);
+    if (word) {
+      pos += word[0].length;
+      tokens.push({ type: 'word', value: word[0], start, end: pos });
+      continue;
+    }
+
+    NUMBER_PATTERN.lastIndex = pos;
+    const number = NUMBER_PATTERN.exec(text);
+    if (number) {
+      pos += number[0].length;
+      tokens.push({ type: 'number', start, end: pos });
+      continue;
+    }
+
+    pos++;
+    tokens.push({ type: 'other', start, end: pos });
+  }
+
+  return tokens;
+};
+
+// 'it\'s "ok"'  ->  "it's \"ok\""
+const toDoubleQuoted = (raw, terminated) => {
+  const body = raw.slice(1, terminated ? -1 : undefined);
+  let result = '';
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    if (char === '\\') {
+      const next = body[i + 1];
+      result += next === "'" ? "'" : char + (next === undefined ? '' : next);
+      i++;
+    } else if (char === '"') {
+      result += '\\"';
+    } else {
+      result += char;
+    }
+  }
+  return `"${result}"`;
+};
+
+const VALUE_START = new Set(['{', '[', 'string', 'number', 'word']);
+
+// Returns { text, changes, valid }
+//   changes: [{ start, end, text, reason, line }] against the ORIGINAL text,
+//            sorted by position. `text` is the replacement ('' = deletion).
+//   valid:   whether the repaired text parses as strict JSON
+export const repairJson = (text) => {
+  const changes = [];
+  const edit = (start, end, replacement, reason) => {
+    changes.push({ start, end, text: replacement, reason });
+  };
+
+  // A comment on its own line takes the whole line with it,
+  // a trailing one takes the spaces in front of it.
+  const removeComment = (token) => {
+    let start = token.start;
+    while (start > 0 && (text[start - 1] === ' ' || text[start - 1] === '\t')) start--;
+    const ownLine = start === 0 || text[start - 1] === '\n';
+    const end = ownLine && text[token.end] === '\n' ? token.end + 1 : token.end;
+    edit(start, end, '', 'Removed comment');
+  };
+
+  // [DSA] Stack of open containers. Each tracks what it expects next:
+  // objects cycle key -> colon -> value -> comma, arrays value -> comma.
+  // The root behaves like an array that never needs commas.
+  const stack = [{ type: 'root', state: 'value' }];
+  let previous = null; // last token that isn't a comment
+
+  tokenize(text).forEach(token => {
+    if (token.type === 'comment') {
+      removeComment(token);
+      return;
+    }
+
+    const top = stack[stack.length - 1];
+
+    if (VALUE_START.has(token.type)) {
+      // Two values in a row inside a container: the comma is missing
+      if (top.state === 'comma' && top.type !== 'root') {
+        edit(previous.end, previous.end, ',', 'Inserted missing comma');
+        top.state = top.type === 'object' ? 'key' : 'value';
+      }
+
+      const raw = text.slice(token.start, token.end);
+      const isKey = top.type === 'object' && top.state === 'key' && token.type !== '{' && token.type !== '[';
+
+      if (token.type === 'string' && token.quote === "'") {
+        edit(token.start, token.end, toDoubleQuoted(raw, token.terminated), 'Converted single-quoted string');
+      } else if (isKey && token.type !== 'string') {
+        edit(token.start, token.end, `"${raw}"`, 'Quoted key');
+      } else if (token.type === 'word' && PYTHON_LITERALS[raw]) {
+        edit(token.start, token.end, PYTHON_LITERALS[raw], `Replaced Python ${raw} with ${PYTHON_LITERALS[raw]}`);
+      }
+
+      if (isKey) {
+        top.state = 'colon';
+      } else if (token.type === '{') {
+        stack.push({ type: 'object', state: 'key' });
+      } else if (token.type === '[') {
+        stack.push({ type: 'array', state: 'value' });
+      } else {
+        top.state = 'comma';
+      }
+    } else if (token.type === ':') {
+      if (top.type === 'object') top.state = 'value';
+    } else if (token.type === ',') {
+      top.state = top.type === 'object' ? 'key' : 'value';
+    } else if (token.type === '}' || token.type === ']') {
+      if (previous && previous.type === ',') {
+        edit(previous.start, previous.end, '', 'Removed trailing comma');
+      }
+      if (stack.length > 1) stack.pop();
+      stack[stack.length - 1].state = 'comma';
+    }
+
+    previous = token;
+  });
+
+  // Insertions sort before a deletion starting at the same offset
+  changes.sort((a, b) => a.start - b.start || a.end - b.end);
+
+  let repaired = '';
+  let cursor = 0;
+  const lineAt = createLineIndex(text);
+  changes.forEach(change => {
+    repaired += text.slice(cursor, change.start) + change.text;
+    cursor = change.end;
+    change.line = lineAt(change.start).line;
+  });
+  repaired += text.slice(cursor);
+
+  let valid = true;
+  try {
+    JSON.parse(repaired);
+  } catch (error) {
+    valid = false;
+  }
+
+  return { text: repaired, changes, valid };
+};
@@ -0,0 +1,44 @@
+import { repairJson } from './jsonRepair';
+
+test('repairs JS and Python style input without touching string contents', () => {
+  const input = `{
+  // owner
+  name: 'Joel\\'s "laptop"',
+  'note': "Joel's",
+  active: True,
+  manager: None,
+  tags: ['a' 'b',],
+}`;
+  const { text, changes, valid } = repairJson(input);
+
+  expect(valid).toBe(true);
+  expect(JSON.parse(text)).toEqual({
+    name: 'Joel\'s "laptop"',
+    note: "Joel's",
+    active: true,
+    manager: null,
+    tags: ['a', 'b']
+  });
+  expect(changes.map(c => c.reason)).toEqual(expect.arrayContaining([
+    'Removed comment',
+    'Quoted key',
+    'Converted single-quoted string',
+    'Replaced Python True with true',
+    'Inserted missing comma',
+    'Removed trailing comma'
+  ]));
+  expect(changes.find(c => c.reason === 'Removed comment').line).toBe(2);
+});
+
+test('proposes nothing for valid JSON', () => {
+  const input = '{"a": [1, "it\'s, fine: //not a comment"]}';
+
+  expect(repairJson(input)).toEqual({ text: input, changes: [], valid: true });
+});
+
+test('inserts missing commas between lines', () => {
+  const { text, valid } = repairJson('{\n  "a": 1\n  "b": {"c": 2}\n  "d": 3\n}');
+
+  expect(valid).toBe(true);
+  expect(JSON.parse(text)).toEqual({ a: 1, b: { c: 2 }, d: 3 });
+});
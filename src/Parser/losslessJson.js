@@ -0,0 +1,116 @@
+// Lossless numbers
+// JSON.parse turns every number into a float64: 9007199254740993 becomes
+// 9007199254740992, and 1.0 / 1e10 come back as 1 / 10000000000. In lossless
+// mode the parser keeps the original lexeme for every number that a plain
+// Number can't reproduce exactly, and stringifyJson writes it back verbatim.
+
+/* global BigInt */
+
+// JSON5 allows hex integers with a sign, which Number() doesn't
+const HEX_PATTERN = /^([+-]?)0[xX]([0-9a-fA-F]+)$/;
+
+export const numberFromLexeme = (lexeme) => {
+  const hex = HEX_PATTERN.exec(lexeme);
+  if (hex) return (hex[1] === '-' ? -1 : 1) * parseInt(hex[2], 16);
+  return Number(lexeme);
+};
+
+// Canonical form of a decimal lexeme: significant digits + exponent.
+// "1.50e2", "150", "150." and "0x96" all normalize to "15e1".
+const normalizeNumber = (lexeme) => {
+  const hex = HEX_PATTERN.exec(lexeme);
+  if (hex) {
+    return normalizeNumber(`${hex[1] === '-' ? '-' : ''}${BigInt(`0x${hex[2]}`).toString()}`);
+  }
+
+  const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/.exec(lexeme);
+  if (!match || (match[2] === '' && !match[3])) return lexeme;
+
+  const [, sign, integer, fraction = '', exponent = '0'] = match;
+  let digits = (integer + fraction).replace(/^0+/, '');
+  let power = Number(exponent) - fraction.length;
+  if (digits === '') return '0';
+
+  const trailingZeros = digits.length - digits.replace(/0+$/, '').length;
+  digits = digits.slice(0, digits.length - trailingZeros);
+  power += trailingZeros;
+  return `${sign === '-' ? '-' : ''}${digits}e${power}`;
+};
+
+export class LosslessNumber {
+  constructor(lexeme) {
+    this.lexeme = lexeme;
+  }
+
+  // Arithmetic and comparisons still work, with float64 semantics
+  valueOf() {
+    return numberFromLexeme(this.lexeme);
+  }
+
+  // Labels, search and export see the original text
+  toString() {
+    return this.lexeme;
+  }
+
+  // true when Number(lexeme) is a different value, not just a different spelling
+  get losesPrecision() {
+    if (/^[+-]?(?:Infinity|NaN)$/.test(this.lexeme)) return false;
+    const number = this.valueOf();
+    return !Number.isFinite(number) || normalizeNumber(String(number)) !== normalizeNumber(this.lexeme);
+  }
+}
+
+export const isLosslessNumber = (value) => value instanceof LosslessNumber;
+
+// Same number, whatever the spelling: 1.0 and 1, 1e2 and 100. Plain numbers
+// and LosslessNumbers mix.
+export const canonicalNumber = (number) => normalizeNumber(String(number));
+
+// Numbers that survive a round trip stay plain numbers; only the rest are wrapped
+export const toLosslessNumber = (lexeme) => {
+  const number = numberFromLexeme(lexeme);
+  return String(number) === lexeme ? number : new LosslessNumber(lexeme);
+};
+
+// JSON.stringify that writes LosslessNumber lexemes verbatim.
+// `indent` works like JSON.stringify's third argument.
+export const stringifyJson = (value, indent = 0) => {
+  const pad = typeof indent === 'number' ? ' '.repeat(indent) : indent;
+
+  // Containers on the current path, to fail like JSON.stringify on cycles
+  const ancestors = new Set();
+
+  const write = (current, currentIndent) => {
+    if (isLosslessNumber(current)) return current.lexeme;
+    if (current === null || typeof current !== 'object') return JSON.stringify(current);
+    if (ancestors.has(current)) throw new TypeError('Converting circular structure to JSON');
+    ancestors.add(current);
+    try {
+      return writeContainer(current, currentIndent);
+    } finally {
+      ancestors.delete(current);
+    }
+  };
+
+  const writeContainer = (current, currentIndent) => {
+    const innerIndent = currentIndent + pad;
+    const open = pad ? `\n${innerIndent}` : '';
+    const separator = pad ? `,\n${innerIndent}` : ',';
+    const close = pad ? `\n${currentIndent}` : '';
+
+    if (Array.isArray(current)) {
+      if (current.length === 0) return '[]';
+      const items = current.map(item => write(item, innerIndent) ?? 'null');
+      return `[${open}${items.join(separator)}${close}]`;
+    }
+
+    const members = Object.keys(current)
+      .map(key => [key, write(current[key], innerIndent)])
+      .filter(([, json]) => json !== undefined)
+      .map(([key, json]) => `${JSON.stringify(key)}:${pad ? ' ' : ''}${json}`);
+    if (members.length === 0) return '{}';
+    return `{${open}${members.join(separator)}${close}}`;
+  };
+
+  return write(value, '');
+};
@@ -0,0 +1,26 @@
+import { parseJson } from './jsonParser';
+import { LosslessNumber, stringifyJson } from './losslessJson';
+
+const text = '{"id": 9007199254740993, "ratio": 1.0, "big": 1e10, "n": 42, "price": 0.1, "nested": [12345678901234567890]}';
+
+test('round-trips number lexemes through parse and stringify', () => {
+  const { data } = parseJson(text, { lossless: true });
+
+  expect(data.n).toBe(42);
+  expect(data.id).toBeInstanceOf(LosslessNumber);
+  expect(stringifyJson(data)).toBe(text.replace(/\s/g, ''));
+  expect(stringifyJson(data, 2)).toBe(JSON.stringify(JSON.parse(text), null, 2)
+    .replace('9007199254740992', '9007199254740993')
+    .replace('"ratio": 1', '"ratio": 1.0')
+    .replace('10000000000', '1e10')
+    .replace('12345678901234567000', '12345678901234567890'));
+});
+
+test('flags only numbers whose value changes under JSON.parse', () => {
+  expect(new LosslessNumber('9007199254740993').losesPrecision).toBe(true);
+  expect(new LosslessNumber('0.10000000000000000001').losesPrecision).toBe(true);
+  expect(new LosslessNumber('1e400').losesPrecision).toBe(true);
+  expect(new LosslessNumber('1.0').losesPrecision).toBe(false);
+  expect(new LosslessNumber('1E10').losesPrecision).toBe(false);
+  expect(new LosslessNumber('-0.50').losesPrecision).toBe(false);
+});
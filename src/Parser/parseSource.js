@@ -0,0 +1,12 @@
+import { parseJson } from './jsonParser';
+import { parseYaml } from '../Formats/yaml';
+import { parseNdjson } from '../Formats/ndjson';
+
+// One entry point for every text dialect the editor supports.
+// All parsers return the same shape as parseJson:
+//   { data, pointers, errors, duplicates, comments, aliases? }
+export const parseSource = (text, { dialect = 'json', ...options } = {}) => {
+  if (dialect === 'yaml') return parseYaml(text, options);
+  if (dialect === 'ndjson') return parseNdjson(text, options);
+  return parseJson(text, { ...options, dialect });
+};
@@ -0,0 +1,1757 @@
+// A local interpreter for jq filters (https://jqlang.github.io/jq/manual/).
+//
+// Covers the language people use to reshape JSON: paths, pipes, commas,
+// object/array construction, string interpolation and @formats, arithmetic
+// and comparisons, if/elif/else, try/catch and `?`, reduce/foreach, `as`
+// bindings (with destructuring), `def` (with filter and $value parameters),
+// assignment (=, |=, +=, ..., //=) and the usual builtins: select, map, keys,
+// to_entries, group_by, sort_by, paths, del, test, sub and so on.
+// Not covered: modules, label/break, streaming, SQL-style and date
+// formatting builtins, `input`/`inputs`.
+//
+// Filters yield a stream of outputs, so the evaluator is built from generators.
+
+// User errors (syntax, type errors, error/1). `value` is what catch receives.
+export class JqError extends Error {
+  constructor(message, value = message) {
+    super(message);
+    this.name = 'JqError';
+    this.value = value;
+  }
+}
+
+// Raised by the step budget: try/catch must not swallow it
+class JqAbort extends Error {}
+
+// Live previews re-run the filter on every keystroke, so runaway filters
+// (range(1e9), repeat(.)) are stopped instead of freezing the page.
+const MAX_STEPS = 2000000;
+let steps = 0;
+const tick = () => {
+  if (++steps > MAX_STEPS) throw new JqAbort(`The filter ran too long (stopped after ${MAX_STEPS} steps)`);
+};
+
+// ---------------------------------------------------------------------------
+// Values
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value === 'object' ? 'object' : typeof value;
+};
+
+const isTruthy = (value) => value !== null && value !== false;
+
+// Error messages quote the value like jq: number (1), object ({"a":1})
+const describe = (value) => {
+  const json = JSON.stringify(value);
+  return `${typeOf(value)} (${json.length > 30 ? `${json.slice(0, 27)}...` : json})`;
+};
+
+const toJson = (value) => JSON.stringify(value, (key, v) => (typeof v === 'number' && !Number.isFinite(v) ? (Number.isNaN(v) ? null : Math.sign(v) * Number.MAX_VALUE) : v));
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+// "__proto__" is an ordinary key in JSON
+const setOwn = (object, key, value) => {
+  Object.defineProperty(object, key, { value, enumerable: true, writable: true, configurable: true });
+  return object;
+};
+
+// [DSA] jq's total order: null < false < true < numbers < strings < arrays < objects
+const TYPE_RANK = { null: 0, boolean: 1, number: 3, string: 4, array: 5, object: 6 };
+const rank = (value) => (value === true ? 2 : TYPE_RANK[typeOf(value)]);
+
+const compare = (a, b) => {
+  const rankA = rank(a);
+  const rankB = rank(b);
+  if (rankA !== rankB) return rankA < rankB ? -1 : 1;
+  if (typeof a === 'number' || typeof a === 'string') {
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+  }
+  if (Array.isArray(a)) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const order = compare(a[i], b[i]);
+      if (order !== 0) return order;
+    }
+    return a.length === b.length ? 0 : (a.length < b.length ? -1 : 1);
+  }
+  if (a !== null && typeof a === 'object') {
+    // Objects: first by their sorted key sets, then value by value
+    const keysA = Object.keys(a).sort();
+    const keysB = Object.keys(b).sort();
+    const keyOrder = compare(keysA, keysB);
+    if (keyOrder !== 0) return keyOrder;
+    for (const key of keysA) {
+      const order = compare(a[key], b[key]);
+      if (order !== 0) return order;
+    }
+  }
+  return 0;
+};
+
+const sortValues = (values) => [...values].sort(compare);
+
+const add = (a, b) => {
+  if (a === null) return b;
+  if (b === null) return a;
+  const type = typeOf(a);
+  if (type === typeOf(b)) {
+    if (type === 'number' || type === 'string') return a + b;
+    if (type === 'array') return [...a, ...b];
+    if (type === 'object') return Object.keys(b).reduce((merged, key) => setOwn(merged, key, b[key]), { ...a });
+  }
+  throw new JqError(`${describe(a)} and ${describe(b)} cannot be added`);
+};
+
+const subtract = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (Array.isArray(a) && Array.isArray(b)) return a.filter(item => !b.some(other => compare(item, other) === 0));
+  throw new JqError(`${describe(a)} and ${describe(b)} cannot be subtracted`);
+};
+
+// Objects multiply by merging recursively
+const deepMerge = (a, b) => Object.keys(b).reduce((merged, key) => {
+  const both = typeOf(merged[key]) === 'object' && typeOf(b[key]) === 'object';
+  return setOwn(merged, key, both ? deepMerge(merged[key], b[key]) : b[key]);
+}, { ...a });
+
+const multiply = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') return a * b;
+  if (typeof a === 'string' && typeof b === 'number') return b > 0 ? a.repeat(Math.ceil(b)) : null;
+  if (typeof a === 'number' && typeof b === 'string') return multiply(b, a);
+  if (typeOf(a) === 'object' && typeOf(b) === 'object') return deepMerge(a, b);
+  throw new JqError(`${describe(a)} and ${describe(b)} cannot be multiplied`);
+};
+
+const divide = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') {
+    if (b === 0) throw new JqError(`${describe(a)} and ${describe(b)} cannot be divided because the divisor is zero`);
+    return a / b;
+  }
+  if (typeof a === 'string' && typeof b === 'string') return splitString(a, b);
+  throw new JqError(`${describe(a)} and ${describe(b)} cannot be divided`);
+};
+
+const modulo = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') {
+    const divisor = Math.trunc(b);
+    if (divisor === 0) throw new JqError(`${describe(a)} and ${describe(b)} cannot be divided because the divisor is zero`);
+    return Math.trunc(a) % divisor;
+  }
+  throw new JqError(`${describe(a)} and ${describe(b)} cannot be divided`);
+};
+
+const splitString = (text, separator) => {
+  if (text === '') return [];
+  return text.split(separator);
+};
+
+const BINARY_OPERATORS = {
+  '+': add,
+  '-': subtract,
+  '*': multiply,
+  '/': divide,
+  '%': modulo,
+  '==': (a, b) => compare(a, b) === 0,
+  '!=': (a, b) => compare(a, b) !== 0,
+  '<': (a, b) => compare(a, b) < 0,
+  '<=': (a, b) => compare(a, b) <= 0,
+  '>': (a, b) => compare(a, b) > 0,
+  '>=': (a, b) => compare(a, b) >= 0
+};
+
+const indexValue = (value, key) => {
+  if (value === null) return null;
+  if (typeOf(value) === 'object' && typeof key === 'string') return hasOwn(value, key) ? value[key] : null;
+  if (Array.isArray(value) && typeof key === 'number') {
+    const index = Math.floor(key < 0 ? value.length + key : key);
+    return index >= 0 && index < value.length ? value[index] : null;
+  }
+  if (typeof key === 'string') throw new JqError(`Cannot index ${typeOf(value)} with "${key}"`);
+  throw new JqError(`Cannot index ${typeOf(value)} with ${typeOf(key)}`);
+};
+
+const sliceValue = (value, from, to) => {
+  if (value === null) return null;
+  if (typeof value !== 'string' && !Array.isArray(value)) throw new JqError(`Cannot index ${typeOf(value)} with object`);
+  if ((from !== null && typeof from !== 'number') || (to !== null && typeof to !== 'number')) {
+    throw new JqError('Start and end indices of an array slice must be numbers');
+  }
+  const clamp = (index, fallback) => {
+    if (index === null) return fallback;
+    const resolved = index < 0 ? value.length + index : index;
+    return Math.min(Math.max(resolved, 0), value.length);
+  };
+  return value.slice(Math.floor(clamp(from, 0)), Math.ceil(clamp(to, value.length)));
+};
+
+function* iterateValue(value) {
+  if (Array.isArray(value)) yield* value;
+  else if (typeOf(value) === 'object') yield* Object.values(value);
+  else throw new JqError(`Cannot iterate over ${describe(value)}`);
+}
+
+const entriesOf = (value) => {
+  if (Array.isArray(value)) return value.map((item, index) => [index, item]);
+  if (typeOf(value) === 'object') return Object.keys(value).map(key => [key, value[key]]);
+  throw new JqError(`Cannot iterate over ${describe(value)}`);
+};
+
+const lengthOf = (value) => {
+  switch (typeOf(value)) {
+    case 'null': return 0;
+    case 'number': return Math.abs(value);
+    case 'string': return [...value].length;
+    case 'array': return value.length;
+    case 'object': return Object.keys(value).length;
+    default: throw new JqError(`${describe(value)} has no length`);
+  }
+};
+
+const contains = (a, b) => {
+  const type = typeOf(a);
+  if (type !== typeOf(b)) throw new JqError(`${describe(a)} and ${describe(b)} cannot have their containment checked`);
+  if (type === 'string') return a.includes(b);
+  if (type === 'array') return b.every(item => a.some(candidate => contains(candidate, item)));
+  if (type === 'object') return Object.keys(b).every(key => hasOwn(a, key) && contains(a[key], b[key]));
+  return compare(a, b) === 0;
+};
+
+// --- Paths (arrays of keys and indices) ---
+
+const getPath = (value, path) => path.reduce((current, key) => (current === null ? null : indexValue(current, key)), value);
+
+const setPath = (value, path, newValue) => {
+  if (path.length === 0) return newValue;
+  const [key, ...rest] = path;
+  if (typeof key === 'string') {
+    if (value !== null && typeOf(value) !== 'object') throw new JqError(`Cannot index ${typeOf(value)} with "${key}"`);
+    const base = value || {};
+    return setOwn({ ...base }, key, setPath(hasOwn(base, key) ? base[key] : null, rest, newValue));
+  }
+  if (typeof key === 'number') {
+    if (value !== null && !Array.isArray(value)) throw new JqError(`Cannot index ${typeOf(value)} with number`);
+    const copy = value ? [...value] : [];
+    const index = key < 0 ? copy.length + key : key;
+    if (index < 0) throw new JqError('Out of bounds negative array index');
+    while (copy.length < index) copy.push(null);
+    copy[index] = setPath(index < (value || []).length ? copy[index] : null, rest, newValue);
+    return copy;
+  }
+  throw new JqError(`Invalid path component ${describe(key)}`);
+};
+
+const deletePath = (value, path) => {
+  if (value === null || path.length === 0) return path.length === 0 ? null : value;
+  const [key, ...rest] = path;
+  if (rest.length > 0) {
+    const child = indexValue(value, key);
+    return child === null ? value : setPath(value, [key], deletePath(child, rest));
+  }
+  if (Array.isArray(value) && typeof key === 'number') {
+    const index = key < 0 ? value.length + key : key;
+    return value.filter((item, i) => i !== index);
+  }
+  if (typeOf(value) === 'object' && typeof key === 'string') {
+    const copy = {};
+    Object.keys(value).forEach(k => { if (k !== key) setOwn(copy, k, value[k]); });
+    return copy;
+  }
+  throw new JqError(`Cannot delete field at ${describe(key)} of ${typeOf(value)}`);
+};
+
+// Deepest / last paths first, so earlier deletions don't shift later ones
+const deletePaths = (value, paths) => sortValues(paths).reverse().reduce(deletePath, value);
+
+// --- @formats ---
+
+const utf8ToBase64 = (text) => btoa(encodeURIComponent(text).replace(/%([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16))));
+const base64ToUtf8 = (text) => decodeURIComponent(
+  atob(text).split('').map(char => `%${char.charCodeAt(0).toString(16).padStart(2, '0')}`).join('')
+);
+
+const toText = (value) => (typeof value === 'string' ? value : toJson(value));
+
+const csvField = (value) => {
+  if (typeof value === 'string') return `"${value.replace(/"/g, '""')}"`;
+  if (value === null) return '';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  throw new JqError(`${describe(value)} is not valid in a csv row`);
+};
+
+const requireArray = (value, format) => {
+  if (!Array.isArray(value)) throw new JqError(`${describe(value)} cannot be ${format}-formatted, only an array can be`);
+  return value;
+};
+
+const FORMATS = {
+  text: toText,
+  json: toJson,
+  html: value => toText(value).replace(/[<>&'"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&#39;', '"': '&quot;' })[char]),
+  uri: value => toText(value).replace(/[^A-Za-z0-9\-_.~]/g, char => encodeURIComponent(char).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)),
+  csv: value => requireArray(value, 'csv').map(csvField).join(','),
+  tsv: value => requireArray(value, 'tsv')
+    .map(item => (item === null ? '' : toText(item).replace(/[\\\t\n\r]/g, char => ({ '\\': '\\\\', '\t': '\\t', '\n': '\\n', '\r': '\\r' })[char])))
+    .join('\t'),
+  sh: value => (Array.isArray(value) ? value : [value]).map(item => {
+    if (typeof item === 'string') return `'${item.replace(/'/g, "'\\''")}'`;
+    if (item !== null && typeof item === 'object') throw new JqError(`${describe(item)} can not be escaped for shell`);
+    return toText(item);
+  }).join(' '),
+  base64: value => utf8ToBase64(toText(value)),
+  base64d: value => base64ToUtf8(toText(value))
+};
+
+const applyFormat = (name, value) => {
+  if (!FORMATS[name]) throw new JqError(`${name} is not a valid format`);
+  return FORMATS[name](value);
+};
+
+// ---------------------------------------------------------------------------
+// Lexer
+
+const KEYWORDS = new Set(['if', 'then', 'elif', 'else', 'end', 'as', 'reduce', 'foreach', 'try', 'catch', 'and', 'or', 'def', 'label', 'import', 'include']);
+
+// Longest first
+const OPERATORS = ['//=', '|=', '+=', '-=', '*=', '/=', '%=', '==', '!=', '<=', '>=', '//', '..', '|', ',', '+', '-', '*', '/', '%', '=', '<', '>', '(', ')', '[', ']', '{', '}', ':', ';', '?', '.'];
+
+const operatorAt = (source, position) => OPERATORS.find(op => source.startsWith(op, position));
+
+const syntaxError = (message, position) => new JqError(`Syntax error at column ${position + 1}: ${message}`);
+
+const IDENTIFIER = /[A-Za-z_][A-Za-z0-9_]*/y;
+const NUMBER = /(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y;
+const ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', '"': '"', '\\': '\\', '/': '/' };
+
+const matchAt = (pattern, source, position) => {
+  pattern.lastIndex = position;
+  const match = pattern.exec(source);
+  return match ? match[0] : null;
+};
+
+// String literal starting at the opening quote -> { parts, end }. Parts are
+// text and { source, offset } for each \(...) interpolation.
+const readString = (source, start) => {
+  const parts = [];
+  let text = '';
+  let i = start + 1;
+  while (i < source.length) {
+    const char = source[i];
+    if (char === '"') {
+      parts.push(text);
+      return { parts, end: i + 1 };
+    }
+    if (char !== '\\') {
+      text += char;
+      i++;
+      continue;
+    }
+    const next = source[i + 1];
+    if (next === '(') {
+      // Find the matching paren, skipping nested strings
+      let depth = 1;
+      let j = i + 2;
+      while (j < source.length && depth > 0) {
+        if (source[j] === '"') {
+          j = readString(source, j).end;
+          continue;
+        }
+        if (source[j] === '(') depth++;
+        else if (source[j] === ')') depth--;
+        j++;
+      }
+      if (depth > 0) throw syntaxError('unterminated string interpolation', i);
+      parts.push(text, { source: source.slice(i + 2, j - 1), offset: i + 2 });
+      text = '';
+      i = j;
+    } else if (next === 'u') {
+      const hex = source.slice(i + 2, i + 6);
+      if (!/^[0-9a-fA-F]{4}$/.test(hex)) throw syntaxError('invalid \\u escape', i);
+      text += String.fromCharCode(parseInt(hex, 16));
+      i += 6;
+    } else if (ESCAPES[next] !== undefined) {
+      text += ESCAPES[next];
+      i += 2;
+    } else {
+      throw syntaxError(`invalid escape \\${next}`, i);
+    }
+  }
+  throw syntaxError('unterminated string', start);
+};
+
+const tokenize = (source, offset = 0) => {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const char = source[i];
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+    if (char === '#') {
+      while (i < source.length && source[i] !== '\n') i++;
+      continue;
+    }
+    const position = offset + i;
+    if (char === '"') {
+      const { parts, end } = readString(source, i);
+      tokens.push({ type: 'string', parts: parts.map(part => (typeof part === 'string' ? part : { ...part, offset: offset + part.offset })), position });
+      i = end;
+      continue;
+    }
+    if (char === '.' && /[A-Za-z_]/.test(source[i + 1] || '')) {
+      const name = matchAt(IDENTIFIER, source, i + 1);
+      tokens.push({ type: 'field', value: name, position });
+      i += 1 + name.length;
+      continue;
+    }
+    const number = matchAt(NUMBER, source, i);
+    if (number && !(char === '.' && number === '.')) {
+      tokens.push({ type: 'number', value: Number(number), position });
+      i += number.length;
+      continue;
+    }
+    if (char === '$' || char === '@') {
+      const name = matchAt(IDENTIFIER, source, i + 1);
+      if (!name) throw syntaxError(`expected a name after ${char}`, position);
+      tokens.push({ type: char === '$' ? 'variable' : 'format', value: name, position });
+      i += 1 + name.length;
+      continue;
+    }
+    const identifier = matchAt(IDENTIFIER, source, i);
+    if (identifier) {
+      tokens.push({ type: KEYWORDS.has(identifier) ? 'keyword' : 'identifier', value: identifier, position });
+      i += identifier.length;
+      continue;
+    }
+    const operator = operatorAt(source, i);
+    if (!operator) throw syntaxError(`unexpected character ${JSON.stringify(char)}`, position);
+    tokens.push({ type: 'operator', value: operator, position });
+    i += operator.length;
+  }
+  tokens.push({ type: 'eof', position: offset + source.length });
+  return tokens;
+};
+
+// ---------------------------------------------------------------------------
+// Parser (recursive descent, precedence from jq's grammar, lowest first):
+//   | (right)   ,   // (right)   = |= += ...   or   and   == != < ...   + -   * / %
+
+const ASSIGN_OPERATORS = new Set(['=', '|=', '+=', '-=', '*=', '/=', '%=', '//=']);
+const COMPARE_OPERATORS = new Set(['==', '!=', '<', '<=', '>', '>=']);
+const IDENTITY = { type: 'identity' };
+
+// `filter` is the whole filter text; string interpolations parse a slice of it
+const parse = (source, offset = 0, filter = source) => {
+  const tokens = tokenize(source, offset);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const isOperator = (value, token = peek()) => token.type === 'operator' && token.value === value;
+  const isKeyword = (value, token = peek()) => token.type === 'keyword' && token.value === value;
+  const describeToken = (token) => (token.type === 'eof' ? 'end of filter' : JSON.stringify(token.value !== undefined ? String(token.value) : '"'));
+  const fail = (token = peek()) => syntaxError(`unexpected ${describeToken(token)}`, token.position);
+  const expectOperator = (value) => {
+    if (!isOperator(value)) throw syntaxError(`expected "${value}" but found ${describeToken(peek())}`, peek().position);
+    return next();
+  };
+  const expectKeyword = (value) => {
+    if (!isKeyword(value)) throw syntaxError(`expected "${value}" but found ${describeToken(peek())}`, peek().position);
+    return next();
+  };
+  const stringNode = (token, format = null) => ({
+    type: 'string',
+    format,
+    parts: token.parts.map(part => (typeof part === 'string' ? part : parse(part.source, part.offset, filter)))
+  });
+  // $__loc__ is where it is written: {"file": "<stdin>", "line": 1-based}
+  const variableNode = (token) => (token.value === '__loc__'
+    ? { type: 'literal', value: { file: '<stdin>', line: filter.slice(0, token.position).split('\n').length } }
+    : { type: 'variable', name: token.value });
+
+  // $x, [$first, $second] or {key: $value, $name, "k": [$x], (expr): $y}.
+  // Array patterns become entries keyed by index.
+  const parsePattern = () => {
+    const token = next();
+    if (token.type === 'variable') return { type: 'variable', name: token.value };
+    const entries = [];
+    if (isOperator('[', token)) {
+      do {
+        entries.push({ key: { type: 'literal', value: entries.length }, bindAs: null, pattern: parsePattern() });
+      } while (isOperator(',') && next());
+      expectOperator(']');
+      return { type: 'destructure', entries };
+    }
+    if (!isOperator('{', token)) throw syntaxError(`expected a $variable or a destructuring pattern but found ${describeToken(token)}`, token.position);
+    do {
+      const keyToken = next();
+      if (keyToken.type === 'variable') {
+        // {$name} and {$name: pattern}
+        const pattern = isOperator(':') && next() ? parsePattern() : null;
+        entries.push({ key: { type: 'literal', value: keyToken.value }, bindAs: keyToken.value, pattern });
+        continue;
+      }
+      let key;
+      if (keyToken.type === 'identifier' || keyToken.type === 'keyword') key = { type: 'literal', value: keyToken.value };
+      else if (keyToken.type === 'string') key = stringNode(keyToken);
+      else if (isOperator('(', keyToken)) {
+        key = parsePipe();
+        expectOperator(')');
+      } else throw fail(keyToken);
+      expectOperator(':');
+      entries.push({ key, bindAs: null, pattern: parsePattern() });
+    } while (isOperator(',') && next());
+    expectOperator('}');
+    return { type: 'destructure', entries };
+  };
+
+  // def name(params): body; rest
+  const parseDefinition = () => {
+    expectKeyword('def');
+    const nameToken = next();
+    if (nameToken.type !== 'identifier' && nameToken.type !== 'keyword') throw fail(nameToken);
+    const params = [];
+    if (isOperator('(')) {
+      next();
+      do {
+        const param = next();
+        if (param.type === 'variable') params.push({ name: param.value, isValue: true });
+        else if (param.type === 'identifier') params.push({ name: param.value, isValue: false });
+        else throw fail(param);
+      } while (isOperator(';') && next());
+      expectOperator(')');
+    }
+    expectOperator(':');
+    const body = parsePipe();
+    expectOperator(';');
+    return { type: 'def', name: nameToken.value, params, body, rest: parsePipe() };
+  };
+
+  const parsePipe = () => {
+    if (isKeyword('def')) return parseDefinition();
+    const left = parseComma();
+    if (isOperator('|')) {
+      next();
+      return { type: 'pipe', left, right: parsePipe() };
+    }
+    return left;
+  };
+
+  const parseComma = () => {
+    let left = parseAlternative();
+    while (isOperator(',')) {
+      next();
+      left = { type: 'comma', left, right: parseAlternative() };
+    }
+    return left;
+  };
+
+  const parseAlternative = () => {
+    const left = parseAssignment();
+    if (isOperator('//')) {
+      next();
+      return { type: 'alternative', left, right: parseAlternative() };
+    }
+    return left;
+  };
+
+  const parseAssignment = () => {
+    const left = parseOr();
+    if (peek().type === 'operator' && ASSIGN_OPERATORS.has(peek().value)) {
+      const operator = next().value;
+      return { type: 'assign', operator, left, right: parseAlternative() };
+    }
+    return left;
+  };
+
+  const parseOr = () => {
+    let left = parseAnd();
+    while (isKeyword('or')) {
+      next();
+      left = { type: 'or', left, right: parseAnd() };
+    }
+    return left;
+  };
+
+  const parseAnd = () => {
+    let left = parseComparison();
+    while (isKeyword('and')) {
+      next();
+      left = { type: 'and', left, right: parseComparison() };
+    }
+    return left;
+  };
+
+  const parseComparison = () => {
+    const left = parseAdditive();
+    if (peek().type === 'operator' && COMPARE_OPERATORS.has(peek().value)) {
+      const operator = next().value;
+      return { type: 'binary', operator, left, right: parseAdditive() };
+    }
+    return left;
+  };
+
+  const parseAdditive = () => {
+    let left = parseMultiplicative();
+    while (isOperator('+') || isOperator('-')) {
+      const operator = next().value;
+      left = { type: 'binary', operator, left, right: parseMultiplicative() };
+    }
+    return left;
+  };
+
+  const parseMultiplicative = () => {
+    let left = parseUnary();
+    while (isOperator('*') || isOperator('/') || isOperator('%')) {
+      const operator = next().value;
+      left = { type: 'binary', operator, left, right: parseUnary() };
+    }
+    return left;
+  };
+
+  const parseUnary = () => {
+    if (isOperator('-')) {
+      next();
+      return { type: 'negate', body: parseUnary() };
+    }
+    return parsePostfix(true);
+  };
+
+  // After "[": .[], .[i], .[from:to]
+  const parseBracketSuffix = (target) => {
+    expectOperator('[');
+    if (isOperator(']')) {
+      next();
+      return { type: 'iterate', target };
+    }
+    if (isOperator(':')) {
+      next();
+      const to = parsePipe();
+      expectOperator(']');
+      return { type: 'slice', target, from: null, to };
+    }
+    const key = parsePipe();
+    if (isOperator(':')) {
+      next();
+      const to = isOperator(']') ? null : parsePipe();
+      expectOperator(']');
+      return { type: 'slice', target, from: key, to };
+    }
+    expectOperator(']');
+    return { type: 'index', target, key };
+  };
+
+  // Term followed by .field, ."field", [..] and ? suffixes, then maybe "as $x | body"
+  const parsePostfix = (allowBinding) => {
+    let term = parseTerm();
+    for (;;) {
+      const token = peek();
+      if (token.type === 'field') {
+        next();
+        term = { type: 'index', target: term, key: { type: 'literal', value: token.value } };
+      } else if (isOperator('.') && tokens[index + 1].type === 'string') {
+        next();
+        term = { type: 'index', target: term, key: stringNode(next()) };
+      } else if (isOperator('.') && isOperator('[', tokens[index + 1])) {
+        next();
+        term = parseBracketSuffix(term);
+      } else if (isOperator('[')) {
+        term = parseBracketSuffix(term);
+      } else if (isOperator('?')) {
+        next();
+        term = { type: 'try', body: term, handler: null };
+      } else {
+        break;
+      }
+    }
+    if (allowBinding && isKeyword('as')) {
+      next();
+      const pattern = parsePattern();
+      expectOperator('|');
+      return { type: 'bind', source: term, pattern, body: parsePipe() };
+    }
+    return term;
+  };
+
+  const parseObject = () => {
+    expectOperator('{');
+    const entries = [];
+    while (!isOperator('}')) {
+      const token = next();
+      let key;
+      let value = null;
+      if (token.type === 'variable') {
+        // {$x} is {x: $x}
+        entries.push({ key: { type: 'literal', value: token.value }, value: variableNode(token) });
+      } else {
+        if (token.type === 'identifier' || token.type === 'keyword') {
+          key = { type: 'literal', value: token.value };
+        } else if (token.type === 'string') {
+          key = stringNode(token);
+        } else if (token.type === 'number') {
+          throw syntaxError('object keys must be strings; use ("key") or "key"', token.position);
+        } else if (isOperator('(', token)) {
+          key = parsePipe();
+          expectOperator(')');
+          if (!isOperator(':')) throw syntaxError('expected ":" after a computed key', peek().position);
+        } else {
+          throw fail(token);
+        }
+        if (isOperator(':')) {
+          next();
+          value = parseAlternative();
+          while (isOperator('|')) {
+            next();
+            value = { type: 'pipe', left: value, right: parseAlternative() };
+          }
+        } else {
+          // {a} is {a: .a}
+          value = { type: 'index', target: IDENTITY, key };
+        }
+        entries.push({ key, value });
+      }
+      if (!isOperator(',')) break;
+      next();
+    }
+    expectOperator('}');
+    return { type: 'object', entries };
+  };
+
+  const parseIf = () => {
+    expectKeyword('if');
+    const branches = [];
+    let condition = parsePipe();
+    expectKeyword('then');
+    branches.push({ condition, body: parsePipe() });
+    while (isKeyword('elif')) {
+      next();
+      condition = parsePipe();
+      expectKeyword('then');
+      branches.push({ condition, body: parsePipe() });
+    }
+    let otherwise = IDENTITY;
+    if (isKeyword('else')) {
+      next();
+      otherwise = parsePipe();
+    }
+    expectKeyword('end');
+    return { type: 'if', branches, otherwise };
+  };
+
+  // reduce / foreach SOURCE as $x (INIT; UPDATE[; EXTRACT])
+  const parseFold = (type) => {
+    next();
+    const source = parsePostfix(false);
+    expectKeyword('as');
+    const pattern = parsePattern();
+    expectOperator('(');
+    const init = parsePipe();
+    expectOperator(';');
+    const update = parsePipe();
+    let extract = null;
+    if (type === 'foreach' && isOperator(';')) {
+      next();
+      extract = parsePipe();
+    }
+    expectOperator(')');
+    return { type, source, pattern, init, update, extract };
+  };
+
+  const parseTerm = () => {
+    const token = peek();
+    switch (token.type) {
+      case 'number':
+        next();
+        return { type: 'literal', value: token.value };
+      case 'string':
+        next();
+        return stringNode(token);
+      case 'format':
+        next();
+        if (peek().type === 'string') return stringNode(next(), token.value);
+        return { type: 'format', name: token.value };
+      case 'field':
+        next();
+        return { type: 'index', target: IDENTITY, key: { type: 'literal', value: token.value } };
+      case 'variable':
+        next();
+        return variableNode(token);
+      case 'identifier': {
+        next();
+        if (['true', 'false', 'null'].includes(token.value) && !isOperator('(')) {
+          return { type: 'literal', value: JSON.parse(token.value) };
+        }
+        const args = [];
+        if (isOperator('(')) {
+          next();
+          do {
+            args.push(parsePipe());
+          } while (isOperator(';') && next());
+          expectOperator(')');
+        }
+        return { type: 'call', name: token.value, args };
+      }
+      case 'keyword':
+        if (token.value === 'if') return parseIf();
+        if (token.value === 'reduce' || token.value === 'foreach') return parseFold(token.value);
+        if (token.value === 'def') return parseDefinition();
+        if (token.value === 'try') {
+          next();
+          const body = parsePostfix(false);
+          let handler = null;
+          if (isKeyword('catch')) {
+            next();
+            handler = parsePostfix(false);
+          }
+          return { type: 'try', body, handler };
+        }
+        if (token.value === 'label' || token.value === 'import' || token.value === 'include') {
+          throw syntaxError(`"${token.value}" is not supported here`, token.position);
+        }
+        throw fail();
+      case 'operator':
+        if (token.value === '.') {
+          next();
+          // ."field"
+          if (peek().type === 'string') return { type: 'index', target: IDENTITY, key: stringNode(next()) };
+          return IDENTITY;
+        }
+        if (token.value === '..') {
+          next();
+          return { type: 'call', name: 'recurse', args: [] };
+        }
+        if (token.value === '(') {
+          next();
+          const body = parsePipe();
+          expectOperator(')');
+          return body;
+        }
+        if (token.value === '[') {
+          next();
+          if (isOperator(']')) {
+            next();
+            return { type: 'array', body: null };
+          }
+          const body = parsePipe();
+          expectOperator(']');
+          return { type: 'array', body };
+        }
+        if (token.value === '{') return parseObject();
+        throw fail();
+      default:
+        throw fail();
+    }
+  };
+
+  const ast = parsePipe();
+  if (peek().type !== 'eof') throw fail();
+  return ast;
+};
+
+// ---------------------------------------------------------------------------
+// Evaluator
+//
+// Environments are linked frames, each binding one $variable or one
+// function (name/arity -> closure { params, body, env }).
+
+const bindVariable = (env, name, value) => ({ parent: env, variable: name, value });
+const bindFunction = (env, key, closure) => ({ parent: env, functionKey: key, closure });
+
+const lookupVariable = (env, name) => {
+  for (let frame = env; frame; frame = frame.parent) {
+    if (frame.variable === name) return frame.value;
+  }
+  if (name === 'ENV') return {};
+  throw new JqError(`$${name} is not defined`);
+};
+
+const lookupFunction = (env, key) => {
+  for (let frame = env; frame; frame = frame.parent) {
+    if (frame.functionKey === key) return frame.closure;
+  }
+  return null;
+};
+
+// def: the closure sees itself, so definitions can recurse
+const defineFunction = (env, node) => {
+  const closure = { params: node.params, body: node.body, env: null };
+  const frame = bindFunction(env, `${node.name}/${node.params.length}`, closure);
+  closure.env = frame;
+  return frame;
+};
+
+const collect = (node, input, env) => [...evaluate(node, input, env)];
+
+const firstOutput = (node, input, env) => {
+  for (const value of evaluate(node, input, env)) return { value };
+  return null;
+};
+
+// Every combination of the outputs of `nodes` (last one varies fastest)
+function* cartesian(nodes, input, env, prefix = []) {
+  if (prefix.length === nodes.length) {
+    yield prefix;
+    return;
+  }
+  for (const value of evaluate(nodes[prefix.length], input, env)) {
+    yield* cartesian(nodes, input, env, [...prefix, value]);
+  }
+}
+
+// Environment for a call to a def'd function: filter params become
+// zero-arity closures over the caller's env, $params are bound per value.
+function* callEnvironments(closure, args, input, callerEnv) {
+  let env = closure.env;
+  const valueParams = [];
+  closure.params.forEach((param, i) => {
+    if (param.isValue) valueParams.push(i);
+    else env = bindFunction(env, `${param.name}/0`, { params: [], body: args[i], env: callerEnv });
+  });
+  if (valueParams.length === 0) {
+    yield env;
+    return;
+  }
+  for (const values of cartesian(valueParams.map(i => args[i]), input, callerEnv)) {
+    let valueEnv = env;
+    valueParams.forEach((paramIndex, i) => {
+      const { name } = closure.params[paramIndex];
+      valueEnv = bindVariable(valueEnv, name, values[i]);
+      valueEnv = bindFunction(valueEnv, `${name}/0`, { params: [], body: { type: 'literal', value: values[i] }, env: valueEnv });
+    });
+    yield valueEnv;
+  }
+}
+
+function* evaluate(node, input, env) {
+  tick();
+  switch (node.type) {
+    case 'identity':
+      yield input;
+      return;
+
+    case 'literal':
+      yield node.value;
+      return;
+
+    case 'variable':
+      yield lookupVariable(env, node.name);
+      return;
+
+    case 'index':
+      for (const target of evaluate(node.target, input, env)) {
+        for (const key of evaluate(node.key, input, env)) yield indexValue(target, key);
+      }
+      return;
+
+    case 'slice':
+      for (const target of evaluate(node.target, input, env)) {
+        for (const to of node.to ? evaluate(node.to, input, env) : [null]) {
+          for (const from of node.from ? evaluate(node.from, input, env) : [null]) yield sliceValue(target, from, to);
+        }
+      }
+      return;
+
+    case 'iterate':
+      for (const target of evaluate(node.target, input, env)) yield* iterateValue(target);
+      return;
+
+    case 'pipe':
+      for (const value of evaluate(node.left, input, env)) yield* evaluate(node.right, value, env);
+      return;
+
+    case 'comma':
+      yield* evaluate(node.left, input, env);
+      yield* evaluate(node.right, input, env);
+      return;
+
+    case 'array':
+      yield node.body ? collect(node.body, input, env) : [];
+      return;
+
+    case 'object':
+      yield* evaluateObject(node.entries, input, env, {});
+      return;
+
+    case 'string':
+      yield* evaluateString(node, input, env);
+      return;
+
+    case 'format':
+      yield applyFormat(node.name, input);
+      return;
+
+    case 'negate':
+      for (const value of evaluate(node.body, input, env)) {
+        if (typeof value !== 'number') throw new JqError(`${describe(value)} cannot be negated`);
+        yield -value;
+      }
+      return;
+
+    case 'binary':
+      // jq varies the left operand fastest
+      for (const right of evaluate(node.right, input, env)) {
+        for (const left of evaluate(node.left, input, env)) yield BINARY_OPERATORS[node.operator](left, right);
+      }
+      return;
+
+    case 'and':
+    case 'or':
+      for (const left of evaluate(node.left, input, env)) {
+        if (node.type === 'and' ? !isTruthy(left) : isTruthy(left)) {
+          yield node.type === 'or';
+          continue;
+        }
+        for (const right of evaluate(node.right, input, env)) yield isTruthy(right);
+      }
+      return;
+
+    case 'alternative': {
+      // Errors on the left count as "no value"
+      const values = [];
+      try {
+        for (const value of evaluate(node.left, input, env)) if (isTruthy(value)) values.push(value);
+      } catch (error) {
+        if (!(error instanceof JqError)) throw error;
+      }
+      if (values.length > 0) yield* values;
+      else yield* evaluate(node.right, input, env);
+      return;
+    }
+
+    case 'if':
+      yield* evaluateIf(node, 0, input, env);
+      return;
+
+    case 'try':
+      try {
+        yield* evaluate(node.body, input, env);
+      } catch (error) {
+        if (!(error instanceof JqError)) throw error;
+        if (node.handler) yield* evaluate(node.handler, error.value, env);
+      }
+      return;
+
+    case 'bind':
+      for (const value of evaluate(node.source, input, env)) {
+        for (const boundEnv of destructure(node.pattern, value, input, env)) yield* evaluate(node.body, input, boundEnv);
+      }
+      return;
+
+    case 'reduce':
+      for (const init of evaluate(node.init, input, env)) {
+        let accumulator = init;
+        for (const item of evaluate(node.source, input, env)) {
+          for (const itemEnv of destructure(node.pattern, item, input, env)) {
+            const outputs = collect(node.update, accumulator, itemEnv);
+            accumulator = outputs.length > 0 ? outputs[outputs.length - 1] : null;
+          }
+        }
+        yield accumulator;
+      }
+      return;
+
+    case 'foreach':
+      for (const init of evaluate(node.init, input, env)) {
+        let state = init;
+        for (const item of evaluate(node.source, input, env)) {
+          for (const itemEnv of destructure(node.pattern, item, input, env)) {
+            for (const next of collect(node.update, state, itemEnv)) {
+              state = next;
+              if (node.extract) yield* evaluate(node.extract, next, itemEnv);
+              else yield next;
+            }
+          }
+        }
+      }
+      return;
+
+    case 'def':
+      yield* evaluate(node.rest, input, defineFunction(env, node));
+      return;
+
+    case 'assign':
+      yield* evaluateAssignment(node, input, env);
+      return;
+
+    case 'call':
+      yield* evaluateCall(node, input, env);
+      return;
+
+    default:
+      throw new JqError(`Unknown expression ${node.type}`);
+  }
+}
+
+// Environments binding a pattern's variables (computed keys may yield several)
+function* destructure(pattern, value, input, env, entryIndex = 0) {
+  if (pattern.type === 'variable') {
+    yield bindVariable(env, pattern.name, value);
+    return;
+  }
+  if (entryIndex === pattern.entries.length) {
+    yield env;
+    return;
+  }
+  const { key, bindAs, pattern: inner } = pattern.entries[entryIndex];
+  for (const keyValue of evaluate(key, input, env)) {
+    const field = indexValue(value, keyValue);
+    const entryEnv = bindAs ? bindVariable(env, bindAs, field) : env;
+    for (const innerEnv of inner ? destructure(inner, field, input, entryEnv) : [entryEnv]) {
+      yield* destructure(pattern, value, input, innerEnv, entryIndex + 1);
+    }
+  }
+}
+
+function* evaluateIf(node, branchIndex, input, env) {
+  if (branchIndex === node.branches.length) {
+    yield* evaluate(node.otherwise, input, env);
+    return;
+  }
+  const branch = node.branches[branchIndex];
+  for (const condition of evaluate(branch.condition, input, env)) {
+    if (isTruthy(condition)) yield* evaluate(branch.body, input, env);
+    else yield* evaluateIf(node, branchIndex + 1, input, env);
+  }
+}
+
+function* evaluateObject(entries, input, env, partial, entryIndex = 0) {
+  if (entryIndex === entries.length) {
+    yield partial;
+    return;
+  }
+  const { key, value } = entries[entryIndex];
+  for (const keyValue of evaluate(key, input, env)) {
+    if (typeof keyValue !== 'string') throw new JqError(`Object keys must be strings, not ${describe(keyValue)}`);
+    for (const fieldValue of evaluate(value, input, env)) {
+      yield* evaluateObject(entries, input, env, setOwn({ ...partial }, keyValue, fieldValue), entryIndex + 1);
+    }
+  }
+}
+
+function* evaluateString(node, input, env) {
+  const expressions = node.parts.filter(part => typeof part !== 'string');
+  if (expressions.length === 0) {
+    yield node.parts[0];
+    return;
+  }
+  for (const values of cartesian(expressions, input, env)) {
+    let valueIndex = 0;
+    yield node.parts.map(part => {
+      if (typeof part === 'string') return part;
+      const value = values[valueIndex++];
+      return node.format ? applyFormat(node.format, value) : toText(value);
+    }).join('');
+  }
+}
+
+function* evaluateAssignment(node, input, env) {
+  const paths = [...evaluatePaths(node.left, [[], input], env)].map(([path]) => path);
+
+  if (node.operator === '|=') {
+    let result = input;
+    const deleted = [];
+    paths.forEach(path => {
+      const output = firstOutput(node.right, getPath(result, path), env);
+      if (output) result = setPath(result, path, output.value);
+      else deleted.push(path);
+    });
+    yield deleted.length > 0 ? deletePaths(result, deleted) : result;
+    return;
+  }
+
+  // =, +=, //= ...: the right side sees the original input
+  for (const value of evaluate(node.right, input, env)) {
+    yield paths.reduce((result, path) => {
+      if (node.operator === '=') return setPath(result, path, value);
+      const current = getPath(result, path);
+      if (node.operator === '//=') return setPath(result, path, isTruthy(current) ? current : value);
+      return setPath(result, path, BINARY_OPERATORS[node.operator.slice(0, -1)](current, value));
+    }, input);
+  }
+}
+
+function* evaluateCall(node, input, env) {
+  const key = `${node.name}/${node.args.length}`;
+  const closure = lookupFunction(env, key);
+  if (closure) {
+    for (const callEnv of callEnvironments(closure, node.args, input, env)) yield* evaluate(closure.body, input, callEnv);
+    return;
+  }
+  const native = NATIVE_FUNCTIONS[key];
+  if (!native) throw new JqError(`${key} is not defined`);
+  yield* native(input, node.args, env);
+}
+
+// [DSA] Path mode: like evaluate, but every output is a [path, value] pair,
+// so assignments, path(f), del(f) and paths know *where* values are.
+function* evaluatePaths(node, [path, value], env) {
+  tick();
+  switch (node.type) {
+    case 'identity':
+      yield [path, value];
+      return;
+
+    case 'index':
+      for (const [targetPath, target] of evaluatePaths(node.target, [path, value], env)) {
+        for (const key of evaluate(node.key, value, env)) yield [[...targetPath, key], indexValue(target, key)];
+      }
+      return;
+
+    case 'iterate':
+      for (const [targetPath, target] of evaluatePaths(node.target, [path, value], env)) {
+        if (target === null) continue;
+        for (const [key, item] of entriesOf(target)) yield [[...targetPath, key], item];
+      }
+      return;
+
+    case 'pipe':
+      for (const pair of evaluatePaths(node.left, [path, value], env)) yield* evaluatePaths(node.right, pair, env);
+      return;
+
+    case 'comma':
+      yield* evaluatePaths(node.left, [path, value], env);
+      yield* evaluatePaths(node.right, [path, value], env);
+      return;
+
+    case 'try':
+      try {
+        yield* evaluatePaths(node.body, [path, value], env);
+      } catch (error) {
+        if (!(error instanceof JqError)) throw error;
+      }
+      return;
+
+    case 'if': {
+      const walk = function* (branchIndex) {
+        if (branchIndex === node.branches.length) {
+          yield* evaluatePaths(node.otherwise, [path, value], env);
+          return;
+        }
+        const branch = node.branches[branchIndex];
+        for (const condition of evaluate(branch.condition, value, env)) {
+          if (isTruthy(condition)) yield* evaluatePaths(branch.body, [path, value], env);
+          else yield* walk(branchIndex + 1);
+        }
+      };
+      yield* walk(0);
+      return;
+    }
+
+    case 'alternative': {
+      const pairs = [];
+      try {
+        for (const pair of evaluatePaths(node.left, [path, value], env)) if (isTruthy(pair[1])) pairs.push(pair);
+      } catch (error) {
+        if (!(error instanceof JqError)) throw error;
+      }
+      if (pairs.length > 0) yield* pairs;
+      else yield* evaluatePaths(node.right, [path, value], env);
+      return;
+    }
+
+    case 'bind':
+      for (const bound of evaluate(node.source, value, env)) {
+        for (const boundEnv of destructure(node.pattern, bound, value, env)) yield* evaluatePaths(node.body, [path, value], boundEnv);
+      }
+      return;
+
+    case 'def':
+      yield* evaluatePaths(node.rest, [path, value], defineFunction(env, node));
+      return;
+
+    case 'literal':
+      // path(null) / path(empty)-style no-ops: only null is allowed
+      if (node.value === null) {
+        yield [path, null];
+        return;
+      }
+      break;
+
+    case 'call': {
+      const key = `${node.name}/${node.args.length}`;
+      const closure = lookupFunction(env, key);
+      if (closure) {
+        for (const callEnv of callEnvironments(closure, node.args, value, env)) yield* evaluatePaths(closure.body, [path, value], callEnv);
+        return;
+      }
+      if (NATIVE_PATHS[key]) {
+        yield* NATIVE_PATHS[key]([path, value], node.args, env);
+        return;
+      }
+      break;
+    }
+
+    default:
+      break;
+  }
+  throw new JqError(`Invalid path expression (${node.type === 'call' ? `${node.name}/${node.args.length}` : node.type})`);
+}
+
+// ---------------------------------------------------------------------------
+// Builtins written in JS. Each gets (input, argument ASTs, env).
+
+const requireString = (value, name) => {
+  if (typeof value !== 'string') throw new JqError(`${describe(value)} cannot be used with ${name}, it needs a string`);
+  return value;
+};
+
+const requireNumber = (value, name) => {
+  if (typeof value !== 'number') throw new JqError(`${describe(value)} number required by ${name}`);
+  return value;
+};
+
+const mathFunction = (name, fn) => function* (input) {
+  yield fn(requireNumber(input, name));
+};
+
+const toRegExp = (pattern, flags, name) => {
+  requireString(pattern, name);
+  const jsFlags = [...new Set((flags || '').split('').filter(flag => 'gis'.includes(flag)))].join('');
+  try {
+    return new RegExp(pattern, jsFlags);
+  } catch (error) {
+    throw new JqError(`${JSON.stringify(pattern)} is not a valid regex: ${error.message}`);
+  }
+};
+
+// Named capture groups of a match, as sub/gsub and capture see them
+const captureObject = (match) => ({ ...(match.groups || {}) });
+
+// [DSA] Decorate-sort-undecorate: keys from f, compared with jq's order
+const keyedItems = (input, fnNode, env, name) => {
+  if (!Array.isArray(input)) throw new JqError(`Cannot ${name} ${describe(input)}, it is not an array`);
+  return input.map((item, index) => ({ item, key: collect(fnNode, item, env), index }));
+};
+
+const sortKeyed = (keyed) => [...keyed].sort((a, b) => compare(a.key, b.key) || a.index - b.index);
+
+const groupKeyed = (keyed) => sortKeyed(keyed).reduce((groups, entry) => {
+  const last = groups[groups.length - 1];
+  if (last && compare(last.key, entry.key) === 0) last.items.push(entry.item);
+  else groups.push({ key: entry.key, items: [entry.item] });
+  return groups;
+}, []);
+
+function* substitute(input, [patternNode, replacementNode, flagsNode], env, global) {
+  const text = requireString(input, global ? 'gsub' : 'sub');
+  for (const flags of flagsNode ? evaluate(flagsNode, input, env) : [null]) {
+    for (const pattern of evaluate(patternNode, input, env)) {
+      const regex = toRegExp(pattern, `${flags || ''}${global ? 'g' : ''}`, 'sub');
+      const matches = [];
+      if (regex.global) {
+        for (const match of text.matchAll(regex)) matches.push(match);
+      } else {
+        const match = regex.exec(text);
+        if (match) matches.push(match);
+      }
+      // The replacement is a filter over the captures: "\(.name)"
+      let result = '';
+      let last = 0;
+      for (const match of matches) {
+        const replacement = firstOutput(replacementNode, captureObject(match), env);
+        result += text.slice(last, match.index) + (replacement ? requireString(replacement.value, 'sub') : '');
+        last = match.index + match[0].length;
+      }
+      yield result + text.slice(last);
+    }
+  }
+}
+
+const NATIVE_FUNCTIONS = {
+  'empty/0': () => [],
+  'error/0': (input) => {
+    throw new JqError(typeof input === 'string' ? input : `${toJson(input)} (not a string)`, input);
+  },
+  'error/1': (input, [messageNode], env) => {
+    const output = firstOutput(messageNode, input, env);
+    if (!output) return [];
+    const message = output.value;
+    throw new JqError(typeof message === 'string' ? message : `${toJson(message)} (not a string)`, message);
+  },
+  'not/0': function* (input) { yield !isTruthy(input); },
+  'length/0': function* (input) { yield lengthOf(input); },
+  'utf8bytelength/0': function* (input) {
+    yield encodeURIComponent(requireString(input, 'utf8bytelength')).replace(/%[0-9A-F]{2}/g, '_').length;
+  },
+  'type/0': function* (input) { yield typeOf(input); },
+  'keys/0': function* (input) { yield entriesOf(input).map(([key]) => key).sort((a, b) => compare(a, b)); },
+  'keys_unsorted/0': function* (input) { yield entriesOf(input).map(([key]) => key); },
+  'has/1': function* (input, [keyNode], env) {
+    for (const key of evaluate(keyNode, input, env)) {
+      if (typeOf(input) === 'object' && typeof key === 'string') yield hasOwn(input, key);
+      else if (Array.isArray(input) && typeof key === 'number') yield key >= 0 && key < input.length;
+      else throw new JqError(`Cannot check whether ${typeOf(input)} has a ${typeOf(key)} key`);
+    }
+  },
+  'contains/1': function* (input, [node], env) {
+    for (const value of evaluate(node, input, env)) yield contains(input, value);
+  },
+  'tostring/0': function* (input) { yield toText(input); },
+  'tojson/0': function* (input) { yield toJson(input); },
+  'fromjson/0': function* (input) {
+    try {
+      yield JSON.parse(requireString(input, 'fromjson'));
+    } catch (error) {
+      if (error instanceof JqError) throw error;
+      throw new JqError(`${input} (while parsing '${input}')`);
+    }
+  },
+  'tonumber/0': function* (input) {
+    if (typeof input === 'number') {
+      yield input;
+      return;
+    }
+    const number = typeof input === 'string' && input.trim() !== '' ? Number(input) : NaN;
+    if (Number.isNaN(number)) throw new JqError(`Cannot parse ${describe(input)} as a number`);
+    yield number;
+  },
+  'ascii_downcase/0': function* (input) { yield requireString(input, 'ascii_downcase').replace(/[A-Z]/g, char => char.toLowerCase()); },
+  'ascii_upcase/0': function* (input) { yield requireString(input, 'ascii_upcase').replace(/[a-z]/g, char => char.toUpperCase()); },
+  'explode/0': function* (input) { yield [...requireString(input, 'explode')].map(char => char.codePointAt(0)); },
+  'implode/0': function* (input) {
+    if (!Array.isArray(input)) throw new JqError('implode input must be an array');
+    yield String.fromCodePoint(...input);
+  },
+  'ltrimstr/1': function* (input, [node], env) {
+    for (const prefix of evaluate(node, input, env)) {
+      yield typeof input === 'string' && typeof prefix === 'string' && input.startsWith(prefix) ? input.slice(prefix.length) : input;
+    }
+  },
+  'rtrimstr/1': function* (input, [node], env) {
+    for (const suffix of evaluate(node, input, env)) {
+      yield typeof input === 'string' && typeof suffix === 'string' && suffix !== '' && input.endsWith(suffix)
+        ? input.slice(0, -suffix.length)
+        : input;
+    }
+  },
+  'startswith/1': function* (input, [node], env) {
+    for (const prefix of evaluate(node, input, env)) yield requireString(input, 'startswith').startsWith(requireString(prefix, 'startswith'));
+  },
+  'endswith/1': function* (input, [node], env) {
+    for (const suffix of evaluate(node, input, env)) yield requireString(input, 'endswith').endsWith(requireString(suffix, 'endswith'));
+  },
+  'trim/0': function* (input) { yield requireString(input, 'trim').trim(); },
+  'ltrim/0': function* (input) { yield requireString(input, 'ltrim').trimStart(); },
+  'rtrim/0': function* (input) { yield requireString(input, 'rtrim').trimEnd(); },
+  'split/1': function* (input, [node], env) {
+    for (const separator of evaluate(node, input, env)) yield splitString(requireString(input, 'split'), requireString(separator, 'split'));
+  },
+  'split/2': function* (input, [patternNode, flagsNode], env) {
+    for (const flags of evaluate(flagsNode, input, env)) {
+      for (const pattern of evaluate(patternNode, input, env)) yield requireString(input, 'split').split(toRegExp(pattern, flags, 'split'));
+    }
+  },
+  'test/1': function* (input, [patternNode], env) {
+    for (const pattern of evaluate(patternNode, input, env)) yield toRegExp(pattern, '', 'test').test(requireString(input, 'test'));
+  },
+  'test/2': function* (input, [patternNode, flagsNode], env) {
+    for (const flags of evaluate(flagsNode, input, env)) {
+      for (const pattern of evaluate(patternNode, input, env)) yield toRegExp(pattern, flags, 'test').test(requireString(input, 'test'));
+    }
+  },
+  'capture/1': function* (input, [patternNode], env) {
+    for (const pattern of evaluate(patternNode, input, env)) {
+      const match = toRegExp(pattern, '', 'capture').exec(requireString(input, 'capture'));
+      if (match) yield captureObject(match);
+    }
+  },
+  'sub/2': (input, args, env) => substitute(input, args, env, false),
+  'sub/3': (input, args, env) => substitute(input, args, env, false),
+  'gsub/2': (input, args, env) => substitute(input, args, env, true),
+  'gsub/3': (input, args, env) => substitute(input, args, env, true),
+  'floor/0': mathFunction('floor', Math.floor),
+  'ceil/0': mathFunction('ceil', Math.ceil),
+  'round/0': mathFunction('round', Math.round),
+  'sqrt/0': mathFunction('sqrt', Math.sqrt),
+  'fabs/0': mathFunction('fabs', Math.abs),
+  'abs/0': mathFunction('abs', Math.abs),
+  'log/0': mathFunction('log', Math.log),
+  'log2/0': mathFunction('log2', Math.log2),
+  'log10/0': mathFunction('log10', Math.log10),
+  'exp/0': mathFunction('exp', Math.exp),
+  'exp10/0': mathFunction('exp10', x => 10 ** x),
+  'pow/2': function* (input, [baseNode, exponentNode], env) {
+    for (const exponent of evaluate(exponentNode, input, env)) {
+      for (const base of evaluate(baseNode, input, env)) yield requireNumber(base, 'pow') ** requireNumber(exponent, 'pow');
+    }
+  },
+  'infinite/0': function* () { yield Infinity; },
+  'nan/0': function* () { yield NaN; },
+  'isinfinite/0': function* (input) { yield requireNumber(input, 'isinfinite') === Infinity || input === -Infinity; },
+  'isnan/0': function* (input) { yield Number.isNaN(requireNumber(input, 'isnan')); },
+  'now/0': function* () { yield Date.now() / 1000; },
+  'todate/0': function* (input) { yield new Date(requireNumber(input, 'todate') * 1000).toISOString().replace(/\.\d{3}Z$/, 'Z'); },
+  'fromdate/0': function* (input) {
+    const time = Date.parse(requireString(input, 'fromdate'));
+    if (Number.isNaN(time)) throw new JqError(`date "${input}" does not match format "%Y-%m-%dT%H:%M:%SZ"`);
+    yield Math.floor(time / 1000);
+  },
+  'range/1': function* (input, [toNode], env) {
+    for (const to of evaluate(toNode, input, env)) {
+      for (let i = 0; i < requireNumber(to, 'range'); i++) {
+        tick();
+        yield i;
+      }
+    }
+  },
+  'range/2': function* (input, [fromNode, toNode], env) {
+    for (const to of evaluate(toNode, input, env)) {
+      for (const from of evaluate(fromNode, input, env)) {
+        for (let i = requireNumber(from, 'range'); i < requireNumber(to, 'range'); i++) {
+          tick();
+          yield i;
+        }
+      }
+    }
+  },
+  'range/3': function* (input, [fromNode, toNode, byNode], env) {
+    for (const by of evaluate(byNode, input, env)) {
+      for (const to of evaluate(toNode, input, env)) {
+        for (const from of evaluate(fromNode, input, env)) {
+          if (by === 0) continue;
+          for (let i = from; by > 0 ? i < to : i > to; i += by) {
+            tick();
+            yield i;
+          }
+        }
+      }
+    }
+  },
+  'sort/0': function* (input) {
+    if (!Array.isArray(input)) throw new JqError(`${describe(input)} cannot be sorted, as it is not an array`);
+    yield sortValues(input);
+  },
+  'sort_by/1': function* (input, [fnNode], env) { yield sortKeyed(keyedItems(input, fnNode, env, 'sort')).map(entry => entry.item); },
+  'group_by/1': function* (input, [fnNode], env) { yield groupKeyed(keyedItems(input, fnNode, env, 'group')).map(group => group.items); },
+  'unique_by/1': function* (input, [fnNode], env) { yield groupKeyed(keyedItems(input, fnNode, env, 'unique')).map(group => group.items[0]); },
+  'unique/0': function* (input) {
+    if (!Array.isArray(input)) throw new JqError(`${describe(input)} cannot be sorted, as it is not an array`);
+    yield sortValues(input).filter((item, i, sorted) => i === 0 || compare(sorted[i - 1], item) !== 0);
+  },
+  'min_by/1': function* (input, [fnNode], env) {
+    const sorted = sortKeyed(keyedItems(input, fnNode, env, 'find the minimum of'));
+    yield sorted.length > 0 ? sorted[0].item : null;
+  },
+  'max_by/1': function* (input, [fnNode], env) {
+    // The last of equal maxima, like jq
+    const keyed = keyedItems(input, fnNode, env, 'find the maximum of');
+    yield keyed.reduce((best, entry) => (best === null || compare(entry.key, best.key) >= 0 ? entry : best), null)?.item ?? null;
+  },
+  'reverse/0': function* (input) {
+    if (typeof input === 'string') yield [...input].reverse().join('');
+    else if (input === null) yield [];
+    else if (Array.isArray(input)) yield [...input].reverse();
+    else throw new JqError(`Cannot reverse ${describe(input)}`);
+  },
+  'flatten/1': function* (input, [depthNode], env) {
+    for (const depth of evaluate(depthNode, input, env)) {
+      if (requireNumber(depth, 'flatten') < 0) throw new JqError('flatten depth must not be negative');
+      if (!Array.isArray(input)) throw new JqError(`Cannot flatten ${describe(input)}`);
+      yield input.flat(depth);
+    }
+  },
+  'indices/1': function* (input, [node], env) {
+    for (const target of evaluate(node, input, env)) {
+      if (input === null) {
+        yield null;
+      } else if (typeof input === 'string' && typeof target === 'string') {
+        const found = [];
+        for (let i = input.indexOf(target); target !== '' && i !== -1; i = input.indexOf(target, i + 1)) found.push(i);
+        yield found;
+      } else if (Array.isArray(input)) {
+        // An array argument is a sub-array to find, anything else an element
+        const needle = Array.isArray(target) ? target : [target];
+        yield needle.length === 0 ? null : input
+          .map((item, i) => i)
+          .filter(i => needle.every((item, offset) => i + offset < input.length && compare(input[i + offset], item) === 0));
+      } else {
+        throw new JqError(`Cannot determine the indices of ${describe(target)} in ${describe(input)}`);
+      }
+    }
+  },
+  'tostream/0': () => {
+    throw new JqError('tostream is not supported');
+  },
+  'getpath/1': function* (input, [pathNode], env) {
+    for (const path of evaluate(pathNode, input, env)) {
+      try {
+        yield getPath(input, path);
+      } catch (error) {
+        yield null;
+      }
+    }
+  },
+  'setpath/2': function* (input, [pathNode, valueNode], env) {
+    for (const value of evaluate(valueNode, input, env)) {
+      for (const path of evaluate(pathNode, input, env)) yield setPath(input, path, value);
+    }
+  },
+  'delpaths/1': function* (input, [pathsNode], env) {
+    for (const paths of evaluate(pathsNode, input, env)) yield deletePaths(input, paths);
+  },
+  'path/1': function* (input, [node], env) {
+    for (const [path] of evaluatePaths(node, [[], input], env)) yield path;
+  },
+  'isempty/1': function* (input, [node], env) {
+    yield firstOutput(node, input, env) === null;
+  },
+  'first/1': function* (input, [node], env) {
+    const output = firstOutput(node, input, env);
+    if (output) yield output.value;
+  },
+  'last/1': function* (input, [node], env) {
+    const outputs = collect(node, input, env);
+    if (outputs.length > 0) yield outputs[outputs.length - 1];
+  },
+  'limit/2': function* (input, [countNode, node], env) {
+    for (const count of evaluate(countNode, input, env)) {
+      if (count <= 0) continue;
+      let emitted = 0;
+      for (const value of evaluate(node, input, env)) {
+        yield value;
+        if (++emitted >= count) break;
+      }
+    }
+  },
+  'min/0': function* (input) {
+    if (!Array.isArray(input)) throw new JqError(`Cannot find the minimum of ${describe(input)}`);
+    yield input.length > 0 ? sortValues(input)[0] : null;
+  },
+  'max/0': function* (input) {
+    if (!Array.isArray(input)) throw new JqError(`Cannot find the maximum of ${describe(input)}`);
+    yield input.length > 0 ? sortValues(input)[input.length - 1] : null;
+  },
+  'env/0': function* () { yield {}; },
+  'debug/0': function* (input) { yield input; },
+  'stderr/0': function* (input) { yield input; },
+  'input/0': () => {
+    throw new JqError('input is not supported: each record is filtered on its own');
+  }
+};
+
+// Builtins that can appear inside path expressions (path(f), f |= g, del(f))
+const NATIVE_PATHS = {
+  'empty/0': () => [],
+  'error/0': NATIVE_FUNCTIONS['error/0'],
+  'getpath/1': function* ([path, value], [pathNode], env) {
+    for (const subPath of evaluate(pathNode, value, env)) yield [[...path, ...subPath], getPath(value, subPath)];
+  },
+  'first/1': function* (pair, [node], env) {
+    for (const result of evaluatePaths(node, pair, env)) {
+      yield result;
+      return;
+    }
+  },
+  'last/1': function* (pair, [node], env) {
+    const results = [...evaluatePaths(node, pair, env)];
+    if (results.length > 0) yield results[results.length - 1];
+  },
+  'limit/2': function* (pair, [countNode, node], env) {
+    for (const count of evaluate(countNode, pair[1], env)) {
+      if (count <= 0) continue;
+      let emitted = 0;
+      for (const result of evaluatePaths(node, pair, env)) {
+        yield result;
+        if (++emitted >= count) break;
+      }
+    }
+  }
+};
+
+// Builtins written in jq, as jq itself defines most of them
+const PRELUDE = `
+def select(f): if f then . else empty end;
+def values: select(. != null);
+def nulls: select(. == null);
+def booleans: select(type == "boolean");
+def numbers: select(type == "number");
+def strings: select(type == "string");
+def arrays: select(type == "array");
+def objects: select(type == "object");
+def iterables: select(type == "array" or type == "object");
+def scalars: select(type != "array" and type != "object");
+def map(f): [.[] | f];
+def map_values(f): .[] |= f;
+def recurse(f): def r: ., (f | r); r;
+def recurse(f; cond): def r: ., (f | select(cond) | r); r;
+def recurse: recurse(.[]?);
+def to_entries: [keys_unsorted[] as $k | {key: $k, value: .[$k]}];
+def from_entries: reduce .[] as $x ({};
+  . + { ($x | if type == "object" then (if has("key") then .key elif has("k") then .k elif has("name") then .name elif has("Name") then .Name elif has("Key") then .Key else .K end) else . end
+        | if type == "string" then . elif type == "null" then "null" else tojson end):
+        ($x | if type == "object" then (if has("value") then .value elif has("v") then .v else .Value end) else null end) });
+def with_entries(f): to_entries | map(f) | from_entries;
+def add(f): reduce f as $x (null; . + $x);
+def add: add(.[]);
+def any: reduce .[] as $x (false; . or $x);
+def all: reduce .[] as $x (true; . and $x);
+def any(f): reduce (.[] | f) as $x (false; . or $x);
+def all(f): reduce (.[] | f) as $x (true; . and $x);
+def any(g; cond): isempty(first(g | cond | select(.))) | not;
+def all(g; cond): isempty(first(g | cond | select(. | not)));
+def join($x): reduce .[] as $i (null; (if . == null then "" else . + $x end) + ($i | if . == null then "" elif type == "string" then . else tojson end)) // "";
+def flatten: flatten(1e9);
+def first: .[0];
+def last: .[-1];
+def nth($n): .[$n];
+def nth($n; f): if $n < 0 then error("Out of bounds negative array index") else last(limit($n + 1; f)) end;
+def index($i): indices($i) | .[0];
+def rindex($i): indices($i) | .[-1:][0];
+def in(xs): . as $x | xs | has($x);
+def inside(xs): . as $x | xs | contains($x);
+def paths: path(..) | select(length > 0);
+def paths(node_filter): . as $dot | paths | select(. as $p | $dot | getpath($p) | node_filter);
+def leaf_paths: paths(scalars);
+def del(f): delpaths([path(f)]);
+def to_array: if type == "array" then . else [.] end;
+def walk(f): def w: if type == "object" then map_values(w) elif type == "array" then map(w) else . end | f; w;
+def until(cond; update): def _until: if cond then . else (update | _until) end; _until;
+def while(cond; update): def _while: if cond then ., (update | _while) else empty end; _while;
+def repeat(f): def _repeat: ., (f | _repeat); _repeat;
+def transpose: if . == [] then [] else . as $in | (map(length) | max) as $max | [range(0; $max) as $j | [range(0; $in | length) as $i | $in[$i][$j]]] end;
+def ascii: [.] | implode;
+def splits($re): split($re; null)[];
+def splits($re; flags): split($re; flags)[];
+def todateiso8601: todate;
+def fromdateiso8601: fromdate;
+.`;
+
+// The prelude's definitions, as the root environment of every run
+let preludeEnv = null;
+const getPreludeEnv = () => {
+  if (!preludeEnv) {
+    let env = null;
+    for (let node = parse(PRELUDE); node.type === 'def'; node = node.rest) env = defineFunction(env, node);
+    preludeEnv = env;
+  }
+  return preludeEnv;
+};
+
+// Throws a JqError with the column of the problem
+export const compileJq = (filter) => parse(filter);
+
+// Outputs of `filter` for `input`, or for each of `inputs` in turn (jq's
+// behaviour for a stream such as NDJSON). Stops after `maxOutputs`.
+export const runJq = (filter, input, { inputs = null, maxOutputs = 10000 } = {}) => {
+  const ast = parse(filter);
+  const env = getPreludeEnv();
+  const outputs = [];
+  steps = 0;
+  try {
+    for (const item of inputs || [input]) {
+      for (const output of evaluate(ast, item, env)) {
+        outputs.push(output);
+        if (outputs.length >= maxOutputs) return { outputs, truncated: true };
+      }
+    }
+  } catch (error) {
+    if (error instanceof JqAbort) throw new JqError(error.message);
+    // Deep recursion (e.g. a def that never stops)
+    if (error instanceof RangeError) throw new JqError('The filter recursed too deeply');
+    throw error;
+  }
+  return { outputs, truncated: false };
+};
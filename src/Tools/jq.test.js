@@ -0,0 +1,86 @@
+import { runJq } from './jq';
+
+const data = {
+  experience: [
+    { company: 'IBM', years: 3, tags: ['java'] },
+    { company: 'Acme', years: 1, tags: [] },
+    { company: 'IBM', years: 2, tags: ['go', 'k8s'] }
+  ]
+};
+
+const outputs = (filter, input = data) => runJq(filter, input).outputs;
+
+test('paths, pipes and the common builtins', () => {
+  expect(outputs('.experience[] | select(.years > 1) | .company')).toEqual(['IBM', 'IBM']);
+  expect(outputs('.experience | map(.years) | add')).toEqual([6]);
+  expect(outputs('.experience[0] | keys')).toEqual([['company', 'tags', 'years']]);
+  expect(outputs('.experience | group_by(.company) | map({company: .[0].company, total: map(.years) | add})'))
+    .toEqual([[{ company: 'Acme', total: 1 }, { company: 'IBM', total: 5 }]]);
+  expect(outputs('.experience[1] | to_entries | from_entries')).toEqual([data.experience[1]]);
+  expect(outputs('[.experience[] | "\\(.company): \\(.tags | join(", "))"]'))
+    .toEqual([['IBM: java', 'Acme: ', 'IBM: go, k8s']]);
+  expect(outputs('[.[] | tostring] | @csv', [1, 'a"b', null])).toEqual(['"1","a""b","null"']);
+  expect(outputs('reduce .[] as $x (0; . + $x)', [1, 2, 3])).toEqual([6]);
+  expect(outputs('def twice(f): f | f; 3 | twice(. * 2)', null)).toEqual([12]);
+  expect(outputs('.a // "default", (try error("boom") catch .)', {})).toEqual(['default', 'boom']);
+});
+
+test('assignments and deletions work on paths', () => {
+  expect(outputs('.experience[].years |= . * 12 | [.experience[].years]')).toEqual([[36, 12, 24]]);
+  expect(outputs('del(.experience[] | select(.company == "IBM")) | .experience | length')).toEqual([1]);
+  expect(outputs('[paths(type == "number")]', { a: 1, b: [2, 'x'] })).toEqual([[['a'], ['b', 0]]]);
+  expect(outputs('.a.b += 1', { a: { b: 1 } })).toEqual([{ a: { b: 2 } }]);
+});
+
+test('folds, generators and paths', () => {
+  expect(outputs('reduce .[] as [$k, $v] ({}; .[$k] = $v)', [['a', 1], ['b', 2]])).toEqual([{ a: 1, b: 2 }]);
+  expect(outputs('foreach .[] as $x (0; . + $x)', [1, 2, 3])).toEqual([1, 3, 6]);
+  expect(outputs('foreach .[] as $x (0; . + $x; [$x, .])', [1, 2])).toEqual([[1, 1], [2, 3]]);
+
+  // limit and first stop the generator: range(1e9) would run too long
+  expect(outputs('[limit(3; range(1e9))]', null)).toEqual([[0, 1, 2]]);
+  expect(outputs('[limit(0; 1, 2)]', null)).toEqual([[]]);
+  expect(outputs('first(range(5; 1e9))', null)).toEqual([5]);
+  expect(outputs('first, last', [1, 2, 3])).toEqual([1, 3]);
+  expect(outputs('[first(empty)]', null)).toEqual([[]]);
+
+  expect(outputs('[paths]', { a: [1], b: null })).toEqual([[['a'], ['a', 0], ['b']]]);
+  expect(outputs('getpath(["a", 0]), getpath(["x", "y"])', { a: [1] })).toEqual([1, null]);
+  expect(outputs('setpath(["a", "b"]; 1)', null)).toEqual([{ a: { b: 1 } }]);
+  expect(outputs('setpath(["a", 1]; "x")', { a: ['y'] })).toEqual([{ a: ['y', 'x'] }]);
+});
+
+test('string formats', () => {
+  expect(outputs('@base64', 'héllo')).toEqual(['aMOpbGxv']);
+  expect(outputs('@base64d', 'aMOpbGxv')).toEqual(['héllo']);
+  expect(outputs('@uri', 'a b&c=d/é~')).toEqual(['a%20b%26c%3Dd%2F%C3%A9~']);
+  expect(outputs('@csv', [1, 'a,b', 'say "hi"', null, true])).toEqual(['1,"a,b","say ""hi""",,true']);
+  expect(outputs('@uri "q=\\(.)"', 'a b')).toEqual(['q=a%20b']);
+  expect(() => runJq('@csv', 'text')).toThrow('cannot be csv-formatted, only an array can be');
+  expect(() => runJq('@csv', [[1]])).toThrow('is not valid in a csv row');
+});
+
+test('try, ? and error values', () => {
+  expect(outputs('try (1, error("x"), 3) catch "caught: \\(.)"', null)).toEqual([1, 'caught: x']);
+  expect(outputs('[.[] | .a?]', [{ a: 1 }, 'text', null])).toEqual([[1, null]]);
+  expect(outputs('[.[] | tonumber?]', ['1', 'x', '3'])).toEqual([[1, 3]]);
+  expect(outputs('try error({code: 1}) catch .code', null)).toEqual([1]);
+  expect(outputs('try ("a" + 1) catch .', null)).toEqual(['string ("a") and number (1) cannot be added']);
+  expect(outputs('.a.b?', { a: 'text' })).toEqual([]);
+  expect(() => runJq('error("boom")', null)).toThrow('boom');
+});
+
+test('$__loc__ is the line it is written on', () => {
+  expect(outputs('$__loc__', null)).toEqual([{ file: '<stdin>', line: 1 }]);
+  expect(outputs('1 |\n\n  {$__loc__, at: "\\($__loc__.line)"}', null)).toEqual([{ __loc__: { file: '<stdin>', line: 3 }, at: '3' }]);
+});
+
+test('reports syntax errors, runaway filters and per-record runs', () => {
+  expect(() => runJq('.a |', {})).toThrow('Syntax error at column 5');
+  expect(() => runJq('[range(1e9)] | length', null)).toThrow('ran too long');
+  expect(() => runJq('.a.b', { a: 'text' })).toThrow('Cannot index string with "b"');
+  expect(() => runJq('nosuch(1)', null)).toThrow('nosuch/1 is not defined');
+  expect(() => runJq('length(1)', null)).toThrow('length/1 is not defined');
+  expect(runJq('.id', null, { inputs: [{ id: 1 }, { id: 2 }] })).toEqual({ outputs: [1, 2], truncated: false });
+  expect(runJq('range(5)', null, { maxOutputs: 2 })).toEqual({ outputs: [0, 1], truncated: true });
+});
@@ -0,0 +1,280 @@
+import { childPointer, compilePointer, getParentPointer, parsePointer } from '../Visualizer/jsonPointer';
+import { stringifyJson } from '../Parser/losslessJson';
+import { canonical, deepEqual, hasKey, isPlainObject, longestCommonSubsequence, setKey } from './structuralDiff';
+
+// JSON Patch (RFC 6902) and JSON Merge Patch (RFC 7396) between two parsed
+// documents, and applied to one.
+//
+// applyJsonPatch / applyMergePatch return
+//   { document, results: [{ index, op, path, from, status, message }], ok }
+// status is applied, failed or skipped. A JSON Patch is atomic: after the
+// first failure the remaining operations don't run, and `document` is the
+// state just before it (for previews only, `ok` is false).
+
+export const PATCH_KINDS = ['json-patch', 'merge-patch'];
+
+// An array is a list of operations; any other value is a merge patch
+export const detectPatchKind = (patch) => (Array.isArray(patch) ? 'json-patch' : 'merge-patch');
+
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (!isPlainObject(value)) return value;
+  const copy = {};
+  Object.keys(value).forEach(key => setKey(copy, key, clone(value[key])));
+  return copy;
+};
+
+// ---------------------------------------------------------------------------
+// Generating
+// ---------------------------------------------------------------------------
+
+const diffInto = (before, after, path, operations) => {
+  if (deepEqual(before, after)) return;
+  if (isPlainObject(before) && isPlainObject(after)) {
+    Object.keys(before).forEach(key => {
+      if (!hasKey(after, key)) operations.push({ op: 'remove', path: childPointer(path, key) });
+    });
+    Object.keys(after).forEach(key => {
+      const at = childPointer(path, key);
+      if (hasKey(before, key)) diffInto(before[key], after[key], at, operations);
+      else operations.push({ op: 'add', path: at, value: after[key] });
+    });
+    return;
+  }
+  if (Array.isArray(before) && Array.isArray(after)) {
+    diffArrayInto(before, after, path, operations);
+    return;
+  }
+  operations.push({ op: 'replace', path, value: after });
+};
+
+// [DSA] Elements kept in order (LCS of their hashes) stay where they are.
+// Between two kept elements the others are edited in place, pairwise, and the
+// rest removed (highest index first) or added. Indices are the array's at the
+// time each operation runs, since they run one after the other.
+const diffArrayInto = (before, after, path, operations) => {
+  const kept = longestCommonSubsequence(before.map(canonical), after.map(canonical));
+  let i = 0;
+  let j = 0;
+  [...kept, [before.length, after.length]].forEach(([keptI, keptJ]) => {
+    const removedCount = keptI - i;
+    const addedCount = keptJ - j;
+    const edited = Math.min(removedCount, addedCount);
+    for (let k = 0; k < edited; k++) diffInto(before[i + k], after[j + k], childPointer(path, j + k), operations);
+    for (let k = removedCount - 1; k >= edited; k--) operations.push({ op: 'remove', path: childPointer(path, j + k) });
+    for (let k = edited; k < addedCount; k++) operations.push({ op: 'add', path: childPointer(path, j + k), value: after[j + k] });
+    i = keptI + 1;
+    j = keptJ + 1;
+  });
+};
+
+// JSON Patch operations that turn `before` into `after`
+export const createJsonPatch = (before, after) => {
+  const operations = [];
+  diffInto(before, after, '', operations);
+  return operations;
+};
+
+// Merge patch that turns `before` into `after`. Merge patches can't set a
+// value to null (null removes it) or edit inside an array (arrays are
+// replaced whole); check with applyMergePatch when that matters.
+export const createMergePatch = (before, after) => {
+  if (!isPlainObject(before) || !isPlainObject(after)) return clone(after);
+  const patch = {};
+  Object.keys(before).forEach(key => {
+    if (!hasKey(after, key)) setKey(patch, key, null);
+  });
+  Object.keys(after).forEach(key => {
+    if (hasKey(before, key) && deepEqual(before[key], after[key])) return;
+    setKey(patch, key, hasKey(before, key) ? createMergePatch(before[key], after[key]) : clone(after[key]));
+  });
+  return patch;
+};
+
+// ---------------------------------------------------------------------------
+// Applying
+// ---------------------------------------------------------------------------
+
+const OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+const displayPointer = (pointer) => pointer || '(root)';
+
+const preview = (value) => {
+  const text = value === undefined ? undefined : stringifyJson(value);
+  return text === undefined || text.length <= 60 ? String(text) : `${text.slice(0, 57)}…`;
+};
+
+// "-" is the end of the array, for add only. Leading zeros aren't indices.
+const arrayIndex = (array, token, path, forAdd) => {
+  if (forAdd && token === '-') return array.length;
+  if (!/^(0|[1-9][0-9]*)$/.test(token)) throw new Error(`${path}: "${token}" is not an array index`);
+  const index = Number(token);
+  const last = forAdd ? array.length : array.length - 1;
+  if (index > last) throw new Error(`${path}: index ${index} is out of bounds (length ${array.length})`);
+  return index;
+};
+
+const childValue = (container, token) => {
+  if (Array.isArray(container)) {
+    return /^(0|[1-9][0-9]*)$/.test(token) ? container[Number(token)] : undefined;
+  }
+  return isPlainObject(container) && hasKey(container, token) ? container[token] : undefined;
+};
+
+// [DSA] Path walk to the container that holds `path`: O(depth)
+const locate = (document, path) => {
+  const tokens = parsePointer(path);
+  const key = tokens.pop();
+  let parent = document;
+  tokens.forEach((token, depth) => {
+    parent = childValue(parent, token);
+    if (parent === undefined) throw new Error(`${compilePointer(tokens.slice(0, depth + 1))} does not exist`);
+  });
+  if (!Array.isArray(parent) && !isPlainObject(parent)) {
+    throw new Error(`${displayPointer(getParentPointer(path))} is not an object or array`);
+  }
+  return { parent, key };
+};
+
+const getValue = (document, path) => {
+  if (path === '') return document;
+  const { parent, key } = locate(document, path);
+  if (Array.isArray(parent)) return parent[arrayIndex(parent, key, path, false)];
+  if (!hasKey(parent, key)) throw new Error(`${path} does not exist`);
+  return parent[key];
+};
+
+// Each returns the (possibly new) root
+const addValue = (document, path, value) => {
+  if (path === '') return value;
+  const { parent, key } = locate(document, path);
+  if (Array.isArray(parent)) parent.splice(arrayIndex(parent, key, path, true), 0, value);
+  else setKey(parent, key, value);
+  return document;
+};
+
+const removeValue = (document, path) => {
+  if (path === '') throw new Error('The whole document cannot be removed');
+  const { parent, key } = locate(document, path);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, key, path, false), 1);
+  } else {
+    if (!hasKey(parent, key)) throw new Error(`${path} does not exist`);
+    delete parent[key];
+  }
+  return document;
+};
+
+const replaceValue = (document, path, value) => {
+  if (path === '') return value;
+  const { parent, key } = locate(document, path);
+  if (Array.isArray(parent)) {
+    parent[arrayIndex(parent, key, path, false)] = value;
+  } else {
+    if (!hasKey(parent, key)) throw new Error(`${path} does not exist`);
+    setKey(parent, key, value);
+  }
+  return document;
+};
+
+const applyOperation = (document, operation) => {
+  if (!isPlainObject(operation)) throw new Error('An operation is an object like {"op": "add", "path": "/a", "value": 1}');
+  const { op, path, from } = operation;
+  if (!OPERATIONS.includes(op)) throw new Error(`Unknown op ${preview(op)}, expected ${OPERATIONS.join(', ')}`);
+  if (typeof path !== 'string') throw new Error('"path" must be a JSON Pointer string');
+  if ((op === 'add' || op === 'replace' || op === 'test') && !hasKey(operation, 'value')) {
+    throw new Error(`"${op}" needs a "value"`);
+  }
+  if ((op === 'move' || op === 'copy') && typeof from !== 'string') throw new Error(`"${op}" needs a "from" pointer`);
+
+  switch (op) {
+    case 'add':
+      return addValue(document, path, clone(operation.value));
+    case 'remove':
+      return removeValue(document, path);
+    case 'replace':
+      return replaceValue(document, path, clone(operation.value));
+    case 'move': {
+      if (from === path) {
+        getValue(document, from);
+        return document;
+      }
+      if (path.startsWith(`${from}/`)) throw new Error(`${displayPointer(from)} cannot be moved into itself`);
+      const value = getValue(document, from);
+      return addValue(removeValue(document, from), path, value);
+    }
+    case 'copy':
+      return addValue(document, path, clone(getValue(document, from)));
+    default: {
+      const actual = getValue(document, path);
+      if (!deepEqual(actual, operation.value)) {
+        throw new Error(`Test failed: ${displayPointer(path)} is ${preview(actual)}, not ${preview(operation.value)}`);
+      }
+      return document;
+    }
+  }
+};
+
+// What the results list shows for an operation, even a malformed one
+const describeOperation = (operation, index) => {
+  const field = (name) => (isPlainObject(operation) && typeof operation[name] === 'string' ? operation[name] : null);
+  return { index, op: field('op'), path: field('path'), from: field('from') };
+};
+
+export const applyJsonPatch = (document, operations) => {
+  if (!Array.isArray(operations)) throw new Error('A JSON Patch is an array of operations');
+  let current = clone(document);
+  let failed = false;
+  const results = operations.map((operation, index) => {
+    const result = describeOperation(operation, index);
+    if (failed) return { ...result, status: 'skipped', message: 'Not run: an earlier operation failed' };
+    try {
+      current = applyOperation(current, operation);
+      return { ...result, status: 'applied', message: null };
+    } catch (error) {
+      failed = true;
+      return { ...result, status: 'failed', message: error.message };
+    }
+  });
+  return { document: current, results, ok: !failed };
+};
+
+// Null members of a patch that lands on a non-object are dropped, at any depth
+const withoutNulls = (value) => {
+  if (!isPlainObject(value)) return clone(value);
+  const copy = {};
+  Object.keys(value).forEach(key => {
+    if (value[key] !== null) setKey(copy, key, withoutNulls(value[key]));
+  });
+  return copy;
+};
+
+// RFC 7396: objects merge member by member, null removes a member, any other
+// value replaces. Every member the patch touches is reported as an operation.
+export const applyMergePatch = (document, patch) => {
+  const results = [];
+  const report = (op, path, status = 'applied', message = null) => {
+    results.push({ index: results.length, op, path, from: null, status, message });
+  };
+
+  const merge = (target, patchValue, path) => {
+    if (!isPlainObject(patchValue) || !isPlainObject(target)) {
+      report(target === undefined ? 'add' : 'replace', path);
+      return withoutNulls(patchValue);
+    }
+    Object.keys(patchValue).forEach(key => {
+      const at = childPointer(path, key);
+      if (patchValue[key] !== null) {
+        setKey(target, key, merge(hasKey(target, key) ? target[key] : undefined, patchValue[key], at));
+      } else if (hasKey(target, key)) {
+        delete target[key];
+        report('remove', at);
+      } else {
+        report('remove', at, 'skipped', 'Nothing to remove');
+      }
+    });
+    return target;
+  };
+
+  return { document: merge(clone(document), patch, ''), results, ok: true };
+};
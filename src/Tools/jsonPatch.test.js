@@ -0,0 +1,72 @@
+import { applyJsonPatch, applyMergePatch, createJsonPatch, createMergePatch } from './jsonPatch';
+import { parseJson } from '../Parser/jsonParser';
+import { stringifyJson } from '../Parser/losslessJson';
+
+const before = { name: 'api', version: 1, owner: 'ops', tags: ['a', 'b', 'c', 'd'], limits: { rps: 10 } };
+const after = { name: 'api', version: 2, tags: ['x', 'b', 'd', 'e'], limits: { rps: 10, burst: 20 } };
+
+test('generated patches turn one document into the other', () => {
+  const operations = createJsonPatch(before, after);
+  expect(operations).toEqual([
+    { op: 'remove', path: '/owner' },
+    { op: 'replace', path: '/version', value: 2 },
+    { op: 'replace', path: '/tags/0', value: 'x' },
+    { op: 'remove', path: '/tags/2' },
+    { op: 'add', path: '/tags/3', value: 'e' },
+    { op: 'add', path: '/limits/burst', value: 20 }
+  ]);
+  expect(applyJsonPatch(before, operations).document).toEqual(after);
+
+  const mergePatch = createMergePatch(before, after);
+  expect(mergePatch).toEqual({ owner: null, version: 2, tags: ['x', 'b', 'd', 'e'], limits: { burst: 20 } });
+  expect(applyMergePatch(before, mergePatch).document).toEqual(after);
+  expect(before.owner).toBe('ops');
+});
+
+test('JSON Patch reports every operation and stops at the first failure', () => {
+  const { document, results, ok } = applyJsonPatch(before, [
+    { op: 'test', path: '/version', value: 1 },
+    { op: 'move', from: '/owner', path: '/limits/owner' },
+    { op: 'copy', from: '/tags/0', path: '/tags/-' },
+    { op: 'replace', path: '/missing/key', value: 1 },
+    { op: 'remove', path: '/name' }
+  ]);
+  expect(ok).toBe(false);
+  expect(results.map(result => `${result.status} ${result.message || ''}`.trim())).toEqual([
+    'applied',
+    'applied',
+    'applied',
+    'failed /missing does not exist',
+    'skipped Not run: an earlier operation failed'
+  ]);
+  expect(document.limits).toEqual({ rps: 10, owner: 'ops' });
+  expect(document.tags).toEqual(['a', 'b', 'c', 'd', 'a']);
+
+  expect(applyJsonPatch([1], [{ op: 'add', path: '/01', value: 2 }]).results[0].message).toBe('/01: "01" is not an array index');
+  expect(applyJsonPatch({ a: 1 }, [{ op: 'test', path: '/a', value: 2 }]).results[0].message).toBe('Test failed: /a is 1, not 2');
+});
+
+test('merge patch results per member', () => {
+  const { document, results } = applyMergePatch({ a: 1, b: { c: 2 } }, { a: null, b: { c: null, d: { e: null, f: 3 } }, z: null });
+  expect(document).toEqual({ b: { d: { f: 3 } } });
+  expect(results.map(result => `${result.op} ${result.path} ${result.status}`)).toEqual([
+    'remove /a applied',
+    'remove /b/c applied',
+    'add /b/d applied',
+    'remove /z skipped'
+  ]);
+});
+
+test('lossless numbers survive generating and applying', () => {
+  const parse = (text) => parseJson(text, { lossless: true, sourceMap: false }).data;
+  const before = parse('{"id": 9007199254740993, "price": 1.0, "tags": [1.0, 2]}');
+  const after = parse('{"id": 9007199254740993, "price": 1, "tags": [1, 2, 3.50]}');
+
+  // 1.0 and 1 are the same number
+  const operations = createJsonPatch(before, after);
+  expect(stringifyJson(operations)).toBe('[{"op":"add","path":"/tags/2","value":3.50}]');
+  expect(stringifyJson(applyJsonPatch(before, operations).document)).toBe('{"id":9007199254740993,"price":1.0,"tags":[1.0,2,3.50]}');
+  expect(applyJsonPatch(before, [{ op: 'test', path: '/price', value: 1 }]).ok).toBe(true);
+  expect(stringifyJson(applyMergePatch(before, parse('{"id": 12345678901234567890}')).document))
+    .toBe('{"id":12345678901234567890,"price":1.0,"tags":[1.0,2]}');
+});
@@ -0,0 +1,115 @@
+import { JSONPath } from 'jsonpath-plus';
+import jmespath from 'jmespath';
+import { childPointer } from '../Visualizer/jsonPointer';
+
+// JSONPath and JMESPath over the full parsed data (not only the nodes the
+// graph could draw). Every run returns
+//   { value, matches: [{ pointer, value }], unlocated }
+// where `value` is what "extract" writes to a new document, `matches` are the
+// results found in the document (graph highlights) and `unlocated` counts
+// computed results with no place in it (e.g. length(@)).
+
+export const QUERY_LANGUAGES = {
+  jsonpath: { label: 'JSONPath', placeholder: '$.experience[*].company' },
+  jmespath: { label: 'JMESPath', placeholder: 'experience[*].company' }
+};
+
+const isContainer = (value) => value !== null && typeof value === 'object';
+
+const CLOSERS = { '[': ']', '(': ')' };
+
+// jsonpath-plus reads malformed paths leniently ("$[" is the root), so brackets,
+// parentheses and quotes are checked first. [DSA] Stack of open brackets. O(n)
+const checkJsonPath = (expression) => {
+  const fail = (message, index) => {
+    throw new SyntaxError(`Invalid JSONPath: ${message} at column ${index + 1}`);
+  };
+  const open = [];
+  let quote = null;
+  for (let i = 0; i < expression.length; i++) {
+    const char = expression[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote.char) quote = null;
+    } else if (char === "'" || char === '"') {
+      quote = { char, index: i };
+    } else if (char === '[' || char === '(') {
+      open.push({ char, index: i });
+    } else if (char === ']' || char === ')') {
+      const last = open.pop();
+      if (!last || CLOSERS[last.char] !== char) fail(`unexpected "${char}"`, i);
+      if (char === ']' && last.index === i - 1) fail('empty brackets', last.index);
+    }
+  }
+  if (quote) fail(`unterminated ${quote.char} string`, quote.index);
+  if (open.length > 0) {
+    const last = open[open.length - 1];
+    fail(`missing "${CLOSERS[last.char]}" for "${last.char}"`, last.index);
+  }
+  if (expression.trim().endsWith('.')) fail('expected a name after "."', expression.trimEnd().length - 1);
+};
+
+// JSONPath reports the location of every result
+const runJsonPath = (data, expression) => {
+  checkJsonPath(expression);
+  const results = JSONPath({ path: expression, json: data, resultType: 'all', wrap: true, eval: 'safe' });
+  const matches = results.map(result => ({ pointer: result.pointer, value: result.value }));
+  return { value: matches.map(match => match.value), matches, unlocated: 0 };
+};
+
+// [DSA] Identity map: container -> pointer of its first occurrence. O(N)
+const indexContainers = (data) => {
+  const pointers = new Map();
+  const stack = [[data, '']];
+  while (stack.length > 0) {
+    const [value, pointer] = stack.pop();
+    if (!isContainer(value) || pointers.has(value)) continue;
+    pointers.set(value, pointer);
+    Object.keys(value).forEach(key => stack.push([value[key], childPointer(pointer, key)]));
+  }
+  return pointers;
+};
+
+// A projection's result list is new, its items are not
+const toItems = (result, containers) => (
+  Array.isArray(result) && !containers.has(result) ? result : [result]
+);
+
+// JMESPath only returns values. Objects and arrays are the document's own,
+// so they are found by identity. Strings and numbers aren't; for the common
+// "<expression>.<field>" shape, the field is looked up on the parents instead
+// and used when it accounts for every result.
+const runJmesPath = (data, expression) => {
+  const value = jmespath.search(data, expression);
+  const containers = indexContainers(data);
+  const items = value === null ? [] : toItems(value, containers);
+
+  let matches = items
+    .filter(item => isContainer(item) && containers.has(item))
+    .map(item => ({ pointer: containers.get(item), value: item }));
+
+  const fieldMatch = matches.length < items.length && /^(.+)\.([A-Za-z_][A-Za-z0-9_]*)$/.exec(expression.trim());
+  if (fieldMatch) {
+    const [, parentExpression, field] = fieldMatch;
+    let parents = [];
+    try {
+      parents = toItems(jmespath.search(data, parentExpression), containers);
+    } catch (error) {
+      // Not an expression on its own (e.g. the dot was inside a literal)
+    }
+    const fieldMatches = parents
+      .filter(parent => isContainer(parent) && !Array.isArray(parent) && containers.has(parent))
+      .filter(parent => parent[field] !== undefined && parent[field] !== null)
+      .map(parent => ({ pointer: childPointer(containers.get(parent), field), value: parent[field] }));
+    if (fieldMatches.length === items.length) matches = fieldMatches;
+  }
+
+  return { value, matches, unlocated: items.length - matches.length };
+};
+
+// Throws a SyntaxError-style message when the expression doesn't parse
+export const runQuery = (data, expression, language) => {
+  if (language === 'jsonpath') return runJsonPath(data, expression);
+  if (language === 'jmespath') return runJmesPath(data, expression);
+  throw new Error(`Unknown query language: ${language}`);
+};
@@ -0,0 +1,42 @@
+import { runQuery } from './query';
+
+const data = {
+  experience: [
+    { company: 'IBM', years: 3 },
+    { company: 'Acme', years: 1 },
+    { title: 'Freelance' }
+  ]
+};
+
+test('JSONPath returns every match with its pointer', () => {
+  expect(runQuery(data, '$.experience[*].company', 'jsonpath')).toEqual({
+    value: ['IBM', 'Acme'],
+    matches: [
+      { pointer: '/experience/0/company', value: 'IBM' },
+      { pointer: '/experience/1/company', value: 'Acme' }
+    ],
+    unlocated: 0
+  });
+  expect(runQuery(data, '$..[?(@.years > 2)]', 'jsonpath').matches.map(match => match.pointer)).toEqual(['/experience/0']);
+  expect(runQuery(data, "$['experience'][?(@.title == 'a]')]", 'jsonpath').value).toEqual([]);
+});
+
+test('malformed JSONPath is a syntax error, not the whole document', () => {
+  expect(() => runQuery(data, '$[', 'jsonpath')).toThrow('Invalid JSONPath: missing "]" for "[" at column 2');
+  expect(() => runQuery(data, "$['experience", 'jsonpath')).toThrow("unterminated ' string at column 3");
+  expect(() => runQuery(data, '$.experience]', 'jsonpath')).toThrow('unexpected "]" at column 13');
+  expect(() => runQuery(data, '$.experience[?(@.years > 1]', 'jsonpath')).toThrow('unexpected "]"');
+  expect(() => runQuery(data, '$.experience[]', 'jsonpath')).toThrow('empty brackets');
+  expect(() => runQuery(data, '$.experience.', 'jsonpath')).toThrow('expected a name after "."');
+});
+
+test('JMESPath locates containers and projected fields', () => {
+  expect(runQuery(data, 'experience[*].company', 'jmespath').matches.map(match => match.pointer))
+    .toEqual(['/experience/0/company', '/experience/1/company']);
+  expect(runQuery(data, 'experience[?years > `2`]', 'jmespath').matches.map(match => match.pointer))
+    .toEqual(['/experience/0']);
+
+  const computed = runQuery(data, 'length(experience)', 'jmespath');
+  expect(computed).toEqual({ value: 3, matches: [], unlocated: 1 });
+  expect(() => runQuery(data, 'experience[', 'jmespath')).toThrow();
+});
@@ -0,0 +1,110 @@
+import Ajv from 'ajv';
+import Ajv2020 from 'ajv/dist/2020';
+import addFormats from 'ajv-formats';
+import { childPointer } from '../Visualizer/jsonPointer';
+
+// JSON Schema validation (draft-07 and 2020-12) with errors keyed by JSON
+// Pointer, so they can be mapped onto editor ranges and graph nodes.
+
+// Which Ajv a schema needs is decided by its "$schema"; draft-07 otherwise
+const DRAFT_2020_PATTERN = /json-schema\.org\/draft\/(2020-12|2019-09)\/schema/;
+const META_SCHEMA_PATTERN = /^https?:\/\/json-schema\.org\/(draft-07|draft\/2020-12)\/schema#?$/;
+
+// Compiled validators are reused while the schema text stays the same
+const MAX_CACHED_SCHEMAS = 10;
+
+const createAjv = (AjvClass) => {
+  const ajv = new AjvClass({ allErrors: true, strict: false });
+  addFormats(ajv);
+  return ajv;
+};
+
+const getAjvClass = (schemaUri) => (DRAFT_2020_PATTERN.test(schemaUri || '') ? Ajv2020 : Ajv);
+
+// Meta-schema lookups share one instance per draft, created on first use
+let ajvInstances = null;
+const getAjv = (schemaUri) => {
+  if (!ajvInstances) ajvInstances = new Map([[Ajv, createAjv(Ajv)], [Ajv2020, createAjv(Ajv2020)]]);
+  return ajvInstances.get(getAjvClass(schemaUri));
+};
+
+// The document *is* a schema: validate it against its meta-schema
+export const isMetaSchemaUri = (uri) => META_SCHEMA_PATTERN.test(uri || '');
+
+export const getDocumentSchemaUri = (data) => (
+  data !== null && typeof data === 'object' && !Array.isArray(data) && typeof data.$schema === 'string'
+    ? data.$schema
+    : null
+);
+
+// [DSA] LRU-ish cache: Map keeps insertion order, the oldest entry goes first
+const compiled = new Map();
+const compile = (schema) => {
+  const key = typeof schema === 'string' ? schema : JSON.stringify(schema);
+  if (compiled.has(key)) return compiled.get(key);
+
+  let validate;
+  if (typeof schema === 'string') {
+    validate = getAjv(schema).getSchema(schema.replace(/#$/, ''));
+    if (!validate) throw new Error(`Unknown meta-schema ${schema}`);
+  } else {
+    // A fresh instance per schema: an edited schema keeps its "$id" (and those
+    // of its subschemas), which Ajv refuses to register twice
+    validate = createAjv(getAjvClass(schema.$schema)).compile(schema);
+  }
+
+  if (compiled.size >= MAX_CACHED_SCHEMAS) compiled.delete(compiled.keys().next().value);
+  compiled.set(key, validate);
+  return validate;
+};
+
+// Ajv error -> { pointer, message, keyword }.
+// "additionalProperties" points at the extra property itself.
+const toSchemaError = (error, prefix) => {
+  let pointer = prefix + error.instancePath;
+  let { message } = error;
+  if (error.keyword === 'additionalProperties') {
+    pointer = childPointer(pointer, error.params.additionalProperty);
+    message = 'is not allowed by the schema (additionalProperties)';
+  } else if (error.keyword === 'enum') {
+    message = `must be one of ${error.params.allowedValues.map(value => JSON.stringify(value)).join(', ')}`;
+  }
+  return { pointer, message, keyword: error.keyword };
+};
+
+// Validate `data` against a schema object, or against a meta-schema given
+// by its URI. With `perRecord` (NDJSON) every array item is checked on its own.
+// Returns { valid, errors }. Throws when the schema itself doesn't compile.
+export const validateWithSchema = (data, schema, { perRecord = false } = {}) => {
+  const validate = compile(schema);
+  const errors = [];
+  const check = (value, prefix) => {
+    if (!validate(value)) validate.errors.forEach(error => errors.push(toSchemaError(error, prefix)));
+  };
+
+  if (perRecord && Array.isArray(data)) {
+    data.forEach((record, index) => check(record, `/${index}`));
+  } else {
+    check(data, '');
+  }
+  return { valid: errors.length === 0, errors };
+};
+
+// Remote schemas named by "$schema", fetched once per URL
+const remoteSchemas = new Map();
+export const loadSchemaFromUrl = (url) => {
+  if (!remoteSchemas.has(url)) {
+    const request = fetch(url)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .catch(error => {
+        // Let a later attempt retry instead of caching the failure
+        remoteSchemas.delete(url);
+        throw new Error(`Cannot load schema from ${url}: ${error.message}`);
+      });
+    remoteSchemas.set(url, request);
+  }
+  return remoteSchemas.get(url);
+};
@@ -0,0 +1,51 @@
+import { validateWithSchema, isMetaSchemaUri } from './schema';
+
+const userSchema = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  type: 'object',
+  required: ['id', 'email'],
+  properties: {
+    id: { type: 'integer' },
+    email: { type: 'string', format: 'email' },
+    role: { enum: ['admin', 'user'] }
+  },
+  additionalProperties: false
+};
+
+test('reports violations with JSON Pointers', () => {
+  const { valid, errors } = validateWithSchema({ id: 'x', email: 'nope', role: 'root', extra: 1 }, userSchema);
+
+  expect(valid).toBe(false);
+  expect(errors).toEqual(expect.arrayContaining([
+    { pointer: '/id', message: 'must be integer', keyword: 'type' },
+    { pointer: '/email', message: 'must match format "email"', keyword: 'format' },
+    { pointer: '/role', message: 'must be one of "admin", "user"', keyword: 'enum' },
+    { pointer: '/extra', message: 'is not allowed by the schema (additionalProperties)', keyword: 'additionalProperties' }
+  ]));
+  expect(validateWithSchema({ id: 1, email: 'a@b.co' }, userSchema).valid).toBe(true);
+});
+
+test('supports draft-07, meta-schemas and per-record validation', () => {
+  const draft07 = { $schema: 'http://json-schema.org/draft-07/schema#', items: { type: 'number' } };
+  expect(validateWithSchema([1, 'two'], draft07).errors).toEqual([{ pointer: '/1', message: 'must be number', keyword: 'type' }]);
+
+  expect(isMetaSchemaUri('http://json-schema.org/draft-07/schema#')).toBe(true);
+  expect(validateWithSchema({ type: 'nope' }, 'http://json-schema.org/draft-07/schema#').valid).toBe(false);
+
+  const records = [{ id: 1, email: 'a@b.co' }, { id: 2 }];
+  expect(validateWithSchema(records, userSchema, { perRecord: true }).errors).toEqual([
+    { pointer: '/1', message: "must have required property 'email'", keyword: 'required' }
+  ]);
+});
+
+test('an edited schema with an "$id" compiles again', () => {
+  const version = (type) => ({
+    $id: 'https://example.com/item.json',
+    properties: { n: { type } },
+    $defs: { tag: { $id: 'https://example.com/tag.json', type: 'string' } }
+  });
+
+  expect(validateWithSchema({ n: 1 }, version('number')).valid).toBe(true);
+  expect(validateWithSchema({ n: 1 }, version('string')).errors).toEqual([{ pointer: '/n', message: 'must be string', keyword: 'type' }]);
+  expect(validateWithSchema({ n: 1 }, version('number')).valid).toBe(true);
+});
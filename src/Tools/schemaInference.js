@@ -0,0 +1,134 @@
+import { isLosslessNumber } from '../Parser/losslessJson';
+
+// Infer a JSON Schema (2020-12) from example data.
+// Every value is folded into a "shape" that remembers which types were seen;
+// array items and objects in different places of the same array are merged,
+// so `required` lists only the keys present in every object of that shape.
+
+export const INFERRED_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+// Most specific first: a value gets the first format that matches
+const STRING_FORMATS = [
+  ['date-time', /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?([Zz]|[+-]\d{2}:?\d{2})$/],
+  ['date', /^\d{4}-\d{2}-\d{2}$/],
+  ['time', /^\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:?\d{2})?$/],
+  ['email', /^[^\s@]+@[^\s@]+\.[^\s@]+$/],
+  ['uuid', /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i],
+  ['uri', /^[a-z][a-z0-9+.-]*:\/\/[^\s]+$/i]
+];
+
+export const detectStringFormat = (value) => {
+  const match = STRING_FORMATS.find(([, pattern]) => pattern.test(value));
+  return match ? match[0] : null;
+};
+
+// Lossless numbers keep their lexeme; anything with a fraction or exponent is a "number"
+const isIntegerValue = (value) => (
+  typeof value === 'number' ? Number.isInteger(value) : /^-?\d+$/.test(isLosslessNumber(value) ? value.lexeme : String(value))
+);
+
+const createShape = () => ({
+  null: false,
+  boolean: false,
+  integer: false,
+  number: false,
+  // Set of detected formats, `null` in the set = a string without format
+  string: null,
+  // Shape of all items merged, null = only empty arrays so far
+  array: null,
+  // { count, properties: Map<key, { count, shape }> }
+  object: null
+});
+
+// [DSA] Fold one value into a shape. Iterative, so deep documents can't
+// overflow the stack: O(N) over all values.
+const addValue = (rootShape, rootValue) => {
+  const stack = [[rootShape, rootValue]];
+  while (stack.length > 0) {
+    const [shape, value] = stack.pop();
+
+    if (value === null) {
+      shape.null = true;
+    } else if (typeof value === 'boolean') {
+      shape.boolean = true;
+    } else if (typeof value === 'number' || isLosslessNumber(value)) {
+      if (isIntegerValue(value)) shape.integer = true;
+      else shape.number = true;
+    } else if (typeof value === 'string') {
+      if (!shape.string) shape.string = new Set();
+      shape.string.add(detectStringFormat(value));
+    } else if (Array.isArray(value)) {
+      if (!shape.array) shape.array = { items: null };
+      if (value.length > 0 && !shape.array.items) shape.array.items = createShape();
+      for (let i = value.length - 1; i >= 0; i--) stack.push([shape.array.items, value[i]]);
+    } else if (typeof value === 'object') {
+      if (!shape.object) shape.object = { count: 0, properties: new Map() };
+      shape.object.count++;
+      Object.keys(value).forEach(key => {
+        let property = shape.object.properties.get(key);
+        if (!property) {
+          property = { count: 0, shape: createShape() };
+          shape.object.properties.set(key, property);
+        }
+        property.count++;
+        stack.push([property.shape, value[key]]);
+      });
+    }
+  }
+};
+
+// One schema per type that was seen
+const shapeToSchemas = (shape) => {
+  const schemas = [];
+  if (shape.object) {
+    const properties = {};
+    const required = [];
+    shape.object.properties.forEach((property, key) => {
+      properties[key] = shapeToSchema(property.shape);
+      // Present in every object of this shape
+      if (property.count === shape.object.count) required.push(key);
+    });
+    const schema = { type: 'object', properties };
+    if (required.length > 0) schema.required = required;
+    schemas.push(schema);
+  }
+  if (shape.array) {
+    schemas.push(shape.array.items ? { type: 'array', items: shapeToSchema(shape.array.items) } : { type: 'array' });
+  }
+  if (shape.string) {
+    // A format is only claimed when every string had it
+    const [format] = shape.string;
+    schemas.push(shape.string.size === 1 && format ? { type: 'string', format } : { type: 'string' });
+  }
+  if (shape.number) schemas.push({ type: 'number' });
+  else if (shape.integer) schemas.push({ type: 'integer' });
+  if (shape.boolean) schemas.push({ type: 'boolean' });
+  if (shape.null) schemas.push({ type: 'null' });
+  return schemas;
+};
+
+const shapeToSchema = (shape) => {
+  const schemas = shapeToSchemas(shape);
+  // Nothing seen (e.g. the items of empty arrays): anything goes
+  if (schemas.length === 0) return {};
+  if (schemas.length === 1) return schemas[0];
+
+  // Types with keywords of their own (object, array, formatted string) can
+  // share one schema with plain types: { "type": ["object", "null"], ... }.
+  // Two of them need anyOf.
+  const detailed = schemas.filter(schema => Object.keys(schema).length > 1);
+  if (detailed.length > 1) return { anyOf: schemas };
+  return { ...detailed[0], type: schemas.map(schema => schema.type) };
+};
+
+// Schema for `data`. With `perRecord` (NDJSON) the schema describes one
+// array item, matching validateWithSchema's per-record mode.
+export const inferSchema = (data, { perRecord = false, title } = {}) => {
+  const shape = createShape();
+  if (perRecord && Array.isArray(data)) data.forEach(record => addValue(shape, record));
+  else addValue(shape, data);
+
+  const schema = { $schema: INFERRED_SCHEMA_DIALECT };
+  if (title) schema.title = title;
+  return { ...schema, ...shapeToSchema(shape) };
+};
@@ -0,0 +1,49 @@
+import { inferSchema, detectStringFormat } from './schemaInference';
+import { validateWithSchema } from './schema';
+
+const response = {
+  users: [
+    { id: 1, email: 'ann@example.com', created: '2024-01-05T10:00:00Z', site: 'https://ann.dev' },
+    { id: 2.5, email: 'bob@example.com', created: '2024-02-11T08:30:00+01:00', manager: null },
+    { id: 3, email: 'cy@example.com', created: '2024-03-01T00:00:00Z', manager: { id: 1 } }
+  ],
+  tags: []
+};
+
+test('merges array items and marks optional keys', () => {
+  const schema = inferSchema(response);
+
+  expect(schema.$schema).toBe('https://json-schema.org/draft/2020-12/schema');
+  expect(schema.required).toEqual(['users', 'tags']);
+  expect(schema.properties.tags).toEqual({ type: 'array' });
+  expect(schema.properties.users.items).toEqual({
+    type: 'object',
+    properties: {
+      id: { type: 'number' },
+      email: { type: 'string', format: 'email' },
+      created: { type: 'string', format: 'date-time' },
+      site: { type: 'string', format: 'uri' },
+      manager: {
+        type: ['object', 'null'],
+        properties: { id: { type: 'integer' } },
+        required: ['id']
+      }
+    },
+    required: ['id', 'email', 'created']
+  });
+  // The example validates against its own schema
+  expect(validateWithSchema(response, schema).valid).toBe(true);
+});
+
+test('detects formats and describes NDJSON records', () => {
+  expect(detectStringFormat('2024-01-05')).toBe('date');
+  expect(detectStringFormat('123e4567-e89b-12d3-a456-426614174000')).toBe('uuid');
+  expect(detectStringFormat('hello')).toBe(null);
+
+  const schema = inferSchema([{ a: 'x@y.io' }, { a: 'not an email', b: [1, 'two'] }], { perRecord: true });
+  expect(schema.properties).toEqual({
+    a: { type: 'string' },
+    b: { type: 'array', items: { type: ['string', 'integer'] } }
+  });
+  expect(schema.required).toEqual(['a']);
+});
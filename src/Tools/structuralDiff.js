@@ -0,0 +1,304 @@
+import { childPointer } from '../Visualizer/jsonPointer';
+import { canonicalNumber, isLosslessNumber } from '../Parser/losslessJson';
+
+// Structural diff of two parsed documents, "left" (before) and "right" (after).
+//
+// diffDocuments returns
+//   { merged, changes: [{ type, pointer, left, right, oldValue, newValue }], stats }
+// `merged` is the right document with removed values put back where they
+// were, so one graph can show both sides; `pointer` locates each change in
+// it, `left` / `right` in the original documents (null on the side a value
+// doesn't exist). Types: added, removed, changed (a different value at the
+// same place) and moved (an array element found at another index).
+//
+// Array elements are matched, in order of preference, by an identity key
+// ("id"), as equal values kept in order (LCS), as equal values elsewhere
+// (moves), and finally by position between those anchors (edited in place).
+// Numbers may be LosslessNumbers (lossless parsing); they compare by value.
+
+export const DIFF_TYPES = ['added', 'removed', 'changed', 'moved'];
+
+export const isPlainObject = (value) => (
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !isLosslessNumber(value)
+);
+
+const isNumber = (value) => typeof value === 'number' || isLosslessNumber(value);
+
+export const deepEqual = (a, b) => {
+  if (a === b) return true;
+  if (isNumber(a) && isNumber(b)) return canonicalNumber(a) === canonicalNumber(b);
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  if (Array.isArray(a)) return a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length
+    && keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+};
+
+// Key order and number spelling don't make two values different
+export const canonical = (value) => JSON.stringify(value, (key, v) => {
+  if (isNumber(v)) return { '#': canonicalNumber(v) };
+  return isPlainObject(v) ? Object.fromEntries(Object.keys(v).sort().map(k => [k, v[k]])) : v;
+});
+
+// Identity of an array element: the first identity key it has, as "key=value"
+const identityOf = (item, identityKeys) => {
+  if (!isPlainObject(item)) return null;
+  const key = identityKeys.find(candidate => {
+    const value = item[candidate];
+    return typeof value === 'string' || isNumber(value);
+  });
+  return key === undefined ? null : `${key}=${isLosslessNumber(item[key]) ? canonicalNumber(item[key]) : JSON.stringify(item[key])}`;
+};
+
+// Above this the O(n·m) table is skipped; elements then pair by position
+const MAX_LCS_CELLS = 4000000;
+
+// [DSA] Longest common subsequence of two hash lists (DP table), after
+// trimming the common prefix and suffix. Returns matched [i, j] index pairs.
+export const longestCommonSubsequence = (left, right) => {
+  const pairs = [];
+  let start = 0;
+  while (start < left.length && start < right.length && left[start] === right[start]) {
+    pairs.push([start, start]);
+    start++;
+  }
+  let leftEnd = left.length;
+  let rightEnd = right.length;
+  const suffix = [];
+  while (leftEnd > start && rightEnd > start && left[leftEnd - 1] === right[rightEnd - 1]) {
+    leftEnd--;
+    rightEnd--;
+    suffix.push([leftEnd, rightEnd]);
+  }
+
+  const n = leftEnd - start;
+  const m = rightEnd - start;
+  if (n > 0 && m > 0 && n * m <= MAX_LCS_CELLS) {
+    // lengths[i][j] = LCS of left[i..] and right[j..], flattened
+    const width = m + 1;
+    const lengths = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[i * width + j] = left[start + i] === right[start + j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (left[start + i] === right[start + j]) {
+        pairs.push([start + i, start + j]);
+        i++;
+        j++;
+      } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+        i++;
+      } else {
+        j++;
+      }
+    }
+  }
+  return pairs.concat(suffix.reverse());
+};
+
+// [DSA] Longest increasing subsequence (patience sorting, O(n log n)) of the
+// pairs' left indices, pairs sorted by right index: the pairs that kept their
+// relative order. The others moved.
+const inOrderPairs = (pairs) => {
+  const sorted = [...pairs].sort((a, b) => a[1] - b[1]);
+  const tails = [];
+  const previous = new Array(sorted.length).fill(-1);
+  sorted.forEach(([i], index) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (sorted[tails[mid]][0] < i) low = mid + 1;
+      else high = mid;
+    }
+    if (low > 0) previous[index] = tails[low - 1];
+    tails[low] = index;
+  });
+  const kept = new Set();
+  for (let index = tails.length > 0 ? tails[tails.length - 1] : -1; index !== -1; index = previous[index]) kept.add(sorted[index]);
+  return kept;
+};
+
+// Element matching for one pair of arrays: [i, j] pairs plus the ones that moved
+const matchElements = (left, right, identityKeys) => {
+  const pairs = [];
+  const leftMatched = new Set();
+  const rightMatched = new Set();
+  const match = (i, j) => {
+    pairs.push([i, j]);
+    leftMatched.add(i);
+    rightMatched.add(j);
+  };
+
+  // 1. Same identity key
+  const leftIdentities = left.map(item => identityOf(item, identityKeys));
+  const rightIdentities = right.map(item => identityOf(item, identityKeys));
+  if (identityKeys.length > 0) {
+    const leftByIdentity = new Map();
+    leftIdentities.forEach((identity, i) => {
+      if (identity !== null && !leftByIdentity.has(identity)) leftByIdentity.set(identity, i);
+    });
+    rightIdentities.forEach((identity, j) => {
+      if (identity === null || !leftByIdentity.has(identity)) return;
+      match(leftByIdentity.get(identity), j);
+      leftByIdentity.delete(identity);
+    });
+  }
+
+  // 2. Equal values, in order
+  const restLeft = left.map((item, i) => i).filter(i => !leftMatched.has(i));
+  const restRight = right.map((item, j) => j).filter(j => !rightMatched.has(j));
+  const leftHashes = restLeft.map(i => canonical(left[i]));
+  const rightHashes = restRight.map(j => canonical(right[j]));
+  longestCommonSubsequence(leftHashes, rightHashes).forEach(([a, b]) => match(restLeft[a], restRight[b]));
+
+  // 3. Equal values elsewhere
+  const unmatchedByHash = new Map();
+  restLeft.forEach((i, a) => {
+    if (leftMatched.has(i)) return;
+    if (!unmatchedByHash.has(leftHashes[a])) unmatchedByHash.set(leftHashes[a], []);
+    unmatchedByHash.get(leftHashes[a]).push(i);
+  });
+  restRight.forEach((j, b) => {
+    const candidates = !rightMatched.has(j) && unmatchedByHash.get(rightHashes[b]);
+    if (candidates && candidates.length > 0) match(candidates.shift(), j);
+  });
+
+  const anchors = inOrderPairs(pairs);
+  const moved = new Set(pairs.filter(pair => !anchors.has(pair)));
+
+  // 4. Whatever is left pairs up by position between the same two anchors
+  // (a value edited in place), unless both have different identities
+  const sortedAnchors = [...anchors].sort((a, b) => a[1] - b[1]);
+  const gapOf = (index, side) => {
+    let low = 0;
+    let high = sortedAnchors.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (sortedAnchors[mid][side] < index) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  };
+  const leftGaps = new Map();
+  left.forEach((item, i) => {
+    if (leftMatched.has(i)) return;
+    const gap = gapOf(i, 0);
+    if (!leftGaps.has(gap)) leftGaps.set(gap, []);
+    leftGaps.get(gap).push(i);
+  });
+  right.forEach((item, j) => {
+    if (rightMatched.has(j)) return;
+    const candidates = leftGaps.get(gapOf(j, 1));
+    if (!candidates || candidates.length === 0) return;
+    const i = candidates[0];
+    if (leftIdentities[i] !== null && rightIdentities[j] !== null) return;
+    candidates.shift();
+    match(i, j);
+  });
+
+  return { pairs, moved };
+};
+
+const diffValues = (left, right, at, context) => {
+  if (isPlainObject(left) && isPlainObject(right)) return diffObjects(left, right, at, context);
+  if (Array.isArray(left) && Array.isArray(right)) return diffArrays(left, right, at, context);
+  if (!deepEqual(left, right)) {
+    context.changes.push({ type: 'changed', pointer: at.merged, left: at.left, right: at.right, oldValue: left, newValue: right });
+  }
+  return right;
+};
+
+const child = (at, mergedKey, leftKey, rightKey) => ({
+  merged: childPointer(at.merged, mergedKey),
+  left: leftKey === null ? null : childPointer(at.left, leftKey),
+  right: rightKey === null ? null : childPointer(at.right, rightKey)
+});
+
+const pointersOf = (at) => ({ pointer: at.merged, left: at.left, right: at.right });
+
+export const hasKey = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+// "__proto__" is an ordinary key in JSON
+export const setKey = (object, key, value) => {
+  Object.defineProperty(object, key, { value, enumerable: true, writable: true, configurable: true });
+};
+
+// Keys in the right document's order, removed keys after them
+const diffObjects = (left, right, at, context) => {
+  const merged = {};
+  Object.keys(right).forEach(key => {
+    if (hasKey(left, key)) {
+      setKey(merged, key, diffValues(left[key], right[key], child(at, key, key, key), context));
+    } else {
+      setKey(merged, key, right[key]);
+      context.changes.push({ type: 'added', ...pointersOf(child(at, key, null, key)), oldValue: undefined, newValue: right[key] });
+    }
+  });
+  Object.keys(left).forEach(key => {
+    if (hasKey(right, key)) return;
+    setKey(merged, key, left[key]);
+    context.changes.push({ type: 'removed', ...pointersOf(child(at, key, key, null)), oldValue: left[key], newValue: undefined });
+  });
+  return merged;
+};
+
+// Elements in the right document's order. Removed elements go back right
+// after their left neighbour, or before the next element that kept its place.
+const diffArrays = (left, right, at, context) => {
+  const { pairs, moved } = matchElements(left, right, context.identityKeys);
+  const leftOf = new Map(pairs.map(pair => [pair[1], pair]));
+  const leftMatched = new Set(pairs.map(([i]) => i));
+
+  const merged = [];
+  let nextLeft = 0;
+  const putBack = (i) => {
+    const removedAt = child(at, merged.length, i, null);
+    merged.push(left[i]);
+    context.changes.push({ type: 'removed', ...pointersOf(removedAt), oldValue: left[i], newValue: undefined });
+  };
+  const putBackUntil = (until) => {
+    for (; nextLeft < until; nextLeft++) if (!leftMatched.has(nextLeft)) putBack(nextLeft);
+  };
+  const putBackRun = () => {
+    for (; nextLeft < left.length && !leftMatched.has(nextLeft); nextLeft++) putBack(nextLeft);
+  };
+
+  putBackRun();
+  right.forEach((item, j) => {
+    const pair = leftOf.get(j);
+    if (!pair) {
+      const addedAt = child(at, merged.length, null, j);
+      merged.push(item);
+      context.changes.push({ type: 'added', ...pointersOf(addedAt), oldValue: undefined, newValue: item });
+      return;
+    }
+    const [i] = pair;
+    const kept = !moved.has(pair) && i >= nextLeft;
+    if (kept) {
+      putBackUntil(i);
+      nextLeft = i + 1;
+    }
+    const pairAt = child(at, merged.length, i, j);
+    if (moved.has(pair)) context.changes.push({ type: 'moved', ...pointersOf(pairAt), oldValue: left[i], newValue: item });
+    merged.push(diffValues(left[i], item, pairAt, context));
+    if (kept) putBackRun();
+  });
+  putBackUntil(left.length);
+  return merged;
+};
+
+// `identityKeys`: element fields that identify array elements, e.g. ['id']
+export const diffDocuments = (left, right, { identityKeys = [] } = {}) => {
+  const context = { changes: [], identityKeys };
+  const merged = diffValues(left, right, { merged: '', left: '', right: '' }, context);
+  const stats = DIFF_TYPES.reduce((counts, type) => ({ ...counts, [type]: 0 }), {});
+  context.changes.forEach(change => { stats[change.type]++; });
+  return { merged, changes: context.changes, stats };
+};
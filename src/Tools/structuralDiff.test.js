@@ -0,0 +1,37 @@
+import { diffDocuments } from './structuralDiff';
+
+const summary = (result) => result.changes.map(change => `${change.type} ${change.pointer} (${change.left} -> ${change.right})`);
+
+test('objects: added, removed and changed keys in a merged document', () => {
+  const result = diffDocuments(
+    { name: 'api', version: 1, owner: 'ops', tags: ['a', 'b'] },
+    { name: 'api', version: 2, tags: ['a', 'b', 'c'], region: 'eu' }
+  );
+  expect(summary(result)).toEqual([
+    'changed /version (/version -> /version)',
+    'added /tags/2 (null -> /tags/2)',
+    'added /region (null -> /region)',
+    'removed /owner (/owner -> null)'
+  ]);
+  expect(result.merged).toEqual({ name: 'api', version: 2, tags: ['a', 'b', 'c'], region: 'eu', owner: 'ops' });
+  expect(result.stats).toEqual({ added: 2, removed: 1, changed: 1, moved: 0 });
+  expect(diffDocuments({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] }).changes).toEqual([]);
+});
+
+test('array elements are matched by identity key, then by value', () => {
+  const before = [{ id: 1, status: 'new' }, { id: 2, status: 'new' }, { id: 3, status: 'new' }];
+  const after = [{ id: 3, status: 'new' }, { id: 1, status: 'done' }, { id: 4, status: 'new' }];
+
+  expect(summary(diffDocuments(before, after, { identityKeys: ['id'] }))).toEqual([
+    'moved /0 (/2 -> /0)',
+    'changed /1/status (/0/status -> /1/status)',
+    'removed /2 (/1 -> null)',
+    'added /3 (null -> /2)'
+  ]);
+
+  // Without the key, the edited element pairs up by position
+  expect(summary(diffDocuments(['x', 'y', 'z', 'w'], ['w', 'x', 'Y', 'z']))).toEqual([
+    'moved /0 (/3 -> /0)',
+    'changed /2 (/1 -> /2)'
+  ]);
+});
@@ -0,0 +1,469 @@
+import { inferSchema } from './schemaInference';
+import { parsePointer } from '../Visualizer/jsonPointer';
+
+// Source code types from example data. The data goes through inferSchema
+// first, so array items are already merged and optional (missing from some
+// items) and nullable (sometimes null) fields are known; this module only
+// names the object shapes and prints them.
+
+export const TYPE_LANGUAGES = {
+  typescript: { label: 'TypeScript', language: 'typescript', extension: 'ts' },
+  go: { label: 'Go', language: 'go', extension: 'go' },
+  dataclass: { label: 'Python (dataclass)', language: 'python', extension: 'py' },
+  pydantic: { label: 'Python (Pydantic)', language: 'python', extension: 'py' },
+  java: { label: 'Java (records)', language: 'java', extension: 'java' },
+  rust: { label: 'Rust (serde)', language: 'rust', extension: 'rs' }
+};
+
+// --- Names ---
+
+// "firstName", "first_name", "First-Name" -> ["first", "name"]
+const splitWords = (text) => String(text)
+  .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+  .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+  .split(/[^A-Za-z0-9]+/)
+  .filter(Boolean)
+  .map(word => word.toLowerCase());
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+// Identifiers can't start with a digit: "2fa" -> "Field2fa"
+const toPascalCase = (text, fallback) => {
+  const name = splitWords(text).map(capitalize).join('');
+  if (!name) return fallback;
+  return /^\d/.test(name) ? `${fallback}${name}` : name;
+};
+
+const toCamelCase = (text, fallback) => {
+  const name = toPascalCase(text, capitalize(fallback));
+  return name.charAt(0).toLowerCase() + name.slice(1);
+};
+
+const toSnakeCase = (text, fallback) => {
+  const name = splitWords(text).join('_');
+  if (!name) return fallback;
+  return /^\d/.test(name) ? `${fallback}_${name}` : name;
+};
+
+// Go spells initialisms in capitals (ID, URL)
+const GO_INITIALISMS = new Set(['id', 'url', 'uri', 'api', 'http', 'https', 'json', 'uuid', 'ip', 'html', 'xml', 'sql', 'ui']);
+const toGoName = (text) => {
+  const name = splitWords(text).map(word => (GO_INITIALISMS.has(word) ? word.toUpperCase() : capitalize(word))).join('');
+  if (!name) return 'Field';
+  return /^\d/.test(name) ? `Field${name}` : name;
+};
+
+// Item type of an array property: "users" -> "User", "categories" -> "Category"
+const singularize = (name) => {
+  if (/ies$/.test(name)) return `${name.slice(0, -3)}y`;
+  if (/(ss|x|ch|sh)es$/.test(name)) return name.slice(0, -2);
+  if (/[^s]s$/.test(name) && name.length > 3) return name.slice(0, -1);
+  return name;
+};
+
+// Type name for the value at a JSON Pointer: "/users/0" -> "User"
+export const suggestTypeName = (pointer) => {
+  const tokens = parsePointer(pointer);
+  for (let i = tokens.length - 1; i >= 0; i--) {
+    if (/^\d+$/.test(tokens[i])) continue;
+    const name = toPascalCase(tokens[i], 'Type');
+    return i < tokens.length - 1 ? singularize(name) : name;
+  }
+  return 'Root';
+};
+
+// --- Model ---
+// Type reference: { kind, nullable } where kind is string | integer | number |
+// boolean | any | map | array (+ items) | object (+ name) | union (+ options).
+// Declarations: [{ name, fields: [{ key, type, optional }] }], root first.
+
+const buildModel = (rootSchema, rootName) => {
+  const declarations = [];
+  const usedNames = new Set();
+  // [DSA] Identical shapes (same schema) share one declaration
+  const namesBySignature = new Map();
+
+  const uniqueName = (base) => {
+    let name = base;
+    for (let i = 2; usedNames.has(name); i++) name = `${base}${i}`;
+    usedNames.add(name);
+    return name;
+  };
+
+  const declare = (schema, nameHint) => {
+    const signature = JSON.stringify(schema);
+    if (namesBySignature.has(signature)) return namesBySignature.get(signature);
+
+    const name = uniqueName(nameHint);
+    namesBySignature.set(signature, name);
+    const declaration = { name, fields: [] };
+    declarations.push(declaration);
+    const required = new Set(schema.required || []);
+    declaration.fields = Object.entries(schema.properties).map(([key, propertySchema]) => ({
+      key,
+      type: toRef(propertySchema, toPascalCase(key, 'Field')),
+      optional: !required.has(key)
+    }));
+    return name;
+  };
+
+  // Several types in one schema: drop "null" into `nullable`, then one type or a union
+  const toUnionRef = (schemas, nameHint) => {
+    const options = schemas.filter(schema => schema.type !== 'null');
+    const nullable = options.length < schemas.length;
+    const refs = options.map(schema => toRef(schema, nameHint));
+    if (refs.length === 0) return { kind: 'any', nullable: true };
+    if (refs.length === 1) return { ...refs[0], nullable: nullable || refs[0].nullable };
+    return { kind: 'union', options: refs, nullable };
+  };
+
+  const toRef = (schema, nameHint) => {
+    if (schema.anyOf) return toUnionRef(schema.anyOf, nameHint);
+    if (Array.isArray(schema.type)) return toUnionRef(schema.type.map(type => ({ ...schema, type })), nameHint);
+
+    switch (schema.type) {
+      case 'object':
+        // {} in the sample: nothing to name, keep it open
+        if (!schema.properties || Object.keys(schema.properties).length === 0) return { kind: 'map' };
+        return { kind: 'object', name: declare(schema, nameHint) };
+      case 'array': {
+        const itemName = singularize(nameHint);
+        return { kind: 'array', items: schema.items ? toRef(schema.items, itemName === nameHint ? `${nameHint}Item` : itemName) : { kind: 'any' } };
+      }
+      case 'string':
+      case 'integer':
+      case 'number':
+      case 'boolean':
+        return { kind: schema.type };
+      case 'null':
+        return { kind: 'any', nullable: true };
+      default:
+        return { kind: 'any' };
+    }
+  };
+
+  const root = toRef(rootSchema, rootName);
+  return { root, declarations };
+};
+
+// Field identifiers per declaration: sanitized and unique
+const fieldNames = (fields, toName) => {
+  const used = new Set();
+  return fields.map(field => {
+    const base = toName(field.key);
+    let name = base;
+    for (let i = 2; used.has(name); i++) name = `${base}${i}`;
+    used.add(name);
+    return name;
+  });
+};
+
+// Pad the columns of a table of strings (gofmt-style alignment)
+const alignColumns = (rows) => {
+  const widths = [];
+  rows.forEach(row => row.forEach((cell, i) => { widths[i] = Math.max(widths[i] || 0, cell.length); }));
+  return rows.map(row => row.map((cell, i) => (i < row.length - 1 ? cell.padEnd(widths[i]) : cell)).join(' '));
+};
+
+// --- TypeScript ---
+
+const TS_IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+const tsType = (ref) => {
+  let type;
+  switch (ref.kind) {
+    case 'string': type = 'string'; break;
+    case 'integer':
+    case 'number': type = 'number'; break;
+    case 'boolean': type = 'boolean'; break;
+    case 'map': type = 'Record<string, unknown>'; break;
+    case 'object': type = ref.name; break;
+    case 'array': {
+      const items = tsType(ref.items);
+      type = /[ |]/.test(items) ? `(${items})[]` : `${items}[]`;
+      break;
+    }
+    case 'union': type = ref.options.map(tsType).join(' | '); break;
+    default: return 'unknown';
+  }
+  return ref.nullable ? `${type} | null` : type;
+};
+
+const printTypeScript = ({ root, declarations }, rootName) => {
+  const blocks = [];
+  if (root.kind !== 'object') blocks.push(`export type ${rootName} = ${tsType(root)};`);
+  declarations.forEach(({ name, fields }) => {
+    const lines = fields.map(field => {
+      const key = TS_IDENTIFIER.test(field.key) ? field.key : JSON.stringify(field.key);
+      return `  ${key}${field.optional ? '?' : ''}: ${tsType(field.type)};`;
+    });
+    blocks.push(`export interface ${name} {\n${lines.join('\n')}\n}`);
+  });
+  return `${blocks.join('\n\n')}\n`;
+};
+
+// --- Go ---
+
+const goType = (ref, { pointer = false } = {}) => {
+  let type;
+  switch (ref.kind) {
+    case 'string': type = 'string'; break;
+    case 'integer': type = 'int64'; break;
+    case 'number': type = 'float64'; break;
+    case 'boolean': type = 'bool'; break;
+    case 'map': return 'map[string]any';
+    case 'object': type = ref.name; break;
+    case 'array': return `[]${goType(ref.items)}`;
+    default: return 'any';
+  }
+  // Slices, maps and any can already be nil
+  return pointer || ref.nullable ? `*${type}` : type;
+};
+
+const printGo = ({ root, declarations }, rootName) => {
+  const blocks = [];
+  if (root.kind !== 'object') blocks.push(`type ${rootName} ${goType(root)}`);
+  declarations.forEach(({ name, fields }) => {
+    const names = fieldNames(fields, toGoName);
+    const rows = fields.map((field, i) => [
+      names[i],
+      goType(field.type, { pointer: field.optional }),
+      `\`json:"${field.key}${field.optional ? ',omitempty' : ''}"\``
+    ]);
+    const lines = alignColumns(rows).map(line => `\t${line}`);
+    blocks.push(`type ${name} struct {\n${lines.join('\n')}\n}`);
+  });
+  return `${blocks.join('\n\n')}\n`;
+};
+
+// --- Python ---
+
+const PYTHON_KEYWORDS = new Set([
+  'False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del',
+  'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal',
+  'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield'
+]);
+
+const toPythonName = (key) => {
+  const name = toSnakeCase(key, 'field');
+  return PYTHON_KEYWORDS.has(name) ? `${name}_` : name;
+};
+
+// `imports` collects the typing names in use
+const pythonType = (ref, imports) => {
+  let type;
+  switch (ref.kind) {
+    case 'string': type = 'str'; break;
+    case 'integer': type = 'int'; break;
+    case 'number': type = 'float'; break;
+    case 'boolean': type = 'bool'; break;
+    case 'map':
+      imports.add('Dict').add('Any');
+      type = 'Dict[str, Any]';
+      break;
+    case 'object': type = ref.name; break;
+    case 'array':
+      imports.add('List');
+      type = `List[${pythonType(ref.items, imports)}]`;
+      break;
+    case 'union':
+      imports.add('Union');
+      type = `Union[${ref.options.map(option => pythonType(option, imports)).join(', ')}]`;
+      break;
+    default:
+      imports.add('Any');
+      return 'Any';
+  }
+  if (!ref.nullable) return type;
+  imports.add('Optional');
+  return `Optional[${type}]`;
+};
+
+const printPython = ({ root, declarations }, rootName, { pydantic }) => {
+  const imports = new Set();
+  const classes = [];
+  let usesField = false;
+
+  // Mostly dependency order; `from __future__ import annotations` covers the rest
+  [...declarations].reverse().forEach(({ name, fields }) => {
+    const names = fieldNames(fields, toPythonName);
+    const lines = fields.map((field, i) => {
+      // Optional keys default to None, so the type must accept it
+      const type = pythonType(field.optional ? { ...field.type, nullable: true } : field.type, imports);
+      const renamed = names[i] !== field.key;
+      if (pydantic) {
+        if (renamed) {
+          usesField = true;
+          const defaultArg = field.optional ? 'default=None, ' : '';
+          return `    ${names[i]}: ${type} = Field(${defaultArg}alias=${JSON.stringify(field.key)})`;
+        }
+        return `    ${names[i]}: ${type}${field.optional ? ' = None' : ''}`;
+      }
+      const line = `    ${names[i]}: ${type}${field.optional ? ' = None' : ''}`;
+      return renamed ? `${line}  # JSON key: ${JSON.stringify(field.key)}` : line;
+    });
+    // Dataclass fields with defaults must come last
+    const ordered = pydantic
+      ? lines
+      : [...lines.filter((line, i) => !fields[i].optional), ...lines.filter((line, i) => fields[i].optional)];
+    const header = pydantic ? `class ${name}(BaseModel):` : `@dataclass\nclass ${name}:`;
+    classes.push(`${header}\n${ordered.join('\n')}`);
+  });
+  if (root.kind !== 'object') classes.push(`${rootName} = ${pythonType(root, imports)}`);
+
+  const header = ['from __future__ import annotations', ''];
+  if (!pydantic) header.push('from dataclasses import dataclass');
+  if (imports.size > 0) header.push(`from typing import ${[...imports].sort().join(', ')}`);
+  if (pydantic) header.push('', `from pydantic import BaseModel${usesField ? ', Field' : ''}`);
+  return `${header.join('\n')}\n\n\n${classes.join('\n\n\n')}\n`;
+};
+
+// --- Java ---
+
+const JAVA_KEYWORDS = new Set([
+  'abstract', 'assert', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'const', 'continue', 'default',
+  'do', 'double', 'else', 'enum', 'extends', 'final', 'finally', 'float', 'for', 'goto', 'if', 'implements', 'import',
+  'instanceof', 'int', 'interface', 'long', 'native', 'new', 'package', 'private', 'protected', 'public', 'record',
+  'return', 'short', 'static', 'strictfp', 'super', 'switch', 'synchronized', 'this', 'throw', 'throws', 'transient',
+  'try', 'void', 'volatile', 'while', 'true', 'false', 'null'
+]);
+
+const toJavaName = (key) => {
+  const name = toCamelCase(key, 'field');
+  return JAVA_KEYWORDS.has(name) ? `${name}_` : name;
+};
+
+// Primitives when always present and never null, boxed otherwise
+const javaType = (ref, imports, { boxed = false } = {}) => {
+  const box = boxed || ref.nullable;
+  switch (ref.kind) {
+    case 'string': return 'String';
+    case 'integer': return box ? 'Long' : 'long';
+    case 'number': return box ? 'Double' : 'double';
+    case 'boolean': return box ? 'Boolean' : 'boolean';
+    case 'map':
+      imports.add('java.util.Map');
+      return 'Map<String, Object>';
+    case 'object': return ref.name;
+    case 'array':
+      imports.add('java.util.List');
+      return `List<${javaType(ref.items, imports, { boxed: true })}>`;
+    default: return 'Object';
+  }
+};
+
+const printJava = ({ root, declarations }, rootName) => {
+  const imports = new Set();
+  const records = declarations.map(({ name, fields }) => {
+    const names = fieldNames(fields, toJavaName);
+    const components = fields.map((field, i) => {
+      const type = javaType(field.type, imports, { boxed: field.optional });
+      if (names[i] === field.key) return `${type} ${names[i]}`;
+      imports.add('com.fasterxml.jackson.annotation.JsonProperty');
+      return `@JsonProperty(${JSON.stringify(field.key)}) ${type} ${names[i]}`;
+    });
+    return { name, components };
+  });
+
+  const printRecord = ({ name, components }, indent, modifiers, body) => {
+    const lines = components.map((component, i) => `${indent}    ${component}${i < components.length - 1 ? ',' : ''}`);
+    return `${indent}${modifiers}record ${name}(\n${lines.join('\n')}\n${indent}) {${body}}`;
+  };
+
+  let code;
+  if (root.kind === 'object') {
+    // One file: the other records are nested in the root record
+    const [rootRecord, ...nested] = records;
+    const body = nested.length > 0
+      ? `\n${nested.map(record => printRecord(record, '    ', 'public ', '')).join('\n\n')}\n`
+      : '';
+    code = printRecord(rootRecord, '', 'public ', body);
+  } else {
+    const rootType = javaType(root, imports, { boxed: true });
+    code = [`// ${rootName}: ${rootType}`, ...records.map(record => printRecord(record, '', '', ''))].join('\n\n');
+  }
+
+  const importLines = [...imports].sort().map(name => `import ${name};`);
+  return importLines.length > 0 ? `${importLines.join('\n')}\n\n${code}\n` : `${code}\n`;
+};
+
+// --- Rust ---
+
+const RUST_KEYWORDS = new Set([
+  'as', 'async', 'await', 'break', 'const', 'continue', 'dyn', 'else', 'enum', 'extern', 'false', 'fn', 'for', 'if',
+  'impl', 'in', 'let', 'loop', 'match', 'mod', 'move', 'mut', 'pub', 'ref', 'return', 'static', 'struct', 'trait',
+  'true', 'type', 'unsafe', 'use', 'where', 'while', 'abstract', 'become', 'box', 'do', 'final', 'macro', 'override',
+  'priv', 'typeof', 'unsized', 'virtual', 'yield', 'try'
+]);
+
+// Raw identifiers (r#type) work for every keyword but these
+const RUST_RESERVED = new Set(['self', 'crate', 'super']);
+
+const toRustName = (key) => {
+  const name = toSnakeCase(key, 'field');
+  if (RUST_RESERVED.has(name)) return `${name}_`;
+  return RUST_KEYWORDS.has(name) ? `r#${name}` : name;
+};
+
+const rustType = (ref, imports) => {
+  let type;
+  switch (ref.kind) {
+    case 'string': type = 'String'; break;
+    case 'integer': type = 'i64'; break;
+    case 'number': type = 'f64'; break;
+    case 'boolean': type = 'bool'; break;
+    case 'map':
+      imports.add('use std::collections::HashMap;');
+      type = 'HashMap<String, serde_json::Value>';
+      break;
+    case 'object': type = ref.name; break;
+    case 'array': type = `Vec<${rustType(ref.items, imports)}>`; break;
+    // serde_json::Value already has Null
+    default: return 'serde_json::Value';
+  }
+  return ref.nullable ? `Option<${type}>` : type;
+};
+
+const printRust = ({ root, declarations }, rootName) => {
+  const imports = new Set(['use serde::{Deserialize, Serialize};']);
+  const blocks = [];
+  if (root.kind !== 'object') blocks.push(`pub type ${rootName} = ${rustType(root, imports)};`);
+  declarations.forEach(({ name, fields }) => {
+    const names = fieldNames(fields, toRustName);
+    const lines = [];
+    fields.forEach((field, i) => {
+      let type = rustType(field.type, imports);
+      const attributes = [];
+      if (names[i].replace(/^r#/, '') !== field.key) attributes.push(`rename = ${JSON.stringify(field.key)}`);
+      // Missing keys become None (or Value::Null) and are left out again on output
+      if (field.optional && type === 'serde_json::Value') {
+        attributes.push('default');
+      } else if (field.optional) {
+        if (!type.startsWith('Option<')) type = `Option<${type}>`;
+        attributes.push('default', 'skip_serializing_if = "Option::is_none"');
+      }
+      if (attributes.length > 0) lines.push(`    #[serde(${attributes.join(', ')})]`);
+      lines.push(`    pub ${names[i]}: ${type},`);
+    });
+    blocks.push(`#[derive(Debug, Clone, Serialize, Deserialize)]\npub struct ${name} {\n${lines.join('\n')}\n}`);
+  });
+  return `${[...imports].sort().join('\n')}\n\n${blocks.join('\n\n')}\n`;
+};
+
+const PRINTERS = {
+  typescript: printTypeScript,
+  go: printGo,
+  dataclass: (model, rootName) => printPython(model, rootName, { pydantic: false }),
+  pydantic: (model, rootName) => printPython(model, rootName, { pydantic: true }),
+  java: printJava,
+  rust: printRust
+};
+
+// Source code for `data` in one of TYPE_LANGUAGES. With `perRecord` (NDJSON)
+// the root type describes one record.
+export const generateTypes = (data, language, { rootName = 'Root', perRecord = false } = {}) => {
+  const print = PRINTERS[language];
+  if (!print) throw new Error(`Unknown language: ${language}`);
+  const name = toPascalCase(rootName, 'Root');
+  return print(buildModel(inferSchema(data, { perRecord }), name), name);
+};
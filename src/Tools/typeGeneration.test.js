@@ -0,0 +1,62 @@
+import { generateTypes, suggestTypeName } from './typeGeneration';
+
+const sample = {
+  id: 7,
+  'first-name': 'Ann',
+  users: [
+    { userId: 1, email: 'a@b.co', manager: null },
+    { userId: 2, manager: { id: 1 }, type: 'admin' }
+  ]
+};
+
+test('prints TypeScript interfaces with optional and nullable fields', () => {
+  expect(generateTypes(sample, 'typescript')).toBe(`export interface Root {
+  id: number;
+  "first-name": string;
+  users: User[];
+}
+
+export interface User {
+  userId: number;
+  email?: string;
+  manager: Manager | null;
+  type?: string;
+}
+
+export interface Manager {
+  id: number;
+}
+`);
+});
+
+test('prints Go, Python, Java and Rust', () => {
+  const go = generateTypes(sample, 'go');
+  expect(go).toContain('\tUserID  int64    `json:"userId"`');
+  expect(go).toContain('\tEmail   *string  `json:"email,omitempty"`');
+  expect(go).toContain('\tManager *Manager `json:"manager"`');
+
+  const dataclass = generateTypes(sample, 'dataclass');
+  expect(dataclass).toContain('    manager: Optional[Manager]\n    email: Optional[str] = None');
+  expect(dataclass).toContain('    first_name: str  # JSON key: "first-name"');
+
+  const pydantic = generateTypes(sample, 'pydantic');
+  expect(pydantic).toContain('from pydantic import BaseModel, Field');
+  expect(pydantic).toContain('    user_id: int = Field(alias="userId")');
+
+  const java = generateTypes(sample, 'java');
+  expect(java).toContain('public record Root(\n    long id,\n    @JsonProperty("first-name") String firstName,\n    List<User> users\n) {');
+  expect(java).toContain('    public record User(');
+  expect(java).toContain('        long userId,\n        String email,');
+
+  const rust = generateTypes(sample, 'rust');
+  expect(rust).toContain('    #[serde(rename = "userId")]\n    pub user_id: i64,');
+  expect(rust).toContain('    #[serde(default, skip_serializing_if = "Option::is_none")]\n    pub r#type: Option<String>,');
+  expect(rust).toContain('    pub manager: Option<Manager>,');
+});
+
+test('names subtrees and non-object roots', () => {
+  expect(suggestTypeName('/users/0')).toBe('User');
+  expect(suggestTypeName('/categories')).toBe('Categories');
+  expect(suggestTypeName('')).toBe('Root');
+  expect(generateTypes([{ a: 1 }], 'rust', { rootName: 'events' })).toContain('pub type Events = Vec<Event>;');
+});
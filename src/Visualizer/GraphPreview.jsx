@@ -0,0 +1,66 @@
+import React, { useEffect, useMemo } from 'react';
+import { ReactFlow, ReactFlowProvider, Background, Controls, useReactFlow } from '@xyflow/react';
+import { DEFAULT_LIMITS, buildGraph, getLayoutedElements, nodeWidth, nodeHeight } from './graphBuilder';
+import { groupAnnotationsByNode, applyAnnotationClasses } from './annotations';
+import '@xyflow/react/dist/style.css';
+import './JsonGraph.css';
+
+// Small enough to lay out on the main thread on every keystroke
+export const PREVIEW_LIMITS = { ...DEFAULT_LIMITS, maxNodes: 400, maxDepth: 6, maxArrayItems: 20, maxObjectProps: 20 };
+
+const NO_ANNOTATIONS = [];
+
+// Centers the node of `focus.pointer` (or its nearest drawn ancestor)
+const FocusPointer = ({ focus, nodes }) => {
+  const { setCenter } = useReactFlow();
+  useEffect(() => {
+    if (!focus) return;
+    const [id] = groupAnnotationsByNode([focus], new Set(nodes.map(node => node.id))).keys();
+    const node = nodes.find(candidate => candidate.id === id);
+    if (node) setCenter(node.position.x + nodeWidth / 2, node.position.y + nodeHeight / 2, { zoom: 1.2, duration: 400 });
+  }, [focus, nodes, setCenter]);
+  return null;
+};
+
+// Read-only graph of a value, drawn like the main graph but without its
+// search, paging and navigation (and without the window-level hooks
+// JsonGraph installs, so both can be on screen). Annotations color nodes and
+// add their notes as tooltips. Remount it (key) to refit.
+const GraphPreview = ({ value, limits = PREVIEW_LIMITS, annotations = NO_ANNOTATIONS, focus = null }) => {
+  const { nodes, edges } = useMemo(() => {
+    const graph = buildGraph(value, limits);
+    return getLayoutedElements(graph.nodes, graph.edges);
+  }, [value, limits]);
+
+  const annotationsById = useMemo(() => (
+    annotations.length > 0 ? groupAnnotationsByNode(annotations, new Set(nodes.map(node => node.id))) : new Map()
+  ), [annotations, nodes]);
+
+  const displayNodes = useMemo(() => applyAnnotationClasses(nodes, annotationsById).map(node => {
+    const notes = (annotationsById.get(node.id) || []).map(annotation => annotation.note).filter(Boolean);
+    if (notes.length === 0) return node;
+    return { ...node, data: { ...node.data, label: <span title={notes.join('\n')}>{node.data.label}</span> } };
+  }), [nodes, annotationsById]);
+
+  return (
+    <ReactFlowProvider>
+      <ReactFlow
+        nodes={displayNodes}
+        edges={edges}
+        fitView
+        minZoom={0.05}
+        maxZoom={2}
+        nodesDraggable={false}
+        nodesConnectable={false}
+        elementsSelectable={false}
+        attributionPosition="bottom-right"
+      >
+        <Background variant="dots" color="#404040" gap={16} size={1.5} />
+        <Controls showInteractive={false} />
+        <FocusPointer focus={focus} nodes={nodes} />
+      </ReactFlow>
+    </ReactFlowProvider>
+  );
+};
+
+export default GraphPreview;
@@ -1,59 +1,47 @@
-import React, { useEffect, useCallback, forwardRef, useImperativeHandle } from 'react';
+import React, { useEffect, useCallback, useMemo, forwardRef, useImperativeHandle } from 'react';
 import { ReactFlow, Controls, Background, useNodesState, useEdgesState, Position, ReactFlowProvider, useReactFlow, getNodesBounds } from '@xyflow/react';
 import { toPng } from 'html-to-image';
-import dagre from 'dagre';
+import { ROOT_ID, WARNING_ID, toNodeId, getParentPointer, getValueAtPointer } from './jsonPointer';
+import { diffGraph, getAllDescendants, getCollapsedHiddenIds, placeIncrementally } from './graphDiff';
+import { DEFAULT_LIMITS, EMPTY_EXPANSIONS, getLayoutedElements } from './graphBuilder';
+import { createGraphWorkerClient } from './graphWorkerClient';
+import { groupAnnotationsByNode, applyAnnotationClasses } from './annotations';
+import { parseSource } from '../Parser/parseSource';
+import { stringifyJson } from '../Parser/losslessJson';
+import { QUERY_LANGUAGES, runQuery } from '../Tools/query';
 import '@xyflow/react/dist/style.css';
 import './JsonGraph.css';
 
-const nodeWidth = 220;
-const nodeHeight = 60;
-
-// [DSA] Graph Layout Algorithm
-// We use a Directed Acyclic Graph (DAG) layout engine here.
-// In DSA terms, we are assigning (x, y) coordinates to each Vertex (V)
-// so that edges (E) flow in a specific direction without cycles.
-const getLayoutedElements = (nodes, edges) => {
-  // [DSA] Initialize a new Graph data structure
-  const dagreGraph = new dagre.graphlib.Graph();
-  dagreGraph.setDefaultEdgeLabel(() => ({}));
-
-  // [DSA] Set layout direction to "Left-to-Right" (LR)
-  // This creates a hierarchical tree structure visually.
-  dagreGraph.setGraph({ rankdir: 'LR' });
-
-  // [DSA] Add Vertices (Nodes) to the graph instance
-  nodes.forEach((node) => {
-    dagreGraph.setNode(node.id, { width: nodeWidth, height: nodeHeight });
-  });
+// Shown in the graph pane while the worker is busy
+const GRAPH_STATUS_LABELS = {
+  parsing: 'Parsing JSON…',
+  building: 'Building graph…',
+  layout: 'Layouting…'
+};
 
-  // [DSA] Add Directed Edges to the graph instance
-  // An edge connects a Source node to a Target node (u -> v)
-  edges.forEach((edge) => {
-    dagreGraph.setEdge(edge.source, edge.target);
-  });
+// Only show progress for jobs that take noticeably long (avoids flicker while typing)
+const PROGRESS_DELAY_MS = 200;
 
-  // [DSA] Run the layout algorithm (topological sort + positioning)
-  // Time Complexity: Depends on the heuristic, usually O(V + E) or slightly higher
-  dagre.layout(dagreGraph);
-
-  // [DSA] Map the calculated positions back to our Node objects
-  const layoutedNodes = nodes.map((node) => {
-    const nodeWithPosition = dagreGraph.node(node.id);
-    return {
-      ...node,
-      targetPosition: Position.Left,
-      sourcePosition: Position.Right,
-      position: {
-        x: nodeWithPosition.x - nodeWidth / 2,
-        y: nodeWithPosition.y - nodeHeight / 2,
-      },
-    };
-  });
+// Default for the `annotations` prop, stable so memos don't recompute
+const NO_ANNOTATIONS = [];
+
+// Queries run once typing pauses; each run parses the whole document
+const QUERY_DEBOUNCE_MS = 300;
+
+const searchMatchStyle = { outline: '3px solid #fbbf24', outlineOffset: '2px' };
 
-  return { nodes: layoutedNodes, edges };
+// Highlights toggle one class on top of the node's own classes
+// (node-object, node-more, node-warning, ...)
+const withoutClass = (className, name) => (className || '').split(' ').filter(c => c && c !== name).join(' ');
+const withoutSearchMatch = (className) => withoutClass(className, 'node-search-match');
+
+// Case-insensitive substring match on the rendered label
+const matchesQuery = (node, lowerQuery) => {
+  if (!lowerQuery || !node.data || !node.data.label) return false;
+  return node.data.label.replace(/^[▼▶]\s/, '').toLowerCase().includes(lowerQuery);
 };
 
-const JsonGraphInner = forwardRef(({ data, onShowLogic }, ref) => {
+const JsonGraphInner = forwardRef(({ data, limits = DEFAULT_LIMITS, losslessNumbers = true, dialect = 'json', onShowLogic, onOpenSettings, onNodeSelect, onOffsetSelect, onExportCsv, onGenerateTypes, onOpenDocument, annotations = NO_ANNOTATIONS }, ref) => {
   const [nodes, setNodes, onNodesChange] = useNodesState([]);
   const [edges, setEdges, onEdgesChange] = useEdgesState([]);
   const [collapsedNodes, setCollapsedNodes] = React.useState(new Set());
@@ -61,6 +49,11 @@ const JsonGraphInner = forwardRef(({ data, onShowLogic }, ref) => {
   const [searchQuery, setSearchQuery] = React.useState('');
   const [matchedNodes, setMatchedNodes] = React.useState([]);
   const [currentMatchIndex, setCurrentMatchIndex] = React.useState(0);
+  // 'text' searches rendered labels; jsonpath / jmespath query the full data
+  const [searchMode, setSearchMode] = React.useState('text');
+  // { value, matches: [{ pointer, value }], unlocated } or { error }, see Tools/query.js
+  const [queryResult, setQueryResult] = React.useState(null);
+  const [queryIndex, setQueryIndex] = React.useState(0);
   const [contextMenu, setContextMenu] = React.useState(null); // [DSA] Context Menu State
   const [hoverInfo, setHoverInfo] = React.useState(null); // [DSA] Hover Trace Tooltip State
   const [showFeatures, setShowFeatures] = React.useState(false); // Features Modal State
@@ -87,16 +80,55 @@ const JsonGraphInner = forwardRef(({ data, onShowLogic }, ref) => {
   }, [hasSeenFeatures]);
   const { getNodes } = useReactFlow();
 
-  // Constants for graph limits
-  const MAX_NODES = 3000;
-  const MAX_DEPTH = 10;
-  const MAX_ARRAY_ITEMS = 50;
-  const MAX_OBJECT_PROPS = 50;
-
   // [DSA] Virtualization: Only render nodes in viewport
   const [enableVirtualization] = React.useState(true);
   const [viewport, setViewport] = React.useState({ x: 0, y: 0, zoom: 1 });
 
+  // [DSA] Lazy expansion of truncated containers, keyed by JSON Pointer
+  const [expansions, setExpansions] = React.useState(EMPTY_EXPANSIONS);
+
+  // Latest rendered state, read by processGraph to diff against the new tree
+  // without re-creating the callback on every change.
+  const nodesRef = React.useRef(nodes);
+  const edgesRef = React.useRef(edges);
+  const collapsedNodesRef = React.useRef(collapsedNodes);
+  const searchQueryRef = React.useRef(searchQuery);
+  const searchModeRef = React.useRef(searchMode);
+  const expansionsRef = React.useRef(expansions);
+  const limitsRef = React.useRef(limits);
+  const losslessRef = React.useRef(losslessNumbers);
+  const dialectRef = React.useRef(dialect);
+  // NDJSON paging: first record on screen and how many records there are
+  const [recordStart, setRecordStart] = React.useState(0);
+  const [recordCount, setRecordCount] = React.useState(0);
+  const recordStartRef = React.useRef(recordStart);
+  recordStartRef.current = recordStart;
+  nodesRef.current = nodes;
+  limitsRef.current = limits;
+  losslessRef.current = losslessNumbers;
+  dialectRef.current = dialect;
+  expansionsRef.current = expansions;
+  edgesRef.current = edges;
+  collapsedNodesRef.current = collapsedNodes;
+  searchQueryRef.current = searchQuery;
+  searchModeRef.current = searchMode;
+
+  // Positions of nodes the user dragged by hand, keyed by JSON Pointer
+  const pinnedPositionsRef = React.useRef(new Map());
+
+  // [DSA] Parsing + DFS + dagre run in a Web Worker (see graph.worker.js)
+  const workerClientRef = React.useRef(null);
+  // Tree shape of the rendered graph; lets the worker skip an unneeded layout
+  const structureKeyRef = React.useRef(null);
+  const [graphStatus, setGraphStatus] = React.useState(null);
+  // Why the last graph could not be built (e.g. the worker failed to load)
+  const [graphError, setGraphError] = React.useState(null);
+
+  useEffect(() => {
+    const client = createGraphWorkerClient();
+    workerClientRef.current = client;
+    return () => client.dispose();
+  }, []);
 
   useImperativeHandle(ref, () => ({
     exportAsImage: async () => {
@@ -153,6 +185,13 @@ const JsonGraphInner = forwardRef(({ data, onShowLogic }, ref) => {
         },
       });
     },
+    focusPointer: (pointer) => focusPointer(pointer),
+    // Re-run the layout from scratch (dropping hand-placed positions) while
+    // keeping collapse state, search, selection and the current viewport.
+    refresh: () => {
+      pinnedPositionsRef.current.clear();
+      if (data) processGraph(data, { relayout: true });
+    },
     clearSearch: () => {
       // Clear search state
       setSearchQuery('');
@@ -162,7 +201,7 @@ const JsonGraphInner = forwardRef(({ data, onShowLogic }, ref) => {
       setNodes(currentNodes =>
         currentNodes.map(n => ({
           ...n,
-          className: n.data.isObject ? 'node-object' : 'node-primitive',
+          className: withoutSearchMatch(n.className),
           style: { ...n.style, outline: 'none' }
         }))
       );
@@ -171,186 +210,215 @@ const JsonGraphInner = forwardRef(({ data, onShowLogic }, ref) => {
 
   // [DSA] Main Graph Construction Function
   // Transforms the JSON Tree into a Node-Link diagram.
-  const processGraph = useCallback((jsonString) => {
+  // The new tree is diffed against the rendered one so that edits keep
+  // collapse state, pinned positions, selection and the viewport.
+  const processGraph = useCallback(async (jsonString, { relayout = false } = {}) => {
+    const client = workerClientRef.current;
+    if (!client) return;
+
+    let currentStage = 'parsing';
+    let showProgress = false;
+    const progressTimer = setTimeout(() => {
+      showProgress = true;
+      setGraphStatus(currentStage);
+    }, PROGRESS_DELAY_MS);
+
     try {
-      const parsedData = JSON.parse(jsonString);
-
-      // [DSA] Vertices (V) list
-      const tempNodes = [];
-      // [DSA] Edges (E) list
-      const tempEdges = [];
-      // [DSA] Adjacency List: A HashMap storing parent -> children relationships
-      // Structure: { "node-1": ["node-2", "node-3"] }
-      // This allows O(1) lookup of children, essential for the "collapse" feature.
-      const hierarchy = {};
-
-      let nodeIdCounter = 0;
-      let isLimitReached = false;
-
-      // [DSA] Depth First Search (DFS) or Pre-order Traversal
-      // We visit the root, process it, then recursively visit all children.
-      // Time Complexity: O(N) where N is the total number of keys in the JSON
-      // Space Complexity: O(H) where H is the height/depth of the JSON tree (call stack)
-      const traverse = (key, value, parentId = null, depth = 0) => {
-        // [DSA] Base Case / Pruning
-        // Essential in recursion to prevent stack overflow or excessive processing.
-        if (nodeIdCounter >= MAX_NODES || depth > MAX_DEPTH) {
-          if (!isLimitReached) {
-            isLimitReached = true;
-            console.warn(`Visualization limit reached. Showing first ${MAX_NODES} nodes.`);
-          }
-          return;
+      const result = await client.run(jsonString, {
+        limits: limitsRef.current,
+        lossless: losslessRef.current,
+        dialect: dialectRef.current,
+        recordStart: recordStartRef.current,
+        expansions: expansionsRef.current,
+        previousStructureKey: relayout ? null : structureKeyRef.current
+      }, (stage) => {
+        currentStage = stage;
+        if (showProgress) setGraphStatus(stage);
+      });
+      clearTimeout(progressTimer);
+
+      // Superseded by newer input; that job owns the graph (and the status) now
+      if (!result) return;
+      setGraphStatus(null);
+      setGraphError(null);
+
+      const { nodes: tempNodes, edges: tempEdges, hierarchy } = result;
+      setRecordCount(result.recordCount);
+
+      // [DSA] Incremental Update: diff the new tree against the rendered one
+      const { previousById, changed, structureChanged } = diffGraph(nodesRef.current, tempNodes);
+      const changedIds = new Set(changed);
+      const keepLayout = !relayout && !structureChanged && previousById.size > 0;
+
+      // Only re-run dagre when vertices were added or removed. A pure value
+      // edit keeps the same tree shape, so the previous coordinates still fit.
+      let positionedNodes;
+      if (keepLayout) {
+        positionedNodes = tempNodes.map(node => {
+          const previous = previousById.get(node.id);
+          return {
+            ...node,
+            targetPosition: previous.targetPosition,
+            sourcePosition: previous.sourcePosition,
+            position: previous.position
+          };
+        });
+      } else {
+        // The worker skips dagre when the shape matches what it was told is on
+        // screen; if that turned out stale, lay out here instead.
+        positionedNodes = (result.layouted ? tempNodes : getLayoutedElements(tempNodes, tempEdges).nodes)
+          .map(node => ({ ...node, targetPosition: Position.Left, sourcePosition: Position.Right }));
+
+        // Anchor the new layout on the old root so the graph doesn't jump
+        // under the (unchanged) viewport.
+        const previousRoot = previousById.get(ROOT_ID);
+        const nextRoot = positionedNodes.find(n => n.id === ROOT_ID);
+        const dx = previousRoot && nextRoot ? previousRoot.position.x - nextRoot.position.x : 0;
+        const dy = previousRoot && nextRoot ? previousRoot.position.y - nextRoot.position.y : 0;
+
+        if (relayout || previousById.size === 0) {
+          positionedNodes = positionedNodes.map(node => ({
+            ...node,
+            position: pinnedPositionsRef.current.get(node.id) || {
+              x: node.position.x + dx,
+              y: node.position.y + dy
+            }
+          }));
+        } else {
+          // Only the changed branches move: added subtrees hang off their
+          // parents, and drawn nodes (hand-placed ones included) keep their
+          // place unless they are below an added subtree that needs the room
+          positionedNodes = placeIncrementally(positionedNodes, tempEdges, previousById, { x: dx, y: dy });
+          positionedNodes.forEach(node => {
+            if (pinnedPositionsRef.current.has(node.id)) pinnedPositionsRef.current.set(node.id, node.position);
+          });
         }
+      }
 
-        const currentId = `node-${nodeIdCounter++}`;
-        const isObject = value !== null && typeof value === 'object';
+      // Forget pins and collapse state of values that no longer exist
+      const nextIds = new Set(tempNodes.map(n => n.id));
+      pinnedPositionsRef.current.forEach((_, id) => {
+        if (!nextIds.has(id)) pinnedPositionsRef.current.delete(id);
+      });
+      const collapsed = new Set(
+        Array.from(collapsedNodesRef.current).filter(id => hierarchy[id] && hierarchy[id].length > 0)
+      );
 
-        // Create label with collapse indicator for objects
-        let label;
-        if (isObject) {
-          const objectType = Array.isArray(value) ? '[]' : '{}';
-          label = `${key} ${objectType}`;
-        } else {
-          label = `${key}: ${String(value).substring(0, 50)}`;
-        }
+      // [DSA] Re-apply collapse state: BFS below each collapsed node
+      const collapsedHiddenIds = getCollapsedHiddenIds(hierarchy, collapsed);
 
-        // [DSA] Create Vertex (Node)
-        tempNodes.push({
-          id: currentId,
-          data: {
-            label,
-            isObject,
-            hasChildren: isObject && value !== null,
-            collapsedHidden: false, // Track logical visibility
-            parentId // [DSA] Keep track of parent for virtualization path finding
-          },
-          position: { x: 0, y: 0 },
-          type: 'default',
-          className: isObject ? 'node-object' : 'node-primitive'
-        });
+      // Query results are annotations, only text search marks nodes here
+      const lowerQuery = searchModeRef.current === 'text' ? searchQueryRef.current.trim().toLowerCase() : '';
+      const matches = [];
 
-        // [DSA] Build Adjacency List
-        if (!hierarchy[currentId]) {
-          hierarchy[currentId] = [];
-        }
+      const nextNodes = positionedNodes.map(node => {
+        const previous = previousById.get(node.id);
+        const isMatch = matchesQuery(node, lowerQuery);
+        if (isMatch) matches.push(node.id);
 
-        if (parentId) {
-          // Add this node as a child of its parent
-          if (!hierarchy[parentId]) {
-            hierarchy[parentId] = [];
-          }
-          hierarchy[parentId].push(currentId);
-
-          // [DSA] Create Edge (Association)
-          // Since this is a Tree, each node has exactly one incoming edge (except Root)
-          tempEdges.push({
-            id: `edge-${parentId}-${currentId}`,
-            source: parentId,
-            target: currentId,
-            type: 'smoothstep',
-            animated: true,
-            style: { stroke: '#a1a1aa', strokeWidth: 1.5 },
-          });
+        // Untouched vertex: hand back the same object so React Flow skips it
+        if (keepLayout && !changedIds.has(node.id)) {
+          return previous;
         }
 
-        // [DSA] Recursive Step
-        // If the current value is a container (Object/Array), we recurse into it.
-        if (isObject && value !== null && nodeIdCounter < MAX_NODES && depth < MAX_DEPTH) {
-          if (Array.isArray(value)) {
-            const itemsToShow = Math.min(value.length, MAX_ARRAY_ITEMS);
-            for (let i = 0; i < itemsToShow; i++) {
-              // [DSA] Recursive Call for each array item
-              traverse(`[${i}]`, value[i], currentId, depth + 1);
-            }
-            // Handle truncation (omitted for brevity)
-            if (value.length > itemsToShow) {
-              // ... logic for "more items" node ...
-              const moreId = `node-${nodeIdCounter++}`;
-              tempNodes.push({
-                id: moreId,
-                data: {
-                  label: `... ${value.length - itemsToShow} more items`,
-                  collapsedHidden: false
-                },
-                position: { x: 0, y: 0 },
-                type: 'default',
-                className: 'node-primitive'
-              });
-              tempEdges.push({ id: `edge-${currentId}-${moreId}`, source: currentId, target: moreId, type: 'smoothstep', animated: true, style: { stroke: '#a1a1aa', strokeWidth: 1.5 } });
-            }
-          } else {
-            const entries = Object.entries(value);
-            const propsToShow = Math.min(entries.length, MAX_OBJECT_PROPS);
-            for (let i = 0; i < propsToShow; i++) {
-              const [childKey, childValue] = entries[i];
-              // [DSA] Recursive Call for each object property
-              traverse(childKey, childValue, currentId, depth + 1);
-            }
-            if (entries.length > propsToShow) {
-              // ... logic for "more props" node ...
-              const moreId = `node-${nodeIdCounter++}`;
-              tempNodes.push({
-                id: moreId,
-                data: {
-                  label: `... ${entries.length - propsToShow} more properties`,
-                  collapsedHidden: false
-                },
-                position: { x: 0, y: 0 },
-                type: 'default',
-                className: 'node-primitive'
-              });
-              tempEdges.push({ id: `edge-${currentId}-${moreId}`, source: currentId, target: moreId, type: 'smoothstep', animated: true, style: { stroke: '#a1a1aa', strokeWidth: 1.5 } });
-            }
-          }
+        const isCollapsedHidden = collapsedHiddenIds.has(node.id);
+        let label = node.data.label;
+        if (node.data.isRange) {
+          // Ranges are built lazily: no children until expanded
+          label = (node.data.rangeExpanded && !collapsed.has(node.id) ? '▼ ' : '▶ ') + label;
+        } else if (node.data.hasChildren && hierarchy[node.id] && hierarchy[node.id].length > 0) {
+          label = (collapsed.has(node.id) ? '▶ ' : '▼ ') + label;
         }
-      };
-
-      // [DSA] Start Traversal at the Root
-      traverse('Root', parsedData, null, 0);
 
-      if (isLimitReached) {
-        const warningId = `node-warning`;
-        tempNodes.unshift({
-          id: warningId,
+        return {
+          ...node,
+          hidden: isCollapsedHidden,
+          selected: previous ? previous.selected : false,
           data: {
-            label: `⚠️ Large JSON: Showing ${tempNodes.length} nodes (Limit: ${MAX_NODES})`,
-            collapsedHidden: false
+            ...node.data,
+            label,
+            collapsedHidden: isCollapsedHidden
           },
-          position: { x: 0, y: 0 },
-          type: 'default',
-          className: 'node-warning'
-        });
-      }
-
-      const { nodes: layoutedNodes, edges: layoutedEdges } = getLayoutedElements(
-        tempNodes,
-        tempEdges
-      );
-
-      // Add initial ▼ indicator to all object nodes with children (they start expanded)
-      const nodesWithIndicators = layoutedNodes.map(node => {
-        if (node.data.hasChildren && hierarchy[node.id] && hierarchy[node.id].length > 0) {
-          return {
-            ...node,
-            data: {
-              ...node.data,
-              label: '▼ ' + node.data.label
-            }
-          };
-        }
-        return node;
+          className: isMatch ? `${node.className} node-search-match` : node.className,
+          style: isMatch ? { ...node.style, ...searchMatchStyle } : node.style
+        };
       });
 
-      setNodes(nodesWithIndicators);
-      setEdges(layoutedEdges);
+      const nextEdges = keepLayout
+        ? edgesRef.current
+        : tempEdges.map(edge => ({ ...edge, hidden: collapsedHiddenIds.has(edge.target) || collapsedHiddenIds.has(edge.source) }));
+
+      setNodes(nextNodes);
+      setEdges(nextEdges);
       setNodeHierarchy(hierarchy); // Store the adjacency list for later use
+      setCollapsedNodes(collapsed);
+      structureKeyRef.current = result.structureKey;
+
+      // Keep the active search in sync with the new values
+      if (lowerQuery) {
+        setMatchedNodes(matches);
+        setCurrentMatchIndex(prev => (matches.length === 0 ? -1 : Math.min(Math.max(prev, 0), matches.length - 1)));
+      }
     } catch (err) {
+      clearTimeout(progressTimer);
+      setGraphStatus(null);
+      setGraphError(`Cannot build the graph: ${err.message}`);
       console.error(err);
     }
   }, [setNodes, setEdges]);
 
+  // Remember hand-placed nodes so edits and re-layouts don't move them back
+  const onNodeDragStop = useCallback((event, node) => {
+    pinnedPositionsRef.current.set(node.id, node.position);
+  }, []);
+
+  // Placeholder click: build the next page of children, or continue past the
+  // depth limit. The graph is rebuilt with the new expansion state.
+  const loadMore = useCallback((node) => {
+    const { moreKind, expansionKey, pageSize } = node.data;
+    setExpansions(prev => (moreKind === 'depth'
+      ? { ...prev, depthExpanded: [...prev.depthExpanded, expansionKey] }
+      : { ...prev, pageSizes: { ...prev.pageSizes, [expansionKey]: pageSize } }));
+  }, []);
+
+  // Range click: build (or drop) the items of an array bucket
+  const toggleRange = useCallback((node) => {
+    setExpansions(prev => ({
+      ...prev,
+      expandedRanges: prev.expandedRanges.includes(node.id)
+        ? prev.expandedRanges.filter(id => id !== node.id)
+        : [...prev.expandedRanges, node.id]
+    }));
+  }, []);
+
   // Handle node click for collapse/expand
   const onNodeClick = useCallback((event, node) => {
+    // Reveal the value in the editor (synthetic nodes have no pointer)
+    if (node.data && node.data.pointer !== undefined && onNodeSelect) {
+      onNodeSelect(node.data.pointer);
+    }
+
+    // Syntax errors and shadowed duplicates aren't values in the data;
+    // they jump to their position in the text instead
+    if (node.data && (node.data.isError || node.data.isShadowed)) {
+      if (onOffsetSelect) onOffsetSelect(node.data.offset);
+      return;
+    }
+
+    // Truncation warning links to the setting that caused it
+    if (node.id === WARNING_ID) {
+      if (onOpenSettings) onOpenSettings(node.data.limitKey);
+      return;
+    }
+    if (node.data && node.data.isMore) {
+      loadMore(node);
+      return;
+    }
+    if (node.data && node.data.isRange) {
+      toggleRange(node);
+      return;
+    }
+
     // Only allow collapse/expand for object nodes (blue boxes)
     if (!node.className || !node.className.includes('node-object')) {
       return;
@@ -362,29 +430,7 @@ const JsonGraphInner = forwardRef(({ data, onShowLogic }, ref) => {
     // [DSA] Breadth-First Search (BFS) / Traversal
     // We need to find ALL descendants of the node to hide/show them.
     // Graph Traversal Problem: "Find all reachable nodes starting from X"
-    const getAllDescendants = (id) => {
-      const descendants = [];
-      // [DSA] Queue: A FIFO (First-In-First-Out) structure is typical for BFS.
-      const queue = [id];
-
-      while (queue.length > 0) {
-        // [DSA] Dequeue: Take the first element
-        const currentId = queue.shift();
-
-        // [DSA] Lookup Children from Adjacency List
-        const children = nodeHierarchy[currentId] || [];
-
-        children.forEach(childId => {
-          descendants.push(childId);
-          // [DSA] Enqueue: Add children to look for THEIR children in next iterations
-          queue.push(childId);
-        });
-      }
-
-      return descendants;
-    };
-
-    const descendants = getAllDescendants(nodeId);
+    const descendants = getAllDescendants(nodeHierarchy, nodeId);
 
     // Toggle collapsed state
     setCollapsedNodes(prev => {
@@ -444,7 +490,7 @@ const JsonGraphInner = forwardRef(({ data, onShowLogic }, ref) => {
         return e;
       })
     );
-  }, [collapsedNodes, nodeHierarchy, setNodes, setEdges]);
+  }, [collapsedNodes, nodeHierarchy, setNodes, setEdges, loadMore, toggleRange, onOpenSettings, onNodeSelect, onOffsetSelect]);
 
   // Search functionality
   const handleSearch = useCallback((query) => {
@@ -457,7 +503,7 @@ const JsonGraphInner = forwardRef(({ data, onShowLogic }, ref) => {
       setNodes(currentNodes =>
         currentNodes.map(n => ({
           ...n,
-          className: n.data.isObject ? 'node-object' : 'node-primitive',
+          className: withoutSearchMatch(n.className),
           style: { ...n.style, outline: 'none' }
         }))
       );
@@ -551,8 +597,8 @@ const JsonGraphInner = forwardRef(({ data, onShowLogic }, ref) => {
             collapsedHidden: shouldBeHidden
           },
           className: matches.includes(n.id)
-            ? (n.data.isObject ? 'node-object node-search-match' : 'node-primitive node-search-match')
-            : (n.data.isObject ? 'node-object' : 'node-primitive'),
+            ? `${withoutSearchMatch(n.className)} node-search-match`
+            : withoutSearchMatch(n.className),
           style: matches.includes(n.id)
             ? { ...n.style, outline: '3px solid #fbbf24', outlineOffset: '2px' }
             : { ...n.style, outline: 'none' }
@@ -618,7 +664,7 @@ const JsonGraphInner = forwardRef(({ data, onShowLogic }, ref) => {
     // Traverse up
     while (current && current.data && current.data.parentId && depth < 20) {
       // If parent is Root, then THIS node is the Main Section
-      if (current.data.parentId === 'node-0') {
+      if (current.data.parentId === ROOT_ID) {
         mainSection = current;
         break;
       }
@@ -644,13 +690,33 @@ const JsonGraphInner = forwardRef(({ data, onShowLogic }, ref) => {
 
   const closeContextMenu = useCallback(() => setContextMenu(null), []);
 
+  // Query results are annotations too
+  const queryAnnotations = useMemo(() => {
+    if (!queryResult || !queryResult.matches) return NO_ANNOTATIONS;
+    return queryResult.matches.map((match, index) => ({
+      pointer: match.pointer,
+      className: index === queryIndex ? 'node-query-current' : 'node-query-match',
+      note: `Query result ${index + 1} of ${queryResult.matches.length}`
+    }));
+  }, [queryResult, queryIndex]);
+
+  // Annotations ({ pointer, className, note }, e.g. schema violations) by
+  // node id; undrawn values land on their nearest visible ancestor
+  const annotationsById = useMemo(() => {
+    const allAnnotations = queryAnnotations.length > 0 ? [...annotations, ...queryAnnotations] : annotations;
+    if (allAnnotations.length === 0) return new Map();
+    return groupAnnotationsByNode(allAnnotations, new Set(nodes.filter(n => !n.hidden).map(n => n.id)));
+  }, [annotations, queryAnnotations, nodes]);
+
+  const displayNodes = useMemo(() => applyAnnotationClasses(nodes, annotationsById), [nodes, annotationsById]);
+
   // [DSA] Hover Handler for Trace Tooltip
   const onNodeMouseEnter = useCallback((event, node) => {
     // [Fix] Do not show tooltip if context menu is active
     if (contextMenu) return;
 
     // Only show trace for non-root nodes
-    if (node.id === 'node-0') return;
+    if (node.id === ROOT_ID) return;
 
     const path = [];
     let curr = node;
@@ -677,16 +743,158 @@ const JsonGraphInner = forwardRef(({ data, onShowLogic }, ref) => {
 
     const pane = document.querySelector('.json-graph-container').getBoundingClientRect();
 
+    // Extra lines under the path (warnings about this value)
+    const notes = [];
+    if (node.data.precisionLoss) {
+      notes.push('JSON.parse would change this number: it is kept exactly as written');
+    }
+    (node.data.comments || []).forEach(comment => notes.push(comment));
+    if (node.data.typeNote) notes.push(node.data.typeNote);
+    if (node.data.isShadowed) {
+      notes.push(`Duplicate key: overridden by the same key on line ${node.data.shadowedByLine}. JSON.parse drops this value.`);
+    }
+    (annotationsById.get(node.id) || []).forEach(annotation => notes.push(annotation.note));
+
     setHoverInfo({
       x: event.clientX - pane.left + 20,
       y: event.clientY - pane.top,
       path,
-      label: currentLabel
+      label: currentLabel,
+      notes
     });
-  }, [nodes, contextMenu]);
+  }, [nodes, contextMenu, annotationsById]);
 
   const onNodeMouseLeave = useCallback(() => setHoverInfo(null), []);
 
+  // [DSA] Editor -> Graph: center and highlight the node for a JSON Pointer.
+  // Values that aren't drawn (truncated, inside a closed range) resolve to
+  // their nearest drawn ancestor. Collapsed ancestors are expanded.
+  const lastFocusedIdRef = React.useRef(null);
+  const focusPointer = useCallback((pointer) => {
+    const byId = new Map(nodesRef.current.map(n => [n.id, n]));
+    let target = pointer;
+    while (target !== null && !byId.has(toNodeId(target))) {
+      target = getParentPointer(target);
+    }
+    if (target === null) return;
+    const targetId = toNodeId(target);
+
+    // Walk up the parent chain, un-collapsing as we go
+    const previousCollapsed = collapsedNodesRef.current;
+    const collapsed = new Set(previousCollapsed);
+    let ancestorId = byId.get(targetId).data.parentId;
+    while (ancestorId) {
+      collapsed.delete(ancestorId);
+      const ancestor = byId.get(ancestorId);
+      ancestorId = ancestor ? ancestor.data.parentId : null;
+    }
+    const expandedAny = collapsed.size !== previousCollapsed.size;
+    const hiddenIds = expandedAny ? getCollapsedHiddenIds(nodeHierarchy, collapsed) : null;
+
+    setNodes(nds => nds.map(n => {
+      let next = n;
+      if (hiddenIds) {
+        const isHidden = hiddenIds.has(n.id);
+        const wasExpanded = previousCollapsed.has(n.id) && !collapsed.has(n.id);
+        next = {
+          ...n,
+          hidden: isHidden,
+          data: {
+            ...n.data,
+            collapsedHidden: isHidden,
+            label: wasExpanded ? n.data.label.replace(/^▶\s/, '▼ ') : n.data.label
+          }
+        };
+      }
+      const baseClassName = withoutClass(next.className, 'node-editor-cursor');
+      const className = n.id === targetId ? `${baseClassName} node-editor-cursor` : baseClassName;
+      return className === next.className ? next : { ...next, className };
+    }));
+
+    if (hiddenIds) {
+      setEdges(eds => eds.map(e => ({ ...e, hidden: hiddenIds.has(e.target) || hiddenIds.has(e.source) })));
+      setCollapsedNodes(collapsed);
+    }
+
+    // Only move the viewport when the cursor entered a different node,
+    // otherwise typing inside one value would keep re-centering.
+    const rf = window.reactFlowInstance;
+    const targetNode = byId.get(targetId);
+    if (rf && targetNode && lastFocusedIdRef.current !== targetId) {
+      rf.setCenter(
+        targetNode.position.x + (targetNode.width || 220) / 2,
+        targetNode.position.y + (targetNode.height || 60) / 2,
+        { zoom: rf.getZoom(), duration: 400 }
+      );
+    }
+    lastFocusedIdRef.current = targetId;
+  }, [nodeHierarchy, setNodes, setEdges]);
+
+  // [DSA] Query mode: evaluate over the full parsed data, so values the graph
+  // truncated are found too (they highlight their nearest drawn ancestor).
+  // The parse is cached until the text changes.
+  const queryDataRef = React.useRef({ text: null, dialect: null, data: undefined });
+  useEffect(() => {
+    const expression = searchQuery.trim();
+    if (searchMode === 'text' || !expression) {
+      setQueryResult(null);
+      return undefined;
+    }
+
+    const timeoutId = setTimeout(() => {
+      if (queryDataRef.current.text !== data || queryDataRef.current.dialect !== dialect) {
+        let parsed;
+        try {
+          parsed = parseSource(data, { dialect, sourceMap: false }).data;
+        } catch (error) {
+          // Reported below; the editor shows the syntax error itself
+        }
+        queryDataRef.current = { text: data, dialect, data: parsed };
+      }
+      if (queryDataRef.current.data === undefined) {
+        setQueryResult({ error: 'Fix the syntax errors to run queries' });
+        return;
+      }
+      try {
+        setQueryResult(runQuery(queryDataRef.current.data, expression, searchMode));
+      } catch (error) {
+        setQueryResult({ error: error.message });
+      }
+      setQueryIndex(0);
+    }, QUERY_DEBOUNCE_MS);
+    return () => clearTimeout(timeoutId);
+  }, [searchQuery, searchMode, data, dialect]);
+
+  // Next/previous query result, like navigateSearch
+  const navigateQuery = useCallback((direction) => {
+    const matches = queryResult && queryResult.matches;
+    if (!matches || matches.length === 0) return;
+
+    const newIndex = direction === 'next'
+      ? (queryIndex + 1) % matches.length
+      : (queryIndex - 1 + matches.length) % matches.length;
+    setQueryIndex(newIndex);
+    focusPointer(matches[newIndex].pointer);
+  }, [queryResult, queryIndex, focusPointer]);
+
+  // Query result -> new document. JSONPath results have a location, so they
+  // are read from a lossless parse and big numbers stay exact.
+  const extractQueryResult = useCallback(() => {
+    if (!queryResult || queryResult.error || !onOpenDocument) return;
+    let { value } = queryResult;
+    if (searchMode === 'jsonpath' && losslessNumbers) {
+      const { data: losslessData } = parseSource(data, { dialect, lossless: true, sourceMap: false });
+      value = queryResult.matches.map(match => getValueAtPointer(losslessData, match.pointer));
+    }
+    onOpenDocument({ name: `${QUERY_LANGUAGES[searchMode].label} result`, text: stringifyJson(value, 2) });
+  }, [queryResult, searchMode, losslessNumbers, data, dialect, onOpenDocument]);
+
+  const handleSearchModeChange = useCallback((mode) => {
+    // Label highlights belong to text mode; a query starts from scratch
+    handleSearch('');
+    setSearchMode(mode);
+    setQueryResult(null);
+  }, [handleSearch]);
 
   const handleJumpToNode = useCallback((targetId) => {
     closeContextMenu();
@@ -720,8 +928,6 @@ const JsonGraphInner = forwardRef(({ data, onShowLogic }, ref) => {
     }
   }, [closeContextMenu, setNodes]);
 
-
-
   // [DSA] Virtualization Effect
   // Updates node visibility when viewport changes
   useEffect(() => {
@@ -752,7 +958,7 @@ const JsonGraphInner = forwardRef(({ data, onShowLogic }, ref) => {
         nds.forEach(n => {
           nodeMap.set(n.id, n);
           // Always show root and warnings
-          if (n.id === 'node-0' || n.type === 'node-warning') { visibleIds.add(n.id); return; }
+          if (n.id === ROOT_ID || n.id === WARNING_ID) { visibleIds.add(n.id); return; }
 
           if (n.data.collapsedHidden) return; // Skip logically hidden
 
@@ -804,16 +1010,27 @@ const JsonGraphInner = forwardRef(({ data, onShowLogic }, ref) => {
     return () => clearTimeout(timeoutId);
   }, [viewport, enableVirtualization, nodes, setNodes]);
 
+  // Limits arrive as a fresh object on every parent render; compare by value
+  const limitsKey = JSON.stringify(limits);
+
   useEffect(() => {
     if (data) {
-      // Clear search when new data is loaded
-      setSearchQuery('');
-      setMatchedNodes([]);
-      setCurrentMatchIndex(0);
-
+      // Search, collapse state and viewport are kept; processGraph diffs
+      // the new tree against the one on screen.
       processGraph(data);
     }
-  }, [data, processGraph]);
+  }, [data, expansions, limitsKey, losslessNumbers, dialect, recordStart, processGraph]);
+
+  // A new mode starts at the first page
+  useEffect(() => {
+    setRecordStart(0);
+  }, [dialect]);
+
+  const recordsPerPage = limits.recordsPerPage || 0;
+  const showRecordPager = dialect === 'ndjson' && recordsPerPage > 0 && recordCount > recordsPerPage;
+  // Like the builder, clamp a start past the end (e.g. after lines were deleted)
+  const lastPageStart = recordsPerPage > 0 ? Math.floor(Math.max(recordCount - 1, 0) / recordsPerPage) * recordsPerPage : 0;
+  const pageStart = Math.min(recordStart, lastPageStart);
 
   return (
     <div className="json-graph-container">
@@ -824,22 +1041,35 @@ const JsonGraphInner = forwardRef(({ data, onShowLogic }, ref) => {
             <path d="M7 12C9.76142 12 12 9.76142 12 7C12 4.23858 9.76142 2 7 2C4.23858 2 2 4.23858 2 7C2 9.76142 4.23858 12 7 12Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
             <path d="M14 14L10.5 10.5" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
           </svg>
+          <select
+            className="search-mode-select"
+            value={searchMode}
+            onChange={(e) => handleSearchModeChange(e.target.value)}
+            title="Search labels, or query the full document"
+          >
+            <option value="text">Text</option>
+            {Object.entries(QUERY_LANGUAGES).map(([language, { label }]) => (
+              <option key={language} value={language}>{label}</option>
+            ))}
+          </select>
           <input
             type="text"
             className="search-input"
-            placeholder="Search keys and values..."
+            placeholder={searchMode === 'text' ? 'Search keys and values...' : QUERY_LANGUAGES[searchMode].placeholder}
             value={searchQuery}
-            onChange={(e) => handleSearch(e.target.value)}
+            spellCheck={false}
+            onChange={(e) => (searchMode === 'text' ? handleSearch(e.target.value) : setSearchQuery(e.target.value))}
             onKeyDown={(e) => {
+              const navigate = searchMode === 'text' ? navigateSearch : navigateQuery;
               if (e.key === 'Enter') {
                 e.preventDefault();
-                navigateSearch(e.shiftKey ? 'prev' : 'next');
+                navigate(e.shiftKey ? 'prev' : 'next');
               } else if (e.key === 'ArrowDown') {
                 e.preventDefault();
-                navigateSearch('next');
+                navigate('next');
               } else if (e.key === 'ArrowUp') {
                 e.preventDefault();
-                navigateSearch('prev');
+                navigate('prev');
               }
             }}
           />
@@ -854,7 +1084,7 @@ const JsonGraphInner = forwardRef(({ data, onShowLogic }, ref) => {
           )}
         </div>
 
-        {matchedNodes.length > 0 && (
+        {searchMode === 'text' && matchedNodes.length > 0 && (
           <div className="search-results">
             <span className="search-count">
               {currentMatchIndex + 1} of {matchedNodes.length}
@@ -877,14 +1107,92 @@ const JsonGraphInner = forwardRef(({ data, onShowLogic }, ref) => {
             </button>
           </div>
         )}
+
+        {queryResult && queryResult.error && (
+          <div className="search-results">
+            <span className="search-error" title={queryResult.error}>{queryResult.error}</span>
+          </div>
+        )}
+        {queryResult && !queryResult.error && (
+          <div className="search-results">
+            <span className="search-count">
+              {queryResult.matches.length > 0
+                ? `${queryIndex + 1} of ${queryResult.matches.length}`
+                : 'No matches'}
+              {queryResult.unlocated > 0 && ` · ${queryResult.unlocated} computed`}
+            </span>
+            <button
+              className="search-nav-btn"
+              onClick={() => navigateQuery('prev')}
+              title="Previous result"
+              disabled={queryResult.matches.length === 0}
+            >
+              ↑
+            </button>
+            <button
+              className="search-nav-btn"
+              onClick={() => navigateQuery('next')}
+              title="Next result"
+              disabled={queryResult.matches.length === 0}
+            >
+              ↓
+            </button>
+            {onOpenDocument && (
+              <button
+                className="search-nav-btn search-extract-btn"
+                onClick={extractQueryResult}
+                title="Open the result as a new document"
+              >
+                Extract
+              </button>
+            )}
+          </div>
+        )}
       </div>
 
+      {showRecordPager && (
+        <div className="record-pager">
+          <button
+            className="search-nav-btn"
+            onClick={() => setRecordStart(Math.max(0, pageStart - recordsPerPage))}
+            disabled={pageStart === 0}
+            title="Previous records"
+          >
+            ←
+          </button>
+          <span>
+            Records {pageStart + 1}–{Math.min(pageStart + recordsPerPage, recordCount)} of {recordCount}
+          </span>
+          <button
+            className="search-nav-btn"
+            onClick={() => setRecordStart(pageStart + recordsPerPage)}
+            disabled={pageStart + recordsPerPage >= recordCount}
+            title="Next records"
+          >
+            →
+          </button>
+        </div>
+      )}
+
+      {graphStatus && (
+        <div className="graph-progress" role="status">
+          <span className="graph-progress-spinner" />
+          {GRAPH_STATUS_LABELS[graphStatus]}
+        </div>
+      )}
+      {!graphStatus && graphError && (
+        <div className="graph-progress graph-progress-error" role="alert">
+          {graphError}
+        </div>
+      )}
+
       <ReactFlow
-        nodes={nodes}
+        nodes={displayNodes}
         edges={edges}
         onNodesChange={onNodesChange}
         onEdgesChange={onEdgesChange}
         onNodeClick={onNodeClick}
+        onNodeDragStop={onNodeDragStop}
         onNodeContextMenu={onNodeContextMenu}
         onNodeMouseEnter={onNodeMouseEnter}
         onNodeMouseLeave={onNodeMouseLeave}
@@ -1063,11 +1371,11 @@ const JsonGraphInner = forwardRef(({ data, onShowLogic }, ref) => {
               )}
 
             {/* 3. Go to Root (if not already at Root or Main Section) */}
-            {contextMenu.node.id !== 'node-0' &&
-              (!contextMenu.mainSection || contextMenu.mainSection.data.parentId !== 'node-0') && (
+            {contextMenu.node.id !== ROOT_ID &&
+              (!contextMenu.mainSection || contextMenu.mainSection.data.parentId !== ROOT_ID) && (
                 <div
                   className="context-menu-item"
-                  onClick={() => handleJumpToNode('node-0')}
+                  onClick={() => handleJumpToNode(ROOT_ID)}
                 >
                   <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                     <path d="M3 12l2-2m0 0l7-7 7 7M5 10v10a1 1 0 001 1h3m10-11l2 2m-2-2v10a1 1 0 01-1 1h-3m-6 0a1 1 0 001-1v-4a1 1 0 011-1h2a1 1 0 011 1v4a1 1 0 001 1m-6 0h6" />
@@ -1075,6 +1383,39 @@ const JsonGraphInner = forwardRef(({ data, onShowLogic }, ref) => {
                   Go to Root
                 </div>
               )}
+
+            {/* Arrays of objects can be exported as a table, any container as types */}
+            {((contextMenu.node.data.isTable && onExportCsv) || (contextMenu.node.data.isObject && !contextMenu.node.data.isRange && onGenerateTypes)) && (
+              <div className="context-menu-header">Export</div>
+            )}
+            {contextMenu.node.data.isTable && onExportCsv && (
+              <div
+                className="context-menu-item"
+                onClick={() => {
+                  onExportCsv(contextMenu.node.data.pointer);
+                  closeContextMenu();
+                }}
+              >
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <path d="M3 3h18v18H3zM3 9h18M3 15h18M9 3v18" />
+                </svg>
+                Export as CSV
+              </div>
+            )}
+            {contextMenu.node.data.isObject && !contextMenu.node.data.isRange && onGenerateTypes && (
+              <div
+                className="context-menu-item"
+                onClick={() => {
+                  onGenerateTypes(contextMenu.node.data.pointer);
+                  closeContextMenu();
+                }}
+              >
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <path d="M8 6l-6 6 6 6M16 6l6 6-6 6" />
+                </svg>
+                Generate types
+              </div>
+            )}
           </div>
         )}
 
@@ -1094,6 +1435,9 @@ const JsonGraphInner = forwardRef(({ data, onShowLogic }, ref) => {
               ))}
               <span className="trace-segment trace-current">{hoverInfo.label}</span>
             </div>
+            {hoverInfo.notes.map((note, index) => (
+              <div key={index} className="trace-note">{note}</div>
+            ))}
           </div>
         )}
       </ReactFlow>
@@ -0,0 +1,30 @@
+import { toNodeId, getParentPointer } from './jsonPointer';
+
+// Annotations are { pointer, className, note } marks on document locations
+// (schema errors, query results, diff and patch changes).
+
+// [DSA] Node id -> annotations. A pointer the graph didn't draw (limits,
+// collapsed) lands on its nearest drawn ancestor: O(depth) per annotation.
+export const groupAnnotationsByNode = (annotations, visibleIds) => {
+  const byId = new Map();
+  annotations.forEach(annotation => {
+    let pointer = annotation.pointer;
+    while (pointer !== null && !visibleIds.has(toNodeId(pointer))) pointer = getParentPointer(pointer);
+    if (pointer === null) return;
+    const id = toNodeId(pointer);
+    if (!byId.has(id)) byId.set(id, []);
+    byId.get(id).push(annotation);
+  });
+  return byId;
+};
+
+// Rendered nodes: annotation classes on top of the node's own
+export const applyAnnotationClasses = (nodes, annotationsById) => {
+  if (annotationsById.size === 0) return nodes;
+  return nodes.map(node => {
+    const nodeAnnotations = annotationsById.get(node.id);
+    if (!nodeAnnotations) return node;
+    const classNames = [...new Set(nodeAnnotations.map(annotation => annotation.className))];
+    return { ...node, className: [node.className, ...classNames].filter(Boolean).join(' ') };
+  });
+};
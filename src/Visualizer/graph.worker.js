@@ -0,0 +1,21 @@
+/* global globalThis */
+import { processJson } from './graphBuilder';
+
+// [DSA] Off-main-thread graph pipeline
+// Receives { jobId, jsonString, options } and answers with
+// "progress" messages for each stage followed by one "result" or "error".
+// A job can't be interrupted half-way; the client cancels by terminating us.
+
+globalThis.onmessage = (event) => {
+  const { jobId, jsonString, options } = event.data;
+
+  try {
+    const result = processJson(jsonString, {
+      ...options,
+      onProgress: (stage) => globalThis.postMessage({ jobId, type: 'progress', stage })
+    });
+    globalThis.postMessage({ jobId, type: 'result', result });
+  } catch (error) {
+    globalThis.postMessage({ jobId, type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,510 @@
+import dagre from 'dagre';
+import { WARNING_ID, childPointer, getParentPointer, toNodeId } from './jsonPointer';
+import { parseSource } from '../Parser/parseSource';
+import { isLosslessNumber, stringifyJson } from '../Parser/losslessJson';
+import { isArrayOfObjects } from '../Formats/csv';
+import { describeTypedValue } from '../Formats/extendedJson';
+
+// Pure graph construction: no React, no DOM.
+// This module runs inside graph.worker.js so that parsing and layout of large
+// documents never block the editor. It can also run on the main thread as a
+// fallback when Web Workers are unavailable.
+
+export const nodeWidth = 220;
+export const nodeHeight = 60;
+
+export const DEFAULT_LIMITS = {
+  maxNodes: 3000,
+  maxDepth: 10,
+  maxArrayItems: 50,
+  maxObjectProps: 50,
+  // NDJSON records laid out at a time (0 = all, bucketed like any array)
+  recordsPerPage: 100
+};
+
+const edgeStyle = { stroke: '#a1a1aa', strokeWidth: 1.5 };
+// YAML alias -> anchor. Not a tree edge: ignored by the layout and by collapse.
+const referenceEdgeStyle = { stroke: '#a78bfa', strokeWidth: 1.5, strokeDasharray: '5 4' };
+
+// [DSA] Range Bucketing (like Chrome DevTools)
+// Arrays longer than this are split into range nodes of at most this many
+// children each: 20,000 items -> 2 x [0…9999] -> 100 x [0…99] -> items.
+// Reaching any element therefore takes O(log_100 N) clicks.
+export const ARRAY_BUCKET_SIZE = 100;
+
+// Lazy expansion state.
+// - pageSizes:      how many children to show (grows by one page per click),
+//                   keyed by container pointer or range id
+// - depthExpanded:  pointers of containers that got a fresh depth budget
+// - expandedRanges: ids of range nodes whose children are built
+export const EMPTY_EXPANSIONS = { pageSizes: {}, depthExpanded: [], expandedRanges: [] };
+
+// [DSA] Graph Layout Algorithm
+// We use a Directed Acyclic Graph (DAG) layout engine here.
+// In DSA terms, we are assigning (x, y) coordinates to each Vertex (V)
+// so that edges (E) flow in a specific direction without cycles.
+export const getLayoutedElements = (nodes, edges) => {
+  // [DSA] Initialize a new Graph data structure
+  const dagreGraph = new dagre.graphlib.Graph();
+  dagreGraph.setDefaultEdgeLabel(() => ({}));
+
+  // [DSA] Set layout direction to "Left-to-Right" (LR)
+  // This creates a hierarchical tree structure visually.
+  dagreGraph.setGraph({ rankdir: 'LR' });
+
+  // [DSA] Add Vertices (Nodes) to the graph instance
+  nodes.forEach((node) => {
+    dagreGraph.setNode(node.id, { width: nodeWidth, height: nodeHeight });
+  });
+
+  // [DSA] Add Directed Edges to the graph instance
+  // An edge connects a Source node to a Target node (u -> v)
+  // Reference edges would turn the tree into a general graph (even a cycle)
+  edges.forEach((edge) => {
+    if (edge.data && edge.data.isReference) return;
+    dagreGraph.setEdge(edge.source, edge.target);
+  });
+
+  // [DSA] Run the layout algorithm (topological sort + positioning)
+  // Time Complexity: Depends on the heuristic, usually O(V + E) or slightly higher
+  dagre.layout(dagreGraph);
+
+  // [DSA] Map the calculated positions back to our Node objects
+  const layoutedNodes = nodes.map((node) => {
+    const nodeWithPosition = dagreGraph.node(node.id);
+    return {
+      ...node,
+      position: {
+        x: nodeWithPosition.x - nodeWidth / 2,
+        y: nodeWithPosition.y - nodeHeight / 2,
+      },
+    };
+  });
+
+  return { nodes: layoutedNodes, edges };
+};
+
+// [DSA] Transforms the JSON Tree into a Node-Link diagram.
+// `diagnostics` come from the source-mapped parser (see Parser/jsonParser.js):
+// - errors:     syntax errors, drawn as red nodes on the container they were found in
+// - duplicates: overridden occurrences of repeated keys, drawn next to the winner
+// - comments:   JSONC / JSON5 / YAML comments, shown as annotations on their value's node
+// - aliases:    YAML *alias -> &anchor, drawn as a leaf with a reference edge
+// `recordPage` ({ start, size }) shows only that window of the root array:
+// NDJSON records are paged instead of laid out all at once.
+export const buildGraph = (parsedData, limits = DEFAULT_LIMITS, expansions = EMPTY_EXPANSIONS, { errors = [], duplicates = [], comments = [], aliases = [], recordPage = null } = {}) => {
+  const { maxNodes, maxDepth, maxArrayItems, maxObjectProps } = { ...DEFAULT_LIMITS, ...limits };
+  const pageSizes = expansions.pageSizes || {};
+  // [DSA] Sets for O(1) membership checks during the DFS
+  const depthExpanded = new Set(expansions.depthExpanded || []);
+  const expandedRanges = new Set(expansions.expandedRanges || []);
+
+  // [DSA] Vertices (V) list
+  const nodes = [];
+  // [DSA] Edges (E) list
+  const edges = [];
+  // [DSA] Adjacency List: A HashMap storing parent -> children relationships
+  // Structure: { "/skills": ["/skills/programming_languages", "/skills/ml_ai"] }
+  // This allows O(1) lookup of children, essential for the "collapse" feature.
+  const hierarchy = {};
+
+  // [DSA] HashMap: pointer -> overridden occurrences, in document order
+  const shadowedByPointer = new Map();
+  duplicates.forEach(duplicate => {
+    if (!shadowedByPointer.has(duplicate.pointer)) shadowedByPointer.set(duplicate.pointer, []);
+    shadowedByPointer.get(duplicate.pointer).push(duplicate);
+  });
+
+  // [DSA] HashMap: pointer -> comment texts
+  const commentsByPointer = new Map();
+  comments.forEach(comment => {
+    if (!commentsByPointer.has(comment.pointer)) commentsByPointer.set(comment.pointer, []);
+    commentsByPointer.get(comment.pointer).push(comment.text);
+  });
+
+  // [DSA] HashMap: alias pointer -> alias. Merge keys (<<: *base) keep their
+  // copied keys and only add an edge from the merging mapping.
+  const aliasByPointer = new Map(aliases.filter(alias => !alias.merge).map(alias => [alias.pointer, alias]));
+  // Containers on the current DFS path: guards against cycles YAML can express
+  const onPath = new Set();
+
+  let nodeCount = 0;
+  let isLimitReached = false;
+  // Which limits cut something off, so the warning can point at the setting
+  const truncatedBy = new Set();
+
+  // Adjacency list + edge for synthetic children (placeholders, ranges).
+  // Part of the hierarchy so collapsing the parent hides them too.
+  const link = (parentId, childId) => {
+    hierarchy[parentId].push(childId);
+    hierarchy[childId] = hierarchy[childId] || [];
+    edges.push({ id: `edge-${parentId}-${childId}`, source: parentId, target: childId, type: 'smoothstep', animated: true, style: edgeStyle });
+  };
+
+  // Clickable placeholder for children that were not built yet.
+  // kind "page":  load the next page of array items / object properties
+  // kind "depth": continue past the depth limit below this container
+  // `expansionKey` is the container pointer (or range id) the click expands.
+  const addMoreNode = (parentId, expansionKey, label, moreKind, pageSize = 0) => {
+    // Not a value in the document, so it gets a non-pointer id
+    const moreId = `more:${expansionKey}`;
+    nodeCount++;
+    nodes.push({
+      id: moreId,
+      data: {
+        label,
+        collapsedHidden: false,
+        isMore: true,
+        moreKind,
+        pageSize,
+        expansionKey,
+        parentId
+      },
+      position: { x: 0, y: 0 },
+      type: 'default',
+      className: 'node-primitive node-more'
+    });
+    link(parentId, moreId);
+  };
+
+  // Value that JSON.parse would silently drop because its key repeats later.
+  // Drawn as a leaf next to the winning occurrence; clicking it jumps to the key.
+  const addShadowedNodes = (parentId, pointer) => {
+    (shadowedByPointer.get(pointer) || []).forEach((duplicate, index) => {
+      if (nodeCount >= maxNodes) return;
+      const shadowedId = `dup:${pointer}:${index}`;
+      nodeCount++;
+      nodes.push({
+        id: shadowedId,
+        data: {
+          label: `${duplicate.key}: ${stringifyJson(duplicate.value).substring(0, 50)}`,
+          collapsedHidden: false,
+          isShadowed: true,
+          offset: duplicate.keyRange.start,
+          shadowedByLine: duplicate.shadowedByLine,
+          parentId
+        },
+        position: { x: 0, y: 0 },
+        type: 'default',
+        className: 'node-primitive node-shadowed'
+      });
+      link(parentId, shadowedId);
+    });
+  };
+
+  // Once the node cap is hit every traversal stops, with one warning
+  const stopAtNodeLimit = () => {
+    if (nodeCount < maxNodes) return false;
+    if (!isLimitReached) {
+      isLimitReached = true;
+      console.warn(`Visualization limit reached. Showing first ${maxNodes} nodes.`);
+    }
+    return true;
+  };
+
+  // Array items [start, end) below `parentId`, one page at a time
+  const traverseItems = (parentId, pointer, array, start, end, childDepth, pageKey) => {
+    const last = Math.min(end, start + (pageSizes[pageKey] || maxArrayItems));
+    for (let i = start; i < last; i++) {
+      // [DSA] Recursive Call for each array item
+      traverse(`[${i}]`, array[i], childPointer(pointer, i), parentId, childDepth);
+    }
+    if (end > last) {
+      truncatedBy.add('maxArrayItems');
+      addMoreNode(parentId, pageKey, `... ${end - last} more items`, 'page', last - start + maxArrayItems);
+    }
+  };
+
+  // [DSA] Recursive Bucketing: split [start, end) into at most
+  // ARRAY_BUCKET_SIZE ranges. Only ranges the user expanded get children.
+  const addRanges = (parentId, pointer, array, start, end, childDepth) => {
+    let bucketSize = ARRAY_BUCKET_SIZE;
+    while ((end - start) / bucketSize > ARRAY_BUCKET_SIZE) {
+      bucketSize *= ARRAY_BUCKET_SIZE;
+    }
+
+    for (let rangeStart = start; rangeStart < end; rangeStart += bucketSize) {
+      if (stopAtNodeLimit()) return;
+      const rangeEnd = Math.min(rangeStart + bucketSize, end);
+      const rangeId = `range:${pointer}[${rangeStart}-${rangeEnd - 1}]`;
+      const isExpanded = expandedRanges.has(rangeId);
+
+      nodeCount++;
+      nodes.push({
+        id: rangeId,
+        data: {
+          label: `[${rangeStart}…${rangeEnd - 1}]`,
+          isObject: true,
+          hasChildren: true,
+          isRange: true,
+          rangeExpanded: isExpanded,
+          collapsedHidden: false,
+          parentId
+        },
+        position: { x: 0, y: 0 },
+        type: 'default',
+        className: 'node-object node-range'
+      });
+      link(parentId, rangeId);
+
+      if (!isExpanded) continue;
+      if (rangeEnd - rangeStart > ARRAY_BUCKET_SIZE) {
+        addRanges(rangeId, pointer, array, rangeStart, rangeEnd, childDepth);
+      } else {
+        traverseItems(rangeId, pointer, array, rangeStart, rangeEnd, childDepth, rangeId);
+      }
+    }
+  };
+
+  // [DSA] Depth First Search (DFS) or Pre-order Traversal
+  // We visit the root, process it, then recursively visit all children.
+  // Time Complexity: O(N) where N is the total number of keys in the JSON
+  // Space Complexity: O(H) where H is the height/depth of the JSON tree (call stack)
+  // Each vertex is keyed by its JSON Pointer, so ids stay stable across edits.
+  const traverse = (key, value, pointer, parentId = null, depth = 0) => {
+    // [DSA] Base Case / Pruning
+    // Essential in recursion to prevent stack overflow or excessive processing.
+    if (stopAtNodeLimit()) return;
+
+    const currentId = toNodeId(pointer);
+    nodeCount++;
+    const alias = aliasByPointer.get(pointer);
+    const isCycle = onPath.has(value);
+    // ObjectId, date, binary, ... wrappers ({ "$oid": ... }) are one typed value
+    const typed = describeTypedValue(value);
+    // Aliases, cycles and typed values are drawn as leaves; a shared value is drawn once
+    const isObject = value !== null && typeof value === 'object' && !isLosslessNumber(value) && !alias && !isCycle && !typed;
+    // A plain JSON.parse would have changed this number (e.g. a 64-bit id)
+    const precisionLoss = isLosslessNumber(value) && value.losesPrecision;
+    const nodeComments = commentsByPointer.get(pointer);
+    const classNames = [isObject ? 'node-object' : 'node-primitive'];
+    if (alias) classNames.push('node-alias');
+    if (typed) classNames.push('node-typed', `node-${typed.kind}`);
+    if (precisionLoss) classNames.push('node-precision-loss');
+    if (nodeComments) classNames.push('node-commented');
+
+    // Create label with collapse indicator for objects
+    let label;
+    if (alias) {
+      label = `${key}: *${alias.anchor}`;
+    } else if (isCycle) {
+      label = `${key}: ↻ circular`;
+    } else if (typed) {
+      label = `${key}: ${typed.label}`;
+    } else if (isObject) {
+      const objectType = Array.isArray(value) ? '[]' : '{}';
+      label = `${key} ${objectType}`;
+    } else {
+      label = `${key}: ${String(value).substring(0, 50)}`;
+    }
+
+    // [DSA] Create Vertex (Node)
+    nodes.push({
+      id: currentId,
+      data: {
+        label,
+        isObject,
+        hasChildren: isObject && value !== null,
+        collapsedHidden: false, // Track logical visibility
+        pointer,
+        parentId, // [DSA] Keep track of parent for virtualization path finding
+        precisionLoss,
+        comments: nodeComments,
+        typeNote: typed ? typed.note : undefined,
+        // Offered "Export as CSV" in the context menu
+        isTable: isObject && isArrayOfObjects(value)
+      },
+      position: { x: 0, y: 0 },
+      type: 'default',
+      className: classNames.join(' ')
+    });
+
+    // [DSA] Build Adjacency List
+    if (!hierarchy[currentId]) {
+      hierarchy[currentId] = [];
+    }
+
+    if (parentId) {
+      // Add this node as a child of its parent
+      if (!hierarchy[parentId]) {
+        hierarchy[parentId] = [];
+      }
+      hierarchy[parentId].push(currentId);
+
+      // [DSA] Create Edge (Association)
+      // Since this is a Tree, each node has exactly one incoming edge (except Root)
+      edges.push({
+        id: `edge-${parentId}-${currentId}`,
+        source: parentId,
+        target: currentId,
+        type: 'smoothstep',
+        animated: true,
+        style: edgeStyle,
+      });
+    }
+
+    if (!isObject || nodeCount >= maxNodes) return;
+    onPath.add(value);
+    traverseChildren(value, pointer, currentId, depth);
+    onPath.delete(value);
+  };
+
+  // Children of a container node (depth budget, paging, range buckets)
+  const traverseChildren = (value, pointer, currentId, depth) => {
+    // A container the user expanded past the depth limit starts a new budget
+    const childDepth = depthExpanded.has(pointer) ? 1 : depth + 1;
+    const childCount = Array.isArray(value) ? value.length : Object.keys(value).length;
+
+    if (childDepth > maxDepth) {
+      if (childCount > 0) {
+        truncatedBy.add('maxDepth');
+        addMoreNode(currentId, pointer, `... ${childCount} children (depth limit)`, 'depth');
+      }
+      return;
+    }
+
+    // [DSA] Recursive Step
+    // If the current value is a container (Object/Array), we recurse into it.
+    if (recordPage && pointer === '') {
+      const last = Math.min(value.length, recordPage.start + recordPage.size);
+      for (let i = recordPage.start; i < last; i++) {
+        traverse(`[${i}]`, value[i], childPointer(pointer, i), currentId, childDepth);
+      }
+    } else if (Array.isArray(value)) {
+      if (value.length > ARRAY_BUCKET_SIZE) {
+        addRanges(currentId, pointer, value, 0, value.length, childDepth);
+      } else {
+        traverseItems(currentId, pointer, value, 0, value.length, childDepth, pointer);
+      }
+    } else {
+      const entries = Object.entries(value);
+      const propsToShow = Math.min(entries.length, pageSizes[pointer] || maxObjectProps);
+      for (let i = 0; i < propsToShow; i++) {
+        const [childKey, childValue] = entries[i];
+        const propertyPointer = childPointer(pointer, childKey);
+        // [DSA] Recursive Call for each object property
+        traverse(childKey, childValue, propertyPointer, currentId, childDepth);
+        addShadowedNodes(currentId, propertyPointer);
+      }
+      if (entries.length > propsToShow) {
+        truncatedBy.add('maxObjectProps');
+        addMoreNode(currentId, pointer, `... ${entries.length - propsToShow} more properties`, 'page', propsToShow + maxObjectProps);
+      }
+    }
+  };
+
+  // [DSA] Start Traversal at the Root
+  // The root's pointer is "" (the whole document)
+  if (parsedData !== undefined) {
+    traverse(recordPage ? `NDJSON · ${parsedData.length} records` : 'Root', parsedData, '', null, 0);
+  }
+
+  // Shared references between nodes that made it into the graph
+  aliases.forEach(alias => {
+    const sourceId = toNodeId(alias.pointer);
+    const targetId = toNodeId(alias.target);
+    if (!hierarchy[sourceId] || !hierarchy[targetId]) return;
+    edges.push({
+      id: `ref-${sourceId}-${targetId}`,
+      source: sourceId,
+      target: targetId,
+      type: 'smoothstep',
+      animated: false,
+      label: alias.merge ? `<< *${alias.anchor}` : `*${alias.anchor}`,
+      style: referenceEdgeStyle,
+      data: { isReference: true }
+    });
+  });
+
+  // Syntax errors hang off the closest ancestor that made it into the graph
+  // (the container may be truncated or collapsed away by the limits).
+  errors.forEach(error => {
+    const errorId = `error:${error.offset}`;
+    let pointer = error.pointer;
+    while (pointer !== null && !hierarchy[toNodeId(pointer)]) {
+      pointer = getParentPointer(pointer);
+    }
+
+    nodes.push({
+      id: errorId,
+      data: {
+        label: `✖ ${error.message} (line ${error.line}, col ${error.column})`,
+        collapsedHidden: false,
+        isError: true,
+        offset: error.offset,
+        parentId: pointer !== null ? toNodeId(pointer) : null
+      },
+      position: { x: 0, y: 0 },
+      type: 'default',
+      className: 'node-error'
+    });
+    if (pointer !== null) {
+      link(toNodeId(pointer), errorId);
+    } else {
+      hierarchy[errorId] = [];
+    }
+  });
+
+  if (isLimitReached) truncatedBy.add('maxNodes');
+
+  // The most restrictive cause wins: the node cap hides the most data
+  const limitKey = ['maxNodes', 'maxDepth', 'maxArrayItems', 'maxObjectProps'].find(key => truncatedBy.has(key));
+
+  if (limitKey) {
+    const reasons = {
+      maxNodes: `Showing ${nodes.length} nodes (Limit: ${maxNodes})`,
+      maxDepth: `Nesting deeper than ${maxDepth} levels is hidden`,
+      maxArrayItems: `Arrays show ${maxArrayItems} items per page`,
+      maxObjectProps: `Objects show ${maxObjectProps} properties per page`
+    };
+    nodes.unshift({
+      id: WARNING_ID,
+      data: {
+        label: `⚠️ Large JSON: ${reasons[limitKey]} · click to adjust`,
+        collapsedHidden: false,
+        limitKey,
+        truncatedBy: Array.from(truncatedBy)
+      },
+      position: { x: 0, y: 0 },
+      type: 'default',
+      className: 'node-warning'
+    });
+  }
+
+  return { nodes, edges, hierarchy };
+};
+
+// Pre-order id sequence. Ids are JSON Pointers, so two graphs with the same
+// sequence have the same tree shape and can share a layout.
+export const getStructureKey = (nodes) => nodes.map(n => n.id).join('\n');
+
+// [DSA] Full pipeline: Parse -> DFS -> DAG Layout
+// `onProgress` is called with the name of each stage as it starts.
+// `previousStructureKey` lets the caller skip dagre when only values changed.
+// Invalid JSON still produces a graph: whatever could be read plus error nodes.
+// `lossless` keeps big / precisely formatted numbers as written (losslessJson.js),
+// `dialect` selects JSON, JSONC, JSON5, YAML or NDJSON syntax;
+// `recordStart` is the first NDJSON record of the current page.
+export const processJson = (jsonString, { limits, expansions, lossless = false, dialect = 'json', recordStart = 0, previousStructureKey = null, onProgress = () => {} } = {}) => {
+  onProgress('parsing');
+  // Our own parser instead of JSON.parse: it survives syntax errors, sees
+  // duplicate keys and can keep number lexemes. We're off the main thread anyway.
+  const { data: parsedData, errors, duplicates, comments, aliases } = parseSource(jsonString, { recover: true, lossless, sourceMap: false, dialect });
+
+  onProgress('building');
+  const { recordsPerPage } = { ...DEFAULT_LIMITS, ...limits };
+  const recordCount = dialect === 'ndjson' ? parsedData.length : 0;
+  const recordPage = recordCount > 0 && recordsPerPage > 0
+    ? { start: Math.min(recordStart, Math.floor((recordCount - 1) / recordsPerPage) * recordsPerPage), size: recordsPerPage }
+    : null;
+  const { nodes, edges, hierarchy } = buildGraph(parsedData, limits, expansions, { errors, duplicates, comments, aliases, recordPage });
+  const structureKey = getStructureKey(nodes);
+
+  if (structureKey === previousStructureKey) {
+    return { nodes, edges, hierarchy, structureKey, errors, recordCount, layouted: false };
+  }
+
+  onProgress('layout');
+  const { nodes: layoutedNodes } = getLayoutedElements(nodes, edges);
+  return { nodes: layoutedNodes, edges, hierarchy, structureKey, errors, recordCount, layouted: true };
+};
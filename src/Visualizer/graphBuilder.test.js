@@ -0,0 +1,122 @@
+import { buildGraph, processJson } from './graphBuilder';
+import { ROOT_ID, WARNING_ID } from './jsonPointer';
+
+test('keys every node by its JSON Pointer', () => {
+  const { nodes, hierarchy } = buildGraph({ experience: [{ company: 'IBM' }], 'a/b': { '~': 1 } });
+  const ids = nodes.map(n => n.id);
+
+  expect(ids).toEqual([ROOT_ID, '/experience', '/experience/0', '/experience/0/company', '/a~1b', '/a~1b/~0']);
+  expect(hierarchy[ROOT_ID]).toEqual(['/experience', '/a~1b']);
+  expect(nodes[3].data.pointer).toBe('/experience/0/company');
+});
+
+test('ids survive edits above a node', () => {
+  const before = buildGraph({ a: 1, b: { c: 2 } }).nodes.map(n => n.id);
+  const after = buildGraph({ a: [1, 2, 3], b: { c: 2 } }).nodes.map(n => n.id);
+
+  expect(after).toEqual(expect.arrayContaining(before));
+});
+
+test('truncates long arrays with a "more" placeholder', () => {
+  const { nodes } = buildGraph({ list: Array.from({ length: 5 }, (_, i) => i) }, { maxArrayItems: 2 });
+  const more = nodes.find(n => n.id === 'more:/list');
+
+  expect(more.data.label).toBe('... 3 more items');
+});
+
+test('adds a warning node when the node limit is hit', () => {
+  const { nodes } = buildGraph(Array.from({ length: 10 }, (_, i) => i), { maxNodes: 4 });
+
+  expect(nodes[0].id).toBe(WARNING_ID);
+
+  // Ranges of a bucketed array count against the same limit
+  const bucketed = buildGraph({ events: Array.from({ length: 5000 }, (_, i) => i) }, { maxNodes: 10 });
+  expect(bucketed.nodes[0].id).toBe(WARNING_ID);
+  expect(bucketed.nodes[0].data.truncatedBy).toEqual(['maxNodes']);
+});
+
+test('skips the layout when the tree shape is unchanged', () => {
+  const first = processJson('{"a": 1}');
+  const second = processJson('{"a": 2}', { previousStructureKey: first.structureKey });
+
+  expect(first.layouted).toBe(true);
+  expect(second.layouted).toBe(false);
+});
+
+test('loads the next page of a truncated array on demand', () => {
+  const data = { list: Array.from({ length: 5 }, (_, i) => i) };
+  const first = buildGraph(data, { maxArrayItems: 2 });
+  const more = first.nodes.find(n => n.id === 'more:/list');
+
+  const second = buildGraph(data, { maxArrayItems: 2 }, { pageSizes: { '/list': more.data.pageSize }, depthExpanded: [] });
+
+  expect(second.hierarchy['/list']).toEqual(['/list/0', '/list/1', '/list/2', '/list/3', 'more:/list']);
+  expect(second.nodes.find(n => n.id === 'more:/list').data.label).toBe('... 1 more items');
+});
+
+test('continues past the depth limit below an expanded container', () => {
+  const data = { a: { b: { c: 1 } } };
+  const limited = buildGraph(data, { maxDepth: 1 });
+
+  expect(limited.nodes.find(n => n.id === 'more:/a').data.moreKind).toBe('depth');
+
+  const expanded = buildGraph(data, { maxDepth: 1 }, { pageSizes: {}, depthExpanded: ['/a'] });
+  expect(expanded.hierarchy['/a']).toEqual(['/a/b']);
+});
+
+test('buckets huge arrays into expandable ranges', () => {
+  const data = { events: Array.from({ length: 20000 }, (_, i) => i) };
+  const collapsed = buildGraph(data);
+
+  expect(collapsed.hierarchy['/events']).toEqual(['range:/events[0-9999]', 'range:/events[10000-19999]']);
+
+  const expanded = buildGraph(data, {}, {
+    pageSizes: {},
+    depthExpanded: [],
+    expandedRanges: ['range:/events[10000-19999]', 'range:/events[15000-15099]']
+  });
+
+  expect(expanded.hierarchy['range:/events[10000-19999]']).toHaveLength(100);
+  expect(expanded.hierarchy['range:/events[15000-15099]'][0]).toBe('/events/15000');
+});
+
+test('invalid JSON renders the readable part plus an error node', () => {
+  const { nodes, edges } = processJson('{"a": 1, "b": [1, oops], "c": 3}');
+  const ids = nodes.map(n => n.id);
+
+  expect(ids).toEqual(expect.arrayContaining(['#', '/a', '/b', '/b/0', '/c']));
+  const errorNode = nodes.find(n => n.data.isError);
+  expect(errorNode.className).toBe('node-error');
+  expect(errorNode.data.label).toContain('line 1, col 19');
+  expect(edges).toContainEqual(expect.objectContaining({ source: '/b', target: errorNode.id }));
+});
+
+test('lossless mode keeps number lexemes and badges lossy values', () => {
+  const { nodes } = processJson('{"id": 9007199254740993, "ratio": 1.0}', { lossless: true });
+  const byId = new Map(nodes.map(n => [n.id, n]));
+
+  expect(byId.get('/id').data.label).toBe('id: 9007199254740993');
+  expect(byId.get('/id').className).toContain('node-precision-loss');
+  expect(byId.get('/ratio').data.label).toBe('ratio: 1.0');
+  expect(byId.get('/ratio').data.precisionLoss).toBe(false);
+});
+
+test('shadowed duplicate keys are drawn next to the winning value', () => {
+  const { nodes, edges } = processJson('{"event": "a", "event": "b", "other": 1}');
+  const ids = nodes.map(n => n.id);
+
+  expect(ids).toEqual(['#', '/event', 'dup:/event:0', '/other']);
+  const shadowed = nodes[2];
+  expect(shadowed.data.label).toBe('event: "a"');
+  expect(shadowed.className).toContain('node-shadowed');
+  expect(edges).toContainEqual(expect.objectContaining({ source: '#', target: 'dup:/event:0' }));
+});
+
+test('JSONC comments become annotations on their nodes', () => {
+  const { nodes } = processJson('{\n  // retries before giving up\n  "retries": 3,\n}', { dialect: 'jsonc' });
+  const retries = nodes.find(n => n.id === '/retries');
+
+  expect(nodes.some(n => n.data.isError)).toBe(false);
+  expect(retries.data.comments).toEqual(['// retries before giving up']);
+  expect(retries.className).toContain('node-commented');
+});
@@ -0,0 +1,178 @@
+// [DSA] Tree Diff keyed by JSON Pointer
+// Node ids are paths into the document (see jsonPointer.js), so the same value
+// keeps the same id across edits. Diffing two graphs is therefore a HashMap
+// lookup per node - O(V) - instead of a general tree-matching algorithm.
+
+import { nodeHeight, nodeWidth } from './graphBuilder';
+
+// Remove the ▼/▶ collapse indicator that is prepended to rendered labels
+export const stripIndicator = (label) => (label || '').replace(/^[▼▶]\s/, '');
+
+// Data that JsonGraph rewrites when it renders a node; compared separately
+const RENDERED_FIELDS = new Set(['label', 'collapsedHidden']);
+
+const sameValue = (a, b) => (
+  a === b || (typeof a === 'object' && typeof b === 'object' && a !== null && b !== null && JSON.stringify(a) === JSON.stringify(b))
+);
+
+// Everything the builder put on the node: comments, duplicate-key offsets and
+// lines, type notes, ... not only what the label shows
+const sameNode = (previous, next) => {
+  if (stripIndicator(previous.data.label) !== next.data.label) return false;
+  if (previous.className !== next.className && previous.className !== `${next.className} node-search-match`) return false;
+  const keys = new Set([...Object.keys(previous.data), ...Object.keys(next.data)]);
+  return [...keys].every(key => RENDERED_FIELDS.has(key) || sameValue(previous.data[key], next.data[key]));
+};
+
+export const diffGraph = (previousNodes, nextNodes) => {
+  // [DSA] HashMap: id -> previously rendered node
+  const previousById = new Map(previousNodes.map(n => [n.id, n]));
+  const nextIds = new Set();
+
+  const added = [];
+  const changed = [];
+  const unchanged = [];
+
+  nextNodes.forEach(node => {
+    nextIds.add(node.id);
+    const previous = previousById.get(node.id);
+
+    if (!previous) {
+      added.push(node.id);
+    } else if (!sameNode(previous, node)) {
+      changed.push(node.id);
+    } else {
+      unchanged.push(node.id);
+    }
+  });
+
+  const removed = previousNodes.filter(n => !nextIds.has(n.id)).map(n => n.id);
+
+  return {
+    previousById,
+    added,
+    removed,
+    changed,
+    unchanged,
+    // Same set of vertices => same tree shape, so the old layout is still valid
+    structureChanged: added.length > 0 || removed.length > 0
+  };
+};
+
+// Vertical space between neighbouring nodes: dagre's default nodesep
+const NODE_GAP = 50;
+
+const overlaps = (a, b) => (
+  a.x < b.x + nodeWidth && b.x < a.x + nodeWidth && a.y < b.y + nodeHeight && b.y < a.y + nodeHeight
+);
+
+// [DSA] Incremental placement after vertices were added or removed.
+// Vertices that were already drawn stay where they are; each added subtree
+// keeps the shape the fresh layout gave it, shifted so that it hangs off its
+// parent where the parent is drawn now, below the subtree of the sibling
+// before it. Added vertices without a parent (a new root, warnings) are
+// shifted by `offset`. When a subtree lands on nodes already placed, every
+// node from the highest one it covers downwards moves down to make room:
+// moving nodes further down never makes two of them overlap.
+// O(V) per added subtree.
+export const placeIncrementally = (freshNodes, edges, previousById, offset) => {
+  const parentOf = new Map();
+  const childrenOf = new Map();
+  edges.forEach(edge => {
+    if (edge.data && edge.data.isReference) return;
+    parentOf.set(edge.target, edge.source);
+    if (!childrenOf.has(edge.source)) childrenOf.set(edge.source, []);
+    childrenOf.get(edge.source).push(edge.target);
+  });
+  const freshById = new Map(freshNodes.map(n => [n.id, n]));
+
+  // [DSA] HashMap: id -> position of every node placed so far (mutable)
+  const placed = new Map();
+  freshNodes.forEach(node => {
+    const previous = previousById.get(node.id);
+    if (previous) placed.set(node.id, { ...previous.position });
+  });
+
+  const subtreeOf = (id, includeId = (childId) => placed.has(childId)) => {
+    const ids = [];
+    const stack = [id];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      ids.push(current);
+      (childrenOf.get(current) || []).forEach(childId => {
+        if (includeId(childId)) stack.push(childId);
+      });
+    }
+    return ids;
+  };
+  const bottomOf = (ids) => Math.max(...ids.map(id => placed.get(id).y + nodeHeight));
+
+  freshNodes.forEach(({ id }) => {
+    const parentId = parentOf.get(id);
+    if (placed.has(id) || (parentId !== undefined && !placed.has(parentId) && freshById.has(parentId))) return;
+
+    // `id` roots an added subtree; all of it is new
+    const block = subtreeOf(id, childId => !placed.has(childId));
+    const fresh = freshById.get(id).position;
+    let dx = offset.x;
+    let dy = offset.y;
+    if (placed.has(parentId)) {
+      const parentPosition = placed.get(parentId);
+      const freshParent = freshById.get(parentId).position;
+      dx = parentPosition.x - freshParent.x;
+      dy = parentPosition.y - freshParent.y;
+
+      const siblings = childrenOf.get(parentId);
+      const before = siblings[siblings.indexOf(id) - 1];
+      if (before !== undefined && placed.has(before)) {
+        dy += Math.max(0, bottomOf(subtreeOf(before)) + NODE_GAP - (fresh.y + dy));
+      }
+    }
+    const blockPositions = block.map(blockId => {
+      const position = freshById.get(blockId).position;
+      return { x: position.x + dx, y: position.y + dy };
+    });
+
+    const covered = [...placed.values()].filter(position => blockPositions.some(own => overlaps(own, position)));
+    if (covered.length > 0) {
+      const from = Math.min(...covered.map(position => position.y));
+      const shift = Math.max(...blockPositions.map(position => position.y)) + nodeHeight + NODE_GAP - from;
+      placed.forEach(position => {
+        if (position.y >= from) position.y += shift;
+      });
+    }
+    block.forEach((blockId, index) => placed.set(blockId, blockPositions[index]));
+  });
+
+  return freshNodes.map(node => ({ ...node, position: placed.get(node.id) }));
+};
+
+// [DSA] BFS over the adjacency list: every node reachable below `id`
+export const getAllDescendants = (hierarchy, id) => {
+  const descendants = [];
+  // [DSA] Queue: A FIFO (First-In-First-Out) structure is typical for BFS.
+  const queue = [id];
+
+  while (queue.length > 0) {
+    // [DSA] Dequeue: Take the first element
+    const currentId = queue.shift();
+
+    // [DSA] Lookup Children from Adjacency List
+    const children = hierarchy[currentId] || [];
+
+    children.forEach(childId => {
+      descendants.push(childId);
+      // [DSA] Enqueue: Add children to look for THEIR children in next iterations
+      queue.push(childId);
+    });
+  }
+
+  return descendants;
+};
+
+// [DSA] Every node below a collapsed node is hidden: BFS from each of them
+export const getCollapsedHiddenIds = (hierarchy, collapsed) => {
+  const hiddenIds = new Set();
+  collapsed.forEach(id => getAllDescendants(hierarchy, id).forEach(d => hiddenIds.add(d)));
+  return hiddenIds;
+};
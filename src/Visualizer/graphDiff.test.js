@@ -0,0 +1,74 @@
+import { buildGraph, getLayoutedElements, nodeHeight, nodeWidth, processJson } from './graphBuilder';
+import { diffGraph, placeIncrementally } from './graphDiff';
+
+const layout = (data) => {
+  const { nodes, edges } = buildGraph(data);
+  return { nodes: getLayoutedElements(nodes, edges).nodes, edges };
+};
+
+test('an added subtree hangs off its drawn parent; drawn nodes stay put', () => {
+  // Drawn graph, with "/b" dragged somewhere else
+  const drawn = layout({ a: { x: 1 }, b: { y: 2 } }).nodes
+    .map(node => (node.id === '/b' ? { ...node, position: { x: 900, y: 900 } } : node));
+  const next = layout({ a: { x: 1 }, b: { y: 2, z: { deep: true } } });
+
+  const { previousById, added, structureChanged } = diffGraph(drawn, next.nodes);
+  expect(structureChanged).toBe(true);
+  expect(added).toEqual(['/b/z', '/b/z/deep']);
+
+  const placed = new Map(placeIncrementally(next.nodes, next.edges, previousById, { x: 0, y: 0 }).map(n => [n.id, n.position]));
+  drawn.forEach(node => expect(placed.get(node.id)).toEqual(node.position));
+
+  const fresh = new Map(next.nodes.map(n => [n.id, n.position]));
+  ['/b/z', '/b/z/deep'].forEach(id => {
+    expect(placed.get(id)).toEqual({
+      x: 900 + fresh.get(id).x - fresh.get('/b').x,
+      y: 900 + fresh.get(id).y - fresh.get('/b').y
+    });
+  });
+});
+
+const overlapping = (nodes) => nodes.flatMap((a, i) => nodes.slice(i + 1)
+  .filter(b => Math.abs(a.position.x - b.position.x) < nodeWidth && Math.abs(a.position.y - b.position.y) < nodeHeight)
+  .map(b => [a.id, b.id]));
+
+test('a subtree inserted between drawn siblings pushes the later ones down', () => {
+  const insert = (before, after) => {
+    const drawn = layout(before).nodes;
+    const next = layout(after);
+    const { previousById } = diffGraph(drawn, next.nodes);
+    const placed = placeIncrementally(next.nodes, next.edges, previousById, { x: 0, y: 0 });
+    return { drawn: new Map(drawn.map(n => [n.id, n.position])), placed, at: new Map(placed.map(n => [n.id, n.position])) };
+  };
+
+  const siblings = insert({ a: 1, b: 2, c: 3 }, { a: 1, d: { x: 1, y: 2 }, b: 2, c: 3 });
+  expect(overlapping(siblings.placed)).toEqual([]);
+  expect(siblings.at.get('/a')).toEqual(siblings.drawn.get('/a'));
+  expect(siblings.at.get('/a').y).toBeLessThan(siblings.at.get('/d').y);
+  expect(siblings.at.get('/d/y').y).toBeLessThan(siblings.at.get('/b').y);
+  expect(siblings.at.get('/b').y).toBeLessThan(siblings.at.get('/c').y);
+
+  // Deeper insert: the next branch down makes room too
+  const nested = insert({ a: { x: 1 }, b: { y: 2, z: 3 } }, { a: { x: 1, w: [1, 2, 3] }, b: { y: 2, z: 3 } });
+  expect(overlapping(nested.placed)).toEqual([]);
+  expect(nested.at.get('/a/x')).toEqual(nested.drawn.get('/a/x'));
+});
+
+test('nodes count as changed when any of their data changes, not only the label', () => {
+  const changedBetween = (before, after, options) => (
+    diffGraph(processJson(before, options).nodes, processJson(after, options).nodes).changed
+  );
+
+  // Comments (JSONC)
+  expect(changedBetween('{\n  // old\n  "a": 1\n}', '{\n  // new\n  "a": 1\n}', { dialect: 'jsonc' })).toEqual(['/a']);
+
+  // Overridden duplicate keys: the offset and the line of the overriding key
+  const shadowed = changedBetween('{"a": 1, "a": 2}', '{\n\n"a": 1,\n "a": 2}');
+  expect(shadowed).toEqual(expect.arrayContaining([expect.stringMatching(/^dup:/)]));
+
+  // Number notes: same label, but only the second one loses precision
+  const long = `1.${'0'.repeat(60)}`;
+  expect(changedBetween(`{"n": ${long}}`, `{"n": ${long}1}`, { lossless: true })).toEqual(['/n']);
+
+  expect(changedBetween('{"a": 1}', '{"a": 1}')).toEqual([]);
+});
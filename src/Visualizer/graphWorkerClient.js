@@ -0,0 +1,107 @@
+import { processJson } from './graphBuilder';
+import { spawnGraphWorker } from './spawnGraphWorker';
+
+// [DSA] Job queue of size one
+// Only the newest document matters: when new input arrives while a job is
+// still running, the worker is terminated (true cancellation - a synchronous
+// JSON.parse/dagre run can't be interrupted any other way) and a fresh one is
+// spawned. Superseded jobs resolve with `null`.
+// A worker that fails (script not loaded, uncaught error) rejects the job it
+// was running; later jobs run on the main thread instead.
+
+// `spawnWorker` returns a Worker, or null to run jobs on the main thread
+export const createGraphWorkerClient = ({ spawnWorker = spawnGraphWorker } = {}) => {
+  let worker = null;
+  let workerFailed = false;
+  let nextJobId = 0;
+  let activeJob = null; // { jobId, resolve, reject, onProgress }
+
+  const settle = (jobId, settleFn) => {
+    if (!activeJob || activeJob.jobId !== jobId) return; // Stale answer
+    const job = activeJob;
+    activeJob = null;
+    settleFn(job);
+  };
+
+  const handleMessage = (event) => {
+    const { jobId, type } = event.data;
+
+    if (type === 'progress') {
+      if (activeJob && activeJob.jobId === jobId) activeJob.onProgress(event.data.stage);
+      return;
+    }
+    if (type === 'result') {
+      settle(jobId, job => job.resolve(event.data.result));
+    } else {
+      settle(jobId, job => job.reject(new Error(event.data.message)));
+    }
+  };
+
+  const failActiveJob = (message) => {
+    if (activeJob) settle(activeJob.jobId, job => job.reject(new Error(message)));
+  };
+
+  const handleError = (event) => {
+    event.preventDefault();
+    if (worker) worker.terminate();
+    worker = null;
+    workerFailed = true;
+    failActiveJob(`The graph worker failed: ${event.message || 'its script could not be loaded'}`);
+  };
+
+  const handleMessageError = () => failActiveJob('The graph worker sent a message that could not be read');
+
+  const cancel = () => {
+    if (!activeJob) return;
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+    activeJob.resolve(null);
+    activeJob = null;
+  };
+
+  const run = (jsonString, options = {}, onProgress = () => {}) => {
+    cancel();
+
+    const jobId = ++nextJobId;
+    return new Promise((resolve, reject) => {
+      activeJob = { jobId, resolve, reject, onProgress };
+
+      if (!worker && !workerFailed) {
+        worker = spawnWorker();
+        if (worker) {
+          worker.onmessage = handleMessage;
+          worker.onerror = handleError;
+          worker.onmessageerror = handleMessageError;
+        }
+      }
+
+      if (worker) {
+        worker.postMessage({ jobId, jsonString, options });
+        return;
+      }
+
+      // Fallback: same pipeline on the main thread, after the current frame
+      setTimeout(() => {
+        if (!activeJob || activeJob.jobId !== jobId) return;
+        try {
+          const result = processJson(jsonString, { ...options, onProgress });
+          settle(jobId, job => job.resolve(result));
+        } catch (error) {
+          settle(jobId, job => job.reject(error));
+        }
+      }, 0);
+    });
+  };
+
+  const dispose = () => {
+    cancel();
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+  };
+
+  return { run, cancel, dispose };
+};
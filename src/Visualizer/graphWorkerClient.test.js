@@ -0,0 +1,43 @@
+import { createGraphWorkerClient } from './graphWorkerClient';
+
+// Stands in for a Worker; the test fires its events by hand
+const createFakeWorker = () => ({
+  messages: [],
+  terminated: false,
+  postMessage(message) { this.messages.push(message); },
+  terminate() { this.terminated = true; }
+});
+
+test('a failing worker rejects its job and later jobs run on the main thread', async () => {
+  const workers = [];
+  const client = createGraphWorkerClient({
+    spawnWorker: () => {
+      const worker = createFakeWorker();
+      workers.push(worker);
+      return worker;
+    }
+  });
+
+  const job = client.run('{"a": 1}');
+  workers[0].onerror({ message: 'Uncaught SyntaxError', preventDefault: () => {} });
+  await expect(job).rejects.toThrow('The graph worker failed: Uncaught SyntaxError');
+  expect(workers[0].terminated).toBe(true);
+
+  const result = await client.run('{"a": 1}');
+  expect(result.nodes.map(node => node.id)).toEqual(['#', '/a']);
+  expect(workers).toHaveLength(1);
+});
+
+test('an unreadable message rejects the running job', async () => {
+  const worker = createFakeWorker();
+  const client = createGraphWorkerClient({ spawnWorker: () => worker });
+
+  const job = client.run('[]');
+  worker.onmessageerror({ data: null });
+  await expect(job).rejects.toThrow('could not be read');
+
+  const next = client.run('[1]');
+  const { jobId } = worker.messages[1];
+  worker.onmessage({ data: { jobId, type: 'result', result: 'done' } });
+  await expect(next).resolves.toBe('done');
+});
@@ -0,0 +1,54 @@
+// [DSA] RFC 6901 JSON Pointer helpers
+// Every graph node is keyed by the path to its value (e.g. "/experience/0/company")
+// instead of a DFS visit counter. The key depends only on WHERE the value lives,
+// so editing one branch never renumbers the nodes of another branch.
+
+// The root pointer is the empty string, which React Flow rejects as a node id.
+// We use "#" instead (the URI fragment form of the root pointer, RFC 6901 §6).
+// Real pointers always start with "/", so "#" can never collide with one.
+export const ROOT_ID = '#';
+
+// Synthetic nodes (warnings, "... more items") are not values in the document.
+// Their ids never start with "/" so they can't shadow a real pointer.
+export const WARNING_ID = 'node-warning';
+
+// "~" and "/" are the only characters that need escaping inside a token
+export const escapeToken = (token) => String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+
+// Order matters: "~01" must decode to "~1", not "/"
+export const unescapeToken = (token) => token.replace(/~1/g, '/').replace(/~0/g, '~');
+
+export const childPointer = (parentPointer, key) => `${parentPointer}/${escapeToken(key)}`;
+
+export const parsePointer = (pointer) => {
+  if (pointer === '') return [];
+  if (pointer[0] !== '/') {
+    throw new Error(`Invalid JSON Pointer: "${pointer}"`);
+  }
+  return pointer.substring(1).split('/').map(unescapeToken);
+};
+
+export const compilePointer = (tokens) => tokens.map(t => `/${escapeToken(t)}`).join('');
+
+export const getParentPointer = (pointer) => {
+  if (pointer === '') return null;
+  return pointer.substring(0, pointer.lastIndexOf('/'));
+};
+
+// [DSA] Node id <-> pointer mapping (only the root differs)
+export const toNodeId = (pointer) => (pointer === '' ? ROOT_ID : pointer);
+export const toPointer = (nodeId) => (nodeId === ROOT_ID ? '' : nodeId);
+
+export const isPointerId = (nodeId) => nodeId === ROOT_ID || (typeof nodeId === 'string' && nodeId[0] === '/');
+
+// [DSA] Path walk: O(D) where D is the depth of the pointer
+export const getValueAtPointer = (data, pointer) => {
+  let current = data;
+  for (const token of parsePointer(pointer)) {
+    if (current === null || typeof current !== 'object' || !Object.prototype.hasOwnProperty.call(current, token)) {
+      return undefined;
+    }
+    current = current[token];
+  }
+  return current;
+};
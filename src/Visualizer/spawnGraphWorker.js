@@ -0,0 +1,6 @@
+// Kept apart from the client: webpack needs `import.meta.url` to bundle the
+// worker, and Jest can't parse it (see setupTests.js)
+export const spawnGraphWorker = () => {
+  if (typeof Worker === 'undefined') return null;
+  return new Worker(new URL('./graph.worker.js', import.meta.url));
+};
@@ -0,0 +1,378 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { DiffEditor } from '@monaco-editor/react';
+import { parseSource } from '../../Parser/parseSource';
+import { stringifyJson } from '../../Parser/losslessJson';
+import { readUpload, stripCompressionExtension } from '../../Formats/upload';
+import { INPUT_MODES, getModeForFileName } from '../../Editor/inputModes';
+import { DIFF_TYPES, deepEqual, diffDocuments, isPlainObject } from '../../Tools/structuralDiff';
+import { applyMergePatch, createJsonPatch, createMergePatch } from '../../Tools/jsonPatch';
+import GraphPreview from '../../Visualizer/GraphPreview';
+import './ComparePanel.css';
+
+const DIFF_LABELS = {
+    added: { symbol: '+', label: 'added' },
+    removed: { symbol: '−', label: 'removed' },
+    changed: { symbol: '~', label: 'changed' },
+    moved: { symbol: '↔', label: 'moved' }
+};
+
+// The summary lists this many paths; the graph still shows every change
+const MAX_SUMMARY_ROWS = 500;
+
+// Pasted text has no file name: the first dialect that parses it wins
+const PASTE_MODES = ['json', 'ndjson', 'json5', 'yaml'];
+
+// Lossless parsing keeps 64-bit ids and spellings like 1.0 in generated patches
+const parseDocument = (text, inputMode, lossless) => (
+    parseSource(text, { dialect: INPUT_MODES[inputMode].dialect, lossless, sourceMap: false }).data
+);
+
+const parsePasted = (text, lossless) => {
+    for (const inputMode of PASTE_MODES) {
+        try {
+            return { data: parseDocument(text, inputMode, lossless), inputMode };
+        } catch (error) {
+            // Try the next dialect
+        }
+    }
+    return { error: 'The pasted text is not JSON, NDJSON, JSON5 or YAML' };
+};
+
+// Normalized text: pretty JSON with sorted keys, so formatting and key order
+// don't show up as differences
+const sortKeys = (value) => {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    return isPlainObject(value) ? Object.fromEntries(Object.keys(value).sort().map(k => [k, sortKeys(value[k])])) : value;
+};
+const normalize = (data) => stringifyJson(sortKeys(data), 2);
+
+const preview = (value) => {
+    const text = stringifyJson(value);
+    return text.length > 60 ? `${text.slice(0, 57)}…` : text;
+};
+
+const displayPointer = (pointer) => pointer || '(root)';
+
+const describeChange = (change) => {
+    if (change.type === 'changed') return `${preview(change.oldValue)} → ${preview(change.newValue)}`;
+    if (change.type === 'moved') return `from ${displayPointer(change.left)}`;
+    return preview(change.type === 'added' ? change.newValue : change.oldValue);
+};
+
+// Compare the current document with another one: pasted, uploaded, another
+// tab or an earlier version (history). Shows a text diff and a merged graph
+// colored by change, plus the list of changed paths. Array elements are
+// matched by the identity keys (see Tools/structuralDiff.js). The difference
+// can be saved as a JSON Patch or Merge Patch, opened in a new tab.
+const ComparePanel = ({ isOpen, activeDocument, documents, history, limits, losslessNumbers, onOpenDocument, onClose }) => {
+    // 'paste', 'upload', 'tab:<id>' or 'history:<id>'; null until one is picked
+    const [pickedSource, setPickedSource] = useState(null);
+    const [pasteText, setPasteText] = useState('');
+    const [upload, setUpload] = useState(null);
+    const [uploadError, setUploadError] = useState(null);
+    const [identityKeysText, setIdentityKeysText] = useState('id');
+    // The other document is "before" unless swapped
+    const [swapped, setSwapped] = useState(false);
+    const [normalized, setNormalized] = useState(true);
+    const [view, setView] = useState('text');
+    const [focus, setFocus] = useState(null);
+    const [patchError, setPatchError] = useState(null);
+    const fileInputRef = useRef(null);
+    const diffRunRef = useRef(0);
+
+    const otherTabs = documents.filter(doc => doc.id !== activeDocument.id);
+    const versions = history.filter(entry => entry.text !== activeDocument.text);
+
+    // Until one is picked, compare with the most likely "before": another tab,
+    // else the latest earlier version
+    let sourceKey = pickedSource;
+    if (!sourceKey) {
+        if (otherTabs.length > 0) sourceKey = `tab:${otherTabs[0].id}`;
+        else if (versions.length > 0) sourceKey = `history:${versions[0].id}`;
+        else sourceKey = 'paste';
+    }
+
+    useEffect(() => {
+        if (isOpen) setFocus(null);
+    }, [isOpen]);
+
+    useEffect(() => {
+        setPatchError(null);
+    }, [isOpen, sourceKey, swapped]);
+
+    // The other document: { name, text, inputMode } or { error }
+    const other = useMemo(() => {
+        if (!isOpen) return null;
+        if (sourceKey === 'paste') {
+            if (pasteText.trim() === '') return null;
+            const parsed = parsePasted(pasteText, losslessNumbers);
+            return parsed.error ? parsed : { name: 'Pasted document', text: pasteText, ...parsed };
+        }
+        let doc = null;
+        if (sourceKey === 'upload') doc = upload;
+        else if (sourceKey.startsWith('tab:')) doc = documents.find(d => `tab:${d.id}` === sourceKey);
+        else doc = history.find(entry => `history:${entry.id}` === sourceKey);
+        if (!doc) return null;
+        try {
+            return { name: doc.name, text: doc.text, inputMode: doc.inputMode, data: parseDocument(doc.text, doc.inputMode, losslessNumbers) };
+        } catch (error) {
+            return { error: `${doc.name} has syntax errors: ${error.message}` };
+        }
+    }, [isOpen, sourceKey, pasteText, upload, documents, history, losslessNumbers]);
+
+    const current = useMemo(() => {
+        if (!isOpen) return null;
+        try {
+            return { ...activeDocument, data: parseDocument(activeDocument.text, activeDocument.inputMode, losslessNumbers) };
+        } catch (error) {
+            return { error: 'Fix the syntax errors in the current document to compare it' };
+        }
+    }, [isOpen, activeDocument, losslessNumbers]);
+
+    const identityKeys = useMemo(() => identityKeysText.split(',').map(key => key.trim()).filter(Boolean), [identityKeysText]);
+
+    const before = swapped ? current : other;
+    const after = swapped ? other : current;
+    const ready = before && after && !before.error && !after.error;
+
+    const diff = useMemo(() => {
+        if (!ready) return null;
+        diffRunRef.current += 1;
+        return { ...diffDocuments(before.data, after.data, { identityKeys }), run: diffRunRef.current };
+    }, [ready, before, after, identityKeys]);
+
+    const texts = useMemo(() => {
+        if (!ready) return null;
+        const textOf = (side) => (normalized ? normalize(side.data) : side.text);
+        const languageOf = (side) => (normalized ? 'json' : INPUT_MODES[side.inputMode].language);
+        return { original: textOf(before), modified: textOf(after), originalLanguage: languageOf(before), modifiedLanguage: languageOf(after) };
+    }, [ready, before, after, normalized]);
+
+    const annotations = useMemo(() => {
+        if (!diff) return [];
+        const marks = diff.changes.map(change => ({
+            pointer: change.pointer,
+            className: `node-diff-${change.type}`,
+            note: `${DIFF_LABELS[change.type].label}: ${describeChange(change)}`
+        }));
+        return focus ? [...marks, { pointer: focus.pointer, className: 'node-query-current' }] : marks;
+    }, [diff, focus]);
+
+    if (!isOpen) return null;
+
+    const handleUpload = async (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+        try {
+            const { content } = await readUpload(file);
+            setUpload({ name: file.name, text: content, inputMode: getModeForFileName(stripCompressionExtension(file.name)) || 'json' });
+            setUploadError(null);
+            setPickedSource('upload');
+        } catch (error) {
+            setUploadError(`Cannot read ${file.name}: ${error.message}`);
+        }
+    };
+
+    const showInGraph = (change) => {
+        setView('graph');
+        setFocus({ pointer: change.pointer });
+    };
+
+    const generatePatch = (kind) => {
+        let patch = createJsonPatch(before.data, after.data);
+        if (kind === 'merge-patch') {
+            patch = createMergePatch(before.data, after.data);
+            if (!deepEqual(applyMergePatch(before.data, patch).document, after.data)) {
+                setPatchError('A Merge Patch cannot set values to null: generate a JSON Patch instead');
+                return;
+            }
+        }
+        const label = kind === 'merge-patch' ? 'Merge Patch' : 'JSON Patch';
+        onOpenDocument({ name: `${before.name} → ${after.name} (${label})`, text: stringifyJson(patch, 2), inputMode: 'json' });
+    };
+
+    const error = (other && other.error) || (current && current.error) || uploadError || patchError;
+
+    return (
+        <div className="compare-overlay" onClick={onClose}>
+            <div className="compare-modal" onClick={e => e.stopPropagation()}>
+                <div className="compare-header">
+                    <div>
+                        <h2>Compare</h2>
+                        {ready && (
+                            <p className="compare-subtitle">
+                                {before.name} → {after.name}
+                            </p>
+                        )}
+                    </div>
+                    <button className="compare-close-btn" onClick={onClose} title="Close">✕</button>
+                </div>
+
+                <div className="compare-options">
+                    <label>
+                        Compare with
+                        <select value={sourceKey} onChange={(e) => setPickedSource(e.target.value)}>
+                            <option value="paste">Pasted document</option>
+                            {upload && <option value="upload">Uploaded: {upload.name}</option>}
+                            {otherTabs.length > 0 && (
+                                <optgroup label="Open tabs">
+                                    {otherTabs.map(doc => <option key={doc.id} value={`tab:${doc.id}`}>{doc.name}</option>)}
+                                </optgroup>
+                            )}
+                            {versions.length > 0 && (
+                                <optgroup label="History">
+                                    {versions.map(entry => (
+                                        <option key={entry.id} value={`history:${entry.id}`}>
+                                            {entry.name} · {entry.savedAt.toLocaleTimeString()}
+                                        </option>
+                                    ))}
+                                </optgroup>
+                            )}
+                        </select>
+                    </label>
+                    <button className="compare-btn" onClick={() => fileInputRef.current?.click()}>
+                        Upload…
+                    </button>
+                    <input
+                        ref={fileInputRef}
+                        type="file"
+                        accept=".json,.jsonc,.json5,.yaml,.yml,.ndjson,.jsonl,.gz,.br"
+                        onChange={handleUpload}
+                        style={{ display: 'none' }}
+                    />
+                    <button className="compare-btn" onClick={() => setSwapped(value => !value)} title="Swap before and after">
+                        ⇄ Swap
+                    </button>
+                    <label title="Array elements with the same value for one of these fields are the same element, wherever they are">
+                        Identity key
+                        <input
+                            type="text"
+                            value={identityKeysText}
+                            onChange={(e) => setIdentityKeysText(e.target.value)}
+                            placeholder="id, uuid"
+                            spellCheck={false}
+                        />
+                    </label>
+                    <label className="compare-checkbox">
+                        <input type="checkbox" checked={normalized} onChange={(e) => setNormalized(e.target.checked)} />
+                        Ignore formatting and key order
+                    </label>
+                </div>
+
+                {sourceKey === 'paste' && (
+                    <textarea
+                        className="compare-paste"
+                        value={pasteText}
+                        onChange={(e) => setPasteText(e.target.value)}
+                        placeholder="Paste the document to compare with (JSON, NDJSON, JSON5 or YAML)"
+                        spellCheck={false}
+                    />
+                )}
+
+                {error && <p className="compare-error">{error}</p>}
+
+                <div className="compare-body">
+                    <div className="compare-summary">
+                        {diff && (
+                            <>
+                                <div className="compare-stats">
+                                    {DIFF_TYPES.map(type => (
+                                        <span key={type} className={`compare-stat diff-${type}`}>
+                                            {DIFF_LABELS[type].symbol}{diff.stats[type]} {DIFF_LABELS[type].label}
+                                        </span>
+                                    ))}
+                                </div>
+                                {diff.changes.length === 0 && <p className="compare-empty">The documents are equal.</p>}
+                                <ul className="compare-changes">
+                                    {diff.changes.slice(0, MAX_SUMMARY_ROWS).map((change, index) => (
+                                        <li key={index}>
+                                            <button
+                                                className={`compare-change diff-${change.type}`}
+                                                onClick={() => showInGraph(change)}
+                                                title="Show in the graph"
+                                            >
+                                                <span className="compare-change-symbol">{DIFF_LABELS[change.type].symbol}</span>
+                                                <span className="compare-change-path">
+                                                    {displayPointer(change.type === 'removed' ? change.left : change.right)}
+                                                </span>
+                                                <span className="compare-change-detail">{describeChange(change)}</span>
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ul>
+                                {diff.changes.length > MAX_SUMMARY_ROWS && (
+                                    <p className="compare-empty">…and {diff.changes.length - MAX_SUMMARY_ROWS} more</p>
+                                )}
+                            </>
+                        )}
+                    </div>
+
+                    <div className="compare-view">
+                        <div className="compare-view-tabs">
+                            <button className={view === 'text' ? 'active' : ''} onClick={() => setView('text')}>Text diff</button>
+                            <button className={view === 'graph' ? 'active' : ''} onClick={() => setView('graph')}>Merged graph</button>
+                            {view === 'graph' && (
+                                <span className="compare-legend">
+                                    {DIFF_TYPES.map(type => <span key={type} className={`compare-legend-item diff-${type}`}>{DIFF_LABELS[type].label}</span>)}
+                                </span>
+                            )}
+                        </div>
+                        <div className="compare-view-body">
+                            {ready && view === 'text' && (
+                                <DiffEditor
+                                    height="100%"
+                                    theme="vs-dark"
+                                    original={texts.original}
+                                    modified={texts.modified}
+                                    originalLanguage={texts.originalLanguage}
+                                    modifiedLanguage={texts.modifiedLanguage}
+                                    options={{
+                                        readOnly: true,
+                                        minimap: { enabled: false },
+                                        scrollBeyondLastLine: false,
+                                        fontSize: 13
+                                    }}
+                                />
+                            )}
+                            {diff && view === 'graph' && (
+                                <GraphPreview
+                                    key={diff.run}
+                                    value={diff.merged}
+                                    limits={limits}
+                                    annotations={annotations}
+                                    focus={focus}
+                                />
+                            )}
+                        </div>
+                    </div>
+                </div>
+
+                <div className="compare-footer">
+                    <span className="compare-footer-spacer" />
+                    <button className="compare-btn" onClick={onClose}>
+                        Close
+                    </button>
+                    <button
+                        className="compare-btn"
+                        onClick={() => generatePatch('merge-patch')}
+                        disabled={!ready}
+                        title="RFC 7396: the changed members, null for removed ones"
+                    >
+                        Generate Merge Patch
+                    </button>
+                    <button
+                        className="compare-btn compare-btn-primary"
+                        onClick={() => generatePatch('json-patch')}
+                        disabled={!ready}
+                        title="RFC 6902: add, remove and replace operations from before to after"
+                    >
+                        Generate JSON Patch
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ComparePanel;
@@ -0,0 +1,34 @@
+import { useEffect, useRef, useState } from 'react';
+
+// A version is kept once its text has been left alone this long
+const HISTORY_IDLE_MS = 2000;
+const HISTORY_LIMIT = 20;
+// Bigger texts aren't copied into the history
+const HISTORY_MAX_CHARS = 5000000;
+
+// Earlier versions of the open documents, newest first, to compare against:
+//   [{ id, documentId, name, text, inputMode, savedAt }]
+// Kept for the session only.
+export const useDocumentHistory = (documents) => {
+  const [history, setHistory] = useState([]);
+  const nextIdRef = useRef(1);
+
+  useEffect(() => {
+    const timeoutId = setTimeout(() => {
+      setHistory(entries => {
+        const savedAt = new Date();
+        const versions = documents
+          .filter(doc => doc.text.length <= HISTORY_MAX_CHARS)
+          .filter(doc => {
+            const latest = entries.find(entry => entry.documentId === doc.id);
+            return !latest || latest.text !== doc.text;
+          })
+          .map(doc => ({ id: nextIdRef.current++, documentId: doc.id, name: doc.name, text: doc.text, inputMode: doc.inputMode, savedAt }));
+        return versions.length === 0 ? entries : [...versions, ...entries].slice(0, HISTORY_LIMIT);
+      });
+    }, HISTORY_IDLE_MS);
+    return () => clearTimeout(timeoutId);
+  }, [documents]);
+
+  return history;
+};
@@ -17,9 +17,9 @@ const LogicShowcase = ({ isOpen, onClose }) => {
             code: `const parsedData = JSON.parse(jsonString);
 // Node Structure
 {
-  id: "node-1",
-  data: { label: "root", type: "object" },
-  children: ["node-2", "node-3"]
+  id: "/skills",  // JSON Pointer to the value
+  data: { label: "skills", type: "object" },
+  children: ["/skills/programming_languages", "/skills/ml_ai"]
 }`,
             diagram: [
                 { id: '1', label: 'Root', active: true },
@@ -36,9 +36,9 @@ const LogicShowcase = ({ isOpen, onClose }) => {
                 { label: "LC 133: Clone Graph", url: "https://leetcode.com/problems/clone-graph/" }
             ],
             code: `const hierarchy = {
-  "node-1": ["node-2", "node-3"],
-  "node-2": ["node-4"],
-  "node-3": []
+  "#": ["/profiles", "/skills"],
+  "/skills": ["/skills/ml_ai"],
+  "/profiles": []
 };
 // Access children instantly:
 const children = hierarchy[clickedNodeId];`,
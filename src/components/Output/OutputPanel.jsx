@@ -0,0 +1,73 @@
+import React from 'react';
+import Editor from '@monaco-editor/react';
+import './OutputPanel.css';
+
+// Read-only side editor for generated text (schemas, types) with copy and
+// download. `children` go into the header, e.g. an option picker, and
+// `actions` are extra footer buttons.
+const OutputPanel = ({ isOpen, title, subtitle, text, language = 'json', fileName, mimeType = 'application/json', children, actions, onClose }) => {
+    if (!isOpen) return null;
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(text);
+            alert(`${title} copied to clipboard!`);
+        } catch (error) {
+            alert('Failed to copy to clipboard');
+        }
+    };
+
+    const handleDownload = () => {
+        const blob = new Blob([text], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    };
+
+    return (
+        <aside className="output-panel" aria-label={title}>
+            <div className="output-header">
+                <div>
+                    <h2>{title}</h2>
+                    {subtitle && <p className="output-subtitle">{subtitle}</p>}
+                </div>
+                <button className="output-close-btn" onClick={onClose} title="Close">✕</button>
+            </div>
+
+            {children && <div className="output-options">{children}</div>}
+
+            <div className="output-editor">
+                <Editor
+                    height="100%"
+                    language={language}
+                    theme="vs-dark"
+                    value={text}
+                    options={{
+                        readOnly: true,
+                        minimap: { enabled: false },
+                        scrollBeyondLastLine: false,
+                        fontSize: 13
+                    }}
+                />
+            </div>
+
+            <div className="output-footer">
+                {actions}
+                <span className="output-footer-spacer" />
+                <button className="output-btn" onClick={handleCopy}>
+                    Copy
+                </button>
+                <button className="output-btn output-btn-primary" onClick={handleDownload}>
+                    Download
+                </button>
+            </div>
+        </aside>
+    );
+};
+
+export default OutputPanel;
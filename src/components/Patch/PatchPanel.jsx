@@ -0,0 +1,283 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { parseSource } from '../../Parser/parseSource';
+import { readUpload } from '../../Formats/upload';
+import { stringifyYaml } from '../../Formats/yaml';
+import { stringifyJson } from '../../Parser/losslessJson';
+import { INPUT_MODES } from '../../Editor/inputModes';
+import { applyJsonPatch, applyMergePatch, detectPatchKind } from '../../Tools/jsonPatch';
+import { getParentPointer } from '../../Visualizer/jsonPointer';
+import GraphPreview from '../../Visualizer/GraphPreview';
+import './PatchPanel.css';
+
+const KIND_LABELS = {
+    'json-patch': 'JSON Patch (RFC 6902)',
+    'merge-patch': 'Merge Patch (RFC 7396)'
+};
+
+const STATUS_SYMBOLS = { applied: '✓', failed: '✗', skipped: '–' };
+
+// Lossless parsing keeps 64-bit ids and spellings like 1.0 through the patch
+const parseDocument = (text, inputMode, lossless) => (
+    parseSource(text, { dialect: INPUT_MODES[inputMode].dialect, lossless, sourceMap: false }).data
+);
+
+const displayPointer = (pointer) => (pointer === null ? '?' : pointer || '(root)');
+
+// Graph marks for the patched document, in the colors of a comparison. A
+// removed value is gone, so its parent is marked. Pointers are where each
+// operation wrote; later operations on the same array may shift them.
+const patchAnnotations = (results) => results.flatMap(result => {
+    const note = `Patch #${result.index + 1}: ${result.op} ${displayPointer(result.path)}`;
+    if (result.path === null) return [];
+    if (result.status === 'failed') return [{ pointer: result.path, className: 'node-patch-failed', note: `${note} failed: ${result.message}` }];
+    if (result.status !== 'applied') return [];
+    switch (result.op) {
+        case 'add':
+        case 'copy':
+            return [{ pointer: result.path, className: 'node-diff-added', note }];
+        case 'replace':
+            return [{ pointer: result.path, className: 'node-diff-changed', note }];
+        case 'move':
+            return [{ pointer: result.path, className: 'node-diff-moved', note: `${note} (from ${displayPointer(result.from)})` }];
+        case 'remove': {
+            const parent = getParentPointer(result.path);
+            return parent === null ? [] : [{ pointer: parent, className: 'node-diff-changed', note }];
+        }
+        default:
+            return [];
+    }
+});
+
+// The patched document in the current document's format. JSONC comments and
+// JSON5 syntax don't survive: the text is rewritten as JSON, which both read.
+const formatResult = (data, inputMode) => {
+    if (inputMode === 'yaml') return { text: stringifyYaml(data), inputMode };
+    if (inputMode === 'ndjson' && Array.isArray(data)) {
+        return { text: data.map(record => stringifyJson(record)).join('\n'), inputMode };
+    }
+    return { text: stringifyJson(data, 2), inputMode: inputMode === 'ndjson' ? 'json' : inputMode };
+};
+
+// Preview a JSON Patch or Merge Patch on the current document: what every
+// operation did (or why it failed) and the patched document as a graph with
+// the touched values colored. Applying it keeps those marks in the main graph.
+const PatchPanel = ({ isOpen, activeDocument, documents, limits, losslessNumbers, onApply, onOpenInTab, onClose }) => {
+    // 'paste' or 'tab:<id>'
+    const [source, setSource] = useState('paste');
+    const [pasteText, setPasteText] = useState('');
+    const [uploadError, setUploadError] = useState(null);
+    // 'auto' or one of PATCH_KINDS
+    const [kindChoice, setKindChoice] = useState('auto');
+    const [focus, setFocus] = useState(null);
+    const fileInputRef = useRef(null);
+    const runRef = useRef(0);
+
+    const otherTabs = documents.filter(doc => doc.id !== activeDocument.id);
+    // A closed tab (or the one being patched) falls back to the pasted patch
+    const sourceKey = otherTabs.some(doc => `tab:${doc.id}` === source) ? source : 'paste';
+
+    useEffect(() => {
+        if (isOpen) setFocus(null);
+    }, [isOpen]);
+
+    // The patch: { data } or { error }; null while there is none
+    const patch = useMemo(() => {
+        if (!isOpen) return null;
+        const doc = sourceKey === 'paste'
+            ? { name: 'The patch', text: pasteText, inputMode: 'json' }
+            : documents.find(d => `tab:${d.id}` === sourceKey);
+        if (!doc || doc.text.trim() === '') return null;
+        try {
+            return { data: parseDocument(doc.text, doc.inputMode, losslessNumbers) };
+        } catch (error) {
+            return { error: `${doc.name} is not valid ${INPUT_MODES[doc.inputMode].label}: ${error.message}` };
+        }
+    }, [isOpen, sourceKey, pasteText, documents, losslessNumbers]);
+
+    const current = useMemo(() => {
+        if (!isOpen) return null;
+        try {
+            return { data: parseDocument(activeDocument.text, activeDocument.inputMode, losslessNumbers) };
+        } catch (error) {
+            return { error: 'Fix the syntax errors in the current document to apply a patch' };
+        }
+    }, [isOpen, activeDocument, losslessNumbers]);
+
+    const detectedKind = patch && !patch.error ? detectPatchKind(patch.data) : null;
+    const kind = kindChoice === 'auto' ? detectedKind : kindChoice;
+
+    // { kind, document, results, ok, annotations, run } or { error }
+    const outcome = useMemo(() => {
+        if (!patch || patch.error || !current || current.error || !kind) return null;
+        try {
+            const applied = kind === 'json-patch' ? applyJsonPatch(current.data, patch.data) : applyMergePatch(current.data, patch.data);
+            runRef.current += 1;
+            return { kind, ...applied, annotations: patchAnnotations(applied.results), run: runRef.current };
+        } catch (error) {
+            return { error: error.message };
+        }
+    }, [patch, current, kind]);
+
+    const graphAnnotations = useMemo(() => {
+        if (!outcome || outcome.error) return [];
+        return focus ? [...outcome.annotations, { pointer: focus.pointer, className: 'node-query-current' }] : outcome.annotations;
+    }, [outcome, focus]);
+
+    if (!isOpen) return null;
+
+    const handleUpload = async (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+        try {
+            const { content } = await readUpload(file);
+            setPasteText(content);
+            setSource('paste');
+            setUploadError(null);
+        } catch (error) {
+            setUploadError(`Cannot read ${file.name}: ${error.message}`);
+        }
+    };
+
+    const showInGraph = (result) => {
+        if (result.path === null) return;
+        setFocus({ pointer: result.status === 'applied' && result.op === 'remove' ? getParentPointer(result.path) : result.path });
+    };
+
+    const ready = outcome && !outcome.error;
+    const error = (patch && patch.error) || (current && current.error) || (outcome && outcome.error) || uploadError;
+    const status = (() => {
+        if (!ready) return null;
+        const { results } = outcome;
+        if (results.length === 0) return 'The patch changes nothing';
+        const failed = results.find(result => result.status === 'failed');
+        if (failed) return `Operation #${failed.index + 1} failed: nothing is applied`;
+        const applied = results.filter(result => result.status === 'applied').length;
+        return `${applied} of ${results.length} operation${results.length === 1 ? '' : 's'} applied`;
+    })();
+
+    const resultOf = () => ({ ...formatResult(outcome.document, activeDocument.inputMode), annotations: outcome.annotations });
+
+    return (
+        <div className="patch-overlay" onClick={onClose}>
+            <div className="patch-modal" onClick={e => e.stopPropagation()}>
+                <div className="patch-header">
+                    <div>
+                        <h2>Apply a patch</h2>
+                        <p className="patch-subtitle">to {activeDocument.name}</p>
+                    </div>
+                    <button className="patch-close-btn" onClick={onClose} title="Close">✕</button>
+                </div>
+
+                <div className="patch-options">
+                    <label>
+                        Patch
+                        <select value={sourceKey} onChange={(e) => setSource(e.target.value)}>
+                            <option value="paste">Pasted</option>
+                            {otherTabs.length > 0 && (
+                                <optgroup label="Open tabs">
+                                    {otherTabs.map(doc => <option key={doc.id} value={`tab:${doc.id}`}>{doc.name}</option>)}
+                                </optgroup>
+                            )}
+                        </select>
+                    </label>
+                    <button className="patch-btn" onClick={() => fileInputRef.current?.click()}>
+                        Upload…
+                    </button>
+                    <input
+                        ref={fileInputRef}
+                        type="file"
+                        accept=".json,.gz,.br,application/json"
+                        onChange={handleUpload}
+                        style={{ display: 'none' }}
+                    />
+                    <label>
+                        Type
+                        <select value={kindChoice} onChange={(e) => setKindChoice(e.target.value)}>
+                            <option value="auto">
+                                Auto-detect{detectedKind ? ` (${KIND_LABELS[detectedKind]})` : ''}
+                            </option>
+                            {Object.entries(KIND_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                        </select>
+                    </label>
+                </div>
+
+                {sourceKey === 'paste' && (
+                    <textarea
+                        className="patch-input"
+                        value={pasteText}
+                        onChange={(e) => setPasteText(e.target.value)}
+                        placeholder={'Paste a PATCH request body: [{"op": "replace", "path": "/name", "value": "api"}] or {"name": "api"}'}
+                        spellCheck={false}
+                        autoFocus
+                    />
+                )}
+
+                {error && <p className="patch-error">{error}</p>}
+
+                <div className="patch-body">
+                    <div className="patch-results">
+                        {ready && (
+                            <>
+                                <div className="patch-results-title">{KIND_LABELS[outcome.kind]}</div>
+                                {outcome.results.length === 0 && <p className="patch-empty">No operations.</p>}
+                                <ul className="patch-operations">
+                                    {outcome.results.map(result => (
+                                        <li key={result.index}>
+                                            <button
+                                                className={`patch-operation patch-${result.status}`}
+                                                onClick={() => showInGraph(result)}
+                                                title={result.message || 'Show in the graph'}
+                                            >
+                                                <span className="patch-operation-status">{STATUS_SYMBOLS[result.status]}</span>
+                                                <span className="patch-operation-op">{result.op || '?'}</span>
+                                                <span className="patch-operation-path">
+                                                    {result.from !== null && `${displayPointer(result.from)} → `}
+                                                    {displayPointer(result.path)}
+                                                </span>
+                                                {result.message && <span className="patch-operation-message">{result.message}</span>}
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </>
+                        )}
+                    </div>
+
+                    <div className="patch-preview">
+                        <div className="patch-preview-title">
+                            {ready && !outcome.ok ? 'Before the failed operation' : 'Patched document'}
+                        </div>
+                        <div className="patch-preview-body">
+                            {ready && (
+                                <GraphPreview
+                                    key={outcome.run}
+                                    value={outcome.document}
+                                    limits={limits}
+                                    annotations={graphAnnotations}
+                                    focus={focus}
+                                />
+                            )}
+                        </div>
+                    </div>
+                </div>
+
+                <div className="patch-footer">
+                    <span className={`patch-status ${ready && !outcome.ok ? 'patch-failed' : ''}`}>{status}</span>
+                    <span className="patch-footer-spacer" />
+                    <button className="patch-btn" onClick={onClose}>
+                        Cancel
+                    </button>
+                    <button className="patch-btn" onClick={() => onOpenInTab(resultOf())} disabled={!ready || !outcome.ok}>
+                        Open result in new tab
+                    </button>
+                    <button className="patch-btn patch-btn-primary" onClick={() => onApply(resultOf())} disabled={!ready || !outcome.ok}>
+                        Apply to document
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default PatchPanel;
@@ -0,0 +1,64 @@
+import React from 'react';
+import { DiffEditor } from '@monaco-editor/react';
+import './RepairPreview.css';
+
+// Side-by-side diff of a proposed repair (see Parser/jsonRepair.js).
+// Nothing reaches the editor until the user accepts.
+const RepairPreview = ({ isOpen, original, repair, onAccept, onReject }) => {
+    if (!isOpen || !repair) return null;
+
+    return (
+        <div className="repair-overlay" onClick={onReject}>
+            <div className="repair-modal" onClick={e => e.stopPropagation()}>
+                <div className="repair-header">
+                    <h2>Repair JSON</h2>
+                    <button className="repair-close-btn" onClick={onReject} title="Close">✕</button>
+                </div>
+
+                <div className="repair-body">
+                    <ul className="repair-changes">
+                        {repair.changes.map((change, index) => (
+                            <li key={index}>
+                                <span className="repair-change-line">Line {change.line}</span>
+                                {change.reason}
+                            </li>
+                        ))}
+                    </ul>
+
+                    {!repair.valid && (
+                        <p className="repair-warning">
+                            Some problems can't be repaired automatically. The result will still be invalid.
+                        </p>
+                    )}
+
+                    <div className="repair-diff">
+                        <DiffEditor
+                            height="100%"
+                            language="json"
+                            theme="vs-dark"
+                            original={original}
+                            modified={repair.text}
+                            options={{
+                                readOnly: true,
+                                renderSideBySide: true,
+                                minimap: { enabled: false },
+                                scrollBeyondLastLine: false
+                            }}
+                        />
+                    </div>
+                </div>
+
+                <div className="repair-footer">
+                    <button className="repair-btn" onClick={onReject}>
+                        Reject
+                    </button>
+                    <button className="repair-btn repair-btn-primary" onClick={onAccept}>
+                        Accept {repair.changes.length} change{repair.changes.length === 1 ? '' : 's'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default RepairPreview;
@@ -0,0 +1,118 @@
+import React, { useEffect, useRef, useState } from 'react';
+import Editor from '@monaco-editor/react';
+import { readUpload } from '../../Formats/upload';
+import './SchemaPanel.css';
+
+// Attach a JSON Schema to the current document: paste it or upload a file.
+// Without an attached schema the document's own "$schema" is used
+// (see useSchemaValidation.js).
+const SchemaPanel = ({ isOpen, schema, onApply, onClose }) => {
+    const [draft, setDraft] = useState('');
+    const [name, setName] = useState('Pasted schema');
+    const [error, setError] = useState(null);
+    const fileInputRef = useRef(null);
+
+    // Start from the attached schema every time the panel opens
+    useEffect(() => {
+        if (!isOpen) return;
+        setDraft(schema ? schema.text : '');
+        setName(schema ? schema.name : 'Pasted schema');
+        setError(null);
+    }, [isOpen, schema]);
+
+    if (!isOpen) return null;
+
+    const handleUpload = async (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+        try {
+            const { content } = await readUpload(file);
+            setDraft(content);
+            setName(file.name);
+            setError(null);
+        } catch (uploadError) {
+            setError(`Cannot read ${file.name}: ${uploadError.message}`);
+        }
+    };
+
+    const handleApply = () => {
+        let value;
+        try {
+            value = JSON.parse(draft);
+        } catch (parseError) {
+            setError(`The schema is not valid JSON: ${parseError.message}`);
+            return;
+        }
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            setError('A schema must be a JSON object');
+            return;
+        }
+        onApply({ name, text: draft, value });
+    };
+
+    return (
+        <div className="schema-overlay" onClick={onClose}>
+            <div className="schema-modal" onClick={e => e.stopPropagation()}>
+                <div className="schema-header">
+                    <h2>JSON Schema</h2>
+                    <button className="schema-close-btn" onClick={onClose} title="Close">✕</button>
+                </div>
+
+                <div className="schema-body">
+                    <p className="schema-hint">
+                        Paste or upload a schema (draft-07 or 2020-12, picked by its <code>$schema</code>).
+                        Without one, the document's own <code>$schema</code> URL is used.
+                    </p>
+
+                    {error && <p className="schema-warning">{error}</p>}
+
+                    <div className="schema-editor">
+                        <Editor
+                            height="100%"
+                            language="json"
+                            theme="vs-dark"
+                            value={draft}
+                            onChange={(value) => {
+                                setDraft(value || '');
+                                setName(schema && value === schema.text ? schema.name : 'Pasted schema');
+                            }}
+                            options={{
+                                minimap: { enabled: false },
+                                scrollBeyondLastLine: false,
+                                fontSize: 13
+                            }}
+                        />
+                    </div>
+                </div>
+
+                <div className="schema-footer">
+                    <button className="schema-btn" onClick={() => fileInputRef.current?.click()}>
+                        Upload schema
+                    </button>
+                    <input
+                        ref={fileInputRef}
+                        type="file"
+                        accept=".json,.gz,.br,application/json,application/schema+json"
+                        onChange={handleUpload}
+                        style={{ display: 'none' }}
+                    />
+                    {schema && (
+                        <button className="schema-btn" onClick={() => onApply(null)}>
+                            Detach
+                        </button>
+                    )}
+                    <span className="schema-footer-spacer" />
+                    <button className="schema-btn" onClick={onClose}>
+                        Cancel
+                    </button>
+                    <button className="schema-btn schema-btn-primary" onClick={handleApply} disabled={draft.trim() === ''}>
+                        Apply
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default SchemaPanel;
@@ -0,0 +1,62 @@
+import { useEffect, useState } from 'react';
+import { parseSource } from '../../Parser/parseSource';
+import { getDocumentSchemaUri, isMetaSchemaUri, loadSchemaFromUrl, validateWithSchema } from '../../Tools/schema';
+
+// Same pause as the editor's own validation
+const SCHEMA_DEBOUNCE_MS = 500;
+
+// Validate the editor text against the attached schema, or else against the
+// schema its "$schema" names. Returns null when there is nothing to check
+// (no schema, or the text doesn't parse), otherwise
+//   { source, valid, errors: [{ pointer, message, keyword }], schemaError }
+// where `schemaError` means the schema itself couldn't be loaded or compiled.
+export const useSchemaValidation = (text, dialect, schema) => {
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const timeoutId = setTimeout(async () => {
+      let data;
+      try {
+        data = parseSource(text, { dialect, sourceMap: false }).data;
+      } catch (error) {
+        // Syntax errors are the editor's business
+        setResult(null);
+        return;
+      }
+
+      let source = schema && schema.name;
+      let schemaValue = schema && schema.value;
+      if (!schema) {
+        const uri = getDocumentSchemaUri(data);
+        if (!uri) {
+          setResult(null);
+          return;
+        }
+        source = `$schema ${uri}`;
+        try {
+          schemaValue = isMetaSchemaUri(uri) ? uri : await loadSchemaFromUrl(uri);
+        } catch (error) {
+          if (!cancelled) setResult({ source, valid: false, errors: [], schemaError: error.message });
+          return;
+        }
+      }
+      if (cancelled) return;
+
+      try {
+        // NDJSON: the schema describes one record
+        setResult({ source, ...validateWithSchema(data, schemaValue, { perRecord: dialect === 'ndjson' }) });
+      } catch (error) {
+        setResult({ source, valid: false, errors: [], schemaError: `Invalid schema: ${error.message}` });
+      }
+    }, SCHEMA_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+    };
+  }, [text, dialect, schema]);
+
+  return result;
+};
@@ -0,0 +1,107 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { DEFAULT_SETTINGS, SETTING_FIELDS, sanitizeSettings } from './settings';
+import './SettingsPanel.css';
+
+const SettingsPanel = ({ isOpen, settings, focusKey, onChange, onClose }) => {
+    const fieldRefs = useRef({});
+    // Text being typed per numeric field. The setting itself is clamped to the
+    // field's bounds right away; the input shows the clamped value on blur.
+    const [drafts, setDrafts] = useState({});
+
+    // Opened from a truncation warning: bring the responsible setting into view
+    useEffect(() => {
+        if (isOpen && focusKey && fieldRefs.current[focusKey]) {
+            fieldRefs.current[focusKey].scrollIntoView({ block: 'center' });
+            fieldRefs.current[focusKey].querySelector('input').focus();
+        }
+    }, [isOpen, focusKey]);
+
+    if (!isOpen) return null;
+
+    const groups = [...new Set(SETTING_FIELDS.map(field => field.group))];
+
+    const handleFieldChange = (key, rawValue) => {
+        setDrafts(current => ({ ...current, [key]: rawValue }));
+        if (rawValue === '') return;
+        onChange(sanitizeSettings({ ...settings, [key]: Number(rawValue) }));
+    };
+
+    const handleFieldBlur = (key) => {
+        setDrafts(({ [key]: draft, ...rest }) => rest);
+    };
+
+    return (
+        <div className="settings-overlay" onClick={onClose}>
+            <div className="settings-modal" onClick={e => e.stopPropagation()}>
+                <div className="settings-header">
+                    <h2>Settings</h2>
+                    <button className="settings-close-btn" onClick={onClose} title="Close">✕</button>
+                </div>
+
+                <div className="settings-body">
+                    {groups.map(group => (
+                        <div key={group} className="settings-group">
+                            <h3 className="settings-group-title">{group}</h3>
+
+                            {SETTING_FIELDS.filter(field => field.group === group).map(field => (
+                                <div
+                                    key={field.key}
+                                    ref={el => { fieldRefs.current[field.key] = el; }}
+                                    className={`settings-field ${focusKey === field.key ? 'settings-field-focus' : ''}`}
+                                >
+                                    <label className="settings-label" htmlFor={`setting-${field.key}`}>
+                                        {field.type === 'boolean' ? (
+                                            <span className="settings-toggle">
+                                                <input
+                                                    id={`setting-${field.key}`}
+                                                    type="checkbox"
+                                                    checked={settings[field.key]}
+                                                    onChange={e => onChange({ ...settings, [field.key]: e.target.checked })}
+                                                />
+                                                {field.label}
+                                            </span>
+                                        ) : field.label}
+                                        {settings[field.key] !== DEFAULT_SETTINGS[field.key] && (
+                                            <span className="settings-default-hint">default {String(DEFAULT_SETTINGS[field.key])}</span>
+                                        )}
+                                    </label>
+                                    {field.type !== 'boolean' && (
+                                        <input
+                                            id={`setting-${field.key}`}
+                                            className="settings-input"
+                                            type="number"
+                                            min={field.min}
+                                            max={field.max}
+                                            step={field.step}
+                                            value={drafts[field.key] ?? settings[field.key]}
+                                            onChange={e => handleFieldChange(field.key, e.target.value)}
+                                            onBlur={() => handleFieldBlur(field.key)}
+                                        />
+                                    )}
+                                    <p className="settings-description">{field.description}</p>
+                                </div>
+                            ))}
+                        </div>
+                    ))}
+                </div>
+
+                <div className="settings-footer">
+                    <button
+                        className="settings-btn"
+                        onClick={() => {
+                            setDrafts({});
+                            onChange({ ...DEFAULT_SETTINGS });
+                        }}
+                    >
+                        Reset to defaults
+                    </button>
+                    <button className="settings-btn settings-btn-primary" onClick={onClose}>
+                        Done
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default SettingsPanel;
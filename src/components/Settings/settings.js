@@ -0,0 +1,129 @@
+import { DEFAULT_LIMITS } from '../../Visualizer/graphBuilder';
+
+// User-tunable limits and options, persisted in localStorage.
+// Graph limits are passed to the graph worker, editor limits to MonoEditor.
+
+export const SETTINGS_STORAGE_KEY = 'json-trace-settings';
+
+export const DEFAULT_SETTINGS = {
+  ...DEFAULT_LIMITS,
+  largeFileBytes: 100000, // 100KB
+  suggestionsMaxBytes: 50000, // 50KB
+  losslessNumbers: true
+};
+
+// Field metadata drives the Settings panel (label, inline help, bounds).
+// Fields are numeric unless `type: 'boolean'`.
+export const SETTING_FIELDS = [
+  {
+    key: 'maxNodes',
+    group: 'Graph',
+    label: 'Max nodes',
+    description: 'Total number of nodes drawn before the graph stops growing. Higher values show more of large documents but make layout and panning slower.',
+    min: 100,
+    max: 50000,
+    step: 100
+  },
+  {
+    key: 'maxDepth',
+    group: 'Graph',
+    label: 'Max depth',
+    description: 'Nesting levels shown below the root. Deeper containers get a "depth limit" placeholder you can click to keep going.',
+    min: 1,
+    max: 100,
+    step: 1
+  },
+  {
+    key: 'maxArrayItems',
+    group: 'Graph',
+    label: 'Array items per page',
+    description: 'Items shown per array (or per range of a bucketed array) before a "... more items" placeholder loads the next page.',
+    min: 1,
+    max: 1000,
+    step: 1
+  },
+  {
+    key: 'maxObjectProps',
+    group: 'Graph',
+    label: 'Object properties per page',
+    description: 'Properties shown per object before a "... more properties" placeholder loads the next page.',
+    min: 1,
+    max: 1000,
+    step: 1
+  },
+  {
+    key: 'recordsPerPage',
+    group: 'Graph',
+    label: 'NDJSON records per page',
+    description: 'Records laid out at a time in NDJSON mode; use the pager above the graph to move through the file. 0 lays out every record (long files are split into ranges like any array).',
+    min: 0,
+    max: 10000,
+    step: 10
+  },
+  {
+    key: 'largeFileBytes',
+    group: 'Editor',
+    label: 'Large file threshold (bytes)',
+    description: 'Above this size the editor skips repair suggestions, format-on-type and inline validation squiggles to stay responsive.',
+    min: 1000,
+    max: 50000000,
+    step: 1000
+  },
+  {
+    key: 'suggestionsMaxBytes',
+    group: 'Editor',
+    label: 'Suggestions threshold (bytes)',
+    description: 'Above this size autocomplete suggestions and parameter hints are turned off.',
+    min: 1000,
+    max: 50000000,
+    step: 1000
+  },
+  {
+    key: 'losslessNumbers',
+    group: 'Numbers',
+    type: 'boolean',
+    label: 'Lossless numbers',
+    description: 'Keep numbers exactly as written (64-bit ids, 1.0, 1e10) in graph labels, Format and Minify. Turn off to use standard JSON.parse, which rounds integers above 2^53.'
+  }
+];
+
+// Clamp to the field's bounds; anything unparsable falls back to the default
+export const sanitizeSettings = (settings) => {
+  const result = { ...DEFAULT_SETTINGS };
+  SETTING_FIELDS.forEach(({ key, type, min, max }) => {
+    if (type === 'boolean') {
+      if (settings && typeof settings[key] === 'boolean') result[key] = settings[key];
+      return;
+    }
+    const value = Math.round(Number(settings && settings[key]));
+    if (Number.isFinite(value)) {
+      result[key] = Math.min(max, Math.max(min, value));
+    }
+  });
+  return result;
+};
+
+export const loadSettings = () => {
+  try {
+    const stored = localStorage.getItem(SETTINGS_STORAGE_KEY);
+    return stored ? sanitizeSettings(JSON.parse(stored)) : { ...DEFAULT_SETTINGS };
+  } catch (e) {
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+export const saveSettings = (settings) => {
+  try {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  } catch (e) {
+    // Private mode / quota exceeded: settings just won't persist
+  }
+};
+
+export const getGraphLimits = ({ maxNodes, maxDepth, maxArrayItems, maxObjectProps, recordsPerPage }) => ({
+  maxNodes,
+  maxDepth,
+  maxArrayItems,
+  maxObjectProps,
+  recordsPerPage
+});
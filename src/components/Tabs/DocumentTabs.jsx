@@ -0,0 +1,38 @@
+import React from 'react';
+import './DocumentTabs.css';
+
+// Open documents above the editor. Extracted query results and transforms
+// open here as new tabs; the last tab can't be closed.
+const DocumentTabs = ({ documents, activeId, onSelect, onClose, onAdd }) => (
+    <div className="document-tabs" role="tablist">
+        {documents.map(doc => (
+            <div
+                key={doc.id}
+                role="tab"
+                aria-selected={doc.id === activeId}
+                className={`document-tab ${doc.id === activeId ? 'active' : ''}`}
+                onClick={() => onSelect(doc.id)}
+                title={doc.name}
+            >
+                <span className="document-tab-name">{doc.name}</span>
+                {documents.length > 1 && (
+                    <button
+                        className="document-tab-close"
+                        onClick={(e) => {
+                            e.stopPropagation();
+                            onClose(doc.id);
+                        }}
+                        title="Close"
+                    >
+                        ✕
+                    </button>
+                )}
+            </div>
+        ))}
+        <button className="document-tab-add" onClick={onAdd} title="New document">
+            +
+        </button>
+    </div>
+);
+
+export default DocumentTabs;
@@ -0,0 +1,176 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import Editor from '@monaco-editor/react';
+import { parseSource } from '../../Parser/parseSource';
+import { INPUT_MODES } from '../../Editor/inputModes';
+import { runJq } from '../../Tools/jq';
+import GraphPreview from '../../Visualizer/GraphPreview';
+import './TransformPanel.css';
+
+const TRANSFORM_DEBOUNCE_MS = 300;
+// Previews of generators like range(1e6) stop here
+const MAX_OUTPUTS = 10000;
+
+const EXAMPLES = [
+    'keys',
+    'to_entries',
+    '.[] | select(type == "object")',
+    'map(.name)',
+    'group_by(.type) | map({type: .[0].type, count: length})',
+    'paths(scalars) | join("/")'
+];
+
+// One output is a JSON document; several (or any output of an NDJSON input,
+// which is filtered record by record like `jq -c`) become NDJSON.
+const formatOutputs = (outputs, isRecords) => {
+    if (outputs.length === 1 && !isRecords) {
+        return { text: JSON.stringify(outputs[0], null, 2), inputMode: 'json', graphValue: outputs[0] };
+    }
+    return { text: outputs.map(output => JSON.stringify(output)).join('\n'), inputMode: 'ndjson', graphValue: outputs };
+};
+
+// jq-compatible transforms of the current document (see Tools/jq.js), previewed
+// live as JSON and as a graph. The result replaces the document or opens in a
+// new tab. Numbers are plain doubles here, like in jq.
+const TransformPanel = ({ isOpen, text, inputMode, onReplace, onOpenInTab, onClose }) => {
+    const [filter, setFilter] = useState('.');
+    const [debouncedFilter, setDebouncedFilter] = useState('.');
+    // { outputs, truncated, text, inputMode, graphValue, error, run }
+    const [result, setResult] = useState(null);
+
+    const isRecords = inputMode === 'ndjson';
+
+    useEffect(() => {
+        const timeoutId = setTimeout(() => setDebouncedFilter(filter), TRANSFORM_DEBOUNCE_MS);
+        return () => clearTimeout(timeoutId);
+    }, [filter]);
+
+    // Parsed once per document change, not per keystroke in the filter
+    const input = useMemo(() => {
+        if (!isOpen) return null;
+        try {
+            return { data: parseSource(text, { dialect: INPUT_MODES[inputMode].dialect, sourceMap: false }).data };
+        } catch (error) {
+            return { error: 'Fix the syntax errors in the document to run a transform' };
+        }
+    }, [isOpen, text, inputMode]);
+
+    useEffect(() => {
+        if (!input) return;
+        if (input.error) {
+            setResult({ error: input.error, outputs: [] });
+            return;
+        }
+        try {
+            const { outputs, truncated } = runJq(debouncedFilter.trim() || '.', input.data, {
+                inputs: isRecords ? input.data : null,
+                maxOutputs: MAX_OUTPUTS
+            });
+            setResult(previous => ({
+                outputs,
+                truncated,
+                ...formatOutputs(outputs, isRecords),
+                error: null,
+                // Remounts the graph preview so it fits the new result
+                run: (previous ? previous.run : 0) + 1
+            }));
+        } catch (error) {
+            // Keep the last good preview while the filter is being typed
+            setResult(previous => ({ ...(previous || { outputs: [] }), error: error.message }));
+        }
+    }, [input, debouncedFilter, isRecords]);
+
+    if (!isOpen) return null;
+
+    const canApply = result && !result.error && result.outputs.length > 0;
+    const status = (() => {
+        if (!result) return 'Running…';
+        if (result.error) return null;
+        if (result.outputs.length === 0) return 'No output';
+        const count = `${result.outputs.length}${result.truncated ? '+' : ''} output${result.outputs.length === 1 ? '' : 's'}`;
+        return result.inputMode === 'ndjson' ? `${count} · opens as NDJSON` : count;
+    })();
+
+    return (
+        <div className="transform-overlay" onClick={onClose}>
+            <div className="transform-modal" onClick={e => e.stopPropagation()}>
+                <div className="transform-header">
+                    <h2>Transform</h2>
+                    <button className="transform-close-btn" onClick={onClose} title="Close">✕</button>
+                </div>
+
+                <div className="transform-filter">
+                    <label htmlFor="transform-filter-input">jq filter</label>
+                    <textarea
+                        id="transform-filter-input"
+                        className="transform-filter-input"
+                        value={filter}
+                        onChange={(e) => setFilter(e.target.value)}
+                        spellCheck={false}
+                        rows={2}
+                        autoFocus
+                    />
+                    <div className="transform-examples">
+                        {EXAMPLES.map(example => (
+                            <button key={example} className="transform-example" onClick={() => setFilter(example)}>
+                                {example}
+                            </button>
+                        ))}
+                    </div>
+                    {result && result.error && <p className="transform-error">{result.error}</p>}
+                </div>
+
+                <div className="transform-previews">
+                    <div className="transform-preview">
+                        <div className="transform-preview-title">JSON</div>
+                        <div className="transform-preview-body">
+                            <Editor
+                                height="100%"
+                                language="json"
+                                theme="vs-dark"
+                                value={result ? result.text || '' : ''}
+                                options={{
+                                    readOnly: true,
+                                    minimap: { enabled: false },
+                                    scrollBeyondLastLine: false,
+                                    fontSize: 13
+                                }}
+                            />
+                        </div>
+                    </div>
+                    <div className="transform-preview">
+                        <div className="transform-preview-title">Graph</div>
+                        <div className="transform-preview-body">
+                            {result && result.outputs.length > 0 && (
+                                <GraphPreview key={result.run} value={result.graphValue} />
+                            )}
+                        </div>
+                    </div>
+                </div>
+
+                <div className="transform-footer">
+                    <span className="transform-status">{status}</span>
+                    <span className="transform-footer-spacer" />
+                    <button className="transform-btn" onClick={onClose}>
+                        Cancel
+                    </button>
+                    <button
+                        className="transform-btn"
+                        onClick={() => onReplace({ text: result.text, inputMode: result.inputMode })}
+                        disabled={!canApply}
+                    >
+                        Replace editor content
+                    </button>
+                    <button
+                        className="transform-btn transform-btn-primary"
+                        onClick={() => onOpenInTab({ text: result.text, inputMode: result.inputMode })}
+                        disabled={!canApply}
+                    >
+                        Open in new tab
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default TransformPanel;
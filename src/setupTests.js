@@ -3,3 +3,14 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom lacks TextEncoder / TextDecoder, which the MessagePack and BSON
+// modules need as soon as they are imported
+import { TextEncoder, TextDecoder } from 'util';
+
+if (typeof global.TextEncoder === 'undefined') global.TextEncoder = TextEncoder;
+if (typeof global.TextDecoder === 'undefined') global.TextDecoder = TextDecoder;
+
+// The worker URL needs `import.meta`, which Jest's CommonJS can't parse.
+// jsdom has no Worker either, so graph jobs run on the main thread.
+jest.mock('./Visualizer/spawnGraphWorker', () => ({ spawnGraphWorker: () => null }));